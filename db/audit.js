@@ -0,0 +1,111 @@
+// Audit trail queries
+
+const { getDb } = require('./index');
+
+const AUDIT_ACTIONS = ['upload', 'create', 'update', 'delete', 'restore', 'merge'];
+
+// Entries in the list view name at most this many P.Nos; the full list is in the entry itself
+const LIST_P_NO_LIMIT = 10;
+
+// Record an audit entry. Takes the transaction's connection so the entry is
+// written together with the change it describes.
+//   actor   - the signed-in user, or null for changes made by the server itself
+//   changes - [{ p_no, before, after }]
+async function insertAuditEntry(db, { actor, action, batch, file, summary, changes }) {
+    const { lastID } = await db.run(
+        `INSERT INTO audit_log (created_at, user_id, username, action, batch_id, batch_name,
+            file_name, stored_file, file_checksum, summary, changes)
+         VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+        new Date().toISOString(),
+        actor ? actor.id : null,
+        actor ? actor.username : 'system',
+        action,
+        batch ? batch.id : null,
+        batch ? batch.name : null,
+        file ? file.name : null,
+        file ? file.stored : null,
+        file ? file.checksum : null,
+        summary,
+        JSON.stringify(changes)
+    );
+
+    const pNos = [...new Set(changes.map(change => change.p_no))];
+    for (const pNo of pNos) {
+        await db.run('INSERT INTO audit_log_participants (audit_id, p_no) VALUES (?, ?)', lastID, pNo);
+    }
+    return lastID;
+}
+
+function buildAuditFilter({ from, to, username, p_no, action, batch_id }) {
+    const conditions = [];
+    const params = [];
+
+    // Dates are whole days: `to` includes everything logged on that day
+    if (from) {
+        conditions.push('l.created_at >= ?');
+        params.push(from);
+    }
+    if (to) {
+        conditions.push("l.created_at < date(?, '+1 day')");
+        params.push(to);
+    }
+    if (username) {
+        conditions.push('l.username = ? COLLATE NOCASE');
+        params.push(username);
+    }
+    if (p_no) {
+        conditions.push('l.id IN (SELECT audit_id FROM audit_log_participants WHERE p_no = ?)');
+        params.push(p_no);
+    }
+    if (action) {
+        conditions.push('l.action = ?');
+        params.push(action);
+    }
+    if (batch_id) {
+        conditions.push('l.batch_id = ?');
+        params.push(batch_id);
+    }
+
+    return {
+        where: conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '',
+        params
+    };
+}
+
+// Newest entries first, without their before/after values
+async function searchAuditEntries(filters, { page, limit }) {
+    const db = getDb();
+    const { where, params } = buildAuditFilter(filters);
+
+    const { total } = await db.get(`SELECT COUNT(*) AS total FROM audit_log l ${where}`, params);
+    const rows = await db.all(
+        `SELECT l.id, l.created_at, l.user_id, l.username, l.action, l.batch_id, l.batch_name,
+            l.file_name, l.file_checksum, l.summary,
+            (SELECT COUNT(*) FROM audit_log_participants ap WHERE ap.audit_id = l.id) AS participant_count
+         FROM audit_log l ${where}
+         ORDER BY l.id DESC LIMIT ? OFFSET ?`,
+        [...params, limit, (page - 1) * limit]
+    );
+
+    for (const row of rows) {
+        const pNos = await db.all(
+            'SELECT p_no FROM audit_log_participants WHERE audit_id = ? ORDER BY p_no LIMIT ?',
+            row.id, LIST_P_NO_LIMIT
+        );
+        row.p_nos = pNos.map(entry => entry.p_no);
+    }
+
+    return { total, entries: rows };
+}
+
+async function findAuditEntry(id) {
+    const row = await getDb().get('SELECT * FROM audit_log WHERE id = ?', id);
+    return row ? { ...row, changes: JSON.parse(row.changes) } : null;
+}
+
+module.exports = {
+    AUDIT_ACTIONS,
+    insertAuditEntry,
+    searchAuditEntries,
+    findAuditEntry
+};
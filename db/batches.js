@@ -0,0 +1,77 @@
+// Batch queries
+
+const { getDb } = require('./index');
+
+const PROGRAM_TYPES = ['Induction', 'FST'];
+
+const BATCH_COLUMNS = 'b.id, b.name, b.program_type, b.start_date, b.end_date, b.venue, b.created_at';
+
+async function listBatches() {
+    return getDb().all(
+        `SELECT ${BATCH_COLUMNS}, COUNT(p.id) AS participant_count
+         FROM batches b LEFT JOIN participants p ON p.batch_id = b.id
+         GROUP BY b.id
+         ORDER BY b.start_date DESC, b.id DESC`
+    );
+}
+
+async function findBatchById(id) {
+    return getDb().get(
+        `SELECT ${BATCH_COLUMNS}, COUNT(p.id) AS participant_count
+         FROM batches b LEFT JOIN participants p ON p.batch_id = b.id
+         WHERE b.id = ?
+         GROUP BY b.id`,
+        id
+    );
+}
+
+async function findBatchByName(name) {
+    return getDb().get(`SELECT ${BATCH_COLUMNS} FROM batches b WHERE b.name = ?`, name);
+}
+
+async function createBatch({ name, program_type, start_date, end_date, venue }) {
+    const { lastID } = await getDb().run(
+        `INSERT INTO batches (name, program_type, start_date, end_date, venue, created_at)
+         VALUES (?, ?, ?, ?, ?, ?)`,
+        name, program_type || null, start_date || null, end_date || null, venue || '', new Date().toISOString()
+    );
+    return findBatchById(lastID);
+}
+
+// The sessions of a batch in day order
+async function findBatchSessions(batchId) {
+    return getDb().all(
+        'SELECT id, label, session_date, position FROM sessions WHERE batch_id = ? ORDER BY position, session_date, id',
+        batchId
+    );
+}
+
+async function findBatchSession(batchId, sessionId) {
+    return getDb().get(
+        'SELECT id, label, session_date, position FROM sessions WHERE batch_id = ? AND id = ?',
+        batchId, sessionId
+    );
+}
+
+// Add a session to a batch. Numbered days keep their day number as their
+// position; dated sessions go after the existing ones.
+async function createSession(batchId, { label, session_date, position }) {
+    const db = getDb();
+    const { last } = await db.get('SELECT MAX(position) AS last FROM sessions WHERE batch_id = ?', batchId);
+    const { lastID } = await db.run(
+        'INSERT INTO sessions (batch_id, label, session_date, position) VALUES (?, ?, ?, ?)',
+        batchId, label, session_date, position || (last || 0) + 1
+    );
+    return findBatchSession(batchId, lastID);
+}
+
+module.exports = {
+    PROGRAM_TYPES,
+    listBatches,
+    findBatchById,
+    findBatchByName,
+    createBatch,
+    findBatchSessions,
+    findBatchSession,
+    createSession
+};
@@ -0,0 +1,27 @@
+// Certificate template queries, one template per programme type
+
+const { getDb } = require('./index');
+
+async function listTemplates() {
+    return getDb().all('SELECT * FROM certificate_templates ORDER BY program_type');
+}
+
+async function findTemplate(programType) {
+    return getDb().get('SELECT * FROM certificate_templates WHERE program_type = ?', programType);
+}
+
+async function updateTemplate(programType, { title, body, signatory, rule, min_percentage }, actor) {
+    await getDb().run(
+        `UPDATE certificate_templates
+         SET title = ?, body = ?, signatory = ?, rule = ?, min_percentage = ?, updated_at = ?, updated_by = ?
+         WHERE program_type = ?`,
+        title, body, signatory, rule, min_percentage, new Date().toISOString(), actor.username, programType
+    );
+    return findTemplate(programType);
+}
+
+module.exports = {
+    listTemplates,
+    findTemplate,
+    updateTemplate
+};
@@ -0,0 +1,81 @@
+// Live session check-in queries
+
+const { getDb, withTransaction } = require('./index');
+const { insertAuditEntry } = require('./audit');
+const { normalizePNo, normalizePhone } = require('../lib/normalization');
+
+const CHECK_IN_SELECT = `SELECT c.id, c.participant_id, c.session_id, c.checked_in_at, c.username,
+        p.p_no, p.name, p.trade
+    FROM check_ins c JOIN participants p ON p.id = c.participant_id`;
+
+// The participant of a batch with the given P.No or mobile number, as typed or scanned.
+// The code is normalized both ways, so 98765 43210 finds +919876543210. A P.No
+// match wins over a mobile number match.
+async function findParticipantByCode(batchId, code) {
+    const pNo = normalizePNo(code).value;
+    return getDb().get(
+        `SELECT id, batch_id, p_no, mobile_no, name, trade, gender FROM participants
+         WHERE batch_id = ? AND (p_no = ? OR mobile_no = ?)
+         ORDER BY p_no = ? DESC LIMIT 1`,
+        batchId, pNo, normalizePhone(code).value, pNo
+    );
+}
+
+// Check a participant in to a session and mark them present.
+// Returns { check_in, duplicate }: a participant already checked in keeps
+// their first check-in, which is returned with duplicate set.
+async function checkIn(batch, session, participant, audit) {
+    return withTransaction(async db => {
+        const existing = await db.get(
+            `${CHECK_IN_SELECT} WHERE c.participant_id = ? AND c.session_id = ?`,
+            participant.id, session.id
+        );
+        if (existing) {
+            return { check_in: existing, duplicate: true };
+        }
+
+        const previous = await db.get(
+            'SELECT status FROM attendance WHERE participant_id = ? AND session_id = ?',
+            participant.id, session.id
+        );
+        const now = new Date().toISOString();
+        const { lastID } = await db.run(
+            'INSERT INTO check_ins (participant_id, session_id, checked_in_at, user_id, username) VALUES (?, ?, ?, ?, ?)',
+            participant.id, session.id, now, audit.actor ? audit.actor.id : null, audit.actor ? audit.actor.username : 'system'
+        );
+        await db.run(
+            `INSERT INTO attendance (participant_id, session_id, status) VALUES (?, ?, 'P')
+             ON CONFLICT (participant_id, session_id) DO UPDATE SET status = excluded.status`,
+            participant.id, session.id
+        );
+        await db.run('UPDATE participants SET updated_at = ? WHERE id = ?', now, participant.id);
+
+        await insertAuditEntry(db, {
+            ...audit,
+            batch,
+            action: 'update',
+            summary: `Checked in ${participant.p_no} for ${session.label}`,
+            changes: [{
+                p_no: participant.p_no,
+                before: { [session.label]: previous ? previous.status : null },
+                after: { [session.label]: 'P' }
+            }]
+        });
+
+        return { check_in: await db.get(`${CHECK_IN_SELECT} WHERE c.id = ?`, lastID), duplicate: false };
+    });
+}
+
+// Check-ins for a session, newest first, with how many of the batch have checked in
+async function listCheckIns(batchId, sessionId) {
+    const db = getDb();
+    const checkIns = await db.all(`${CHECK_IN_SELECT} WHERE c.session_id = ? ORDER BY c.checked_in_at DESC, c.id DESC`, sessionId);
+    const { total } = await db.get('SELECT COUNT(*) AS total FROM participants WHERE batch_id = ?', batchId);
+    return { checked_in: checkIns.length, total, check_ins: checkIns };
+}
+
+module.exports = {
+    findParticipantByCode,
+    checkIn,
+    listCheckIns
+};
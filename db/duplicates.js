@@ -0,0 +1,39 @@
+// Duplicate finder queries: the records to compare and the pairs of P.Nos
+// marked as different trainees
+
+const { getDb } = require('./index');
+
+// Every participant with their batch and how many sessions they were present for
+async function listRecords() {
+    return getDb().all(
+        `SELECT p.id, p.batch_id, p.p_no, p.mobile_no, p.name, p.trade, p.gender, p.created_at,
+            b.name AS batch_name, b.program_type, b.start_date,
+            COUNT(a.session_id) AS sessions_recorded,
+            COALESCE(SUM(a.status = 'P'), 0) AS sessions_present
+         FROM participants p
+         JOIN batches b ON b.id = p.batch_id
+         LEFT JOIN attendance a ON a.participant_id = p.id
+         GROUP BY p.id`
+    );
+}
+
+async function listDismissals() {
+    return getDb().all('SELECT p_no_a, p_no_b FROM duplicate_dismissals');
+}
+
+// Record that two P.Nos belong to different trainees. `pNos` is [a, b] as
+// returned by duplicates.pairOfPNos.
+async function dismissPair([p_no_a, p_no_b], actor) {
+    await getDb().run(
+        `INSERT INTO duplicate_dismissals (p_no_a, p_no_b, created_at, user_id, username)
+         VALUES (?, ?, ?, ?, ?)
+         ON CONFLICT (p_no_a, p_no_b) DO NOTHING`,
+        p_no_a, p_no_b, new Date().toISOString(), actor.id, actor.username
+    );
+}
+
+module.exports = {
+    listRecords,
+    listDismissals,
+    dismissPair
+};
@@ -0,0 +1,117 @@
+// Background import job queries
+
+const { getDb } = require('./index');
+
+const JOB_STATUSES = ['queued', 'validating', 'ready', 'importing', 'completed', 'failed', 'cancelled', 'expired'];
+// Statuses a job can still move on from
+const ACTIVE_STATUSES = ['queued', 'validating', 'ready', 'importing'];
+
+const JOB_SELECT = `SELECT j.*, b.name AS batch_name FROM import_jobs j JOIN batches b ON b.id = j.batch_id`;
+
+function toJob(row) {
+    if (!row) {
+        return null;
+    }
+    return {
+        ...row,
+        mapping: row.mapping ? JSON.parse(row.mapping) : null,
+        import_rows: Boolean(row.import_rows),
+        skip_invalid: Boolean(row.skip_invalid),
+        result: row.result ? JSON.parse(row.result) : null
+    };
+}
+
+// Queue an uploaded roster.
+//   file - { name, stored, checksum } of the copy kept in uploads/
+async function createJob({ actor, batch, file, mode, sheet, mapping, import_rows, skip_invalid }) {
+    const now = new Date().toISOString();
+    const { lastID } = await getDb().run(
+        `INSERT INTO import_jobs (created_at, updated_at, user_id, username, batch_id, file_name, stored_file,
+            file_checksum, mode, sheet, mapping, import_rows, skip_invalid, status)
+         VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, 'queued')`,
+        now, now, actor.id, actor.username, batch.id, file.name, file.stored, file.checksum,
+        mode, sheet || null, mapping ? JSON.stringify(mapping) : null, import_rows ? 1 : 0, skip_invalid ? 1 : 0
+    );
+    return lastID;
+}
+
+async function findJobById(id) {
+    return toJob(await getDb().get(`${JOB_SELECT} WHERE j.id = ?`, id));
+}
+
+// The most recent jobs, newest first
+async function listJobs(limit) {
+    const rows = await getDb().all(`${JOB_SELECT} ORDER BY j.id DESC LIMIT ?`, limit);
+    return rows.map(toJob);
+}
+
+// The oldest job waiting its turn
+async function nextQueuedJob() {
+    return toJob(await getDb().get(`${JOB_SELECT} WHERE j.status = 'queued' ORDER BY j.id LIMIT 1`));
+}
+
+// Update a job's fields. With `from`, only a job in one of those statuses is
+// changed, so a job cancelled in the meantime is left alone. Returns whether
+// the job was changed. Pass a transaction's connection as `db` to update inside it.
+async function updateJob(id, fields, { from = null, db = getDb() } = {}) {
+    const values = { ...fields, updated_at: new Date().toISOString() };
+    if (values.result !== undefined) {
+        values.result = values.result === null ? null : JSON.stringify(values.result);
+    }
+    if (values.import_rows !== undefined) {
+        values.import_rows = values.import_rows ? 1 : 0;
+    }
+    if (values.skip_invalid !== undefined) {
+        values.skip_invalid = values.skip_invalid ? 1 : 0;
+    }
+
+    const statuses = from ? [].concat(from) : [];
+    const { changes } = await db.run(
+        `UPDATE import_jobs SET ${Object.keys(values).map(column => `${column} = ?`).join(', ')}
+         WHERE id = ?${statuses.length > 0 ? ` AND status IN (${statuses.map(() => '?').join(', ')})` : ''}`,
+        ...Object.values(values), id, ...statuses
+    );
+    return changes > 0;
+}
+
+// The stored files of jobs that still need them
+async function listActiveFiles() {
+    const rows = await getDb().all(
+        `SELECT DISTINCT stored_file FROM import_jobs WHERE status IN (${ACTIVE_STATUSES.map(() => '?').join(', ')})`,
+        ACTIVE_STATUSES
+    );
+    return rows.map(row => row.stored_file);
+}
+
+// Put jobs cut short by a restart back in the queue. Imports are written in one
+// transaction with the job's completion, so an interrupted one wrote nothing.
+// Previews awaiting review lived in memory and are rebuilt the same way.
+async function requeueInterruptedJobs() {
+    const { changes } = await getDb().run(
+        `UPDATE import_jobs SET status = 'queued', updated_at = ?
+         WHERE status IN ('validating', 'ready', 'importing')`,
+        new Date().toISOString()
+    );
+    return changes;
+}
+
+// Mark previews nobody committed since `before` as expired
+async function expireReadyJobs(before) {
+    await getDb().run(
+        `UPDATE import_jobs SET status = 'expired', updated_at = ? WHERE status = 'ready' AND updated_at < ?`,
+        new Date().toISOString(), before
+    );
+}
+
+module.exports = {
+    JOB_STATUSES,
+    ACTIVE_STATUSES,
+    createJob,
+    findJobById,
+    listJobs,
+    nextQueuedJob,
+    listActiveFiles,
+    updateJob,
+    requeueInterruptedJobs,
+    expireReadyJobs
+};
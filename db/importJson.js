@@ -0,0 +1,102 @@
+// One-time importer for the legacy participants-data.json store
+
+const fs = require('fs').promises;
+const path = require('path');
+const crypto = require('crypto');
+const { findExistingParticipants, insertParticipants } = require('./participants');
+const { findBatchByName, createBatch } = require('./batches');
+const { normalizeFields } = require('../lib/normalization');
+
+const LEGACY_DATA_FILE = './participants-data.json';
+
+// The JSON store only ever had the two fixed attendance days
+const LEGACY_SESSIONS = [
+    { label: 'Day 1', position: 1 },
+    { label: 'Day 2', position: 2 }
+];
+
+// Same batch the batches migration moves pre-existing database rows into
+const LEGACY_BATCH_NAME = 'Legacy records';
+
+async function importLegacyJson(filePath = LEGACY_DATA_FILE) {
+    let contents;
+    let records;
+    try {
+        contents = await fs.readFile(filePath, 'utf8');
+        records = JSON.parse(contents);
+    } catch (err) {
+        if (err.code === 'ENOENT') {
+            return null;
+        }
+        throw new Error(`Could not read ${filePath}: ${err.message}`);
+    }
+
+    if (!Array.isArray(records)) {
+        throw new Error(`${filePath} does not contain a participant array`);
+    }
+
+    const batch = await findBatchByName(LEGACY_BATCH_NAME) || await createBatch({ name: LEGACY_BATCH_NAME });
+    const existing = await findExistingParticipants(batch.id);
+    const newParticipants = [];
+    let skipped = 0;
+
+    records.forEach(record => {
+        const { fields, errors } = normalizeFields({
+            p_no: record.p_no || '',
+            mobile_no: record.mobile_no || '',
+            trade: record.trade || '',
+            gender: record.gender || ''
+        });
+        const { p_no, mobile_no, trade, gender } = fields;
+        const day1 = String(record.attendance_day1 || '').toUpperCase();
+        const day2 = String(record.attendance_day2 || '').toUpperCase();
+
+        if (Object.keys(errors).length > 0) {
+            console.warn(`Skipping invalid legacy record: ${p_no} - ${record.name}: ${Object.values(errors).join('; ')}`);
+            skipped++;
+            return;
+        }
+        if (!p_no || !mobile_no || !record.name || !['P', 'A'].includes(day1) || !['P', 'A'].includes(day2)) {
+            console.warn(`Skipping invalid legacy record: ${p_no} - ${record.name}`);
+            skipped++;
+            return;
+        }
+        if (existing.byPNo.has(p_no) || existing.byMobileNo.has(mobile_no)) {
+            console.warn(`Skipping duplicate legacy record: ${p_no} - ${record.name}`);
+            skipped++;
+            return;
+        }
+
+        newParticipants.push({
+            p_no,
+            mobile_no,
+            name: String(record.name),
+            trade,
+            gender,
+            attendance: { 'Day 1': day1, 'Day 2': day2 },
+            created_at: record.created_at || new Date().toISOString()
+        });
+        existing.byPNo.set(p_no, record);
+        existing.byMobileNo.set(mobile_no, record);
+    });
+
+    const imported = await insertParticipants(batch.id, newParticipants, LEGACY_SESSIONS, {
+        actor: null,
+        batch,
+        file: {
+            name: path.basename(filePath),
+            stored: `${path.basename(filePath)}.imported`,
+            checksum: crypto.createHash('sha256').update(contents).digest('hex')
+        }
+    });
+
+    // Move the file aside so the import only ever runs once
+    await fs.rename(filePath, `${filePath}.imported`);
+
+    return { imported, skipped };
+}
+
+module.exports = {
+    LEGACY_DATA_FILE,
+    importLegacyJson
+};
@@ -0,0 +1,86 @@
+// Database connection and schema migrations
+
+const path = require('path');
+const fs = require('fs');
+const sqlite3 = require('sqlite3');
+const { open } = require('sqlite');
+
+const DB_FILE = process.env.DB_FILE || path.join(__dirname, '..', 'data', 'participants.db');
+const MIGRATIONS_PATH = path.join(__dirname, 'migrations');
+
+let db = null;
+
+// Open the database (once) and bring the schema up to the latest migration.
+// `quiet` leaves out the startup message, for command-line tools whose output is piped.
+async function initDatabase({ quiet = false } = {}) {
+    if (db) {
+        return db;
+    }
+
+    if (DB_FILE !== ':memory:') {
+        fs.mkdirSync(path.dirname(DB_FILE), { recursive: true });
+    }
+
+    db = await open({
+        filename: DB_FILE,
+        driver: sqlite3.Database
+    });
+
+    await db.exec('PRAGMA journal_mode = WAL');
+
+    // Foreign keys stay off while migrating so migrations can rebuild tables
+    // without cascading deletes into the rows that reference them
+    await db.migrate({ migrationsPath: MIGRATIONS_PATH });
+    await db.exec('PRAGMA foreign_keys = ON');
+
+    if (!quiet) {
+        console.log(`Database ready at ${DB_FILE}`);
+    }
+    return db;
+}
+
+function getDb() {
+    if (!db) {
+        throw new Error('Database has not been initialized. Call initDatabase() first.');
+    }
+    return db;
+}
+
+// Transactions share the single connection, so they are queued one after another
+let transactionQueue = Promise.resolve();
+
+// Run a callback inside a transaction, rolling back if it throws
+function withTransaction(callback) {
+    const run = async () => {
+        const database = getDb();
+        await database.exec('BEGIN');
+        try {
+            const result = await callback(database);
+            await database.exec('COMMIT');
+            return result;
+        } catch (err) {
+            await database.exec('ROLLBACK');
+            throw err;
+        }
+    };
+
+    const result = transactionQueue.then(run, run);
+    transactionQueue = result.catch(() => {});
+    return result;
+}
+
+async function closeDatabase() {
+    if (db) {
+        await db.close();
+        db = null;
+    }
+}
+
+module.exports = {
+    DB_FILE,
+    MIGRATIONS_PATH,
+    initDatabase,
+    getDb,
+    withTransaction,
+    closeDatabase
+};
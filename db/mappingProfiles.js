@@ -0,0 +1,52 @@
+// Column mapping profile queries
+
+const { getDb } = require('./index');
+
+function toProfile(row) {
+    return row ? { ...row, mapping: JSON.parse(row.mapping) } : null;
+}
+
+async function listProfiles() {
+    const rows = await getDb().all('SELECT * FROM mapping_profiles ORDER BY name');
+    return rows.map(toProfile);
+}
+
+async function findProfileById(id) {
+    return toProfile(await getDb().get('SELECT * FROM mapping_profiles WHERE id = ?', id));
+}
+
+// Create a profile, or replace the mapping of the profile with the same name
+async function saveProfile({ name, sheet_name, mapping }) {
+    const now = new Date().toISOString();
+    await getDb().run(
+        `INSERT INTO mapping_profiles (name, sheet_name, mapping, created_at, updated_at)
+         VALUES (?, ?, ?, ?, ?)
+         ON CONFLICT (name) DO UPDATE SET
+            sheet_name = excluded.sheet_name,
+            mapping = excluded.mapping,
+            updated_at = excluded.updated_at`,
+        name, sheet_name || null, JSON.stringify(mapping), now, now
+    );
+    return toProfile(await getDb().get('SELECT * FROM mapping_profiles WHERE name = ?', name));
+}
+
+async function deleteProfile(id) {
+    const { changes } = await getDb().run('DELETE FROM mapping_profiles WHERE id = ?', id);
+    return changes > 0;
+}
+
+// Profiles whose mapped columns all appear in the given headers, best match first
+async function findMatchingProfiles(headers) {
+    const profiles = await listProfiles();
+    return profiles
+        .filter(profile => Object.values(profile.mapping).every(header => !header || headers.includes(header)))
+        .sort((a, b) => Object.keys(b.mapping).length - Object.keys(a.mapping).length);
+}
+
+module.exports = {
+    listProfiles,
+    findProfileById,
+    saveProfile,
+    deleteProfile,
+    findMatchingProfiles
+};
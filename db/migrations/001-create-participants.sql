@@ -0,0 +1,32 @@
+--------------------------------------------------------------------------------
+-- Up
+--------------------------------------------------------------------------------
+
+-- Initial schema: one row per participant, mirroring the record shape that
+-- participants-data.json used to hold.
+CREATE TABLE participants (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    p_no TEXT NOT NULL,
+    mobile_no TEXT NOT NULL,
+    name TEXT NOT NULL,
+    trade TEXT NOT NULL DEFAULT '',
+    gender TEXT NOT NULL DEFAULT '',
+    attendance_day1 TEXT NOT NULL CHECK (attendance_day1 IN ('P', 'A')),
+    attendance_day2 TEXT NOT NULL CHECK (attendance_day2 IN ('P', 'A')),
+    created_at TEXT NOT NULL
+);
+
+CREATE UNIQUE INDEX idx_participants_p_no ON participants (p_no);
+CREATE UNIQUE INDEX idx_participants_mobile_no ON participants (mobile_no);
+CREATE INDEX idx_participants_trade ON participants (trade);
+CREATE INDEX idx_participants_gender ON participants (gender);
+
+--------------------------------------------------------------------------------
+-- Down
+--------------------------------------------------------------------------------
+
+DROP INDEX idx_participants_gender;
+DROP INDEX idx_participants_trade;
+DROP INDEX idx_participants_mobile_no;
+DROP INDEX idx_participants_p_no;
+DROP TABLE participants;
@@ -0,0 +1,64 @@
+--------------------------------------------------------------------------------
+-- Up
+--------------------------------------------------------------------------------
+
+-- Training sessions, one per attendance column found in an upload
+-- ("Attendance Day 3" or "Attendance 2026-10-12").
+CREATE TABLE sessions (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    label TEXT NOT NULL,
+    session_date TEXT,
+    position INTEGER NOT NULL
+);
+
+CREATE UNIQUE INDEX idx_sessions_label ON sessions (label);
+
+CREATE TABLE attendance (
+    participant_id INTEGER NOT NULL REFERENCES participants (id) ON DELETE CASCADE,
+    session_id INTEGER NOT NULL REFERENCES sessions (id) ON DELETE CASCADE,
+    status TEXT NOT NULL CHECK (status IN ('P', 'A')),
+    PRIMARY KEY (participant_id, session_id)
+);
+
+CREATE INDEX idx_attendance_session ON attendance (session_id);
+
+-- Carry the fixed Day 1 / Day 2 columns over into per-session rows
+INSERT INTO sessions (label, position)
+    SELECT 'Day 1', 1 WHERE EXISTS (SELECT 1 FROM participants);
+INSERT INTO sessions (label, position)
+    SELECT 'Day 2', 2 WHERE EXISTS (SELECT 1 FROM participants);
+
+INSERT INTO attendance (participant_id, session_id, status)
+    SELECT p.id, s.id, p.attendance_day1 FROM participants p JOIN sessions s ON s.label = 'Day 1';
+INSERT INTO attendance (participant_id, session_id, status)
+    SELECT p.id, s.id, p.attendance_day2 FROM participants p JOIN sessions s ON s.label = 'Day 2';
+
+ALTER TABLE participants DROP COLUMN attendance_day1;
+ALTER TABLE participants DROP COLUMN attendance_day2;
+
+--------------------------------------------------------------------------------
+-- Down
+--------------------------------------------------------------------------------
+
+ALTER TABLE participants ADD COLUMN attendance_day1 TEXT NOT NULL DEFAULT 'A' CHECK (attendance_day1 IN ('P', 'A'));
+ALTER TABLE participants ADD COLUMN attendance_day2 TEXT NOT NULL DEFAULT 'A' CHECK (attendance_day2 IN ('P', 'A'));
+
+UPDATE participants SET attendance_day1 = (
+    SELECT a.status FROM attendance a JOIN sessions s ON s.id = a.session_id
+    WHERE a.participant_id = participants.id AND s.label = 'Day 1'
+) WHERE EXISTS (
+    SELECT 1 FROM attendance a JOIN sessions s ON s.id = a.session_id
+    WHERE a.participant_id = participants.id AND s.label = 'Day 1'
+);
+UPDATE participants SET attendance_day2 = (
+    SELECT a.status FROM attendance a JOIN sessions s ON s.id = a.session_id
+    WHERE a.participant_id = participants.id AND s.label = 'Day 2'
+) WHERE EXISTS (
+    SELECT 1 FROM attendance a JOIN sessions s ON s.id = a.session_id
+    WHERE a.participant_id = participants.id AND s.label = 'Day 2'
+);
+
+DROP INDEX idx_attendance_session;
+DROP TABLE attendance;
+DROP INDEX idx_sessions_label;
+DROP TABLE sessions;
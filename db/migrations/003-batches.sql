@@ -0,0 +1,93 @@
+--------------------------------------------------------------------------------
+-- Up
+--------------------------------------------------------------------------------
+
+-- A batch is one run of a training program. Every upload targets a batch and
+-- participant rows are enrolments in that batch, so the same trainee can
+-- appear once per batch they attended.
+CREATE TABLE batches (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    name TEXT NOT NULL,
+    program_type TEXT CHECK (program_type IN ('Induction', 'FST')),
+    start_date TEXT,
+    end_date TEXT,
+    venue TEXT NOT NULL DEFAULT '',
+    created_at TEXT NOT NULL
+);
+
+CREATE UNIQUE INDEX idx_batches_name ON batches (name);
+
+-- Records uploaded before batches existed are kept together in one batch
+-- with no program type.
+INSERT INTO batches (name, created_at)
+    SELECT 'Legacy records', strftime('%Y-%m-%dT%H:%M:%fZ', 'now')
+    WHERE EXISTS (SELECT 1 FROM participants);
+
+ALTER TABLE participants ADD COLUMN batch_id INTEGER REFERENCES batches (id);
+UPDATE participants SET batch_id = (SELECT id FROM batches WHERE name = 'Legacy records');
+
+-- P.No and Mobile No are now only unique within a batch
+DROP INDEX idx_participants_p_no;
+DROP INDEX idx_participants_mobile_no;
+CREATE INDEX idx_participants_p_no ON participants (p_no);
+CREATE INDEX idx_participants_mobile_no ON participants (mobile_no);
+CREATE UNIQUE INDEX idx_participants_batch_p_no ON participants (batch_id, p_no);
+CREATE UNIQUE INDEX idx_participants_batch_mobile_no ON participants (batch_id, mobile_no);
+
+-- Sessions belong to a batch, so "Day 1" of one batch is not "Day 1" of another
+ALTER TABLE sessions ADD COLUMN batch_id INTEGER REFERENCES batches (id) ON DELETE CASCADE;
+UPDATE sessions SET batch_id = (SELECT id FROM batches WHERE name = 'Legacy records');
+
+DROP INDEX idx_sessions_label;
+CREATE UNIQUE INDEX idx_sessions_batch_label ON sessions (batch_id, label);
+
+--------------------------------------------------------------------------------
+-- Down
+--------------------------------------------------------------------------------
+
+-- Foreign-key columns cannot be dropped, so both tables are rebuilt. This is
+-- lossy once more than one batch exists: rows that clash on P.No, Mobile No
+-- or session label are dropped.
+
+CREATE TABLE sessions_old (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    label TEXT NOT NULL,
+    session_date TEXT,
+    position INTEGER NOT NULL
+);
+CREATE UNIQUE INDEX idx_sessions_old_label ON sessions_old (label);
+INSERT OR IGNORE INTO sessions_old (id, label, session_date, position)
+    SELECT id, label, session_date, position FROM sessions ORDER BY id;
+DROP TABLE sessions;
+DROP INDEX idx_sessions_old_label;
+ALTER TABLE sessions_old RENAME TO sessions;
+CREATE UNIQUE INDEX idx_sessions_label ON sessions (label);
+
+CREATE TABLE participants_old (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    p_no TEXT NOT NULL,
+    mobile_no TEXT NOT NULL,
+    name TEXT NOT NULL,
+    trade TEXT NOT NULL DEFAULT '',
+    gender TEXT NOT NULL DEFAULT '',
+    created_at TEXT NOT NULL
+);
+CREATE UNIQUE INDEX idx_participants_old_p_no ON participants_old (p_no);
+CREATE UNIQUE INDEX idx_participants_old_mobile_no ON participants_old (mobile_no);
+INSERT OR IGNORE INTO participants_old (id, p_no, mobile_no, name, trade, gender, created_at)
+    SELECT id, p_no, mobile_no, name, trade, gender, created_at FROM participants ORDER BY id;
+DROP TABLE participants;
+DROP INDEX idx_participants_old_p_no;
+DROP INDEX idx_participants_old_mobile_no;
+ALTER TABLE participants_old RENAME TO participants;
+CREATE UNIQUE INDEX idx_participants_p_no ON participants (p_no);
+CREATE UNIQUE INDEX idx_participants_mobile_no ON participants (mobile_no);
+CREATE INDEX idx_participants_trade ON participants (trade);
+CREATE INDEX idx_participants_gender ON participants (gender);
+
+DELETE FROM attendance
+    WHERE participant_id NOT IN (SELECT id FROM participants)
+       OR session_id NOT IN (SELECT id FROM sessions);
+
+DROP INDEX idx_batches_name;
+DROP TABLE batches;
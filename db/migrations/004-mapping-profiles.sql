@@ -0,0 +1,23 @@
+--------------------------------------------------------------------------------
+-- Up
+--------------------------------------------------------------------------------
+
+-- Saved header-to-field mappings, so each office's roster format is mapped once.
+-- `mapping` is a JSON object of field name -> column header.
+CREATE TABLE mapping_profiles (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    name TEXT NOT NULL,
+    sheet_name TEXT,
+    mapping TEXT NOT NULL,
+    created_at TEXT NOT NULL,
+    updated_at TEXT NOT NULL
+);
+
+CREATE UNIQUE INDEX idx_mapping_profiles_name ON mapping_profiles (name);
+
+--------------------------------------------------------------------------------
+-- Down
+--------------------------------------------------------------------------------
+
+DROP INDEX idx_mapping_profiles_name;
+DROP TABLE mapping_profiles;
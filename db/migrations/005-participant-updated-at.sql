@@ -0,0 +1,13 @@
+--------------------------------------------------------------------------------
+-- Up
+--------------------------------------------------------------------------------
+
+-- Re-uploads can now update existing participants, so track when a row last changed
+ALTER TABLE participants ADD COLUMN updated_at TEXT;
+UPDATE participants SET updated_at = created_at;
+
+--------------------------------------------------------------------------------
+-- Down
+--------------------------------------------------------------------------------
+
+ALTER TABLE participants DROP COLUMN updated_at;
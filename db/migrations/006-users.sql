@@ -0,0 +1,41 @@
+--------------------------------------------------------------------------------
+-- Up
+--------------------------------------------------------------------------------
+
+-- Local user accounts. `password_hash` is a scrypt hash as "salt:hash" in hex.
+CREATE TABLE users (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    username TEXT NOT NULL,
+    password_hash TEXT NOT NULL,
+    role TEXT NOT NULL CHECK (role IN ('admin', 'trainer', 'viewer')),
+    created_at TEXT NOT NULL
+);
+
+CREATE UNIQUE INDEX idx_users_username ON users (username COLLATE NOCASE);
+
+-- The batches a trainer may mark attendance for
+CREATE TABLE user_batches (
+    user_id INTEGER NOT NULL REFERENCES users (id) ON DELETE CASCADE,
+    batch_id INTEGER NOT NULL REFERENCES batches (id) ON DELETE CASCADE,
+    PRIMARY KEY (user_id, batch_id)
+);
+
+-- Login sessions. Only a SHA-256 hash of the session token is stored.
+CREATE TABLE auth_sessions (
+    token_hash TEXT PRIMARY KEY,
+    user_id INTEGER NOT NULL REFERENCES users (id) ON DELETE CASCADE,
+    created_at TEXT NOT NULL,
+    expires_at TEXT NOT NULL
+);
+
+CREATE INDEX idx_auth_sessions_user ON auth_sessions (user_id);
+
+--------------------------------------------------------------------------------
+-- Down
+--------------------------------------------------------------------------------
+
+DROP INDEX idx_auth_sessions_user;
+DROP TABLE auth_sessions;
+DROP TABLE user_batches;
+DROP INDEX idx_users_username;
+DROP TABLE users;
@@ -0,0 +1,44 @@
+--------------------------------------------------------------------------------
+-- Up
+--------------------------------------------------------------------------------
+
+-- One entry per import, edit or deletion. The username is copied so entries
+-- stay readable after the account is deleted. `changes` is a JSON list of
+-- { p_no, before, after } where before/after hold the values of the fields
+-- that changed (null for a participant that was added or removed).
+CREATE TABLE audit_log (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    created_at TEXT NOT NULL,
+    user_id INTEGER,
+    username TEXT NOT NULL,
+    action TEXT NOT NULL CHECK (action IN ('upload', 'update', 'delete')),
+    batch_id INTEGER,
+    batch_name TEXT,
+    file_name TEXT,
+    stored_file TEXT,
+    file_checksum TEXT,
+    summary TEXT NOT NULL,
+    changes TEXT NOT NULL
+);
+
+CREATE INDEX idx_audit_log_created_at ON audit_log (created_at);
+CREATE INDEX idx_audit_log_username ON audit_log (username);
+
+-- The P.Nos each entry touched, for filtering the trail by participant
+CREATE TABLE audit_log_participants (
+    audit_id INTEGER NOT NULL REFERENCES audit_log (id) ON DELETE CASCADE,
+    p_no TEXT NOT NULL,
+    PRIMARY KEY (audit_id, p_no)
+);
+
+CREATE INDEX idx_audit_log_participants_p_no ON audit_log_participants (p_no);
+
+--------------------------------------------------------------------------------
+-- Down
+--------------------------------------------------------------------------------
+
+DROP INDEX idx_audit_log_participants_p_no;
+DROP TABLE audit_log_participants;
+DROP INDEX idx_audit_log_username;
+DROP INDEX idx_audit_log_created_at;
+DROP TABLE audit_log;
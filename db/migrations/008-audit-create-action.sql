@@ -0,0 +1,58 @@
+--------------------------------------------------------------------------------
+-- Up
+--------------------------------------------------------------------------------
+
+-- Allow a 'create' action for participants added one at a time.
+-- SQLite cannot change a CHECK constraint in place, so the table is rebuilt.
+-- Foreign keys are off while migrating, so audit_log_participants keeps its rows.
+CREATE TABLE audit_log_new (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    created_at TEXT NOT NULL,
+    user_id INTEGER,
+    username TEXT NOT NULL,
+    action TEXT NOT NULL CHECK (action IN ('upload', 'create', 'update', 'delete')),
+    batch_id INTEGER,
+    batch_name TEXT,
+    file_name TEXT,
+    stored_file TEXT,
+    file_checksum TEXT,
+    summary TEXT NOT NULL,
+    changes TEXT NOT NULL
+);
+
+INSERT INTO audit_log_new SELECT * FROM audit_log;
+DROP TABLE audit_log;
+ALTER TABLE audit_log_new RENAME TO audit_log;
+
+CREATE INDEX idx_audit_log_created_at ON audit_log (created_at);
+CREATE INDEX idx_audit_log_username ON audit_log (username);
+
+--------------------------------------------------------------------------------
+-- Down
+--------------------------------------------------------------------------------
+
+CREATE TABLE audit_log_old (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    created_at TEXT NOT NULL,
+    user_id INTEGER,
+    username TEXT NOT NULL,
+    action TEXT NOT NULL CHECK (action IN ('upload', 'update', 'delete')),
+    batch_id INTEGER,
+    batch_name TEXT,
+    file_name TEXT,
+    stored_file TEXT,
+    file_checksum TEXT,
+    summary TEXT NOT NULL,
+    changes TEXT NOT NULL
+);
+
+INSERT INTO audit_log_old
+    SELECT id, created_at, user_id, username,
+        CASE action WHEN 'create' THEN 'update' ELSE action END,
+        batch_id, batch_name, file_name, stored_file, file_checksum, summary, changes
+    FROM audit_log;
+DROP TABLE audit_log;
+ALTER TABLE audit_log_old RENAME TO audit_log;
+
+CREATE INDEX idx_audit_log_created_at ON audit_log (created_at);
+CREATE INDEX idx_audit_log_username ON audit_log (username);
@@ -0,0 +1,25 @@
+--------------------------------------------------------------------------------
+-- Up
+--------------------------------------------------------------------------------
+
+-- Live check-ins from the trainer check-in page. A participant checks in at
+-- most once per session; the check-in also marks them present in `attendance`.
+CREATE TABLE check_ins (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    participant_id INTEGER NOT NULL REFERENCES participants (id) ON DELETE CASCADE,
+    session_id INTEGER NOT NULL REFERENCES sessions (id) ON DELETE CASCADE,
+    checked_in_at TEXT NOT NULL,
+    user_id INTEGER,
+    username TEXT NOT NULL
+);
+
+CREATE UNIQUE INDEX idx_check_ins_participant_session ON check_ins (participant_id, session_id);
+CREATE INDEX idx_check_ins_session ON check_ins (session_id, checked_in_at);
+
+--------------------------------------------------------------------------------
+-- Down
+--------------------------------------------------------------------------------
+
+DROP INDEX idx_check_ins_session;
+DROP INDEX idx_check_ins_participant_session;
+DROP TABLE check_ins;
@@ -0,0 +1,28 @@
+--------------------------------------------------------------------------------
+-- Up
+--------------------------------------------------------------------------------
+
+-- Phonetic key of the name for "sounds like" searches, kept up to date by the
+-- application (lib/nameMatching.js). Existing rows are filled in on startup.
+ALTER TABLE participants ADD COLUMN name_key TEXT;
+
+-- Filter combinations users saved from the search section. `filters` is a
+-- JSON object of search query parameters.
+CREATE TABLE saved_searches (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    user_id INTEGER NOT NULL REFERENCES users (id) ON DELETE CASCADE,
+    name TEXT NOT NULL,
+    filters TEXT NOT NULL,
+    created_at TEXT NOT NULL,
+    updated_at TEXT NOT NULL
+);
+
+CREATE UNIQUE INDEX idx_saved_searches_user_name ON saved_searches (user_id, name COLLATE NOCASE);
+
+--------------------------------------------------------------------------------
+-- Down
+--------------------------------------------------------------------------------
+
+DROP INDEX idx_saved_searches_user_name;
+DROP TABLE saved_searches;
+ALTER TABLE participants DROP COLUMN name_key;
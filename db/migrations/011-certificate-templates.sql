@@ -0,0 +1,33 @@
+--------------------------------------------------------------------------------
+-- Up
+--------------------------------------------------------------------------------
+
+-- Completion certificate wording and eligibility, one template per programme.
+-- `title` and `body` may use {{placeholders}} such as {{name}} and {{p_no}}.
+-- `rule` is 'all_present' (present on every day of the batch) or
+-- 'min_percentage' (present on at least `min_percentage`% of the days).
+CREATE TABLE certificate_templates (
+    program_type TEXT PRIMARY KEY CHECK (program_type IN ('Induction', 'FST')),
+    title TEXT NOT NULL,
+    body TEXT NOT NULL,
+    signatory TEXT NOT NULL DEFAULT '',
+    rule TEXT NOT NULL DEFAULT 'all_present' CHECK (rule IN ('all_present', 'min_percentage')),
+    min_percentage INTEGER NOT NULL DEFAULT 100 CHECK (min_percentage BETWEEN 0 AND 100),
+    updated_at TEXT NOT NULL,
+    updated_by TEXT NOT NULL
+);
+
+INSERT INTO certificate_templates (program_type, title, body, signatory, updated_at, updated_by)
+VALUES
+    ('Induction', 'Certificate of Completion',
+     'This is to certify that {{name}} (P.No {{p_no}}), {{trade}}, has successfully completed the Induction programme {{batch}} held at {{venue}} from {{start_date}} to {{end_date}}.',
+     'Training Officer', strftime('%Y-%m-%dT%H:%M:%fZ', 'now'), 'system'),
+    ('FST', 'Certificate of Completion',
+     'This is to certify that {{name}} (P.No {{p_no}}), {{trade}}, has successfully completed the First Step Training {{batch}} held at {{venue}} from {{start_date}} to {{end_date}}.',
+     'Training Officer', strftime('%Y-%m-%dT%H:%M:%fZ', 'now'), 'system');
+
+--------------------------------------------------------------------------------
+-- Down
+--------------------------------------------------------------------------------
+
+DROP TABLE certificate_templates;
@@ -0,0 +1,46 @@
+--------------------------------------------------------------------------------
+-- Up
+--------------------------------------------------------------------------------
+
+-- One row per message sent to a filtered set of participants. `filters` holds
+-- the search parameters the recipients were picked with.
+CREATE TABLE notifications (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    created_at TEXT NOT NULL,
+    user_id INTEGER,
+    username TEXT NOT NULL,
+    channel TEXT NOT NULL CHECK (channel IN ('sms', 'whatsapp')),
+    template TEXT NOT NULL,
+    filters TEXT NOT NULL,
+    provider TEXT NOT NULL
+);
+
+-- The message to each recipient and what happened to it. Deliveries keep the
+-- P.No and number they were sent to after the participant is deleted.
+CREATE TABLE notification_deliveries (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    notification_id INTEGER NOT NULL REFERENCES notifications (id) ON DELETE CASCADE,
+    participant_id INTEGER REFERENCES participants (id) ON DELETE SET NULL,
+    p_no TEXT NOT NULL,
+    batch_id INTEGER,
+    mobile_no TEXT,
+    message TEXT NOT NULL,
+    status TEXT NOT NULL CHECK (status IN ('queued', 'sent', 'failed', 'skipped')),
+    error TEXT,
+    provider_message_id TEXT,
+    updated_at TEXT NOT NULL
+);
+
+CREATE INDEX idx_notification_deliveries_notification ON notification_deliveries (notification_id);
+CREATE INDEX idx_notification_deliveries_participant ON notification_deliveries (participant_id);
+CREATE INDEX idx_notification_deliveries_queued ON notification_deliveries (status, id);
+
+--------------------------------------------------------------------------------
+-- Down
+--------------------------------------------------------------------------------
+
+DROP INDEX idx_notification_deliveries_queued;
+DROP INDEX idx_notification_deliveries_participant;
+DROP INDEX idx_notification_deliveries_notification;
+DROP TABLE notification_deliveries;
+DROP TABLE notifications;
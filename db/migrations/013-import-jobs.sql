@@ -0,0 +1,47 @@
+--------------------------------------------------------------------------------
+-- Up
+--------------------------------------------------------------------------------
+
+-- One row per uploaded roster, read and validated in the background.
+--   import_rows  - 1 to write the rows once validated, 0 to stop at a preview
+--                  (status 'ready') for an admin to review and commit
+--   skip_invalid - 1 to import the valid rows of a file with invalid ones,
+--                  0 to fail the whole file as a one-step upload does
+--   result       - JSON of what the import did, or why it failed
+CREATE TABLE import_jobs (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    created_at TEXT NOT NULL,
+    updated_at TEXT NOT NULL,
+    user_id INTEGER,
+    username TEXT NOT NULL,
+    batch_id INTEGER NOT NULL REFERENCES batches (id) ON DELETE CASCADE,
+    file_name TEXT NOT NULL,
+    stored_file TEXT NOT NULL,
+    file_checksum TEXT NOT NULL,
+    mode TEXT NOT NULL CHECK (mode IN ('skip', 'update', 'replace')),
+    sheet TEXT,
+    mapping TEXT,
+    import_rows INTEGER NOT NULL,
+    skip_invalid INTEGER NOT NULL,
+    status TEXT NOT NULL CHECK (status IN (
+        'queued', 'validating', 'ready', 'importing', 'completed', 'failed', 'cancelled', 'expired'
+    )),
+    rows_total INTEGER,
+    rows_parsed INTEGER NOT NULL DEFAULT 0,
+    rows_valid INTEGER NOT NULL DEFAULT 0,
+    rows_invalid INTEGER NOT NULL DEFAULT 0,
+    rows_duplicate INTEGER NOT NULL DEFAULT 0,
+    rows_inserted INTEGER NOT NULL DEFAULT 0,
+    rows_updated INTEGER NOT NULL DEFAULT 0,
+    error TEXT,
+    result TEXT
+);
+
+CREATE INDEX idx_import_jobs_status ON import_jobs (status, id);
+
+--------------------------------------------------------------------------------
+-- Down
+--------------------------------------------------------------------------------
+
+DROP INDEX idx_import_jobs_status;
+DROP TABLE import_jobs;
@@ -0,0 +1,57 @@
+--------------------------------------------------------------------------------
+-- Up
+--------------------------------------------------------------------------------
+
+-- Allow a 'restore' action for participants put back from a snapshot.
+-- The table is rebuilt to change the CHECK constraint, as in 008.
+CREATE TABLE audit_log_new (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    created_at TEXT NOT NULL,
+    user_id INTEGER,
+    username TEXT NOT NULL,
+    action TEXT NOT NULL CHECK (action IN ('upload', 'create', 'update', 'delete', 'restore')),
+    batch_id INTEGER,
+    batch_name TEXT,
+    file_name TEXT,
+    stored_file TEXT,
+    file_checksum TEXT,
+    summary TEXT NOT NULL,
+    changes TEXT NOT NULL
+);
+
+INSERT INTO audit_log_new SELECT * FROM audit_log;
+DROP TABLE audit_log;
+ALTER TABLE audit_log_new RENAME TO audit_log;
+
+CREATE INDEX idx_audit_log_created_at ON audit_log (created_at);
+CREATE INDEX idx_audit_log_username ON audit_log (username);
+
+--------------------------------------------------------------------------------
+-- Down
+--------------------------------------------------------------------------------
+
+CREATE TABLE audit_log_old (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    created_at TEXT NOT NULL,
+    user_id INTEGER,
+    username TEXT NOT NULL,
+    action TEXT NOT NULL CHECK (action IN ('upload', 'create', 'update', 'delete')),
+    batch_id INTEGER,
+    batch_name TEXT,
+    file_name TEXT,
+    stored_file TEXT,
+    file_checksum TEXT,
+    summary TEXT NOT NULL,
+    changes TEXT NOT NULL
+);
+
+INSERT INTO audit_log_old
+    SELECT id, created_at, user_id, username,
+        CASE action WHEN 'restore' THEN 'update' ELSE action END,
+        batch_id, batch_name, file_name, stored_file, file_checksum, summary, changes
+    FROM audit_log;
+DROP TABLE audit_log;
+ALTER TABLE audit_log_old RENAME TO audit_log;
+
+CREATE INDEX idx_audit_log_created_at ON audit_log (created_at);
+CREATE INDEX idx_audit_log_username ON audit_log (username);
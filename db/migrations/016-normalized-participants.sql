@@ -0,0 +1,15 @@
+--------------------------------------------------------------------------------
+-- Up
+--------------------------------------------------------------------------------
+
+-- Whether a row's P.No, mobile number, trade and gender are in canonical form.
+-- New rows are normalized as they are written; rows stored before are
+-- normalized once at startup (participants.normalizeStoredParticipants).
+ALTER TABLE participants ADD COLUMN normalized INTEGER NOT NULL DEFAULT 1;
+UPDATE participants SET normalized = 0;
+
+--------------------------------------------------------------------------------
+-- Down
+--------------------------------------------------------------------------------
+
+ALTER TABLE participants DROP COLUMN normalized;
@@ -0,0 +1,102 @@
+// Notification and delivery log queries
+
+const { getDb, withTransaction } = require('./index');
+
+const DELIVERY_STATUSES = ['queued', 'sent', 'failed', 'skipped'];
+
+const STATUS_COUNTS = DELIVERY_STATUSES
+    .map(status => `SUM(d.status = '${status}') AS ${status}`)
+    .join(', ');
+
+// Record a notification with one delivery per recipient.
+//   deliveries - [{ participant_id, p_no, batch_id, mobile_no, message, status, error }]
+async function createNotification({ actor, channel, template, filters, provider }, deliveries) {
+    return withTransaction(async db => {
+        const now = new Date().toISOString();
+        const { lastID } = await db.run(
+            `INSERT INTO notifications (created_at, user_id, username, channel, template, filters, provider)
+             VALUES (?, ?, ?, ?, ?, ?, ?)`,
+            now, actor.id, actor.username, channel, template, JSON.stringify(filters), provider
+        );
+        for (const delivery of deliveries) {
+            await db.run(
+                `INSERT INTO notification_deliveries
+                    (notification_id, participant_id, p_no, batch_id, mobile_no, message, status, error, updated_at)
+                 VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+                lastID, delivery.participant_id, delivery.p_no, delivery.batch_id, delivery.mobile_no,
+                delivery.message, delivery.status, delivery.error || null, now
+            );
+        }
+        return lastID;
+    });
+}
+
+// The oldest delivery still waiting to be sent, with its channel
+async function nextQueuedDelivery() {
+    return getDb().get(
+        `SELECT d.*, n.channel FROM notification_deliveries d
+         JOIN notifications n ON n.id = d.notification_id
+         WHERE d.status = 'queued'
+         ORDER BY d.id LIMIT 1`
+    );
+}
+
+async function updateDelivery(id, { status, error = null, provider_message_id = null }) {
+    await getDb().run(
+        `UPDATE notification_deliveries SET status = ?, error = ?, provider_message_id = ?, updated_at = ?
+         WHERE id = ?`,
+        status, error, provider_message_id, new Date().toISOString(), id
+    );
+}
+
+// Newest notifications first, with how many deliveries are in each status
+async function listNotifications({ page, limit }) {
+    const db = getDb();
+    const { total } = await db.get('SELECT COUNT(*) AS total FROM notifications');
+    const rows = await db.all(
+        `SELECT n.id, n.created_at, n.username, n.channel, n.template, n.filters, n.provider,
+            COUNT(d.id) AS recipients, ${STATUS_COUNTS}
+         FROM notifications n LEFT JOIN notification_deliveries d ON d.notification_id = n.id
+         GROUP BY n.id
+         ORDER BY n.id DESC LIMIT ? OFFSET ?`,
+        limit, (page - 1) * limit
+    );
+    return {
+        total,
+        notifications: rows.map(row => ({ ...row, filters: JSON.parse(row.filters) }))
+    };
+}
+
+async function findNotification(id) {
+    const row = await getDb().get('SELECT * FROM notifications WHERE id = ?', id);
+    if (!row) {
+        return null;
+    }
+    const deliveries = await getDb().all(
+        'SELECT * FROM notification_deliveries WHERE notification_id = ? ORDER BY id',
+        id
+    );
+    return { ...row, filters: JSON.parse(row.filters), deliveries };
+}
+
+// Every message sent to a trainee, newest first, in any of their batches
+async function listParticipantDeliveries(p_no) {
+    return getDb().all(
+        `SELECT d.id, d.notification_id, d.batch_id, d.mobile_no, d.message, d.status, d.error, d.updated_at,
+            n.created_at, n.username, n.channel
+         FROM notification_deliveries d JOIN notifications n ON n.id = d.notification_id
+         WHERE d.p_no = ?
+         ORDER BY d.id DESC`,
+        p_no
+    );
+}
+
+module.exports = {
+    DELIVERY_STATUSES,
+    createNotification,
+    nextQueuedDelivery,
+    updateDelivery,
+    listNotifications,
+    findNotification,
+    listParticipantDeliveries
+};
@@ -0,0 +1,899 @@
+// Participant queries
+
+const { getDb, withTransaction } = require('./index');
+const { insertAuditEntry } = require('./audit');
+const { nameKey } = require('../lib/nameMatching');
+const { normalizePNo, normalizePhone, normalizeFields } = require('../lib/normalization');
+
+const PARTICIPANT_COLUMNS = 'batch_id, p_no, mobile_no, name, name_key, trade, gender, created_at, updated_at';
+
+// Participant rows joined with the batch they belong to
+const PARTICIPANT_SELECT = `SELECT p.id, p.batch_id, p.p_no, p.mobile_no, p.name, p.trade, p.gender,
+        p.created_at, p.updated_at, b.name AS batch_name, b.program_type
+    FROM participants p JOIN batches b ON b.id = p.batch_id`;
+
+// Attendance filters across all of a participant's sessions
+const ATTENDANCE_FILTERS = {
+    // At least one session marked absent
+    absent_any: `EXISTS (SELECT 1 FROM attendance a WHERE a.participant_id = p.id AND a.status = 'A')`,
+    // Marked present for every session of their batch
+    present_all: `EXISTS (SELECT 1 FROM sessions s WHERE s.batch_id = p.batch_id)
+        AND NOT EXISTS (
+            SELECT 1 FROM sessions s WHERE s.batch_id = p.batch_id AND NOT EXISTS (
+                SELECT 1 FROM attendance a WHERE a.participant_id = p.id AND a.session_id = s.id AND a.status = 'P'
+            )
+        )`,
+    // No attendance recorded at all
+    none: 'NOT EXISTS (SELECT 1 FROM attendance a WHERE a.participant_id = p.id)'
+};
+
+// Statuses for the filter on one session: P, A, or no record for it
+const SESSION_STATUSES = ['P', 'A', 'none'];
+
+// Build the WHERE clause shared by the search and count queries.
+// Filters:
+//   p_no, mobile_no, name - substring matches; with name_match 'fuzzy' names
+//                           that sound alike (lib/nameMatching.js) match too
+//   trade, gender, batch_id - exact matches
+//   attendance            - one of ATTENDANCE_FILTERS
+//   session, session_status - the status for the session with that label
+//   created_from, created_to - YYYY-MM-DD, inclusive
+function buildFilterClause({
+    p_no, mobile_no, name, name_match, trade, gender, batch_id,
+    attendance, session, session_status, created_from, created_to
+}) {
+    const conditions = [];
+    const params = [];
+
+    if (p_no) {
+        conditions.push('LOWER(p.p_no) LIKE ?');
+        params.push(`%${p_no.toLowerCase()}%`);
+    }
+    if (mobile_no) {
+        conditions.push('p.mobile_no LIKE ?');
+        params.push(`%${mobile_no}%`);
+    }
+    if (name) {
+        const words = name_match === 'fuzzy' ? nameKey(name).split(' ').filter(Boolean) : [];
+        if (words.length > 0) {
+            // Every word of the search sounds like the start of a word of the name
+            conditions.push(`(LOWER(p.name) LIKE ? OR (${words.map(() => "(' ' || p.name_key) LIKE ?").join(' AND ')}))`);
+            params.push(`%${name.toLowerCase()}%`, ...words.map(word => `% ${word}%`));
+        } else {
+            conditions.push('LOWER(p.name) LIKE ?');
+            params.push(`%${name.toLowerCase()}%`);
+        }
+    }
+    if (trade) {
+        conditions.push('p.trade = ?');
+        params.push(trade);
+    }
+    if (gender) {
+        conditions.push('p.gender = ?');
+        params.push(gender);
+    }
+    if (batch_id) {
+        conditions.push('p.batch_id = ?');
+        params.push(batch_id);
+    }
+    if (attendance && Object.hasOwn(ATTENDANCE_FILTERS, attendance)) {
+        conditions.push(ATTENDANCE_FILTERS[attendance]);
+    }
+    if (session && session_status === 'none') {
+        conditions.push(`NOT EXISTS (
+            SELECT 1 FROM attendance a JOIN sessions s ON s.id = a.session_id
+            WHERE a.participant_id = p.id AND s.label = ?
+        )`);
+        params.push(session);
+    } else if (session && session_status) {
+        conditions.push(`EXISTS (
+            SELECT 1 FROM attendance a JOIN sessions s ON s.id = a.session_id
+            WHERE a.participant_id = p.id AND s.label = ? AND a.status = ?
+        )`);
+        params.push(session, session_status);
+    }
+    // Dates are whole days: `created_to` includes everyone added on that day
+    if (created_from) {
+        conditions.push('p.created_at >= ?');
+        params.push(created_from);
+    }
+    if (created_to) {
+        conditions.push("p.created_at < date(?, '+1 day')");
+        params.push(created_to);
+    }
+
+    return {
+        where: conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '',
+        params
+    };
+}
+
+const ATTENDANCE_CHUNK_SIZE = 500;
+
+// Attach each participant's per-session attendance and attendance percentage
+async function attachAttendance(rows) {
+    if (rows.length === 0) {
+        return [];
+    }
+
+    const ids = rows.map(row => row.id);
+    const attendanceRows = [];
+    // Exports can cover every participant, so look them up in chunks to stay
+    // under SQLite's limit on query parameters
+    for (let start = 0; start < ids.length; start += ATTENDANCE_CHUNK_SIZE) {
+        const chunk = ids.slice(start, start + ATTENDANCE_CHUNK_SIZE);
+        attendanceRows.push(...await getDb().all(
+            `SELECT a.participant_id, a.session_id, a.status, s.label, s.session_date
+             FROM attendance a JOIN sessions s ON s.id = a.session_id
+             WHERE a.participant_id IN (${chunk.map(() => '?').join(', ')})
+             ORDER BY s.position, s.session_date, s.id`,
+            chunk
+        ));
+    }
+
+    const byParticipant = new Map(ids.map(id => [id, []]));
+    attendanceRows.forEach(({ participant_id, ...entry }) => {
+        byParticipant.get(participant_id).push(entry);
+    });
+
+    return rows.map(row => {
+        const attendance = byParticipant.get(row.id);
+        const present = attendance.filter(entry => entry.status === 'P').length;
+        return {
+            ...row,
+            attendance,
+            attendance_percentage: attendance.length > 0
+                ? Math.round((present / attendance.length) * 100)
+                : null
+        };
+    });
+}
+
+// Every session label recorded for the filtered set, so the table columns
+// stay stable across pages. Batches share labels such as "Day 1", which
+// are merged into one column.
+async function findSessionLabels(where, params) {
+    return getDb().all(
+        `SELECT s.label, MIN(s.session_date) AS session_date, MIN(s.position) AS position
+         FROM sessions s
+         JOIN attendance a ON a.session_id = s.id
+         JOIN participants p ON p.id = a.participant_id
+         ${where}
+         GROUP BY s.label
+         ORDER BY position, session_date, s.label`,
+        params
+    );
+}
+
+// Columns the results can be sorted by. A session label sorts by that day's status.
+const SORT_FIELDS = {
+    p_no: 'p.p_no',
+    mobile_no: 'p.mobile_no',
+    name: 'p.name COLLATE NOCASE',
+    trade: 'p.trade COLLATE NOCASE',
+    gender: 'p.gender COLLATE NOCASE',
+    batch: 'b.name COLLATE NOCASE',
+    created_at: 'p.created_at',
+    attendance_percentage: `(SELECT AVG(a.status = 'P') FROM attendance a WHERE a.participant_id = p.id)`
+};
+
+// ORDER BY for a sort field (or 'session:<label>') and direction. Rows without a
+// value sort last either way, and insertion order breaks ties.
+function buildSortClause(sort, order) {
+    const direction = order === 'desc' ? 'DESC' : 'ASC';
+    if (sort && sort.startsWith('session:')) {
+        return {
+            orderBy: `ORDER BY (
+                SELECT a.status FROM attendance a JOIN sessions s ON s.id = a.session_id
+                WHERE a.participant_id = p.id AND s.label = ?
+            ) ${direction} NULLS LAST, p.id`,
+            params: [sort.slice('session:'.length)]
+        };
+    }
+    if (Object.hasOwn(SORT_FIELDS, sort)) {
+        return { orderBy: `ORDER BY ${SORT_FIELDS[sort]} ${direction} NULLS LAST, p.id`, params: [] };
+    }
+    return { orderBy: 'ORDER BY p.id', params: [] };
+}
+
+async function searchParticipants(filters, { page, limit, sort, order }) {
+    const db = getDb();
+    const { where, params } = buildFilterClause(filters);
+    const { orderBy, params: sortParams } = buildSortClause(sort, order);
+
+    const { total } = await db.get(`SELECT COUNT(*) AS total FROM participants p ${where}`, params);
+    const rows = await db.all(
+        `${PARTICIPANT_SELECT} ${where} ${orderBy} LIMIT ? OFFSET ?`,
+        [...params, ...sortParams, limit, (page - 1) * limit]
+    );
+    const sessions = await findSessionLabels(where, params);
+
+    return { total, sessions, participants: await attachAttendance(rows) };
+}
+
+// Every participant matching the filters, unpaginated, for exports
+async function exportParticipants(filters, { sort, order } = {}) {
+    const { where, params } = buildFilterClause(filters);
+    const { orderBy, params: sortParams } = buildSortClause(sort, order);
+    const rows = await getDb().all(`${PARTICIPANT_SELECT} ${where} ${orderBy}`, [...params, ...sortParams]);
+    const sessions = await findSessionLabels(where, params);
+
+    return { sessions, participants: await attachAttendance(rows) };
+}
+
+// Find a participant's enrolment in a batch, or their most recent one when no batch is given
+async function findParticipantByPNo(p_no, batchId) {
+    const row = batchId
+        ? await getDb().get(`${PARTICIPANT_SELECT} WHERE p.p_no = ? AND p.batch_id = ?`, p_no, batchId)
+        : await getDb().get(
+            `${PARTICIPANT_SELECT} WHERE p.p_no = ? ORDER BY b.start_date DESC, p.id DESC LIMIT 1`,
+            p_no
+        );
+    if (!row) {
+        return null;
+    }
+    const [participant] = await attachAttendance([row]);
+    return participant;
+}
+
+// Every batch a trainee attended, newest first, with their attendance in each
+async function findParticipantHistory(p_no) {
+    return getDb().all(
+        `SELECT b.id AS batch_id, b.name AS batch_name, b.program_type, b.start_date, b.end_date, b.venue,
+            p.id AS participant_id,
+            COUNT(a.session_id) AS sessions_recorded,
+            COALESCE(SUM(a.status = 'P'), 0) AS sessions_present,
+            CASE WHEN COUNT(a.session_id) > 0
+                THEN ROUND(100.0 * SUM(a.status = 'P') / COUNT(a.session_id))
+                ELSE NULL
+            END AS attendance_percentage
+         FROM participants p
+         JOIN batches b ON b.id = p.batch_id
+         LEFT JOIN attendance a ON a.participant_id = p.id
+         WHERE p.p_no = ?
+         GROUP BY p.id
+         ORDER BY b.start_date DESC, p.id DESC`,
+        p_no
+    );
+}
+
+// Every participant stored in a batch, each with its attendance as a map of
+// session label -> status
+async function listBatchRecords(batchId, db) {
+    const rows = await db.all(
+        'SELECT id, p_no, mobile_no, name, trade, gender FROM participants WHERE batch_id = ?',
+        batchId
+    );
+    const attendanceRows = await db.all(
+        `SELECT a.participant_id, s.label, a.status
+         FROM attendance a JOIN sessions s ON s.id = a.session_id
+         WHERE s.batch_id = ?`,
+        batchId
+    );
+
+    const byId = new Map(rows.map(row => [row.id, { ...row, attendance: {} }]));
+    attendanceRows.forEach(({ participant_id, label, status }) => {
+        const participant = byId.get(participant_id);
+        if (participant) {
+            participant.attendance[label] = status;
+        }
+    });
+    return [...byId.values()];
+}
+
+// Index the participants already stored in a batch by P.No and by mobile number,
+// both normalized, so records stored before normalization still match.
+// Each record carries its attendance as a map of session label -> status.
+// Pass a transaction's connection as `db` to read inside that transaction.
+async function findExistingParticipants(batchId, db = getDb()) {
+    const records = await listBatchRecords(batchId, db);
+    return {
+        byPNo: new Map(records.map(record => [normalizePNo(record.p_no).value, record])),
+        byMobileNo: new Map(records.map(record => [normalizePhone(record.mobile_no).value, record]))
+    };
+}
+
+// Look up a batch's sessions by label, creating any that do not exist yet.
+// Returns a Map of label -> session id.
+async function ensureSessions(db, batchId, sessions) {
+    const sessionIds = new Map();
+    for (const session of sessions) {
+        await db.run(
+            `INSERT INTO sessions (batch_id, label, session_date, position) VALUES (?, ?, ?, ?)
+             ON CONFLICT (batch_id, label) DO NOTHING`,
+            batchId, session.label, session.session_date || null, session.position
+        );
+        const { id } = await db.get('SELECT id FROM sessions WHERE batch_id = ? AND label = ?', batchId, session.label);
+        sessionIds.set(session.label, id);
+    }
+    return sessionIds;
+}
+
+// Insert participants with their attendance. Returns the new rows' ids, in order.
+async function insertRows(db, batchId, newParticipants, sessionIds) {
+    const ids = [];
+    const participantStmt = await db.prepare(`INSERT INTO participants (${PARTICIPANT_COLUMNS})
+        VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)`);
+    const attendanceStmt = await db.prepare(
+        'INSERT INTO attendance (participant_id, session_id, status) VALUES (?, ?, ?)'
+    );
+    try {
+        for (const p of newParticipants) {
+            const { lastID } = await participantStmt.run(batchId, p.p_no, p.mobile_no, p.name, nameKey(p.name),
+                p.trade, p.gender, p.created_at, p.created_at);
+            ids.push(lastID);
+            for (const [label, status] of Object.entries(p.attendance)) {
+                await attendanceStmt.run(lastID, sessionIds.get(label), status);
+            }
+        }
+    } finally {
+        await participantStmt.finalize();
+        await attendanceStmt.finalize();
+    }
+    return ids;
+}
+
+// Participant columns an import or an edit is allowed to change
+const UPDATABLE_FIELDS = ['p_no', 'mobile_no', 'name', 'trade', 'gender'];
+
+// Apply field-level changes, given as { id, changes: [{ field, to }] }.
+// Attendance changes use the session label as the field name.
+async function updateRows(db, updates, sessionIds) {
+    const now = new Date().toISOString();
+    for (const { id, changes } of updates) {
+        const fieldChanges = changes.filter(change => !sessionIds.has(change.field));
+        const attendanceChanges = changes.filter(change => sessionIds.has(change.field));
+
+        fieldChanges.forEach(change => {
+            if (!UPDATABLE_FIELDS.includes(change.field)) {
+                throw new Error(`Field '${change.field}' cannot be updated`);
+            }
+        });
+
+        // The phonetic key follows the name
+        const nameChange = fieldChanges.find(change => change.field === 'name');
+        if (nameChange) {
+            fieldChanges.push({ field: 'name_key', to: nameKey(nameChange.to) });
+        }
+
+        if (fieldChanges.length > 0) {
+            await db.run(
+                `UPDATE participants SET ${fieldChanges.map(change => `${change.field} = ?`).join(', ')}, updated_at = ?
+                 WHERE id = ?`,
+                ...fieldChanges.map(change => change.to), now, id
+            );
+        } else {
+            await db.run('UPDATE participants SET updated_at = ? WHERE id = ?', now, id);
+        }
+
+        for (const change of attendanceChanges) {
+            await db.run(
+                `INSERT INTO attendance (participant_id, session_id, status) VALUES (?, ?, ?)
+                 ON CONFLICT (participant_id, session_id) DO UPDATE SET status = excluded.status`,
+                id, sessionIds.get(change.field), change.to
+            );
+        }
+    }
+}
+
+// The values of a participant recorded in the audit trail
+function auditSnapshot({ mobile_no, name, trade, gender, attendance }) {
+    return { mobile_no, name, trade, gender, attendance };
+}
+
+// Write an import to a batch in one transaction.
+//   insert  - new participants, with `attendance` maps keyed by session label
+//   update  - field-level changes to existing participants (see updateRows),
+//             each with its `p_no` and the `from` value of every change
+//   replace - when true, every participant in the batch is removed first
+// `sessions` lists the sessions the import's attendance refers to.
+// `audit` ({ actor, batch, file }) describes the upload for the audit trail.
+// `afterWrite`, if given, is called with the transaction's connection and the
+// counts once the rows are written, to record something in the same transaction.
+async function applyImport(batchId, sessions, { insert = [], update = [], replace = false }, audit, afterWrite = null) {
+    return withTransaction(async db => {
+        const changes = [];
+
+        let removed = 0;
+        if (replace) {
+            const records = await listBatchRecords(batchId, db);
+            records.forEach(record => changes.push({ p_no: record.p_no, before: auditSnapshot(record), after: null }));
+            removed = records.length;
+
+            await db.run('DELETE FROM participants WHERE batch_id = ?', batchId);
+            await db.run('DELETE FROM sessions WHERE batch_id = ?', batchId);
+        }
+
+        const sessionIds = await ensureSessions(db, batchId, sessions);
+        await insertRows(db, batchId, insert, sessionIds);
+        await updateRows(db, update, sessionIds);
+
+        if (audit) {
+            insert.forEach(p => changes.push({ p_no: p.p_no, before: null, after: auditSnapshot(p) }));
+            update.forEach(({ p_no, changes: fieldChanges }) => changes.push({
+                p_no,
+                before: Object.fromEntries(fieldChanges.map(change => [change.field, change.from])),
+                after: Object.fromEntries(fieldChanges.map(change => [change.field, change.to]))
+            }));
+
+            const summary = [
+                replace ? `Removed ${removed} existing` : null,
+                `added ${insert.length} new`,
+                update.length > 0 ? `updated ${update.length}` : null
+            ].filter(Boolean).join(', ').replace(/^./, first => first.toUpperCase()) + ' participants';
+            await insertAuditEntry(db, { ...audit, action: 'upload', summary, changes });
+        }
+
+        const counts = { inserted: insert.length, updated: update.length, removed };
+        if (afterWrite) {
+            await afterWrite(db, counts);
+        }
+        return counts;
+    });
+}
+
+// Insert participants into a batch along with their attendance.
+// `sessions` lists the sessions referenced by the participants' `attendance`
+// maps, which are keyed by session label.
+async function insertParticipants(batchId, newParticipants, sessions, audit) {
+    const { inserted } = await applyImport(batchId, sessions, { insert: newParticipants }, audit);
+    return inserted;
+}
+
+async function findParticipantById(id) {
+    const row = await getDb().get(`${PARTICIPANT_SELECT} WHERE p.id = ?`, id);
+    if (!row) {
+        return null;
+    }
+    const [participant] = await attachAttendance([row]);
+    return participant;
+}
+
+// Another participant in the batch with the same P.No or mobile number, if any.
+// The values are normalized before they are looked up, as the stored ones are.
+// `exclude` is the id, or a list of the ids, of records to leave out.
+// Returns { p_no, name, matched_on } or null.
+async function findConflictingParticipant(batchId, { p_no, mobile_no }, exclude = null) {
+    const excludedIds = [].concat(exclude ?? []);
+    const pNo = p_no ? normalizePNo(p_no).value : null;
+    const mobileNo = mobile_no ? normalizePhone(mobile_no).value : null;
+    if (!pNo && !mobileNo) {
+        return null;
+    }
+    const row = await getDb().get(
+        `SELECT p_no, name, p_no = ? AS by_p_no FROM participants
+         WHERE batch_id = ? AND (p_no = ? OR mobile_no = ?)
+             AND id NOT IN (${excludedIds.map(() => '?').join(', ')})
+         ORDER BY by_p_no DESC LIMIT 1`,
+        pNo, batchId, pNo, mobileNo, ...excludedIds
+    );
+    if (!row) {
+        return null;
+    }
+    return { p_no: row.p_no, name: row.name, matched_on: row.by_p_no ? 'P.No' : 'Mobile No' };
+}
+
+// Add one participant to a batch. `sessions` are the batch sessions named in
+// the participant's `attendance` map. Returns the new participant's id.
+async function createParticipant(batchId, participant, sessions, audit) {
+    return withTransaction(async db => {
+        const sessionIds = await ensureSessions(db, batchId, sessions);
+        const [id] = await insertRows(db, batchId, [{ ...participant, created_at: new Date().toISOString() }], sessionIds);
+
+        await insertAuditEntry(db, {
+            ...audit,
+            action: 'create',
+            summary: `Added ${participant.p_no} - ${participant.name}`,
+            changes: [{ p_no: participant.p_no, before: null, after: auditSnapshot(participant) }]
+        });
+        return id;
+    });
+}
+
+// Apply field-level changes ([{ field, from, to }]) to one participant.
+// Attendance changes use the session label as the field name.
+async function updateParticipant(participant, changes, sessions, audit) {
+    return withTransaction(async db => {
+        const sessionIds = await ensureSessions(db, participant.batch_id, sessions);
+        await updateRows(db, [{ id: participant.id, changes }], sessionIds);
+
+        await insertAuditEntry(db, {
+            ...audit,
+            action: 'update',
+            summary: `Edited ${participant.p_no} - ${participant.name}: ${changes.map(change => change.field).join(', ')}`,
+            changes: [{
+                p_no: participant.p_no,
+                before: Object.fromEntries(changes.map(change => [change.field, change.from])),
+                after: Object.fromEntries(changes.map(change => [change.field, change.to]))
+            }]
+        });
+    });
+}
+
+// Delete participants with their attendance. Returns the P.Nos deleted.
+async function deleteParticipants(ids, audit) {
+    return withTransaction(async db => {
+        const rows = await db.all(
+            `SELECT id, batch_id, p_no, mobile_no, name, trade, gender FROM participants
+             WHERE id IN (${ids.map(() => '?').join(', ')})`,
+            ids
+        );
+        if (rows.length === 0) {
+            return [];
+        }
+
+        const changes = [];
+        for (const row of rows) {
+            const attendance = await db.all(
+                `SELECT s.label, a.status FROM attendance a JOIN sessions s ON s.id = a.session_id
+                 WHERE a.participant_id = ?`,
+                row.id
+            );
+            changes.push({
+                p_no: row.p_no,
+                before: auditSnapshot({ ...row, attendance: Object.fromEntries(attendance.map(a => [a.label, a.status])) }),
+                after: null
+            });
+            await db.run('DELETE FROM participants WHERE id = ?', row.id);
+        }
+
+        await insertAuditEntry(db, {
+            ...audit,
+            action: 'delete',
+            summary: rows.length === 1
+                ? `Deleted ${rows[0].p_no} - ${rows[0].name}`
+                : `Deleted ${rows.length} participants`,
+            changes
+        });
+        return rows.map(row => row.p_no);
+    });
+}
+
+// The fields that identify a trainee, which a merge chooses between two records
+const IDENTITY_FIELDS = ['p_no', 'mobile_no', 'name', 'trade', 'gender'];
+
+function identityOf(record) {
+    return Object.fromEntries(IDENTITY_FIELDS.map(field => [field, record[field]]));
+}
+
+// Combine two records of the same trainee, giving them the identity `values`
+// ({ p_no, mobile_no, name, trade, gender }). Records in the same batch become
+// `keep`: the other's attendance, check-ins and messages move to it, a session
+// either was present for counting as present, and the other is deleted.
+// Records in different batches are enrolments in each and both stay, taking
+// the values, so the trainee's history lists them together.
+// Returns the ids of the records left.
+async function mergeParticipants(keep, other, values, audit) {
+    return withTransaction(async db => {
+        const sameBatch = keep.batch_id === other.batch_id;
+        const now = new Date().toISOString();
+
+        if (sameBatch) {
+            // Check-ins and messages go across before the cascade would delete or unlink them
+            await db.run(
+                `UPDATE check_ins SET participant_id = ?
+                 WHERE participant_id = ? AND session_id NOT IN (SELECT session_id FROM check_ins WHERE participant_id = ?)`,
+                keep.id, other.id, keep.id
+            );
+            await db.run('UPDATE notification_deliveries SET participant_id = ? WHERE participant_id = ?', keep.id, other.id);
+            await db.run('DELETE FROM participants WHERE id = ?', other.id);
+
+            for (const { session_id, status } of other.attendance) {
+                await db.run(
+                    `INSERT INTO attendance (participant_id, session_id, status) VALUES (?, ?, ?)
+                     ON CONFLICT (participant_id, session_id) DO UPDATE
+                     SET status = CASE WHEN excluded.status = 'P' THEN 'P' ELSE attendance.status END`,
+                    keep.id, session_id, status
+                );
+            }
+        }
+
+        const kept = sameBatch ? [keep] : [keep, other];
+        for (const record of kept) {
+            await db.run(
+                `UPDATE participants SET p_no = ?, mobile_no = ?, name = ?, name_key = ?, trade = ?, gender = ?, updated_at = ?
+                 WHERE id = ?`,
+                values.p_no, values.mobile_no, values.name, nameKey(values.name), values.trade, values.gender, now, record.id
+            );
+        }
+
+        const attendanceOf = record => Object.fromEntries(record.attendance.map(entry => [entry.label, entry.status]));
+        await insertAuditEntry(db, {
+            ...audit,
+            action: 'merge',
+            summary: sameBatch
+                ? `Merged ${other.p_no} - ${other.name} into ${values.p_no} - ${values.name}`
+                : `Merged ${keep.p_no} (${keep.batch_name}) and ${other.p_no} (${other.batch_name}) as ${values.p_no} - ${values.name}`,
+            changes: [keep, other].map(record => ({
+                p_no: record.p_no,
+                before: { ...identityOf(record), batch: record.batch_name, attendance: attendanceOf(record) },
+                after: kept.includes(record) ? { ...values, batch: record.batch_name } : null
+            }))
+        });
+        return kept.map(record => record.id);
+    });
+}
+
+// Mark several participants present or absent for the session with the given
+// label in each one's batch. Participants whose batch has no such session are skipped.
+// Returns { updated, skipped } as lists of P.Nos.
+async function markAttendanceBulk(ids, label, status, audit) {
+    return withTransaction(async db => {
+        const rows = await db.all(
+            `SELECT p.id, p.p_no, s.id AS session_id, a.status AS previous
+             FROM participants p
+             LEFT JOIN sessions s ON s.batch_id = p.batch_id AND s.label = ?
+             LEFT JOIN attendance a ON a.participant_id = p.id AND a.session_id = s.id
+             WHERE p.id IN (${ids.map(() => '?').join(', ')})`,
+            [label, ...ids]
+        );
+
+        const updated = [];
+        const skipped = [];
+        const changes = [];
+        const now = new Date().toISOString();
+        for (const row of rows) {
+            if (!row.session_id) {
+                skipped.push(row.p_no);
+                continue;
+            }
+            await db.run(
+                `INSERT INTO attendance (participant_id, session_id, status) VALUES (?, ?, ?)
+                 ON CONFLICT (participant_id, session_id) DO UPDATE SET status = excluded.status`,
+                row.id, row.session_id, status
+            );
+            await db.run('UPDATE participants SET updated_at = ? WHERE id = ?', now, row.id);
+            updated.push(row.p_no);
+            changes.push({ p_no: row.p_no, before: { [label]: row.previous }, after: { [label]: status } });
+        }
+
+        if (changes.length > 0) {
+            await insertAuditEntry(db, {
+                ...audit,
+                action: 'update',
+                summary: `Marked ${changes.length} participants ${status === 'P' ? 'present' : 'absent'} for ${label}`,
+                changes
+            });
+        }
+        return { updated, skipped };
+    });
+}
+
+// Record one participant's attendance for one session of a batch.
+// Returns false if the participant or the session is not in the batch.
+// `audit` ({ actor, batch }) describes the change for the audit trail.
+async function markAttendance(batchId, participantId, sessionId, status, audit) {
+    return withTransaction(async db => {
+        const participant = await db.get('SELECT id, p_no FROM participants WHERE id = ? AND batch_id = ?', participantId, batchId);
+        const session = await db.get('SELECT id, label FROM sessions WHERE id = ? AND batch_id = ?', sessionId, batchId);
+        if (!participant || !session) {
+            return false;
+        }
+
+        const previous = await db.get(
+            'SELECT status FROM attendance WHERE participant_id = ? AND session_id = ?',
+            participantId, sessionId
+        );
+        if (audit) {
+            await insertAuditEntry(db, {
+                ...audit,
+                action: 'update',
+                summary: `Marked ${participant.p_no} ${status === 'P' ? 'present' : 'absent'} for ${session.label}`,
+                changes: [{
+                    p_no: participant.p_no,
+                    before: { [session.label]: previous ? previous.status : null },
+                    after: { [session.label]: status }
+                }]
+            });
+        }
+
+        await db.run(
+            `INSERT INTO attendance (participant_id, session_id, status) VALUES (?, ?, ?)
+             ON CONFLICT (participant_id, session_id) DO UPDATE SET status = excluded.status`,
+            participantId, sessionId, status
+        );
+        await db.run('UPDATE participants SET updated_at = ? WHERE id = ?', new Date().toISOString(), participantId);
+        return true;
+    });
+}
+
+// Apply attendance marks recorded offline. Each change carries the status the
+// device saw when it was made (`base_status`, null for none); if the stored status
+// has moved on since then the change is a conflict and is not applied.
+// Returns one result per change: { client_id, result, current_status, error }, where
+// `result` is synced, conflict or failed. All applied marks share one audit entry.
+async function syncAttendance(batchId, changes, audit) {
+    return withTransaction(async db => {
+        const results = [];
+        const auditChanges = [];
+        const updatedIds = new Set();
+        const now = new Date().toISOString();
+
+        for (const change of changes) {
+            const participant = await db.get(
+                'SELECT id, p_no FROM participants WHERE id = ? AND batch_id = ?', change.participant_id, batchId
+            );
+            const session = await db.get(
+                'SELECT id, label FROM sessions WHERE id = ? AND batch_id = ?', change.session_id, batchId
+            );
+            if (!participant || !session) {
+                results.push({ client_id: change.client_id, result: 'failed', error: 'Participant or session not found in this batch' });
+                continue;
+            }
+
+            const stored = await db.get(
+                'SELECT status FROM attendance WHERE participant_id = ? AND session_id = ?', participant.id, session.id
+            );
+            const current = stored ? stored.status : null;
+            if (current === change.status) {
+                results.push({ client_id: change.client_id, result: 'synced', current_status: current });
+                continue;
+            }
+            if (current !== change.base_status) {
+                results.push({ client_id: change.client_id, result: 'conflict', current_status: current });
+                continue;
+            }
+
+            await db.run(
+                `INSERT INTO attendance (participant_id, session_id, status) VALUES (?, ?, ?)
+                 ON CONFLICT (participant_id, session_id) DO UPDATE SET status = excluded.status`,
+                participant.id, session.id, change.status
+            );
+            await db.run('UPDATE participants SET updated_at = ? WHERE id = ?', now, participant.id);
+            auditChanges.push({ p_no: participant.p_no, before: { [session.label]: current }, after: { [session.label]: change.status } });
+            updatedIds.add(participant.id);
+            results.push({ client_id: change.client_id, result: 'synced', current_status: change.status });
+        }
+
+        if (auditChanges.length > 0) {
+            await insertAuditEntry(db, {
+                ...audit,
+                action: 'update',
+                summary: `Synced ${auditChanges.length} attendance marks recorded offline`,
+                changes: auditChanges
+            });
+        }
+        return { results, updatedIds: [...updatedIds] };
+    });
+}
+
+// Fill in the phonetic name key of rows stored before it existed
+async function backfillNameKeys() {
+    const rows = await getDb().all('SELECT id, name FROM participants WHERE name_key IS NULL');
+    if (rows.length === 0) {
+        return 0;
+    }
+    await withTransaction(async db => {
+        for (const row of rows) {
+            await db.run('UPDATE participants SET name_key = ? WHERE id = ?', nameKey(row.name), row.id);
+        }
+    });
+    return rows.length;
+}
+
+// Point what is kept by P.No rather than by participant id at a participant's
+// new P.No: the batch's audit trail index, its message deliveries and the
+// duplicate pairs dismissed for it
+async function renamePNo(db, batchId, from, to) {
+    await db.run('UPDATE notification_deliveries SET p_no = ? WHERE batch_id = ? AND p_no = ?', to, batchId, from);
+
+    const entriesOfBatch = 'audit_id IN (SELECT id FROM audit_log WHERE batch_id = ? OR batch_id IS NULL)';
+    await db.run(`UPDATE OR IGNORE audit_log_participants SET p_no = ? WHERE p_no = ? AND ${entriesOfBatch}`, to, from, batchId);
+    await db.run(`DELETE FROM audit_log_participants WHERE p_no = ? AND ${entriesOfBatch}`, from, batchId);
+
+    const dismissals = await db.all('SELECT * FROM duplicate_dismissals WHERE p_no_a = ? OR p_no_b = ?', from, from);
+    for (const dismissal of dismissals) {
+        await db.run('DELETE FROM duplicate_dismissals WHERE p_no_a = ? AND p_no_b = ?', dismissal.p_no_a, dismissal.p_no_b);
+        const [p_no_a, p_no_b] = [dismissal.p_no_a, dismissal.p_no_b].map(pNo => (pNo === from ? to : pNo)).sort();
+        if (p_no_a !== p_no_b) {
+            await db.run(
+                `INSERT INTO duplicate_dismissals (p_no_a, p_no_b, created_at, user_id, username)
+                 VALUES (?, ?, ?, ?, ?)
+                 ON CONFLICT (p_no_a, p_no_b) DO NOTHING`,
+                p_no_a, p_no_b, dismissal.created_at, dismissal.user_id, dismissal.username
+            );
+        }
+    }
+}
+
+// Bring the P.No, mobile number, trade and gender of rows stored before values
+// were normalized into canonical form, once, recording each changed row in the
+// audit trail as a change by the system. A value that would then clash with
+// another participant of the batch is left as it is. Returns the number of rows
+// changed and the number of values left unchanged because of a clash.
+async function normalizeStoredParticipants() {
+    const rows = await getDb().all(
+        `SELECT p.id, p.batch_id, b.name AS batch_name, p.name, p.p_no, p.mobile_no, p.trade, p.gender
+         FROM participants p JOIN batches b ON b.id = p.batch_id
+         WHERE p.normalized = 0`
+    );
+    let changed = 0;
+    let clashes = 0;
+    if (rows.length === 0) {
+        return { changed, clashes };
+    }
+    await withTransaction(async db => {
+        for (const { id, batch_id, batch_name, name, ...stored } of rows) {
+            const { fields } = normalizeFields(stored);
+            const before = {};
+            const after = {};
+            for (const field of Object.keys(stored)) {
+                if (fields[field] === stored[field]) {
+                    continue;
+                }
+                try {
+                    await db.run(`UPDATE participants SET ${field} = ? WHERE id = ?`, fields[field], id);
+                    before[field] = stored[field];
+                    after[field] = fields[field];
+                } catch (err) {
+                    if (err.code !== 'SQLITE_CONSTRAINT') {
+                        throw err;
+                    }
+                    clashes++;
+                }
+            }
+            await db.run('UPDATE participants SET normalized = 1 WHERE id = ?', id);
+            if (Object.keys(after).length === 0) {
+                continue;
+            }
+
+            const pNo = after.p_no ?? stored.p_no;
+            if (after.p_no) {
+                await renamePNo(db, batch_id, stored.p_no, pNo);
+            }
+            await insertAuditEntry(db, {
+                actor: null,
+                action: 'update',
+                batch: { id: batch_id, name: batch_name },
+                summary: `Normalized ${pNo} - ${name}: ${Object.keys(after).join(', ')}`,
+                changes: [{ p_no: pNo, before, after }]
+            });
+            changed++;
+        }
+    });
+    return { changed, clashes };
+}
+
+async function countParticipants() {
+    const { total } = await getDb().get('SELECT COUNT(*) AS total FROM participants');
+    return total;
+}
+
+async function listTrades() {
+    const rows = await getDb().all("SELECT DISTINCT trade FROM participants WHERE trade <> '' ORDER BY trade");
+    return rows.map(row => row.trade);
+}
+
+async function listGenders() {
+    const rows = await getDb().all("SELECT DISTINCT gender FROM participants WHERE gender <> '' ORDER BY gender");
+    return rows.map(row => row.gender);
+}
+
+module.exports = {
+    ATTENDANCE_FILTERS,
+    SESSION_STATUSES,
+    SORT_FIELDS,
+    IDENTITY_FIELDS,
+    buildFilterClause,
+    searchParticipants,
+    exportParticipants,
+    findParticipantByPNo,
+    findParticipantById,
+    findConflictingParticipant,
+    createParticipant,
+    updateParticipant,
+    deleteParticipants,
+    mergeParticipants,
+    markAttendanceBulk,
+    findParticipantHistory,
+    findExistingParticipants,
+    insertParticipants,
+    applyImport,
+    markAttendance,
+    syncAttendance,
+    backfillNameKeys,
+    normalizeStoredParticipants,
+    countParticipants,
+    listTrades,
+    listGenders
+};
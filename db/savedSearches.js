@@ -0,0 +1,44 @@
+// Saved search filter combinations, kept per user
+
+const { getDb } = require('./index');
+
+function toSavedSearch(row) {
+    return row ? { ...row, filters: JSON.parse(row.filters) } : null;
+}
+
+async function listSavedSearches(userId) {
+    const rows = await getDb().all(
+        'SELECT * FROM saved_searches WHERE user_id = ? ORDER BY name COLLATE NOCASE',
+        userId
+    );
+    return rows.map(toSavedSearch);
+}
+
+// Save a search, or replace the filters of the user's search with the same name
+async function saveSearch(userId, { name, filters }) {
+    const now = new Date().toISOString();
+    await getDb().run(
+        `INSERT INTO saved_searches (user_id, name, filters, created_at, updated_at)
+         VALUES (?, ?, ?, ?, ?)
+         ON CONFLICT (user_id, name COLLATE NOCASE) DO UPDATE SET
+            filters = excluded.filters,
+            updated_at = excluded.updated_at`,
+        userId, name, JSON.stringify(filters), now, now
+    );
+    return toSavedSearch(await getDb().get(
+        'SELECT * FROM saved_searches WHERE user_id = ? AND name = ? COLLATE NOCASE',
+        userId, name
+    ));
+}
+
+// Users can only delete their own searches
+async function deleteSavedSearch(userId, id) {
+    const { changes } = await getDb().run('DELETE FROM saved_searches WHERE id = ? AND user_id = ?', id, userId);
+    return changes > 0;
+}
+
+module.exports = {
+    listSavedSearches,
+    saveSearch,
+    deleteSavedSearch
+};
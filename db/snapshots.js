@@ -0,0 +1,242 @@
+// Dataset snapshot queries: copying the database, reading a snapshot's copy and
+// writing its participants back
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const sqlite3 = require('sqlite3');
+const { open } = require('sqlite');
+const { DB_FILE, MIGRATIONS_PATH, getDb, withTransaction } = require('./index');
+const { insertAuditEntry } = require('./audit');
+
+// The tables a snapshot holds the dataset in, parents first. Users, sign-ins,
+// the audit trail, notifications and import jobs are never rolled back.
+const DATASET_TABLES = ['batches', 'sessions', 'participants', 'attendance', 'check_ins'];
+
+// Keeps each multi-row INSERT well under SQLite's limit on bound values
+const MAX_INSERT_VALUES = 900;
+
+// Write a consistent copy of the dataset tables to `target`. The whole database
+// is copied to a scratch file first, the rows of every other table (accounts,
+// password hashes, sign-ins) are deleted there, and the result is vacuumed into
+// `target`, so they never reach the snapshot. The schema and migration history
+// are kept, so the copy can still be migrated. VACUUM cannot run while a
+// transaction is open on the shared connection, so a read-only one of its own
+// is used; changes not yet committed are left out. Returns the number of rows
+// copied into each dataset table.
+async function copyDatabase(target) {
+    const workDir = fs.mkdtempSync(path.join(os.tmpdir(), 'snapshot-'));
+    const scratch = path.join(workDir, path.basename(target));
+    try {
+        const reader = await open({ filename: DB_FILE, driver: sqlite3.Database, mode: sqlite3.OPEN_READONLY });
+        try {
+            await reader.run('VACUUM INTO ?', scratch);
+        } finally {
+            await reader.close();
+        }
+
+        const copy = await open({ filename: scratch, driver: sqlite3.Database });
+        try {
+            const tables = await copy.all(
+                "SELECT name FROM sqlite_master WHERE type = 'table' AND name NOT LIKE 'sqlite_%' AND name <> 'migrations'"
+            );
+            for (const { name } of tables.filter(({ name }) => !DATASET_TABLES.includes(name))) {
+                await copy.run(`DELETE FROM "${name}"`);
+            }
+            await copy.run('VACUUM INTO ?', target);
+            return await countDataset(copy);
+        } finally {
+            await copy.close();
+        }
+    } finally {
+        fs.rmSync(workDir, { recursive: true, force: true });
+    }
+}
+
+// Open a working copy of a snapshot's database, migrated to the current schema,
+// for the length of the callback. The snapshot itself is left untouched.
+async function withSnapshotDatabase(file, callback) {
+    const workDir = fs.mkdtempSync(path.join(os.tmpdir(), 'snapshot-'));
+    const copy = path.join(workDir, path.basename(file));
+    fs.copyFileSync(file, copy);
+
+    const db = await open({ filename: copy, driver: sqlite3.Database });
+    try {
+        await db.migrate({ migrationsPath: MIGRATIONS_PATH });
+        return await callback(db);
+    } finally {
+        await db.close();
+        fs.rmSync(workDir, { recursive: true, force: true });
+    }
+}
+
+// Every row of the dataset tables: { batches: [...], sessions: [...], ... }
+async function readDataset(db = getDb()) {
+    const dataset = {};
+    for (const table of DATASET_TABLES) {
+        dataset[table] = await db.all(`SELECT * FROM ${table} ORDER BY rowid`);
+    }
+    return dataset;
+}
+
+// The number of rows in each dataset table
+async function countDataset(db) {
+    const counts = {};
+    for (const table of DATASET_TABLES) {
+        counts[table] = (await db.get(`SELECT COUNT(*) AS count FROM ${table}`)).count;
+    }
+    return counts;
+}
+
+// The roster files named in the audit trail, as stored in uploads/
+async function listStoredFiles() {
+    return getDb().all(
+        `SELECT stored_file, MAX(file_name) AS file_name, MAX(file_checksum) AS file_checksum
+         FROM audit_log WHERE stored_file IS NOT NULL
+         GROUP BY stored_file ORDER BY MIN(id)`
+    );
+}
+
+async function insertRows(db, table, rows) {
+    if (rows.length === 0) {
+        return;
+    }
+    const columns = Object.keys(rows[0]);
+    const placeholders = `(${columns.map(() => '?').join(', ')})`;
+    const perInsert = Math.max(Math.floor(MAX_INSERT_VALUES / columns.length), 1);
+
+    for (let start = 0; start < rows.length; start += perInsert) {
+        const chunk = rows.slice(start, start + perInsert);
+        await db.run(
+            `INSERT INTO ${table} (${columns.join(', ')}) VALUES ${chunk.map(() => placeholders).join(', ')}`,
+            chunk.flatMap(row => columns.map(column => row[column]))
+        );
+    }
+}
+
+// Deleting a participant unlinks the messages sent to them. Link them again to
+// whoever now has their P.No in the batch.
+async function relinkDeliveries(db) {
+    await db.run(
+        `UPDATE notification_deliveries SET participant_id = (
+            SELECT p.id FROM participants p
+            WHERE p.batch_id = notification_deliveries.batch_id AND p.p_no = notification_deliveries.p_no
+         )
+         WHERE participant_id IS NULL`
+    );
+}
+
+// Replace the whole dataset with a snapshot's, keeping its ids. `audit`
+// ({ actor, summary, changes }) is recorded as a 'restore' entry.
+async function restoreDataset(dataset, audit) {
+    return withTransaction(async db => {
+        await db.run('DELETE FROM check_ins');
+        await db.run('DELETE FROM attendance');
+        await db.run('DELETE FROM participants');
+        await db.run('DELETE FROM sessions');
+
+        // Batches in the snapshot are updated in place, as deleting one would
+        // take its import jobs and trainer assignments with it
+        const batchIds = dataset.batches.map(batch => batch.id);
+        await db.run(`DELETE FROM batches WHERE id NOT IN (${batchIds.map(() => '?').join(', ')})`, batchIds);
+        for (const batch of dataset.batches) {
+            const columns = Object.keys(batch);
+            await db.run(
+                `INSERT INTO batches (${columns.join(', ')}) VALUES (${columns.map(() => '?').join(', ')})
+                 ON CONFLICT (id) DO UPDATE SET ${columns.filter(column => column !== 'id')
+                     .map(column => `${column} = excluded.${column}`).join(', ')}`,
+                columns.map(column => batch[column])
+            );
+        }
+
+        for (const table of DATASET_TABLES.slice(1)) {
+            await insertRows(db, table, dataset[table]);
+        }
+        await relinkDeliveries(db);
+        await insertAuditEntry(db, { ...audit, action: 'restore' });
+    });
+}
+
+// Put the participants with the given P.Nos in a batch back as they were in a
+// snapshot, removing those it does not have. Sessions are matched by label, and
+// any the snapshot's attendance needs that have since been deleted are added back.
+// Returns { conflicts } without changing anything if a participant's mobile
+// number has since gone to someone else in the batch.
+async function restoreParticipants(dataset, batchId, pNos, audit) {
+    return withTransaction(async db => {
+        const wanted = new Set(pNos);
+        const participants = dataset.participants.filter(p => p.batch_id === batchId && wanted.has(p.p_no));
+
+        const conflicts = [];
+        for (const participant of participants) {
+            const holder = await db.get(
+                'SELECT p_no FROM participants WHERE batch_id = ? AND mobile_no = ? AND p_no <> ?',
+                batchId, participant.mobile_no, participant.p_no
+            );
+            if (holder && !wanted.has(holder.p_no)) {
+                conflicts.push(`Mobile number ${participant.mobile_no} of ${participant.p_no} now belongs to ${holder.p_no}`);
+            }
+        }
+        if (conflicts.length > 0) {
+            return { conflicts };
+        }
+
+        await db.run(
+            `DELETE FROM participants WHERE batch_id = ? AND p_no IN (${pNos.map(() => '?').join(', ')})`,
+            batchId, ...pNos
+        );
+
+        const participantIds = new Map();
+        for (const { id, ...participant } of participants) {
+            const columns = Object.keys(participant);
+            const { lastID } = await db.run(
+                `INSERT INTO participants (${columns.join(', ')}) VALUES (${columns.map(() => '?').join(', ')})`,
+                columns.map(column => participant[column])
+            );
+            participantIds.set(id, lastID);
+        }
+
+        const attendance = dataset.attendance.filter(row => participantIds.has(row.participant_id));
+        const checkIns = dataset.check_ins.filter(row => participantIds.has(row.participant_id));
+        const neededSessions = new Set([...attendance, ...checkIns].map(row => row.session_id));
+
+        const sessionIds = new Map();
+        for (const session of dataset.sessions.filter(s => neededSessions.has(s.id))) {
+            const existing = await db.get('SELECT id FROM sessions WHERE batch_id = ? AND label = ?', batchId, session.label);
+            if (existing) {
+                sessionIds.set(session.id, existing.id);
+            } else {
+                const { lastID } = await db.run(
+                    'INSERT INTO sessions (batch_id, label, session_date, position) VALUES (?, ?, ?, ?)',
+                    batchId, session.label, session.session_date, session.position
+                );
+                sessionIds.set(session.id, lastID);
+            }
+        }
+
+        await insertRows(db, 'attendance', attendance.map(row => ({
+            ...row,
+            participant_id: participantIds.get(row.participant_id),
+            session_id: sessionIds.get(row.session_id)
+        })));
+        await insertRows(db, 'check_ins', checkIns.map(({ id, ...row }) => ({
+            ...row,
+            participant_id: participantIds.get(row.participant_id),
+            session_id: sessionIds.get(row.session_id)
+        })));
+
+        await relinkDeliveries(db);
+        await insertAuditEntry(db, { ...audit, action: 'restore' });
+        return { conflicts: [] };
+    });
+}
+
+module.exports = {
+    DATASET_TABLES,
+    copyDatabase,
+    withSnapshotDatabase,
+    readDataset,
+    listStoredFiles,
+    restoreDataset,
+    restoreParticipants
+};
@@ -0,0 +1,93 @@
+// Attendance statistics for the dashboard
+
+const { getDb } = require('./index');
+const { ATTENDANCE_FILTERS, buildFilterClause, listTrades, listGenders } = require('./participants');
+
+function percentage(present, recorded) {
+    return recorded > 0 ? Math.round((present / recorded) * 100) : null;
+}
+
+// Attendance statistics for every participant matching the search filters.
+// Participants with no attendance recorded are counted in the totals but are
+// not zero-attendance. Full attendance means present for every session of the
+// batch, as the present_all search filter the dashboard links to counts it.
+async function getAttendanceStats(filters) {
+    const db = getDb();
+    const { where, params } = buildFilterClause(filters);
+
+    const participants = await db.all(
+        `SELECT p.id, p.batch_id, p.trade, p.gender,
+            COUNT(a.session_id) AS recorded,
+            COALESCE(SUM(a.status = 'P'), 0) AS present,
+            (${ATTENDANCE_FILTERS.present_all}) AS full_attendance
+         FROM participants p
+         LEFT JOIN attendance a ON a.participant_id = p.id
+         ${where}
+         GROUP BY p.id`,
+        params
+    );
+
+    // Sessions are grouped by label, like the columns of the results table
+    const sessions = await db.all(
+        `SELECT s.label, MIN(s.session_date) AS session_date, MIN(s.position) AS position,
+            COUNT(*) AS recorded, SUM(a.status = 'P') AS present
+         FROM attendance a
+         JOIN sessions s ON s.id = a.session_id
+         JOIN participants p ON p.id = a.participant_id
+         ${where}
+         GROUP BY s.label
+         ORDER BY position, session_date, s.label`,
+        params
+    );
+
+    const recorded = participants.reduce((sum, p) => sum + p.recorded, 0);
+    const present = participants.reduce((sum, p) => sum + p.present, 0);
+
+    // Trade x gender cells, keyed by the same values /api/trades and /api/genders serve
+    const cells = new Map();
+    participants.forEach(p => {
+        const key = `${p.trade}\u0000${p.gender}`;
+        const cell = cells.get(key) || { trade: p.trade, gender: p.gender, participants: 0, recorded: 0, present: 0 };
+        cell.participants += 1;
+        cell.recorded += p.recorded;
+        cell.present += p.present;
+        cells.set(key, cell);
+    });
+
+    // The rows and columns of the cross-tab: the filter dropdown values that occur in
+    // the filtered set, in the same order, plus a blank entry if any participant has none
+    const axis = (values, field) => {
+        const seen = new Set(participants.map(p => p[field]));
+        return [...values.filter(value => seen.has(value)), ...(seen.has('') ? [''] : [])];
+    };
+
+    return {
+        totals: {
+            participants: participants.length,
+            batches: new Set(participants.map(p => p.batch_id)).size,
+            sessions: sessions.length,
+            attendance_recorded: recorded,
+            attendance_present: present,
+            attendance_percentage: percentage(present, recorded),
+            full_attendance: participants.filter(p => p.full_attendance).length,
+            zero_attendance: participants.filter(p => p.recorded > 0 && p.present === 0).length,
+            no_attendance_recorded: participants.filter(p => p.recorded === 0).length
+        },
+        sessions: sessions.map(session => ({
+            ...session,
+            percentage: percentage(session.present, session.recorded)
+        })),
+        trade_gender: {
+            trades: axis(await listTrades(), 'trade'),
+            genders: axis(await listGenders(), 'gender'),
+            cells: [...cells.values()].map(cell => ({
+                ...cell,
+                percentage: percentage(cell.present, cell.recorded)
+            }))
+        }
+    };
+}
+
+module.exports = {
+    getAttendanceStats
+};
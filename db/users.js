@@ -0,0 +1,119 @@
+// User account and login session queries
+
+const { getDb, withTransaction } = require('./index');
+
+const ROLES = ['admin', 'trainer', 'viewer'];
+
+// Public view of a user: never includes the password hash
+async function toUser(row) {
+    if (!row) {
+        return null;
+    }
+    const batches = await getDb().all('SELECT batch_id FROM user_batches WHERE user_id = ? ORDER BY batch_id', row.id);
+    return {
+        id: row.id,
+        username: row.username,
+        role: row.role,
+        batch_ids: batches.map(batch => batch.batch_id),
+        created_at: row.created_at
+    };
+}
+
+async function listUsers() {
+    const rows = await getDb().all('SELECT * FROM users ORDER BY username');
+    return Promise.all(rows.map(toUser));
+}
+
+async function countUsers() {
+    const { total } = await getDb().get('SELECT COUNT(*) AS total FROM users');
+    return total;
+}
+
+async function findUserById(id) {
+    return toUser(await getDb().get('SELECT * FROM users WHERE id = ?', id));
+}
+
+// The stored password hash is only returned here, for checking a login
+async function findUserForLogin(username) {
+    return getDb().get('SELECT * FROM users WHERE username = ? COLLATE NOCASE', username);
+}
+
+async function createUser({ username, password_hash, role, batch_ids = [] }) {
+    const id = await withTransaction(async db => {
+        const { lastID } = await db.run(
+            'INSERT INTO users (username, password_hash, role, created_at) VALUES (?, ?, ?, ?)',
+            username, password_hash, role, new Date().toISOString()
+        );
+        for (const batchId of batch_ids) {
+            await db.run('INSERT INTO user_batches (user_id, batch_id) VALUES (?, ?)', lastID, batchId);
+        }
+        return lastID;
+    });
+    return findUserById(id);
+}
+
+// Change a user's role, password or assigned batches. Omitted fields are left as they are.
+async function updateUser(id, { password_hash, role, batch_ids }) {
+    await withTransaction(async db => {
+        if (password_hash) {
+            await db.run('UPDATE users SET password_hash = ? WHERE id = ?', password_hash, id);
+            // A new password signs the user out everywhere
+            await db.run('DELETE FROM auth_sessions WHERE user_id = ?', id);
+        }
+        if (role) {
+            await db.run('UPDATE users SET role = ? WHERE id = ?', role, id);
+        }
+        if (batch_ids) {
+            await db.run('DELETE FROM user_batches WHERE user_id = ?', id);
+            for (const batchId of batch_ids) {
+                await db.run('INSERT INTO user_batches (user_id, batch_id) VALUES (?, ?)', id, batchId);
+            }
+        }
+    });
+    return findUserById(id);
+}
+
+async function deleteUser(id) {
+    const { changes } = await getDb().run('DELETE FROM users WHERE id = ?', id);
+    return changes > 0;
+}
+
+async function createSession(tokenHash, userId, expiresAt) {
+    await getDb().run(
+        'INSERT INTO auth_sessions (token_hash, user_id, created_at, expires_at) VALUES (?, ?, ?, ?)',
+        tokenHash, userId, new Date().toISOString(), expiresAt
+    );
+}
+
+// The user a session belongs to, or null if the session is unknown or expired
+async function findSessionUser(tokenHash) {
+    const row = await getDb().get(
+        `SELECT u.* FROM auth_sessions s JOIN users u ON u.id = s.user_id
+         WHERE s.token_hash = ? AND s.expires_at > ?`,
+        tokenHash, new Date().toISOString()
+    );
+    return toUser(row);
+}
+
+async function deleteSession(tokenHash) {
+    await getDb().run('DELETE FROM auth_sessions WHERE token_hash = ?', tokenHash);
+}
+
+async function deleteExpiredSessions() {
+    await getDb().run('DELETE FROM auth_sessions WHERE expires_at <= ?', new Date().toISOString());
+}
+
+module.exports = {
+    ROLES,
+    listUsers,
+    countUsers,
+    findUserById,
+    findUserForLogin,
+    createUser,
+    updateUser,
+    deleteUser,
+    createSession,
+    findSessionUser,
+    deleteSession,
+    deleteExpiredSessions
+};
@@ -0,0 +1,138 @@
+// Password hashing, login sessions and role checks for the API
+
+const crypto = require('crypto');
+const { promisify } = require('util');
+const userStore = require('../db/users');
+
+const scrypt = promisify(crypto.scrypt);
+
+const SESSION_COOKIE = 'sid';
+const SESSION_TTL_MS = (parseInt(process.env.SESSION_TTL_HOURS) || 12) * 60 * 60 * 1000;
+const MIN_PASSWORD_LENGTH = 8;
+
+async function hashPassword(password) {
+    const salt = crypto.randomBytes(16);
+    const hash = await scrypt(password, salt, 64);
+    return `${salt.toString('hex')}:${hash.toString('hex')}`;
+}
+
+async function verifyPassword(password, stored) {
+    const [salt, hash] = String(stored).split(':');
+    if (!salt || !hash) {
+        return false;
+    }
+    const expected = Buffer.from(hash, 'hex');
+    const actual = await scrypt(password, Buffer.from(salt, 'hex'), expected.length);
+    return crypto.timingSafeEqual(expected, actual);
+}
+
+function hashToken(token) {
+    return crypto.createHash('sha256').update(token).digest('hex');
+}
+
+// Start a session for a user. Returns the token to hand to the client.
+async function startSession(user) {
+    const token = crypto.randomBytes(32).toString('hex');
+    const expiresAt = new Date(Date.now() + SESSION_TTL_MS).toISOString();
+    await userStore.createSession(hashToken(token), user.id, expiresAt);
+    return token;
+}
+
+async function endSession(token) {
+    await userStore.deleteSession(hashToken(token));
+}
+
+function setSessionCookie(res, token) {
+    res.cookie(SESSION_COOKIE, token, {
+        httpOnly: true,
+        sameSite: 'strict',
+        secure: process.env.COOKIE_SECURE === 'true',
+        maxAge: SESSION_TTL_MS,
+        path: '/'
+    });
+}
+
+function clearSessionCookie(res) {
+    res.clearCookie(SESSION_COOKIE, { path: '/' });
+}
+
+// The session token from the cookie, or from an "Authorization: Bearer" header for scripts
+function readToken(req) {
+    const header = req.get('authorization') || '';
+    if (header.startsWith('Bearer ')) {
+        return header.slice('Bearer '.length).trim();
+    }
+
+    const cookies = req.get('cookie') || '';
+    for (const part of cookies.split(';')) {
+        const [name, ...value] = part.trim().split('=');
+        if (name === SESSION_COOKIE) {
+            return decodeURIComponent(value.join('='));
+        }
+    }
+    return null;
+}
+
+// Attach the signed-in user (or null) to req.user
+async function authenticate(req, res, next) {
+    try {
+        const token = readToken(req);
+        req.user = token ? await userStore.findSessionUser(hashToken(token)) : null;
+        req.sessionToken = req.user ? token : null;
+        next();
+    } catch (err) {
+        next(err);
+    }
+}
+
+// Only let signed-in users with one of the given roles through.
+// With no roles, any signed-in user is allowed.
+function requireRole(...roles) {
+    return (req, res, next) => {
+        if (!req.user) {
+            return res.status(401).json({ error: 'Please sign in' });
+        }
+        if (roles.length > 0 && !roles.includes(req.user.role)) {
+            return res.status(403).json({ error: 'You do not have permission to do this' });
+        }
+        next();
+    };
+}
+
+// Admins can change any batch; trainers only the batches assigned to them
+function canManageBatch(user, batchId) {
+    return user.role === 'admin' || (user.role === 'trainer' && user.batch_ids.includes(Number(batchId)));
+}
+
+// Viewers see only the last four digits of mobile numbers
+function maskMobile(mobileNo) {
+    const digits = String(mobileNo || '');
+    return digits.length > 4 ? `${'*'.repeat(digits.length - 4)}${digits.slice(-4)}` : digits;
+}
+
+function shouldMaskMobile(user) {
+    return !user || user.role === 'viewer';
+}
+
+// A participant as the given user may see it
+function presentParticipant(participant, user) {
+    return shouldMaskMobile(user)
+        ? { ...participant, mobile_no: maskMobile(participant.mobile_no) }
+        : participant;
+}
+
+module.exports = {
+    MIN_PASSWORD_LENGTH,
+    hashPassword,
+    verifyPassword,
+    startSession,
+    endSession,
+    setSessionCookie,
+    clearSessionCookie,
+    authenticate,
+    requireRole,
+    canManageBatch,
+    shouldMaskMobile,
+    maskMobile,
+    presentParticipant
+};
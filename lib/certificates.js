@@ -0,0 +1,147 @@
+// Completion certificates: who qualifies under a template's attendance rule,
+// and the certificate PDF itself
+
+const PDFDocument = require('pdfkit');
+const archiver = require('archiver');
+const { PARTICIPANT_PLACEHOLDERS, checkPlaceholders, fillTemplate, formatDate, participantValues } = require('./placeholders');
+
+const CERTIFICATE_RULES = ['all_present', 'min_percentage'];
+
+// Values a template's title and body can refer to as {{placeholder}}
+const PLACEHOLDERS = [...PARTICIPANT_PLACEHOLDERS, 'issue_date'];
+
+function describeRule(template) {
+    return template.rule === 'all_present'
+        ? 'present on every day of the batch'
+        : `present on at least ${template.min_percentage}% of the days of the batch`;
+}
+
+// Check a template edit. Returns the list of problems, empty when it is valid.
+function validateTemplate({ title, body, signatory, rule, min_percentage }) {
+    const validationErrors = [];
+    if (typeof title !== 'string' || !title.trim()) {
+        validationErrors.push('Title is required');
+    }
+    if (typeof body !== 'string' || !body.trim()) {
+        validationErrors.push('Body is required');
+    }
+    if (signatory !== undefined && typeof signatory !== 'string') {
+        validationErrors.push('Signatory must be text');
+    }
+    if (!CERTIFICATE_RULES.includes(rule)) {
+        validationErrors.push(`Rule must be one of: ${CERTIFICATE_RULES.join(', ')}`);
+    }
+    if (rule === 'min_percentage' && !(Number.isInteger(min_percentage) && min_percentage >= 1 && min_percentage <= 100)) {
+        validationErrors.push('Minimum attendance must be a whole number from 1 to 100');
+    }
+
+    validationErrors.push(...checkPlaceholders([title, body], PLACEHOLDERS));
+    return validationErrors;
+}
+
+// Whether a participant meets the template's rule. Days of the batch without
+// a P count as not attended, so a day that was never marked blocks 'all_present'.
+function checkEligibility(participant, batchSessions, template) {
+    const total = batchSessions.length;
+    const presentIds = new Set(participant.attendance
+        .filter(entry => entry.status === 'P')
+        .map(entry => entry.session_id));
+    const present = batchSessions.filter(session => presentIds.has(session.id)).length;
+    const percentage = total > 0 ? Math.round((present / total) * 100) : 0;
+
+    const eligible = total > 0 && (template.rule === 'all_present'
+        ? present === total
+        : percentage >= template.min_percentage);
+    return { eligible, present, total, percentage };
+}
+
+// The attendance percentage on a certificate is the one its rule was checked against
+function certificateValues(participant, batch, { percentage }) {
+    return {
+        ...participantValues(participant, batch),
+        attendance_percentage: String(percentage),
+        issue_date: formatDate(new Date().toISOString())
+    };
+}
+
+// Draw one certificate as a landscape A4 page. Returns the PDF document, already
+// ended, to pipe to a response or add to a ZIP file.
+function createCertificatePdf(participant, batch, template, eligibility) {
+    const values = certificateValues(participant, batch, eligibility);
+    const doc = new PDFDocument({ size: 'A4', layout: 'landscape', margin: 60 });
+    const { width, height } = doc.page;
+    const left = doc.page.margins.left;
+    const textWidth = width - left - doc.page.margins.right;
+
+    doc.lineWidth(3).rect(20, 20, width - 40, height - 40).stroke('#2c3e50');
+    doc.lineWidth(1).rect(28, 28, width - 56, height - 56).stroke('#2c3e50');
+
+    doc.font('Times-Bold').fontSize(34).fillColor('#2c3e50')
+        .text(fillTemplate(template.title, values), left, 110, { width: textWidth, align: 'center' });
+    doc.moveDown(1.5);
+    doc.font('Times-Roman').fontSize(16).fillColor('#000000')
+        .text(fillTemplate(template.body, values), left + 40, doc.y, {
+            width: textWidth - 80,
+            align: 'center',
+            lineGap: 6
+        });
+
+    const footerY = height - 140;
+    doc.font('Times-Roman').fontSize(12)
+        .text(`Date: ${values.issue_date}`, left + 20, footerY + 30, { lineBreak: false });
+    if (template.signatory) {
+        const signatureX = width - left - 220;
+        doc.moveTo(signatureX, footerY + 25).lineTo(signatureX + 200, footerY + 25).stroke('#000000');
+        doc.text(template.signatory, signatureX, footerY + 30, { width: 200, align: 'center' });
+    }
+
+    doc.end();
+    return doc;
+}
+
+function safeFileName(text) {
+    return String(text).replace(/[\\/:*?"<>|\r\n]+/g, '_').trim();
+}
+
+// "P123 - Jane Smith.pdf"
+function certificateFileName(participant) {
+    return `${safeFileName(`${participant.p_no} - ${participant.name || 'participant'}`)}.pdf`;
+}
+
+// Write a ZIP file of certificates, one folder per batch. Takes
+// [{ participant, batch, template, eligibility }]. Each PDF is added only once
+// the previous one has been written, so a large result set is never all held in memory.
+async function writeCertificateZip(stream, certificates) {
+    const archive = archiver('zip');
+    archive.pipe(stream);
+
+    for (const { participant, batch, template, eligibility } of certificates) {
+        await new Promise((resolve, reject) => {
+            const onEntry = () => {
+                archive.off('error', onError);
+                resolve();
+            };
+            const onError = err => {
+                archive.off('entry', onEntry);
+                reject(err);
+            };
+            archive.once('entry', onEntry);
+            archive.once('error', onError);
+            archive.append(createCertificatePdf(participant, batch, template, eligibility), {
+                name: `${safeFileName(batch.name)}/${certificateFileName(participant)}`
+            });
+        });
+    }
+    await archive.finalize();
+}
+
+module.exports = {
+    CERTIFICATE_RULES,
+    PLACEHOLDERS,
+    describeRule,
+    validateTemplate,
+    checkEligibility,
+    createCertificatePdf,
+    certificateFileName,
+    writeCertificateZip
+};
@@ -0,0 +1,109 @@
+// Header-to-field mapping for rosters whose column names differ from ours
+
+const { levenshtein } = require('./nameMatching');
+
+// The fields a roster can supply, with the header variants seen from regional offices
+const FIELD_ALIASES = {
+    'P.No': ['p no', 'pno', 'personal no', 'personal number', 'participant no', 'participant number', 'p number'],
+    'Mobile No': ['mobile no', 'mobile', 'mobile number', 'mob no', 'phone', 'phone no', 'phone number', 'contact no', 'contact number', 'cell no'],
+    'Name': ['name', 'full name', 'participant name', 'trainee name', 'employee name'],
+    'Trade': ['trade', 'specialization', 'specialisation', 'skill', 'department'],
+    'Gender': ['gender', 'sex']
+};
+
+const FIELDS = Object.keys(FIELD_ALIASES);
+const REQUIRED_FIELDS = ['P.No', 'Mobile No', 'Name'];
+
+// Headers scoring below this are not suggested for a field
+const MATCH_THRESHOLD = 0.75;
+
+// Lowercase and drop punctuation so "P.No.", "p no" and "PNo" compare equal-ish
+function normalizeHeader(header) {
+    return String(header).toLowerCase().replace(/[^a-z0-9]+/g, ' ').trim();
+}
+
+// Similarity between 0 and 1 of a header and a field, using the best of its aliases
+function scoreHeader(header, field) {
+    const normalized = normalizeHeader(header);
+    const compact = normalized.replace(/ /g, '');
+
+    return Math.max(...FIELD_ALIASES[field].map(alias => {
+        const aliasCompact = alias.replace(/ /g, '');
+        if (normalized === alias || compact === aliasCompact) {
+            return 1;
+        }
+        const distance = levenshtein(compact, aliasCompact);
+        return 1 - distance / Math.max(compact.length, aliasCompact.length);
+    }));
+}
+
+// Suggest a source header for each field. Best-scoring pairs are taken first
+// and each header is used at most once. Fields without a good match are left out.
+function suggestMapping(headers) {
+    const candidates = [];
+    FIELDS.forEach(field => {
+        headers.forEach(header => {
+            const score = scoreHeader(header, field);
+            if (score >= MATCH_THRESHOLD) {
+                candidates.push({ field, header, score });
+            }
+        });
+    });
+    candidates.sort((a, b) => b.score - a.score);
+
+    const mapping = {};
+    const usedHeaders = new Set();
+    candidates.forEach(({ field, header }) => {
+        if (!mapping[field] && !usedHeaders.has(header)) {
+            mapping[field] = header;
+            usedHeaders.add(header);
+        }
+    });
+    return mapping;
+}
+
+// Check a mapping against a sheet's headers. Returns a list of problems.
+function checkMapping(mapping, headers) {
+    const problems = [];
+    REQUIRED_FIELDS.forEach(field => {
+        if (!mapping[field]) {
+            problems.push(`${field} must be mapped to a column`);
+        }
+    });
+    Object.entries(mapping).forEach(([field, header]) => {
+        if (!FIELDS.includes(field)) {
+            problems.push(`Unknown field '${field}'`);
+        } else if (header && !headers.includes(header)) {
+            problems.push(`Column '${header}' mapped to ${field} is not in the sheet`);
+        }
+    });
+    return problems;
+}
+
+// Rename the mapped columns of each row to our field names, keeping every other column as-is
+function applyMapping(rows, mapping) {
+    const sourceToField = new Map(Object.entries(mapping).filter(([, header]) => header).map(([field, header]) => [header, field]));
+
+    return rows.map(row => {
+        const mapped = {};
+        FIELDS.forEach(field => {
+            mapped[field] = '';
+        });
+        Object.entries(row).forEach(([header, value]) => {
+            if (sourceToField.has(header)) {
+                mapped[sourceToField.get(header)] = value;
+            } else if (!FIELDS.includes(header)) {
+                mapped[header] = value;
+            }
+        });
+        return mapped;
+    });
+}
+
+module.exports = {
+    FIELDS,
+    REQUIRED_FIELDS,
+    suggestMapping,
+    checkMapping,
+    applyMapping
+};
@@ -0,0 +1,184 @@
+// Finding records that are probably the same trainee under different P.Nos, as
+// when a P.No was mistyped or a mobile number changed between induction and FST.
+// Records are paired up by something they share (a mobile number, a name that
+// sounds alike or a P.No one character away), and each pair is scored
+// on how much of the rest agrees.
+
+const { levenshtein, nameKey } = require('./nameMatching');
+const { normalizePNo, normalizePhone } = require('./normalization');
+
+// Pairs scoring below this (out of 100) are not suggested
+const DEFAULT_MIN_SCORE = 60;
+
+// Names less alike than this score nothing for the name
+const MIN_NAME_SIMILARITY = 0.6;
+
+// Records sharing a key with more than this many others are not paired up by
+// that key; the key then says little about any one pair, as a fragment shared
+// by a whole series of P.Nos does
+const MAX_BLOCK_SIZE = 50;
+
+// A pair of P.Nos in a fixed order, normalized, as [a, b] with a before b
+function pairOfPNos(pNoA, pNoB) {
+    return [normalizePNo(pNoA).value, normalizePNo(pNoB).value].sort();
+}
+
+function pairKey(pNoA, pNoB) {
+    return pairOfPNos(pNoA, pNoB).join('\n');
+}
+
+// Lower-cased words of a name without punctuation, in their order and sorted,
+// so "Kumar Ravi" and "Ravi Kumar" compare alike
+function nameForms(name) {
+    const words = String(name || '').toLowerCase().replace(/[^a-z\s]/g, '').split(/\s+/).filter(Boolean);
+    return [words.join(' '), [...words].sort().join(' ')];
+}
+
+// Similarity between 0 and 1 of two names. Names with the same phonetic key
+// (Mohammed / Muhammad) count as at least 0.9.
+function nameSimilarity(a, b) {
+    const [inOrderA, sortedA] = nameForms(a.record.name);
+    const [inOrderB, sortedB] = nameForms(b.record.name);
+    if (!inOrderA || !inOrderB) {
+        return 0;
+    }
+    const similarity = Math.max(...[[inOrderA, inOrderB], [sortedA, sortedB]].map(([x, y]) =>
+        1 - levenshtein(x, y) / Math.max(x.length, y.length)));
+    return a.key && a.key === b.key ? Math.max(similarity, 0.9) : similarity;
+}
+
+// Whether two strings differ only by two neighbouring characters swapped, a
+// typing slip that counts as one edit rather than two
+function isTransposition(a, b) {
+    if (a.length !== b.length) {
+        return false;
+    }
+    const differences = [...a].map((char, i) => i).filter(i => a[i] !== b[i]);
+    return differences.length === 2 && differences[1] === differences[0] + 1 &&
+        a[differences[0]] === b[differences[1]] && a[differences[1]] === b[differences[0]];
+}
+
+// The score of a pair and the reasons for it: { score, reasons }
+function scorePair(a, b) {
+    let score = 0;
+    const reasons = [];
+
+    const similarity = nameSimilarity(a, b);
+    if (similarity >= MIN_NAME_SIMILARITY) {
+        score += Math.round(40 * similarity);
+        reasons.push(similarity === 1 ? 'Same name' : `Names ${Math.round(similarity * 100)}% alike`);
+    }
+
+    if (a.mobile && a.mobile === b.mobile) {
+        score += 30;
+        reasons.push('Same mobile number');
+    }
+
+    const pNoDistance = levenshtein(a.pNo, b.pNo);
+    if (isTransposition(a.pNo, b.pNo)) {
+        score += 20;
+        reasons.push('P.Nos differ by two swapped characters');
+    } else if (pNoDistance === 1) {
+        score += 20;
+        reasons.push('P.Nos differ by one character');
+    } else if (pNoDistance === 2) {
+        score += 10;
+        reasons.push('P.Nos differ by two characters');
+    }
+
+    if (a.record.trade && a.record.trade === b.record.trade) {
+        score += 5;
+        reasons.push('Same trade');
+    }
+    if (a.record.gender && b.record.gender) {
+        if (a.record.gender === b.record.gender) {
+            score += 5;
+            reasons.push('Same gender');
+        } else {
+            score -= 20;
+            reasons.push('Different gender');
+        }
+    }
+
+    return { score: Math.max(score, 0), reasons };
+}
+
+// The keys a record is paired up by. A P.No with one character deleted is
+// shared by every P.No one edit away, and by some two away such as two swapped
+// characters (the symmetric delete method). P.Nos with two characters changed,
+// as 12345 and 12399, share no key and are only paired by mobile number or name.
+function blockingKeys({ pNo, mobile, key }) {
+    const keys = [`p:${pNo}`];
+    for (let i = 0; i < pNo.length; i++) {
+        keys.push(`p:${pNo.slice(0, i)}${pNo.slice(i + 1)}`);
+    }
+    if (mobile) {
+        keys.push(`m:${mobile}`);
+    }
+    if (key) {
+        keys.push(`n:${key}`);
+    }
+    return [...new Set(keys)];
+}
+
+// Score the pairs of records that may be the same trainee, best first.
+//   records    - participant rows with id, batch_id, p_no, mobile_no, name, trade and gender
+//   dismissals - [{ p_no_a, p_no_b }] pairs marked as different trainees
+//   batchId    - only pairs with a record in this batch
+// Records with the same P.No are already one trainee and are never paired.
+// Returns [{ score, reasons, records: [a, b] }].
+function findCandidates(records, { dismissals = [], minScore = DEFAULT_MIN_SCORE, batchId = null } = {}) {
+    const dismissed = new Set(dismissals.map(({ p_no_a, p_no_b }) => pairKey(p_no_a, p_no_b)));
+    const entries = records.map(record => ({
+        record,
+        pNo: normalizePNo(record.p_no).value,
+        mobile: normalizePhone(record.mobile_no).value,
+        key: nameKey(record.name)
+    }));
+
+    const blocks = new Map();
+    entries.forEach(entry => {
+        blockingKeys(entry).forEach(key => {
+            if (!blocks.has(key)) {
+                blocks.set(key, []);
+            }
+            blocks.get(key).push(entry);
+        });
+    });
+
+    const seen = new Set();
+    const candidates = [];
+    blocks.forEach(block => {
+        if (block.length < 2 || block.length > MAX_BLOCK_SIZE) {
+            return;
+        }
+        for (let i = 0; i < block.length; i++) {
+            for (let j = i + 1; j < block.length; j++) {
+                const [a, b] = block[i].record.id < block[j].record.id ? [block[i], block[j]] : [block[j], block[i]];
+                const id = `${a.record.id}-${b.record.id}`;
+                if (seen.has(id) || a.pNo === b.pNo) {
+                    continue;
+                }
+                seen.add(id);
+                if (batchId && a.record.batch_id !== batchId && b.record.batch_id !== batchId) {
+                    continue;
+                }
+                if (dismissed.has(pairKey(a.pNo, b.pNo))) {
+                    continue;
+                }
+                const { score, reasons } = scorePair(a, b);
+                if (score >= minScore) {
+                    candidates.push({ score, reasons, records: [a.record, b.record] });
+                }
+            }
+        }
+    });
+
+    return candidates.sort((x, y) => y.score - x.score || x.records[0].id - y.records[0].id);
+}
+
+module.exports = {
+    DEFAULT_MIN_SCORE,
+    pairOfPNos,
+    findCandidates
+};
@@ -0,0 +1,276 @@
+// Roster imports run as background jobs, one at a time. Jobs are kept in the
+// database so a restart carries on with them, and each workbook is read and
+// validated in a worker thread (lib/importWorker.js) that reports its progress.
+//
+// A job is queued, then validating. A preview job then waits as ready until it
+// is committed, which queues it again to be read and validated afresh against
+// the batch and imported. An import job goes on to importing and completed,
+// or fails if the roster is unusable or, unless it skips them, has invalid rows.
+
+const fs = require('fs');
+const path = require('path');
+const { Worker } = require('worker_threads');
+const importJobStore = require('../db/importJobs');
+const batchStore = require('../db/batches');
+const participantStore = require('../db/participants');
+const importPreviews = require('./importPreviews');
+const rosterImport = require('./rosterImport');
+const rosterUpload = require('./rosterUpload');
+const liveUpdates = require('./liveUpdates');
+const { createWorkQueue } = require('./workQueue');
+
+const WORKER_FILE = path.join(__dirname, 'importWorker.js');
+// A workbook that unpacks to more than this ends its worker rather than the server
+const WORKER_MEMORY_MB = 1024;
+
+// The job the worker thread is busy with: { jobId, worker }
+let current = null;
+
+// Run a task in a worker thread. `done` resolves to the worker's last message,
+// or null if it was terminated; progress messages go to onProgress.
+function startWorker(workerData, onProgress = () => {}) {
+    const worker = new Worker(WORKER_FILE, {
+        workerData,
+        resourceLimits: { maxOldGenerationSizeMb: WORKER_MEMORY_MB }
+    });
+    const done = new Promise((resolve, reject) => {
+        let outcome = null;
+        worker.on('message', message => {
+            if (message.type === 'progress') {
+                onProgress(message.progress);
+            } else {
+                outcome = message;
+            }
+        });
+        worker.on('error', reject);
+        worker.on('exit', () => resolve(outcome));
+    });
+    return { worker, done };
+}
+
+// List the sheets of a workbook, as rosterImport.listSheets does, off the main thread
+async function inspectWorkbook(filePath) {
+    const { done } = startWorker({ task: 'inspect', filePath });
+    const { sheets } = await done;
+    return sheets;
+}
+
+// Previews not committed since this time have been dropped from memory
+function previewCutoff() {
+    return new Date(Date.now() - importPreviews.PREVIEW_TTL_MS).toISOString();
+}
+
+// Carry on with the jobs left unfinished by the last run
+async function initImportJobs() {
+    await importJobStore.expireReadyJobs(previewCutoff());
+    const requeued = await importJobStore.requeueInterruptedJobs();
+    if (requeued > 0) {
+        console.log(`Resuming ${requeued} import job${requeued === 1 ? '' : 's'}`);
+    }
+    processQueue();
+}
+
+// Queue an uploaded roster. With `import_rows` its rows are imported once
+// validated, and a roster with any invalid row fails; without, the job stops
+// at a preview.
+async function queueImport({ actor, batch, file, mode, sheet, mapping, import_rows }) {
+    const id = await importJobStore.createJob({ actor, batch, file, mode, sheet, mapping, import_rows, skip_invalid: false });
+    processQueue();
+    return importJobStore.findJobById(id);
+}
+
+async function findJob(id) {
+    await importJobStore.expireReadyJobs(previewCutoff());
+    return importJobStore.findJobById(id);
+}
+
+async function listJobs(limit) {
+    await importJobStore.expireReadyJobs(previewCutoff());
+    return importJobStore.listJobs(limit);
+}
+
+// Import a previewed job's valid rows, skipping the invalid ones. Returns false
+// if the job is no longer waiting at its preview.
+async function commitJob(job) {
+    const queued = await importJobStore.updateJob(
+        job.id,
+        { status: 'queued', import_rows: true, skip_invalid: true },
+        { from: 'ready' }
+    );
+    if (queued) {
+        importPreviews.deletePreview(job.id);
+        processQueue();
+    }
+    return queued;
+}
+
+// Cancel a job that has not started writing rows. Returns false if it is too late.
+async function cancelJob(job) {
+    const cancelled = await importJobStore.updateJob(
+        job.id,
+        { status: 'cancelled' },
+        { from: ['queued', 'validating', 'ready'] }
+    );
+    if (!cancelled) {
+        return false;
+    }
+    importPreviews.deletePreview(job.id);
+    if (current && current.jobId === job.id) {
+        await current.worker.terminate();
+    }
+    return true;
+}
+
+// Read and validate a job's roster in a worker thread, recording its progress.
+// Resolves to null if the job was cancelled meanwhile.
+async function validateJob(job, batch) {
+    const existing = await participantStore.findExistingParticipants(batch.id);
+
+    let progressSaved = Promise.resolve();
+    const { worker, done } = startWorker({
+        task: 'validate',
+        filePath: path.join(rosterUpload.UPLOADS_DIR, job.stored_file),
+        sheet: job.sheet,
+        mapping: job.mapping,
+        mode: job.mode,
+        existing
+    }, progress => {
+        progressSaved = progressSaved
+            .then(() => importJobStore.updateJob(job.id, progress, { from: 'validating' }))
+            .catch(err => console.error(`Error saving the progress of import job ${job.id}:`, err));
+    });
+
+    current = { jobId: job.id, worker };
+    try {
+        const outcome = await done;
+        await progressSaved;
+        return outcome;
+    } finally {
+        current = null;
+    }
+}
+
+// What an import did, as reported when its job completes
+function describeImport(job, batch, { sessions, results }, { inserted, updated }) {
+    const summary = rosterImport.summarizeResults(results);
+    const message = job.mode === 'update'
+        ? `Imported ${inserted} new and updated ${updated} existing records from ${job.file_name} into ${batch.name}`
+        : `Imported ${inserted} records from ${job.file_name} into ${batch.name}`;
+    return {
+        message,
+        mode: job.mode,
+        sessions: sessions.map(session => session.label),
+        insertedRecords: inserted,
+        updatedRecords: updated,
+        unchangedRecords: summary.unchanged,
+        invalidSkipped: summary.invalid,
+        duplicatesSkipped: summary.duplicate,
+        normalizedRecords: summary.normalized,
+        changes: rosterUpload.buildChangeReport(results)
+    };
+}
+
+// Remove the stored roster of a job that failed validation. Nothing was
+// imported from it, so the audit trail does not name it and it is not kept.
+function discardUpload(job) {
+    fs.rmSync(path.join(rosterUpload.UPLOADS_DIR, job.stored_file), { force: true });
+}
+
+// Act on a validated roster: keep it as a preview, fail the job, or import it
+async function finishJob(job, batch, outcome) {
+    if (outcome.type === 'rejected') {
+        await importJobStore.updateJob(job.id, {
+            status: 'failed',
+            error: outcome.error.error,
+            result: outcome.error
+        }, { from: 'validating' });
+        discardUpload(job);
+        return;
+    }
+
+    const { roster, results } = outcome;
+    const file = { name: job.file_name, stored: job.stored_file, checksum: job.file_checksum };
+
+    if (!job.import_rows) {
+        importPreviews.savePreview(job.id, {
+            batch: { id: batch.id, name: batch.name },
+            fileName: job.file_name,
+            file,
+            mode: job.mode,
+            ...roster,
+            results
+        });
+        if (!await importJobStore.updateJob(job.id, { status: 'ready' }, { from: 'validating' })) {
+            importPreviews.deletePreview(job.id);
+        }
+        return;
+    }
+
+    const validationErrors = rosterUpload.listValidationErrors(results);
+    if (validationErrors.length > 0 && !job.skip_invalid) {
+        await importJobStore.updateJob(job.id, {
+            status: 'failed',
+            error: 'Validation failed',
+            result: { error: 'Validation failed', validationErrors }
+        }, { from: 'validating' });
+        discardUpload(job);
+        return;
+    }
+
+    if (!await importJobStore.updateJob(job.id, { status: 'importing' }, { from: 'validating' })) {
+        return;
+    }
+    const actor = { id: job.user_id, username: job.username };
+    await rosterUpload.saveImport(batch, { sessions: roster.sessions, results, mode: job.mode, file }, actor,
+        (db, counts) => importJobStore.updateJob(job.id, {
+            status: 'completed',
+            rows_inserted: counts.inserted,
+            rows_updated: counts.updated,
+            result: describeImport(job, batch, { sessions: roster.sessions, results }, counts)
+        }, { db }));
+    liveUpdates.announceParticipantChange('upload', null, [batch.id]);
+}
+
+async function runJob(job) {
+    const started = await importJobStore.updateJob(job.id, {
+        status: 'validating',
+        rows_total: null,
+        rows_parsed: 0,
+        rows_valid: 0,
+        rows_invalid: 0,
+        rows_duplicate: 0,
+        error: null,
+        result: null
+    }, { from: 'queued' });
+    if (!started) {
+        return;
+    }
+
+    try {
+        const batch = await batchStore.findBatchById(job.batch_id);
+        const outcome = await validateJob(job, batch);
+        if (outcome) {
+            await finishJob(job, batch, outcome);
+        }
+    } catch (err) {
+        console.error(`Error running import job ${job.id}:`, err);
+        await importJobStore.updateJob(job.id, { status: 'failed', error: err.message }, { from: ['validating', 'importing'] });
+    }
+}
+
+// Start running queued jobs unless that is already under way
+const processQueue = createWorkQueue({
+    next: () => importJobStore.nextQueuedJob(),
+    work: runJob,
+    errorLog: 'Error running import jobs:'
+});
+
+module.exports = {
+    inspectWorkbook,
+    initImportJobs,
+    queueImport,
+    findJob,
+    listJobs,
+    commitJob,
+    cancelJob
+};
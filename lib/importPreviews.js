@@ -0,0 +1,36 @@
+// In-memory store for upload previews awaiting a commit, keyed by their import job
+
+// Previews are dropped if they are not committed within this time
+const PREVIEW_TTL_MS = 30 * 60 * 1000;
+
+const previews = new Map();
+
+function removeExpired() {
+    const now = Date.now();
+    previews.forEach((preview, id) => {
+        if (now - preview.createdAt > PREVIEW_TTL_MS) {
+            previews.delete(id);
+        }
+    });
+}
+
+function savePreview(id, preview) {
+    removeExpired();
+    previews.set(String(id), { ...preview, id: String(id), createdAt: Date.now() });
+}
+
+function getPreview(id) {
+    removeExpired();
+    return previews.get(String(id)) || null;
+}
+
+function deletePreview(id) {
+    previews.delete(String(id));
+}
+
+module.exports = {
+    PREVIEW_TTL_MS,
+    savePreview,
+    getPreview,
+    deletePreview
+};
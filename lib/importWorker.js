@@ -0,0 +1,48 @@
+// Worker thread that reads a workbook off the main thread, so a large file does
+// not hold up other requests. Started by lib/importJobs.js with `workerData`:
+//   { task: 'inspect', filePath }
+//     posts { type: 'done', sheets }
+//   { task: 'validate', filePath, sheet, mapping, mode, existing }
+//     posts { type: 'progress', progress } as rows are validated, then
+//     { type: 'done', roster, results } or { type: 'rejected', error }
+
+const { parentPort, workerData } = require('worker_threads');
+const rosterImport = require('./rosterImport');
+
+function countRows(results, counts) {
+    results.forEach(({ status }) => {
+        if (status === 'invalid') {
+            counts.rows_invalid++;
+        } else if (status === 'duplicate') {
+            counts.rows_duplicate++;
+        } else {
+            counts.rows_valid++;
+        }
+    });
+}
+
+function validate({ filePath, sheet, mapping, mode, existing }) {
+    const roster = rosterImport.readRoster(filePath, { sheet, mapping });
+    if (roster.error) {
+        parentPort.postMessage({ type: 'rejected', error: roster.error });
+        return;
+    }
+
+    const progress = { rows_total: roster.rows.length, rows_parsed: 0, rows_valid: 0, rows_invalid: 0, rows_duplicate: 0 };
+    parentPort.postMessage({ type: 'progress', progress });
+
+    const results = rosterImport.validateRows(roster.rows, roster.sessions, existing, mode, soFar => {
+        countRows(soFar.slice(progress.rows_parsed), progress);
+        progress.rows_parsed = soFar.length;
+        parentPort.postMessage({ type: 'progress', progress });
+    });
+
+    const { rows, ...rosterInfo } = roster;
+    parentPort.postMessage({ type: 'done', roster: rosterInfo, results });
+}
+
+if (workerData.task === 'inspect') {
+    parentPort.postMessage({ type: 'done', sheets: rosterImport.listSheets(workerData.filePath) });
+} else {
+    validate(workerData);
+}
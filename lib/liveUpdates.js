@@ -0,0 +1,84 @@
+// Server-sent event stream announcing participant changes to open browsers
+
+const auth = require('./auth');
+
+// Comment lines keep idle connections from being closed by proxies
+const HEARTBEAT_MS = 25 * 1000;
+// Clients wait this long before reconnecting after the stream drops
+const RETRY_MS = 5 * 1000;
+
+// One entry per open stream: { user, token, res }
+const clients = new Set();
+
+// Keep the response open as an event stream for the signed-in user
+function subscribe(req, res) {
+    res.writeHead(200, {
+        'Content-Type': 'text/event-stream',
+        'Cache-Control': 'no-cache',
+        'Connection': 'keep-alive',
+        'X-Accel-Buffering': 'no'
+    });
+    res.write(`retry: ${RETRY_MS}\n\n`);
+
+    const client = { user: req.user, token: req.sessionToken, res };
+    clients.add(client);
+
+    const heartbeat = setInterval(() => res.write(': heartbeat\n\n'), HEARTBEAT_MS);
+    req.on('close', () => {
+        clearInterval(heartbeat);
+        clients.delete(client);
+    });
+}
+
+// Close the streams opened with a session that has ended
+function disconnectSession(token) {
+    for (const client of clients) {
+        if (client.token === token) {
+            client.res.end();
+            clients.delete(client);
+        }
+    }
+}
+
+// Close every stream of a user whose password changed or who was deleted
+function disconnectUser(userId) {
+    for (const client of clients) {
+        if (client.user.id === Number(userId)) {
+            client.res.end();
+            clients.delete(client);
+        }
+    }
+}
+
+// The fields a client needs to tell whether a changed row matches its filters
+function describeRow(row, user) {
+    const { batch_id, p_no, mobile_no, name, trade, gender } = auth.presentParticipant(row, user);
+    return { batch_id, p_no, mobile_no, name, trade, gender };
+}
+
+// Announce that participants were inserted, updated or deleted.
+//   action       - 'insert', 'update', 'delete', 'merge', 'upload' or 'restore'
+//   participants - the rows affected, with their batch_id. Null for uploads and
+//                  restores, which can touch a whole batch; clients then go by batchIds.
+function announceParticipantChange(action, participants, batchIds = null) {
+    if (clients.size === 0) {
+        return;
+    }
+
+    const affectedBatchIds = batchIds || [...new Set(participants.map(row => row.batch_id))];
+    for (const client of clients) {
+        const change = {
+            action,
+            batch_ids: affectedBatchIds,
+            participants: participants ? participants.map(row => describeRow(row, client.user)) : null
+        };
+        client.res.write(`event: participants\ndata: ${JSON.stringify(change)}\n\n`);
+    }
+}
+
+module.exports = {
+    subscribe,
+    disconnectSession,
+    disconnectUser,
+    announceParticipantChange
+};
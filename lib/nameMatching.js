@@ -0,0 +1,63 @@
+// Phonetic keys for "sounds like" name searches. They are tuned for the
+// spelling variants common in Indian names: Mohammed / Muhammad,
+// Lakshmi / Laxmi, Srinivas / Shreenivas, Vijay / Wijay, Zaheer / Jaheer.
+
+// Applied in order to each lower-cased word
+const SPELLING_RULES = [
+    [/[^a-z]/g, ''],
+    [/x/g, 'ks'],
+    [/q/g, 'k'],
+    [/ck/g, 'k'],
+    [/ph/g, 'f'],
+    [/w/g, 'v'],
+    [/z/g, 'j']
+];
+
+// The key of one word: its first letter followed by its consonants, with
+// aspiration (the h in bh, dh, sh ...) and doubled letters dropped
+function wordKey(word) {
+    let spelling = word.toLowerCase();
+    SPELLING_RULES.forEach(([pattern, replacement]) => {
+        spelling = spelling.replace(pattern, replacement);
+    });
+    if (!spelling) {
+        return '';
+    }
+
+    const consonants = spelling.slice(1).replace(/[aeiouyh]/g, '');
+    return (spelling[0] + consonants).replace(/(.)\1+/g, '$1');
+}
+
+// The number of single-character insertions, deletions and substitutions
+// that turn one string into the other
+function levenshtein(a, b) {
+    const previous = Array.from({ length: b.length + 1 }, (_, i) => i);
+    for (let i = 1; i <= a.length; i++) {
+        let diagonal = previous[0];
+        previous[0] = i;
+        for (let j = 1; j <= b.length; j++) {
+            const above = previous[j];
+            previous[j] = Math.min(
+                previous[j] + 1,
+                previous[j - 1] + 1,
+                diagonal + (a[i - 1] === b[j - 1] ? 0 : 1)
+            );
+            diagonal = above;
+        }
+    }
+    return previous[b.length];
+}
+
+// The key of a full name, one word key per word, space separated
+function nameKey(name) {
+    return String(name || '')
+        .split(/\s+/)
+        .map(wordKey)
+        .filter(Boolean)
+        .join(' ');
+}
+
+module.exports = {
+    levenshtein,
+    nameKey
+};
@@ -0,0 +1,130 @@
+// Canonical forms for the identifying and categorised fields of a participant,
+// applied on import and on edit:
+//   mobile_no - E.164 (+919876543210), reading numbers without a country code
+//               as PHONE_DEFAULT_COUNTRY (default IN)
+//   p_no      - spaces removed, upper case, and it must match P_NO_PATTERN
+//   gender, trade - mapped to the names in VOCABULARY_FILE (default config/vocabularies.json).
+//               A field with an empty vocabulary accepts any value.
+
+const fs = require('fs');
+const path = require('path');
+const { parsePhoneNumberFromString, isSupportedCountry } = require('libphonenumber-js');
+
+const PHONE_DEFAULT_COUNTRY = (process.env.PHONE_DEFAULT_COUNTRY || 'IN').toUpperCase();
+if (!isSupportedCountry(PHONE_DEFAULT_COUNTRY)) {
+    throw new Error(`PHONE_DEFAULT_COUNTRY '${PHONE_DEFAULT_COUNTRY}' is not a known two-letter country code`);
+}
+
+const P_NO_PATTERN = new RegExp(process.env.P_NO_PATTERN || '^[A-Z0-9][A-Z0-9/.-]*$');
+
+const VOCABULARY_FILE = process.env.VOCABULARY_FILE || path.join(__dirname, '..', 'config', 'vocabularies.json');
+const VOCABULARY_FIELDS = { gender: 'Gender', trade: 'Trade' };
+
+// Spelling used to compare vocabulary values: case and spacing do not matter
+function vocabularyKey(value) {
+    return String(value).toLowerCase().replace(/[\s._-]+/g, '');
+}
+
+// Read the vocabularies as { field: { canonical names, lookup from every spelling to its name } }
+function loadVocabularies(file) {
+    const config = JSON.parse(fs.readFileSync(file, 'utf8'));
+    const vocabularies = {};
+    Object.keys(VOCABULARY_FIELDS).forEach(field => {
+        const entries = config[field] || {};
+        if (typeof entries !== 'object' || Array.isArray(entries)) {
+            throw new Error(`${file}: '${field}' must map each name to a list of other spellings`);
+        }
+        const lookup = new Map();
+        Object.entries(entries).forEach(([name, aliases]) => {
+            if (!Array.isArray(aliases)) {
+                throw new Error(`${file}: the other spellings of ${field} '${name}' must be a list`);
+            }
+            [name, ...aliases].forEach(alias => lookup.set(vocabularyKey(alias), name));
+        });
+        vocabularies[field] = { names: Object.keys(entries), lookup };
+    });
+    return vocabularies;
+}
+
+const vocabularies = loadVocabularies(VOCABULARY_FILE);
+
+// Cell values as text. Spreadsheets store long numbers as floats, which may come
+// through as 9876543210 or "9876543210.0".
+function toText(value) {
+    if (typeof value === 'number') {
+        return Number.isInteger(value) ? String(value) : String(Math.round(value));
+    }
+    return String(value ?? '').trim().replace(/^(\d+)\.0+$/, '$1');
+}
+
+// Each normalizer returns { value } or { value, error }. Blank values stay blank;
+// whether a field is required is checked elsewhere.
+function normalizePhone(input) {
+    const text = toText(input);
+    if (!text) {
+        return { value: '' };
+    }
+    const phone = parsePhoneNumberFromString(text, PHONE_DEFAULT_COUNTRY);
+    if (!phone || !phone.isValid()) {
+        return { value: text, error: `'${text}' is not a valid mobile number` };
+    }
+    return { value: phone.number };
+}
+
+function normalizePNo(input) {
+    const value = toText(input).replace(/\s+/g, '').toUpperCase();
+    if (value && !P_NO_PATTERN.test(value)) {
+        return { value, error: `'${value}' does not match the P.No format ${P_NO_PATTERN.source}` };
+    }
+    return { value };
+}
+
+function normalizeVocabulary(field, input) {
+    const value = toText(input).replace(/\s+/g, ' ');
+    const { names, lookup } = vocabularies[field];
+    if (!value || names.length === 0) {
+        return { value };
+    }
+    const name = lookup.get(vocabularyKey(value));
+    if (!name) {
+        return { value, error: `'${value}' is not one of: ${names.join(', ')}` };
+    }
+    return { value: name };
+}
+
+const NORMALIZERS = {
+    p_no: normalizePNo,
+    mobile_no: normalizePhone,
+    trade: value => normalizeVocabulary('trade', value),
+    gender: value => normalizeVocabulary('gender', value)
+};
+
+// Normalize the fields present in `fields` (any of p_no, mobile_no, trade, gender).
+// Returns the normalized `fields`, the `changes` made ([{ field, from, to }], not
+// counting surrounding spaces) and `errors` keyed by field.
+function normalizeFields(fields) {
+    const normalized = { ...fields };
+    const changes = [];
+    const errors = {};
+    Object.entries(NORMALIZERS).forEach(([field, normalize]) => {
+        if (fields[field] === undefined || fields[field] === null) {
+            return;
+        }
+        const { value, error } = normalize(fields[field]);
+        const original = String(fields[field]).trim();
+        normalized[field] = value;
+        if (error) {
+            errors[field] = error;
+        } else if (value !== original) {
+            changes.push({ field, from: original, to: value });
+        }
+    });
+    return { fields: normalized, changes, errors };
+}
+
+module.exports = {
+    PHONE_DEFAULT_COUNTRY,
+    normalizePhone,
+    normalizePNo,
+    normalizeFields
+};
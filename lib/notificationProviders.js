@@ -0,0 +1,88 @@
+// Providers that deliver SMS and WhatsApp messages. A provider is an object with
+// a `name` and an async send({ channel, to, message }) that resolves to
+// { id } - the provider's message id, or null - and throws if the message is refused.
+// To add a gateway, write a factory taking the settings below and list it in PROVIDERS.
+
+const fs = require('fs');
+const path = require('path');
+const axios = require('axios');
+
+// Prints each message to the server console, for trying the feature out
+function createConsoleProvider() {
+    return {
+        name: 'console',
+        async send({ channel, to, message }) {
+            console.log(`[${channel}] to ${to}: ${message}`);
+            return { id: null };
+        }
+    };
+}
+
+// Appends each message as a line of JSON to a file, for testing
+function createFileProvider({ file }) {
+    return {
+        name: 'file',
+        async send({ channel, to, message }) {
+            await fs.promises.mkdir(path.dirname(file), { recursive: true });
+            await fs.promises.appendFile(
+                file,
+                JSON.stringify({ sent_at: new Date().toISOString(), channel, to, message }) + '\n'
+            );
+            return { id: null };
+        }
+    };
+}
+
+// Posts { channel, to, message } as JSON to an SMS or WhatsApp gateway. Any 2xx
+// response counts as accepted; an `id` or `message_id` in the reply is kept.
+function createHttpProvider({ url, token, timeout }) {
+    if (!url) {
+        throw new Error('NOTIFY_HTTP_URL must be set to use the http notification provider');
+    }
+    return {
+        name: 'http',
+        async send({ channel, to, message }) {
+            try {
+                const response = await axios.post(url, { channel, to, message }, {
+                    headers: token ? { Authorization: `Bearer ${token}` } : {},
+                    timeout
+                });
+                const data = response.data || {};
+                return { id: data.id || data.message_id || null };
+            } catch (err) {
+                if (err.response) {
+                    const detail = typeof err.response.data === 'string'
+                        ? err.response.data
+                        : JSON.stringify(err.response.data);
+                    throw new Error(`Gateway responded ${err.response.status}: ${String(detail).slice(0, 200)}`);
+                }
+                throw err;
+            }
+        }
+    };
+}
+
+const PROVIDERS = {
+    console: createConsoleProvider,
+    file: createFileProvider,
+    http: createHttpProvider
+};
+
+// The provider named by NOTIFY_PROVIDER (default console), configured from the environment
+function createProviderFromEnv(env = process.env) {
+    const name = env.NOTIFY_PROVIDER || 'console';
+    if (!PROVIDERS[name]) {
+        throw new Error(`Unknown NOTIFY_PROVIDER '${name}'. Use one of: ${Object.keys(PROVIDERS).join(', ')}`);
+    }
+    return PROVIDERS[name]({
+        file: env.NOTIFY_FILE || path.join(__dirname, '..', 'data', 'outbox.log'),
+        url: env.NOTIFY_HTTP_URL,
+        token: env.NOTIFY_HTTP_TOKEN,
+        timeout: parseInt(env.NOTIFY_HTTP_TIMEOUT_MS) || 10000
+    });
+}
+
+module.exports = {
+    PROVIDERS,
+    createProviderFromEnv
+};
@@ -0,0 +1,122 @@
+// Templated SMS and WhatsApp messages to a filtered set of participants. Messages
+// are queued in the database and sent in the background, no faster than
+// NOTIFY_RATE_PER_MINUTE, so a restart picks up where sending stopped.
+
+const notificationStore = require('../db/notifications');
+const batchStore = require('../db/batches');
+const { createProviderFromEnv } = require('./notificationProviders');
+const { PARTICIPANT_PLACEHOLDERS, checkPlaceholders, fillTemplate, participantValues } = require('./placeholders');
+const { createWorkQueue } = require('./workQueue');
+
+const CHANNELS = ['sms', 'whatsapp'];
+const PLACEHOLDERS = PARTICIPANT_PLACEHOLDERS;
+const MAX_TEMPLATE_LENGTH = 1000;
+const RATE_PER_MINUTE = parseInt(process.env.NOTIFY_RATE_PER_MINUTE) || 30;
+const SEND_INTERVAL_MS = 60000 / RATE_PER_MINUTE;
+
+let provider = null;
+
+// Set up the provider and carry on with anything left queued by the last run.
+// Throws if the provider settings are wrong, so they are caught at startup.
+function initNotifications() {
+    provider = createProviderFromEnv();
+    processQueue();
+}
+
+function providerName() {
+    return provider.name;
+}
+
+function validateMessage({ channel, template }) {
+    const validationErrors = [];
+    if (!CHANNELS.includes(channel)) {
+        validationErrors.push(`Channel must be one of: ${CHANNELS.join(', ')}`);
+    }
+    if (typeof template !== 'string' || !template.trim()) {
+        validationErrors.push('Message is required');
+    } else if (template.length > MAX_TEMPLATE_LENGTH) {
+        validationErrors.push(`Message must be at most ${MAX_TEMPLATE_LENGTH} characters`);
+    }
+    validationErrors.push(...checkPlaceholders([template], PLACEHOLDERS));
+    return validationErrors;
+}
+
+// One delivery per participant with their message filled in. Participants without
+// a mobile number, and repeats of a number already in the list, are skipped.
+async function prepareDeliveries(participants, template) {
+    const batches = new Map();
+    const messagedNumbers = new Map();
+    const deliveries = [];
+
+    for (const participant of participants) {
+        if (!batches.has(participant.batch_id)) {
+            batches.set(participant.batch_id, await batchStore.findBatchById(participant.batch_id));
+        }
+        const delivery = {
+            participant_id: participant.id,
+            p_no: participant.p_no,
+            name: participant.name,
+            batch_id: participant.batch_id,
+            mobile_no: participant.mobile_no,
+            message: fillTemplate(template, participantValues(participant, batches.get(participant.batch_id))),
+            status: 'queued',
+            error: null
+        };
+
+        if (!participant.mobile_no) {
+            delivery.status = 'skipped';
+            delivery.error = 'No mobile number';
+        } else if (messagedNumbers.has(participant.mobile_no)) {
+            delivery.status = 'skipped';
+            delivery.error = `Same mobile number as P.No ${messagedNumbers.get(participant.mobile_no)}`;
+        } else {
+            messagedNumbers.set(participant.mobile_no, participant.p_no);
+        }
+        deliveries.push(delivery);
+    }
+    return deliveries;
+}
+
+// Record the notification, queue its deliveries and start sending
+async function sendNotification({ actor, channel, template, filters }, deliveries) {
+    const id = await notificationStore.createNotification(
+        { actor, channel, template, filters, provider: providerName() },
+        deliveries
+    );
+    processQueue();
+    return id;
+}
+
+async function deliver(delivery) {
+    try {
+        const { id } = await provider.send({
+            channel: delivery.channel,
+            to: delivery.mobile_no,
+            message: delivery.message
+        });
+        await notificationStore.updateDelivery(delivery.id, { status: 'sent', provider_message_id: id });
+    } catch (err) {
+        await notificationStore.updateDelivery(delivery.id, { status: 'failed', error: err.message });
+    }
+}
+
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+// Start sending queued deliveries unless that is already under way
+const processQueue = createWorkQueue({
+    next: () => notificationStore.nextQueuedDelivery(),
+    work: async delivery => {
+        await deliver(delivery);
+        await sleep(SEND_INTERVAL_MS);
+    },
+    errorLog: 'Error sending notifications:'
+});
+
+module.exports = {
+    CHANNELS,
+    PLACEHOLDERS,
+    initNotifications,
+    validateMessage,
+    prepareDeliveries,
+    sendNotification
+};
@@ -0,0 +1,135 @@
+// Search result exports as .xlsx, CSV or a printable PDF attendance sheet
+
+const xlsx = require('xlsx');
+const PDFDocument = require('pdfkit');
+const { neutralizeFormula } = require('./spreadsheetSafety');
+
+const EXPORT_FORMATS = {
+    xlsx: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet',
+    csv: 'text/csv; charset=utf-8',
+    pdf: 'application/pdf'
+};
+
+// One row per participant with the same columns as the results table
+function buildExportTable(sessions, participants) {
+    const labels = sessions.map(session => session.label);
+    const headers = ['P.No', 'Mobile No', 'Name', 'Trade', 'Gender', 'Batch', ...labels, 'Attendance %'];
+
+    const rows = participants.map(participant => {
+        const statusByLabel = new Map(participant.attendance.map(entry => [entry.label, entry.status]));
+        return [
+            participant.p_no,
+            participant.mobile_no,
+            participant.name,
+            participant.trade,
+            participant.gender,
+            participant.batch_name,
+            ...labels.map(label => statusByLabel.get(label) || ''),
+            participant.attendance_percentage === null ? '' : `${participant.attendance_percentage}%`
+        ];
+    });
+
+    return { headers, rows };
+}
+
+// Spreadsheet formats get their formulas neutralized, as a name such as
+// =HYPERLINK(...) would otherwise run when the file is opened
+function buildWorkbook({ headers, rows }) {
+    const workbook = xlsx.utils.book_new();
+    const worksheet = xlsx.utils.aoa_to_sheet([headers, ...rows.map(row => row.map(neutralizeFormula))]);
+    xlsx.utils.book_append_sheet(workbook, worksheet, 'Participants');
+    return xlsx.write(workbook, { type: 'buffer', bookType: 'xlsx' });
+}
+
+function csvValue(value) {
+    const text = String(neutralizeFormula(value) ?? '');
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+// Write the table as CSV one line at a time. The BOM lets Excel detect UTF-8.
+function writeCsv(stream, { headers, rows }) {
+    stream.write('\uFEFF');
+    stream.write(headers.map(csvValue).join(',') + '\r\n');
+    rows.forEach(row => {
+        stream.write(row.map(csvValue).join(',') + '\r\n');
+    });
+    stream.end();
+}
+
+// Preferred column widths in points; sessions share whatever space is left
+const PDF_COLUMN_WIDTHS = {
+    'P.No': 50,
+    'Mobile No': 75,
+    'Name': 120,
+    'Trade': 75,
+    'Gender': 45,
+    'Batch': 95,
+    'Attendance %': 65
+};
+const PDF_SESSION_WIDTH = 40;
+const PDF_ROW_HEIGHT = 18;
+
+// Write the table as a landscape A4 attendance sheet, repeating the header row on each page.
+// `title` and `subtitle` are printed above the table.
+function writePdf(stream, { headers, rows }, { title, subtitle }) {
+    const doc = new PDFDocument({ size: 'A4', layout: 'landscape', margin: 30 });
+    doc.pipe(stream);
+
+    const left = doc.page.margins.left;
+    const usableWidth = doc.page.width - left - doc.page.margins.right;
+    const preferred = headers.map(header => PDF_COLUMN_WIDTHS[header] || PDF_SESSION_WIDTH);
+    const scale = Math.min(1, usableWidth / preferred.reduce((sum, width) => sum + width, 0));
+    const widths = preferred.map(width => width * scale);
+    const fontSize = scale < 0.7 ? 6 : 8;
+
+    const drawRow = (cells, y, { bold = false } = {}) => {
+        let x = left;
+        doc.font(bold ? 'Helvetica-Bold' : 'Helvetica').fontSize(fontSize);
+        cells.forEach((cell, i) => {
+            doc.rect(x, y, widths[i], PDF_ROW_HEIGHT).stroke('#999999');
+            doc.fillColor('#000000').text(String(cell ?? ''), x + 3, y + 5, {
+                width: widths[i] - 6,
+                height: PDF_ROW_HEIGHT - 6,
+                lineBreak: false,
+                ellipsis: true
+            });
+            x += widths[i];
+        });
+    };
+
+    doc.font('Helvetica-Bold').fontSize(14).text(title);
+    if (subtitle) {
+        doc.font('Helvetica').fontSize(9).fillColor('#555555').text(subtitle);
+    }
+    doc.moveDown();
+
+    const bottom = doc.page.height - doc.page.margins.bottom;
+    let y = doc.y;
+    drawRow(headers, y, { bold: true });
+    y += PDF_ROW_HEIGHT;
+
+    rows.forEach(row => {
+        if (y + PDF_ROW_HEIGHT > bottom) {
+            doc.addPage();
+            y = doc.page.margins.top;
+            drawRow(headers, y, { bold: true });
+            y += PDF_ROW_HEIGHT;
+        }
+        drawRow(row, y);
+        y += PDF_ROW_HEIGHT;
+    });
+
+    if (rows.length === 0) {
+        doc.font('Helvetica').fontSize(10).text('No participants match the current filters.', left, y + 10);
+    }
+
+    doc.end();
+}
+
+module.exports = {
+    EXPORT_FORMATS,
+    buildExportTable,
+    buildWorkbook,
+    writeCsv,
+    writePdf
+};
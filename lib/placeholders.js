@@ -0,0 +1,62 @@
+// {{placeholder}} substitution shared by certificate and message templates
+
+const PLACEHOLDER_PATTERN = /\{\{\s*(\w+)\s*\}\}/g;
+
+// Placeholders describing a participant and their batch
+const PARTICIPANT_PLACEHOLDERS = [
+    'name', 'p_no', 'trade', 'gender', 'batch', 'program_type', 'venue',
+    'start_date', 'end_date', 'attendance_percentage'
+];
+
+// One validation error for every placeholder in the texts that is not allowed
+function checkPlaceholders(texts, allowed) {
+    const unknown = new Set();
+    texts.filter(text => typeof text === 'string').forEach(text => {
+        for (const [, placeholder] of text.matchAll(PLACEHOLDER_PATTERN)) {
+            if (!allowed.includes(placeholder)) {
+                unknown.add(placeholder);
+            }
+        }
+    });
+    return [...unknown].map(placeholder =>
+        `Unknown placeholder {{${placeholder}}}. Use one of: ${allowed.join(', ')}`);
+}
+
+function fillTemplate(text, values) {
+    return text.replace(PLACEHOLDER_PATTERN, (match, placeholder) =>
+        Object.prototype.hasOwnProperty.call(values, placeholder) ? values[placeholder] : match);
+}
+
+// Dates are stored as YYYY-MM-DD and printed as "5 January 2026"
+function formatDate(date) {
+    if (!date) {
+        return '';
+    }
+    const parsed = new Date(`${date.slice(0, 10)}T00:00:00Z`);
+    return Number.isNaN(parsed.getTime())
+        ? date
+        : parsed.toLocaleDateString('en-GB', { day: 'numeric', month: 'long', year: 'numeric', timeZone: 'UTC' });
+}
+
+function participantValues(participant, batch) {
+    return {
+        name: participant.name || '',
+        p_no: participant.p_no,
+        trade: participant.trade || '',
+        gender: participant.gender || '',
+        batch: batch.name,
+        program_type: batch.program_type || '',
+        venue: batch.venue || '',
+        start_date: formatDate(batch.start_date),
+        end_date: formatDate(batch.end_date),
+        attendance_percentage: participant.attendance_percentage === null ? '' : String(participant.attendance_percentage)
+    };
+}
+
+module.exports = {
+    PARTICIPANT_PLACEHOLDERS,
+    checkPlaceholders,
+    fillTemplate,
+    formatDate,
+    participantValues
+};
@@ -0,0 +1,481 @@
+// Roster parsing and row-level validation shared by the upload endpoints
+
+const xlsx = require('xlsx');
+const columnMapping = require('./columnMapping');
+const normalization = require('./normalization');
+const { isExcelFile, neutralizeFormula } = require('./spreadsheetSafety');
+
+// The most rows one roster may hold, and the longest text a participant field
+// may have, so a hostile or mistaken file cannot exhaust memory or fill the
+// database with oversized values
+const MAX_ROWS = parseInt(process.env.MAX_ROSTER_ROWS) || 50000;
+const MAX_CELL_LENGTH = parseInt(process.env.MAX_CELL_LENGTH) || 200;
+
+// Attendance columns look like "Attendance Day 3" or "Attendance 2026-10-12".
+// "Day 3" and "Att. Day 3" are accepted too.
+const DAY_COLUMN_PATTERN = /^(?:attendance|att\.?)?\s*day\s*(\d+)$/i;
+const DATE_COLUMN_PATTERN = /^(?:attendance|att\.?)\s*(\d{4}-\d{2}-\d{2})$/i;
+
+// Find every attendance column in the header row and describe the session it records
+function detectAttendanceColumns(headers) {
+    const sessions = [];
+    headers.forEach(header => {
+        const column = String(header).trim();
+        const dayMatch = column.match(DAY_COLUMN_PATTERN);
+        const dateMatch = column.match(DATE_COLUMN_PATTERN);
+
+        if (dayMatch) {
+            const day = parseInt(dayMatch[1]);
+            sessions.push({ column: header, label: `Day ${day}`, session_date: null, position: day });
+        } else if (dateMatch) {
+            sessions.push({ column: header, label: dateMatch[1], session_date: dateMatch[1], position: sessions.length + 1 });
+        }
+    });
+    return sessions;
+}
+
+// A session typed in by hand: "Day 3" or a YYYY-MM-DD date.
+// Returns { label, session_date, position } like an attendance column, or null.
+function parseSessionLabel(text) {
+    const value = String(text || '').trim();
+    const dayMatch = value.match(DAY_COLUMN_PATTERN);
+    if (dayMatch) {
+        const day = parseInt(dayMatch[1]);
+        return { label: `Day ${day}`, session_date: null, position: day };
+    }
+    if (/^\d{4}-\d{2}-\d{2}$/.test(value) && !isNaN(Date.parse(value))) {
+        return { label: value, session_date: value, position: null };
+    }
+    return null;
+}
+
+// Read a workbook's cell values only, leaving out formulas, styles and rich
+// text, and no more rows of each sheet than a roster may hold
+function openWorkbook(filePath) {
+    return xlsx.readFile(filePath, {
+        sheetRows: MAX_ROWS + 2,
+        cellFormula: false,
+        cellHTML: false,
+        cellStyles: false
+    });
+}
+
+// Rows below the header, counting those past the ones read
+function countSheetRows(worksheet) {
+    const ref = worksheet['!fullref'] || worksheet['!ref'];
+    if (!ref) {
+        return 0;
+    }
+    const range = xlsx.utils.decode_range(ref);
+    return range.e.r - range.s.r;
+}
+
+function readSheet(worksheet) {
+    const [headers = []] = xlsx.utils.sheet_to_json(worksheet, { header: 1 });
+    const rows = xlsx.utils.sheet_to_json(worksheet, { defval: '' });
+    return { headers: headers.map(header => String(header)), rows };
+}
+
+// Describe every sheet in a workbook so the user can pick the one holding the roster
+function listSheets(filePath) {
+    const workbook = openWorkbook(filePath);
+    return workbook.SheetNames.map(name => {
+        const { headers, rows } = readSheet(workbook.Sheets[name]);
+        return {
+            name,
+            headers,
+            rowCount: rows.length,
+            attendanceColumns: detectAttendanceColumns(headers).map(session => session.column),
+            suggestedMapping: columnMapping.suggestMapping(headers)
+        };
+    });
+}
+
+// The first sheet with attendance columns, falling back to the first sheet
+function findRosterSheet(workbook) {
+    return workbook.SheetNames.find(name => {
+        const [headers = []] = xlsx.utils.sheet_to_json(workbook.Sheets[name], { header: 1 });
+        return detectAttendanceColumns(headers).length > 0;
+    }) || workbook.SheetNames[0];
+}
+
+// Read one sheet of a workbook and rename its columns to our field names.
+// Without a sheet name the first sheet that looks like a roster is used, and
+// without a mapping the suggested one is used.
+//
+// Returns { sheet, mapping, columns, sessions, rows }, or { error } with a
+// response body describing why the sheet cannot be imported.
+function readRoster(filePath, { sheet, mapping } = {}) {
+    if (!isExcelFile(filePath)) {
+        return { error: { error: 'The file is not an Excel workbook (.xls or .xlsx)' } };
+    }
+
+    const workbook = openWorkbook(filePath);
+    const sheetName = sheet || findRosterSheet(workbook);
+    if (!workbook.Sheets[sheetName]) {
+        return { error: { error: `Sheet '${sheetName}' not found in workbook`, sheets: workbook.SheetNames } };
+    }
+
+    const { headers, rows } = readSheet(workbook.Sheets[sheetName]);
+    if (rows.length > MAX_ROWS) {
+        return {
+            error: {
+                error: `The sheet has ${countSheetRows(workbook.Sheets[sheetName])} rows; at most ${MAX_ROWS} ` +
+                    'can be imported at once. Split it into smaller files.'
+            }
+        };
+    }
+    const fieldMapping = mapping || columnMapping.suggestMapping(headers);
+
+    const mappingErrors = columnMapping.checkMapping(fieldMapping, headers);
+    if (mappingErrors.length > 0) {
+        return {
+            error: {
+                error: `Column mapping incomplete: ${mappingErrors.join('; ')}`,
+                mappingErrors,
+                headers,
+                suggestedMapping: columnMapping.suggestMapping(headers)
+            }
+        };
+    }
+
+    const sessions = detectAttendanceColumns(headers);
+    if (sessions.length === 0) {
+        return { error: { error: 'No attendance columns found. Expected columns such as "Attendance Day 1" or "Attendance 2026-10-12".' } };
+    }
+
+    return {
+        sheet: sheetName,
+        mapping: fieldMapping,
+        columns: [...columnMapping.FIELDS, ...sessions.map(session => session.column)],
+        sessions,
+        rows: columnMapping.applyMapping(rows, fieldMapping)
+    };
+}
+
+const ATTENDANCE_VALUES = ['P', 'A'];
+
+// The participant fields every row must have, with their roster column names
+const REQUIRED_FIELDS = {
+    p_no: 'P.No',
+    mobile_no: 'Mobile No',
+    name: 'Name'
+};
+
+// Text fields limited to MAX_CELL_LENGTH characters, with their roster column names
+const TEXT_COLUMNS = {
+    p_no: 'P.No',
+    mobile_no: 'Mobile No',
+    name: 'Name',
+    trade: 'Trade',
+    gender: 'Gender'
+};
+
+// Fields normalized on import, with their roster column names
+const NORMALIZED_COLUMNS = {
+    p_no: 'P.No',
+    mobile_no: 'Mobile No',
+    trade: 'Trade',
+    gender: 'Gender'
+};
+
+// How a re-uploaded roster treats participants already in the batch
+const IMPORT_MODES = ['skip', 'update', 'replace'];
+
+// How often validateRows reports its progress, in rows
+const PROGRESS_ROWS = 500;
+
+// Participant fields an update can change, with the roster column each comes from
+const UPDATABLE_COLUMNS = {
+    mobile_no: 'Mobile No',
+    name: 'Name',
+    trade: 'Trade',
+    gender: 'Gender'
+};
+
+function buildParticipant(row, sessions) {
+    const attendance = {};
+    sessions.forEach(session => {
+        attendance[session.label] = String(row[session.column]).toUpperCase().trim();
+    });
+
+    return {
+        p_no: String(row['P.No']).trim(),
+        mobile_no: String(row['Mobile No']).trim(),
+        name: String(row['Name']).trim(),
+        trade: String(row['Trade'] || '').trim(),
+        gender: String(row['Gender'] || '').trim(),
+        attendance,
+        created_at: new Date().toISOString()
+    };
+}
+
+// Field-level differences between an uploaded row and the stored record.
+// Blank cells never overwrite stored values.
+function diffParticipant(stored, incoming, sessions) {
+    const changes = [];
+    Object.entries(UPDATABLE_COLUMNS).forEach(([field, column]) => {
+        if (incoming[field] && incoming[field] !== stored[field]) {
+            changes.push({ field, column, from: stored[field], to: incoming[field] });
+        }
+    });
+    sessions.forEach(session => {
+        const from = stored.attendance[session.label] || null;
+        const to = incoming.attendance[session.label];
+        if (to !== from) {
+            changes.push({ field: session.label, column: session.column, from, to });
+        }
+    });
+    return changes;
+}
+
+// Compare a row with the stored participants when updating existing records
+function matchForUpdate(result, participant, sessions, existing) {
+    const byPNo = existing.byPNo.get(participant.p_no);
+    const byMobileNo = existing.byMobileNo.get(participant.mobile_no);
+
+    if (byMobileNo && (!byPNo || byMobileNo.id !== byPNo.id)) {
+        return {
+            ...result,
+            status: 'invalid',
+            errors: { 'Mobile No': `Mobile No already belongs to P.No ${byMobileNo.p_no} (${byMobileNo.name})` }
+        };
+    }
+    if (!byPNo) {
+        return { ...result, status: 'valid', participant };
+    }
+
+    const changes = diffParticipant(byPNo, participant, sessions);
+    return {
+        ...result,
+        status: changes.length > 0 ? 'update' : 'unchanged',
+        participant,
+        existing_id: byPNo.id,
+        changes
+    };
+}
+
+// Validate every row and classify it against the batch's stored participants.
+//
+// `existing` holds the batch's stored participants as { byPNo, byMobileNo } maps.
+// The status of each row depends on the import mode:
+//   skip    - valid (new), invalid, or duplicate of a stored record
+//   update  - valid (new), invalid, update (with its `changes`) or unchanged
+//   replace - valid or invalid; stored records are about to be removed
+// Each result carries the row's original cell values, an `errors` object keyed by
+// column name, the values normalization changed (`normalized`, [{ column, from, to }])
+// and, for new rows and rows matching a stored one, the normalized `participant`.
+// Rows are compared with each other and with stored participants by their
+// normalized P.No and Mobile No.
+// `onProgress`, if given, is called with the results so far every PROGRESS_ROWS rows.
+function validateRows(rows, sessions, existing, mode = 'skip', onProgress = null) {
+    const seenPNo = new Map();
+    const seenMobileNo = new Map();
+
+    const validateRow = (original, index) => {
+        const rowNumber = index + 2;
+        const errors = {};
+
+        const { fields, changes, errors: normalizationErrors } = normalization.normalizeFields(
+            Object.fromEntries(Object.entries(NORMALIZED_COLUMNS).map(([field, column]) => [field, original[column]]))
+        );
+        const row = { ...original };
+        Object.entries(NORMALIZED_COLUMNS).forEach(([field, column]) => {
+            if (fields[field] !== undefined) {
+                row[column] = fields[field];
+            }
+        });
+        const normalized = changes.map(({ field, from, to }) => ({ column: NORMALIZED_COLUMNS[field], from, to }));
+        const pNo = String(row['P.No']).trim();
+        const mobileNo = String(row['Mobile No']).trim();
+
+        // Check for required fields
+        Object.values(REQUIRED_FIELDS).forEach(column => {
+            if (!String(row[column]).trim()) {
+                errors[column] = `${column} is required`;
+            }
+        });
+        Object.entries(normalizationErrors).forEach(([field, error]) => {
+            errors[NORMALIZED_COLUMNS[field]] = error;
+        });
+        Object.values(TEXT_COLUMNS).forEach(column => {
+            if (String(original[column] ?? '').length > MAX_CELL_LENGTH) {
+                errors[column] = `Longer than ${MAX_CELL_LENGTH} characters`;
+            }
+        });
+
+        // Check for duplicates in the uploaded data
+        if (pNo && seenPNo.has(pNo)) {
+            errors['P.No'] = `Duplicate P.No '${pNo}' (also on row ${seenPNo.get(pNo)})`;
+        }
+        if (mobileNo && seenMobileNo.has(mobileNo)) {
+            errors['Mobile No'] = `Duplicate Mobile No '${mobileNo}' (also on row ${seenMobileNo.get(mobileNo)})`;
+        }
+        if (pNo && !seenPNo.has(pNo)) seenPNo.set(pNo, rowNumber);
+        if (mobileNo && !seenMobileNo.has(mobileNo)) seenMobileNo.set(mobileNo, rowNumber);
+
+        // Validate attendance values
+        sessions.forEach(session => {
+            const value = String(row[session.column]).toUpperCase().trim();
+            if (!ATTENDANCE_VALUES.includes(value)) {
+                errors[session.column] = `Expected P or A, got '${row[session.column]}'`;
+            }
+        });
+
+        const result = { row_number: rowNumber, values: original, errors, normalized };
+
+        if (Object.keys(errors).length > 0) {
+            return { ...result, status: 'invalid' };
+        }
+
+        const participant = buildParticipant(row, sessions);
+        if (mode === 'replace') {
+            return { ...result, status: 'valid', participant };
+        }
+        if (mode === 'update') {
+            return matchForUpdate(result, participant, sessions, existing);
+        }
+
+        // Check for duplicates against participants already in the batch
+        const match = existing.byPNo.get(pNo) || existing.byMobileNo.get(mobileNo);
+        if (match) {
+            return {
+                ...result,
+                status: 'duplicate',
+                duplicate_of: {
+                    id: match.id,
+                    p_no: match.p_no,
+                    name: match.name,
+                    matched_on: existing.byPNo.has(pNo) ? 'P.No' : 'Mobile No'
+                }
+            };
+        }
+
+        return { ...result, status: 'valid', participant };
+    };
+
+    const results = [];
+    rows.forEach((original, index) => {
+        results.push(validateRow(original, index));
+        if (onProgress && (results.length % PROGRESS_ROWS === 0 || results.length === rows.length)) {
+            onProgress(results);
+        }
+    });
+    return results;
+}
+
+// Validate a participant entered by hand with the same rules as a roster row.
+// `attendance` is a map of session label -> status and may only name the
+// batch's `sessionLabels`. With `partial` only the fields present are checked,
+// for edits. Returns a list of problems.
+function validateParticipantInput(input, sessionLabels, { partial = false } = {}) {
+    const problems = [];
+    Object.entries(REQUIRED_FIELDS).forEach(([field, column]) => {
+        if ((!partial || input[field] !== undefined) && !String(input[field] ?? '').trim()) {
+            problems.push(`${column} is required`);
+        }
+    });
+    Object.entries(normalization.normalizeFields(input).errors).forEach(([field, error]) => {
+        problems.push(`${NORMALIZED_COLUMNS[field]}: ${error}`);
+    });
+    Object.entries(TEXT_COLUMNS).forEach(([field, column]) => {
+        if (String(input[field] ?? '').length > MAX_CELL_LENGTH) {
+            problems.push(`${column} must be at most ${MAX_CELL_LENGTH} characters`);
+        }
+    });
+
+    if (input.attendance !== undefined) {
+        if (!input.attendance || typeof input.attendance !== 'object' || Array.isArray(input.attendance)) {
+            problems.push('Attendance must be an object of session label to P or A');
+        } else {
+            Object.entries(input.attendance).forEach(([label, status]) => {
+                if (!sessionLabels.includes(label)) {
+                    problems.push(`The batch has no session '${label}'`);
+                } else if (!ATTENDANCE_VALUES.includes(String(status).toUpperCase().trim())) {
+                    problems.push(`${label}: Expected P or A, got '${status}'`);
+                }
+            });
+        }
+    }
+    return problems;
+}
+
+// Trim the fields of a hand-entered participant, normalize them as an upload would
+// and upper-case its attendance. Fields that are not present stay absent.
+// Returns the `participant` and the values normalization changed (`normalized`,
+// [{ column, from, to }]); values that fail normalization are left for
+// validateParticipantInput to report.
+function normalizeParticipantInput(input) {
+    let participant = {};
+    ['p_no', 'mobile_no', 'name', 'trade', 'gender'].forEach(field => {
+        if (input[field] !== undefined && input[field] !== null) {
+            participant[field] = String(input[field]).trim();
+        }
+    });
+    const { fields, changes } = normalization.normalizeFields(participant);
+    participant = fields;
+    if (input.attendance && typeof input.attendance === 'object' && !Array.isArray(input.attendance)) {
+        participant.attendance = Object.fromEntries(
+            Object.entries(input.attendance)
+                .filter(([, status]) => String(status ?? '').trim())
+                .map(([label, status]) => [label, String(status).toUpperCase().trim()])
+        );
+    } else if (input.attendance !== undefined) {
+        participant.attendance = input.attendance;
+    }
+    const normalized = changes.map(({ field, from, to }) => ({ column: NORMALIZED_COLUMNS[field], from, to }));
+    return { participant, normalized };
+}
+
+function summarizeResults(results) {
+    return {
+        total: results.length,
+        valid: results.filter(r => r.status === 'valid').length,
+        invalid: results.filter(r => r.status === 'invalid').length,
+        duplicate: results.filter(r => r.status === 'duplicate').length,
+        update: results.filter(r => r.status === 'update').length,
+        unchanged: results.filter(r => r.status === 'unchanged').length,
+        normalized: results.filter(r => r.normalized.length > 0).length
+    };
+}
+
+// Build an .xlsx of the rejected rows, using our standard column names plus an
+// "Errors" column, so they can be fixed and uploaded again without a mapping.
+// Cells are written back as uploaded, except that formulas are neutralized.
+function buildRejectedWorkbook(headers, results) {
+    // A re-uploaded rejected-rows file already has an Errors column; replace it
+    const columns = headers.filter(header => header !== 'Errors');
+
+    const rejected = results.filter(r => ['invalid', 'duplicate'].includes(r.status)).map(result => {
+        const reasons = result.status === 'duplicate'
+            ? [`Already in this batch as ${result.duplicate_of.p_no} - ${result.duplicate_of.name} (same ${result.duplicate_of.matched_on})`]
+            : Object.entries(result.errors).map(([column, reason]) => `${column}: ${reason}`);
+
+        const row = {};
+        columns.forEach(column => {
+            row[column] = neutralizeFormula(result.values[column]);
+        });
+        row['Errors'] = neutralizeFormula(reasons.join('; '));
+        return row;
+    });
+
+    const workbook = xlsx.utils.book_new();
+    const worksheet = xlsx.utils.json_to_sheet(rejected, { header: [...columns, 'Errors'] });
+    xlsx.utils.book_append_sheet(workbook, worksheet, 'Rejected Rows');
+    return xlsx.write(workbook, { type: 'buffer', bookType: 'xlsx' });
+}
+
+module.exports = {
+    IMPORT_MODES,
+    TEXT_COLUMNS,
+    detectAttendanceColumns,
+    parseSessionLabel,
+    listSheets,
+    readRoster,
+    buildParticipant,
+    validateRows,
+    validateParticipantInput,
+    normalizeParticipantInput,
+    summarizeResults,
+    buildRejectedWorkbook
+};
@@ -0,0 +1,92 @@
+// Importing a roster file into a batch, shared by the upload endpoints and the
+// command-line admin tool
+
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const participantStore = require('../db/participants');
+const rosterImport = require('./rosterImport');
+
+// Uploaded rosters are kept here, and named in the audit trail
+const UPLOADS_DIR = path.join(__dirname, '..', 'uploads');
+
+// The name an uploaded roster is kept under in uploads/: a timestamp and the
+// original name, without path separators or other characters unsafe in file names
+function storedFileName(originalName) {
+    const name = path.basename(String(originalName)).replace(/[^\w .-]+/g, '_');
+    return `${Date.now()}-${name}`;
+}
+
+// Read a roster file and validate every row against the batch. `sheet` and
+// `mapping` (field -> column) pick the sheet and say which columns hold which
+// fields, and `mode` (skip, update or replace) says what to do with participants
+// already in the batch. Returns { error } with a response body if the mode or
+// the sheet's columns are unusable.
+async function prepareImport(batch, filePath, { mode = 'skip', sheet, mapping } = {}) {
+    if (!rosterImport.IMPORT_MODES.includes(mode)) {
+        return { error: { error: `Import mode must be one of: ${rosterImport.IMPORT_MODES.join(', ')}` } };
+    }
+
+    const roster = rosterImport.readRoster(filePath, { sheet, mapping });
+    if (roster.error) {
+        return { error: roster.error };
+    }
+
+    const existing = await participantStore.findExistingParticipants(batch.id);
+    const results = rosterImport.validateRows(roster.rows, roster.sessions, existing, mode);
+
+    return { ...roster, mode, results };
+}
+
+// A roster file as recorded in the audit trail, with a SHA-256 of the stored copy
+async function describeFile(filePath, { name, stored }) {
+    const hash = crypto.createHash('sha256');
+    for await (const chunk of fs.createReadStream(filePath)) {
+        hash.update(chunk);
+    }
+    return { name, stored, checksum: hash.digest('hex') };
+}
+
+// Write the importable rows of a validated roster to the batch and the audit trail.
+// `afterWrite` is passed on to participantStore.applyImport.
+async function saveImport(batch, { sessions, results, mode, file }, actor, afterWrite = null) {
+    return participantStore.applyImport(batch.id, sessions, {
+        insert: results.filter(r => r.status === 'valid').map(r => r.participant),
+        update: results.filter(r => r.status === 'update').map(r => ({
+            id: r.existing_id,
+            p_no: r.participant.p_no,
+            changes: r.changes
+        })),
+        replace: mode === 'replace'
+    }, { actor, batch, file }, afterWrite);
+}
+
+// One "Row N: column - reason" line for every problem in the invalid rows
+function listValidationErrors(results) {
+    const validationErrors = [];
+    results.filter(r => r.status === 'invalid').forEach(result => {
+        Object.entries(result.errors).forEach(([column, reason]) => {
+            validationErrors.push(`Row ${result.row_number}: ${column} - ${reason}`);
+        });
+    });
+    return validationErrors;
+}
+
+// Which fields changed for which participant, for rows updated by an import
+function buildChangeReport(results) {
+    return results.filter(r => r.status === 'update').map(result => ({
+        p_no: result.participant.p_no,
+        name: result.participant.name,
+        fields: result.changes.map(({ field, column, from, to }) => ({ field, column, from, to }))
+    }));
+}
+
+module.exports = {
+    UPLOADS_DIR,
+    storedFileName,
+    prepareImport,
+    describeFile,
+    saveImport,
+    listValidationErrors,
+    buildChangeReport
+};
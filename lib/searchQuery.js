@@ -0,0 +1,74 @@
+// Validation of participant search filters, shared by the search endpoints and
+// the command-line admin tool
+
+const participantStore = require('../db/participants');
+
+// Every query parameter a search understands, as kept in saved searches
+const SEARCH_PARAMS = [
+    'batch_id', 'p_no', 'mobile_no', 'name', 'name_match', 'trade', 'gender',
+    'attendance', 'session', 'session_status', 'created_from', 'created_to', 'sort', 'order'
+];
+
+// Whether text is a date written YYYY-MM-DD that exists: 2026-13-45 and
+// 2026-02-30 do not
+function isValidDate(text) {
+    if (!/^\d{4}-\d{2}-\d{2}$/.test(text) || isNaN(Date.parse(text))) {
+        return false;
+    }
+    return new Date(text).toISOString().slice(0, 10) === text;
+}
+
+function validateSearchQuery(query) {
+    const { name_match, attendance, session, session_status, created_from, created_to, sort, order } = query;
+
+    const validationErrors = [];
+    if (name_match && name_match !== 'fuzzy') {
+        validationErrors.push("Name match must be 'fuzzy' or left out");
+    }
+    if (attendance && !Object.hasOwn(participantStore.ATTENDANCE_FILTERS, attendance)) {
+        validationErrors.push(`Attendance must be one of: ${Object.keys(participantStore.ATTENDANCE_FILTERS).join(', ')}`);
+    }
+    if (session_status && !participantStore.SESSION_STATUSES.includes(session_status)) {
+        validationErrors.push(`Session status must be one of: ${participantStore.SESSION_STATUSES.join(', ')}`);
+    }
+    if (session_status && !session) {
+        validationErrors.push('Choose the session to filter by status');
+    }
+    if (created_from && !isValidDate(created_from)) {
+        validationErrors.push('Added from date must be a valid date in YYYY-MM-DD format');
+    }
+    if (created_to && !isValidDate(created_to)) {
+        validationErrors.push('Added to date must be a valid date in YYYY-MM-DD format');
+    }
+    if (sort && !Object.hasOwn(participantStore.SORT_FIELDS, sort) && !String(sort).startsWith('session:')) {
+        validationErrors.push(`Sort must be one of: ${Object.keys(participantStore.SORT_FIELDS).join(', ')}, or session:<label>`);
+    }
+    if (order && !['asc', 'desc'].includes(order)) {
+        validationErrors.push('Order must be asc or desc');
+    }
+    return validationErrors;
+}
+
+// Check search filters sent in a request body rather than the query string
+function validateSearchFilters(filters) {
+    if (!filters || typeof filters !== 'object' || Array.isArray(filters)) {
+        return ['Filters must be an object of search parameters'];
+    }
+    const validationErrors = [];
+    Object.entries(filters).forEach(([param, value]) => {
+        if (!SEARCH_PARAMS.includes(param)) {
+            validationErrors.push(`Unknown search parameter '${param}'`);
+        } else if (typeof value !== 'string') {
+            validationErrors.push(`${param} must be a string`);
+        }
+    });
+    validationErrors.push(...validateSearchQuery(filters));
+    return validationErrors;
+}
+
+module.exports = {
+    SEARCH_PARAMS,
+    isValidDate,
+    validateSearchQuery,
+    validateSearchFilters
+};
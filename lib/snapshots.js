@@ -0,0 +1,388 @@
+// Snapshots of the participant dataset with the roster files it was imported
+// from, taken on demand, on a schedule and before every restore. Each one is a
+// folder under SNAPSHOT_DIR named by its id:
+//   manifest.json    - when, why and by whom it was taken, with row counts
+//   participants.db  - a copy of the database
+//   uploads/         - the roster files named in the audit trail at the time
+// A snapshot can be compared with the current data and restored whole, or only
+// for the participants one upload touched. Only the newest SNAPSHOT_KEEP are
+// kept, and roster files older than UPLOAD_RETENTION_DAYS are deleted from uploads/.
+
+const fs = require('fs');
+const path = require('path');
+const archiver = require('archiver');
+const snapshotStore = require('../db/snapshots');
+const participantStore = require('../db/participants');
+const importJobStore = require('../db/importJobs');
+const { UPLOADS_DIR } = require('./rosterUpload');
+
+// A setting of 0 turns scheduled snapshots, pruning or purging off
+function numberSetting(name, fallback) {
+    const value = parseInt(process.env[name]);
+    return Number.isNaN(value) || value < 0 ? fallback : value;
+}
+
+const SNAPSHOT_DIR = process.env.SNAPSHOT_DIR || path.join(__dirname, '..', 'data', 'snapshots');
+const INTERVAL_HOURS = numberSetting('SNAPSHOT_INTERVAL_HOURS', 24);
+const KEEP = numberSetting('SNAPSHOT_KEEP', 14);
+const UPLOAD_RETENTION_DAYS = numberSetting('UPLOAD_RETENTION_DAYS', 90);
+
+// How often to check whether a scheduled snapshot is due and old files can go
+const MAINTENANCE_INTERVAL_MS = 60 * 60 * 1000;
+// Participants listed per batch and kind of difference when comparing
+const COMPARE_LIST_LIMIT = 50;
+const DATABASE_FILE = 'participants.db';
+const MANIFEST_FILE = 'manifest.json';
+const ID_PATTERN = /^\d{4}-\d{2}-\d{2}T\d{2}-\d{2}-\d{2}-\d{3}Z$/;
+// The participant fields compared and recorded in the audit trail, besides attendance
+const FIELDS = ['mobile_no', 'name', 'trade', 'gender'];
+
+function settings() {
+    return {
+        interval_hours: INTERVAL_HOURS,
+        keep: KEEP,
+        upload_retention_days: UPLOAD_RETENTION_DAYS
+    };
+}
+
+function snapshotDir(id) {
+    return path.join(SNAPSHOT_DIR, id);
+}
+
+// Every snapshot's manifest, newest first. Folders without one are snapshots
+// still being written, or left over from one that failed.
+function listSnapshots() {
+    if (!fs.existsSync(SNAPSHOT_DIR)) {
+        return [];
+    }
+    return fs.readdirSync(SNAPSHOT_DIR)
+        .filter(id => ID_PATTERN.test(id) && fs.existsSync(path.join(snapshotDir(id), MANIFEST_FILE)))
+        .sort()
+        .reverse()
+        .map(id => JSON.parse(fs.readFileSync(path.join(snapshotDir(id), MANIFEST_FILE), 'utf8')));
+}
+
+function findSnapshot(id) {
+    if (!ID_PATTERN.test(id)) {
+        return null;
+    }
+    const manifestFile = path.join(snapshotDir(id), MANIFEST_FILE);
+    return fs.existsSync(manifestFile) ? JSON.parse(fs.readFileSync(manifestFile, 'utf8')) : null;
+}
+
+// Hard links cost no space while both copies exist; copy where linking is not possible
+function linkOrCopy(source, target) {
+    try {
+        fs.linkSync(source, target);
+    } catch (err) {
+        fs.copyFileSync(source, target);
+    }
+}
+
+// Take a snapshot. `actor` is the signed-in user, or null for scheduled ones.
+// With `prune` off, older snapshots past SNAPSHOT_KEEP are left for the caller
+// to prune.
+async function createSnapshot({ reason, actor, prune = true }) {
+    const createdAt = new Date().toISOString();
+    const id = createdAt.replace(/[:.]/g, '-');
+    const dir = snapshotDir(id);
+    fs.mkdirSync(path.join(dir, 'uploads'), { recursive: true });
+
+    try {
+        const counts = await snapshotStore.copyDatabase(path.join(dir, DATABASE_FILE));
+
+        const uploads = [];
+        for (const file of await snapshotStore.listStoredFiles()) {
+            const source = path.join(UPLOADS_DIR, file.stored_file);
+            if (fs.existsSync(source)) {
+                linkOrCopy(source, path.join(dir, 'uploads', file.stored_file));
+                uploads.push({ name: file.file_name, stored: file.stored_file, checksum: file.file_checksum });
+            }
+        }
+
+        const manifest = {
+            id,
+            created_at: createdAt,
+            reason,
+            username: actor ? actor.username : 'system',
+            counts,
+            uploads
+        };
+        // Written last, so a folder with a manifest holds a whole snapshot
+        fs.writeFileSync(path.join(dir, MANIFEST_FILE), JSON.stringify(manifest, null, 2));
+        if (prune) {
+            pruneSnapshots();
+        }
+        return manifest;
+    } catch (err) {
+        fs.rmSync(dir, { recursive: true, force: true });
+        throw err;
+    }
+}
+
+function deleteSnapshot(id) {
+    fs.rmSync(snapshotDir(id), { recursive: true, force: true });
+}
+
+// Delete all but the newest KEEP snapshots, never those in `except`
+function pruneSnapshots(except = []) {
+    if (KEEP === 0) {
+        return;
+    }
+    listSnapshots().slice(KEEP)
+        .filter(snapshot => !except.includes(snapshot.id))
+        .forEach(snapshot => deleteSnapshot(snapshot.id));
+}
+
+// Delete roster files older than UPLOAD_RETENTION_DAYS from uploads/, except
+// those import jobs still need. Snapshots keep their own copies. Returns how
+// many were deleted.
+async function purgeOldUploads() {
+    if (UPLOAD_RETENTION_DAYS === 0 || !fs.existsSync(UPLOADS_DIR)) {
+        return 0;
+    }
+    const cutoff = Date.now() - UPLOAD_RETENTION_DAYS * 24 * 60 * 60 * 1000;
+    const inUse = new Set(await importJobStore.listActiveFiles());
+
+    let purged = 0;
+    for (const name of fs.readdirSync(UPLOADS_DIR)) {
+        const file = path.join(UPLOADS_DIR, name);
+        if (name.startsWith('.') || inUse.has(name)) {
+            continue;
+        }
+        const stats = fs.statSync(file);
+        if (stats.isFile() && stats.mtimeMs < cutoff) {
+            fs.unlinkSync(file);
+            purged++;
+        }
+    }
+    return purged;
+}
+
+// Read a snapshot's dataset, brought up to the current schema
+async function readSnapshot(id) {
+    return snapshotStore.withSnapshotDatabase(path.join(snapshotDir(id), DATABASE_FILE), db => snapshotStore.readDataset(db));
+}
+
+function participantKey(batchId, pNo) {
+    return `${batchId}\t${pNo}`;
+}
+
+// Each participant of a dataset with their attendance keyed by session label,
+// by batch and P.No
+function indexParticipants(dataset) {
+    const labels = new Map(dataset.sessions.map(session => [session.id, session.label]));
+    const attendance = new Map();
+    dataset.attendance.forEach(({ participant_id, session_id, status }) => {
+        if (!attendance.has(participant_id)) {
+            attendance.set(participant_id, {});
+        }
+        attendance.get(participant_id)[labels.get(session_id)] = status;
+    });
+
+    const index = new Map();
+    dataset.participants.forEach(participant => {
+        const { batch_id, p_no, mobile_no, name, trade, gender } = participant;
+        index.set(participantKey(batch_id, p_no), {
+            batch_id, p_no, mobile_no, name, trade, gender,
+            attendance: attendance.get(participant.id) || {}
+        });
+    });
+    return index;
+}
+
+// The values recorded in the audit trail, as for any other change
+function auditValues(record) {
+    if (!record) {
+        return null;
+    }
+    const { mobile_no, name, trade, gender, attendance } = record;
+    return { mobile_no, name, trade, gender, attendance };
+}
+
+function changedFields(current, snapshot) {
+    const fields = FIELDS.filter(field => current[field] !== snapshot[field]);
+    const labels = new Set([...Object.keys(current.attendance), ...Object.keys(snapshot.attendance)]);
+    labels.forEach(label => {
+        if (current.attendance[label] !== snapshot.attendance[label]) {
+            fields.push(label);
+        }
+    });
+    return fields;
+}
+
+// The participants that differ between a snapshot and the current data, limited
+// to those `include(batchId, pNo)` accepts: [{ batch_id, p_no, name, current,
+// snapshot, fields }] where `current` or `snapshot` is null if they are only in the other
+function diffParticipants(snapshotData, currentData, include = () => true) {
+    const inSnapshot = indexParticipants(snapshotData);
+    const inCurrent = indexParticipants(currentData);
+    const differences = [];
+
+    new Set([...inSnapshot.keys(), ...inCurrent.keys()]).forEach(key => {
+        const snapshot = inSnapshot.get(key) || null;
+        const current = inCurrent.get(key) || null;
+        const { batch_id, p_no, name } = current || snapshot;
+        if (!include(batch_id, p_no)) {
+            return;
+        }
+        const fields = current && snapshot ? changedFields(current, snapshot) : [];
+        if (!current || !snapshot || fields.length > 0) {
+            differences.push({ batch_id, p_no, name, current, snapshot, fields });
+        }
+    });
+    return differences;
+}
+
+function toAuditChanges(differences) {
+    return differences.map(({ p_no, current, snapshot }) => ({
+        p_no,
+        before: auditValues(current),
+        after: auditValues(snapshot)
+    }));
+}
+
+// How the current data differs from a snapshot, batch by batch. Participants
+// `added` or `deleted` since the snapshot, and those whose fields or attendance
+// `changed`, are listed up to COMPARE_LIST_LIMIT each with a count of all of them.
+async function compareSnapshot(id) {
+    const snapshotData = await readSnapshot(id);
+    const currentData = await snapshotStore.readDataset();
+    const differences = diffParticipants(snapshotData, currentData);
+
+    const batches = new Map();
+    const addBatch = (batch, side) => {
+        if (!batches.has(batch.id)) {
+            batches.set(batch.id, {
+                id: batch.id,
+                name: batch.name,
+                in_snapshot: false,
+                in_current: false,
+                snapshot_participants: 0,
+                current_participants: 0,
+                added: { count: 0, participants: [] },
+                deleted: { count: 0, participants: [] },
+                changed: { count: 0, participants: [] }
+            });
+        }
+        batches.get(batch.id)[side] = true;
+    };
+    currentData.batches.forEach(batch => addBatch(batch, 'in_current'));
+    snapshotData.batches.forEach(batch => addBatch(batch, 'in_snapshot'));
+    snapshotData.participants.forEach(p => batches.get(p.batch_id).snapshot_participants++);
+    currentData.participants.forEach(p => batches.get(p.batch_id).current_participants++);
+
+    const totals = { added: 0, deleted: 0, changed: 0 };
+    differences.forEach(({ batch_id, p_no, name, current, snapshot, fields }) => {
+        const kind = !snapshot ? 'added' : !current ? 'deleted' : 'changed';
+        const list = batches.get(batch_id)[kind];
+        list.count++;
+        totals[kind]++;
+        if (list.participants.length < COMPARE_LIST_LIMIT) {
+            list.participants.push(kind === 'changed' ? { p_no, name, fields } : { p_no, name });
+        }
+    });
+
+    return {
+        snapshot: findSnapshot(id),
+        totals,
+        batches: [...batches.values()]
+    };
+}
+
+// Restore a snapshot: the whole dataset, or with `upload` (an 'upload' audit
+// entry and its batch) only the participants that upload added, updated or
+// removed. A snapshot of the current data is taken first, so a restore can be
+// undone. Returns { conflicts } if a partial restore cannot be made, otherwise
+// { message, pre_restore, batch_ids }.
+async function restoreSnapshot(id, { actor, upload = null }) {
+    const snapshotData = await readSnapshot(id);
+    // Pruned only once the restore is done, so the snapshot being restored is
+    // not deleted while it is in use; it is kept until the next snapshot.
+    const preRestore = await createSnapshot({ reason: 'pre-restore', actor, prune: false });
+    try {
+        const currentData = await snapshotStore.readDataset();
+
+        if (upload) {
+            const { entry, batch } = upload;
+            const pNos = [...new Set(entry.changes.map(change => change.p_no))];
+            const differences = diffParticipants(snapshotData, currentData,
+                (batchId, pNo) => batchId === batch.id && pNos.includes(pNo));
+            const message = `Restored ${differences.length} of the ${pNos.length} participants in ${entry.file_name || 'the upload'} to snapshot ${id}`;
+
+            const { conflicts } = await snapshotStore.restoreParticipants(snapshotData, batch.id, pNos, {
+                actor,
+                batch,
+                summary: message,
+                changes: toAuditChanges(differences)
+            });
+            if (conflicts.length > 0) {
+                deleteSnapshot(preRestore.id);
+                return { conflicts };
+            }
+            // Rows of a snapshot taken before normalization come back as they were
+            await participantStore.normalizeStoredParticipants();
+            return { message, pre_restore: preRestore, batch_ids: [batch.id] };
+        }
+
+        const differences = diffParticipants(snapshotData, currentData);
+        const added = differences.filter(d => !d.snapshot).length;
+        const deleted = differences.filter(d => !d.current).length;
+        const message = `Restored snapshot ${id}: brought back ${deleted}, removed ${added} and reverted ` +
+            `${differences.length - added - deleted} participants`;
+
+        await snapshotStore.restoreDataset(snapshotData, { actor, summary: message, changes: toAuditChanges(differences) });
+        await participantStore.normalizeStoredParticipants();
+        const batchIds = [...new Set([...snapshotData.batches, ...currentData.batches].map(batch => batch.id))];
+        return { message, pre_restore: preRestore, batch_ids: batchIds };
+    } finally {
+        pruneSnapshots([id]);
+    }
+}
+
+// Write a ZIP file of a snapshot's folder
+async function writeSnapshotZip(stream, id) {
+    const archive = archiver('zip');
+    archive.pipe(stream);
+    archive.directory(snapshotDir(id), `snapshot-${id}`);
+    await archive.finalize();
+}
+
+// Take a scheduled snapshot if the newest one is older than INTERVAL_HOURS, and
+// delete roster files past their retention
+async function runMaintenance() {
+    try {
+        if (INTERVAL_HOURS > 0) {
+            const [latest] = listSnapshots();
+            if (!latest || Date.parse(latest.created_at) <= Date.now() - INTERVAL_HOURS * 60 * 60 * 1000) {
+                const snapshot = await createSnapshot({ reason: 'scheduled', actor: null });
+                console.log(`Took scheduled snapshot ${snapshot.id}`);
+            }
+        }
+
+        const purged = await purgeOldUploads();
+        if (purged > 0) {
+            console.log(`Deleted ${purged} uploaded file${purged === 1 ? '' : 's'} older than ${UPLOAD_RETENTION_DAYS} days`);
+        }
+    } catch (err) {
+        console.error('Error running snapshot maintenance:', err);
+    }
+}
+
+// Start the hourly check for scheduled snapshots and old uploads
+function initSnapshots() {
+    runMaintenance();
+    setInterval(runMaintenance, MAINTENANCE_INTERVAL_MS).unref();
+}
+
+module.exports = {
+    settings,
+    initSnapshots,
+    listSnapshots,
+    findSnapshot,
+    createSnapshot,
+    deleteSnapshot,
+    compareSnapshot,
+    restoreSnapshot,
+    writeSnapshotZip
+};
@@ -0,0 +1,44 @@
+// Guards against hostile spreadsheets: files that only pretend to be workbooks,
+// and cell values that a spreadsheet program would run as formulas
+
+const fs = require('fs');
+
+// .xlsx files are ZIP archives and .xls files are OLE2 compound documents. The
+// xlsx library also reads CSV, HTML and XML, so a file renamed to .xls is
+// checked by its first bytes rather than its name.
+const WORKBOOK_SIGNATURES = [
+    Buffer.from([0x50, 0x4b, 0x03, 0x04]),
+    Buffer.from([0xd0, 0xcf, 0x11, 0xe0, 0xa1, 0xb1, 0x1a, 0xe1])
+];
+
+function isExcelFile(filePath) {
+    const header = Buffer.alloc(8);
+    const fd = fs.openSync(filePath, 'r');
+    let bytesRead;
+    try {
+        bytesRead = fs.readSync(fd, header, 0, header.length, 0);
+    } finally {
+        fs.closeSync(fd);
+    }
+    return WORKBOOK_SIGNATURES.some(signature =>
+        bytesRead >= signature.length && header.subarray(0, signature.length).equals(signature));
+}
+
+// Text starting with one of these is read as a formula by Excel and LibreOffice
+const FORMULA_START = /^[=+\-@\t\r]/;
+// Plain numbers such as +919876543210 or -5 are harmless and left as they are
+const PLAIN_NUMBER = /^[+-]?\d+(\.\d+)?$/;
+
+// Prefix text a spreadsheet would run as a formula with an apostrophe, so it is
+// shown as typed. Other values are returned unchanged.
+function neutralizeFormula(value) {
+    if (typeof value !== 'string' || !FORMULA_START.test(value) || PLAIN_NUMBER.test(value)) {
+        return value;
+    }
+    return `'${value}`;
+}
+
+module.exports = {
+    isExcelFile,
+    neutralizeFormula
+};
@@ -0,0 +1,38 @@
+// Background worker for a queue kept in the database, taking one item at a time
+
+// Returns a function that starts working through the queue unless that is
+// already under way. Items queued while it runs are picked up before it stops.
+//   next     - resolves to the next queued item, or nothing once the queue is empty
+//   work     - handles one item
+//   errorLog - logged with any error that stops the run
+function createWorkQueue({ next, work, errorLog }) {
+    let draining = false;
+    let queueChanged = false;
+
+    async function drainQueue() {
+        try {
+            while (queueChanged) {
+                queueChanged = false;
+                let item;
+                while ((item = await next())) {
+                    await work(item);
+                }
+            }
+        } catch (err) {
+            console.error(errorLog, err);
+        }
+        draining = false;
+    }
+
+    return function processQueue() {
+        queueChanged = true;
+        if (!draining) {
+            draining = true;
+            drainQueue();
+        }
+    };
+}
+
+module.exports = {
+    createWorkQueue
+};
@@ -1,35 +1,312 @@
 // Excel Upload and Search Management System - Frontend Logic
 
+// Rows per page offered in the results; the first is the default
+const PAGE_SIZES = [10, 25, 50, 100];
+
+// Most offline attendance marks sent to the server in one sync request
+const SYNC_BATCH_SIZE = 500;
+
+// How often import jobs are checked while one is running, in milliseconds
+const JOB_POLL_MS = 1000;
+// Import job statuses that change without anyone acting on them
+const RUNNING_JOB_STATUSES = ['queued', 'validating', 'importing'];
+
+// The fields a merge of duplicate records chooses between, with their labels
+const DUPLICATE_FIELDS = [['p_no', 'P.No'], ['mobile_no', 'Mobile No'], ['name', 'Name'], ['trade', 'Trade'], ['gender', 'Gender']];
+
+// Rosters saved for offline use and the attendance marked while offline, kept in IndexedDB:
+//   rosters - { batch_id, batch, sessions, participants, saved_at } for each saved batch
+//   changes - queued marks { id, batch_id, participant_id, p_no, name, session_id, label, status,
+//             base_status, recorded_at, state, current_status, error, synced_at }, where
+//             state is pending, synced, conflict or failed
+//   meta    - { key, value } pairs; 'user' is the user the data belongs to
+class OfflineStore {
+    constructor(name = 'attendance-offline') {
+        this.name = name;
+        this.db = null;
+    }
+
+    open() {
+        if (!this.db) {
+            this.db = new Promise((resolve, reject) => {
+                const request = indexedDB.open(this.name, 1);
+                request.onupgradeneeded = () => {
+                    const db = request.result;
+                    db.createObjectStore('rosters', { keyPath: 'batch_id' });
+                    db.createObjectStore('changes', { keyPath: 'id', autoIncrement: true });
+                    db.createObjectStore('meta', { keyPath: 'key' });
+                };
+                request.onsuccess = () => resolve(request.result);
+                request.onerror = () => reject(request.error);
+            });
+        }
+        return this.db;
+    }
+
+    // Run one request against a store and resolve with its result once it is committed
+    async run(storeName, mode, makeRequest) {
+        const db = await this.open();
+        return new Promise((resolve, reject) => {
+            const transaction = db.transaction(storeName, mode);
+            const request = makeRequest(transaction.objectStore(storeName));
+            transaction.oncomplete = () => resolve(request.result);
+            transaction.onerror = () => reject(transaction.error);
+        });
+    }
+
+    getRosters() {
+        return this.run('rosters', 'readonly', store => store.getAll());
+    }
+
+    saveRoster(roster) {
+        return this.run('rosters', 'readwrite', store => store.put(roster));
+    }
+
+    deleteRoster(batchId) {
+        return this.run('rosters', 'readwrite', store => store.delete(batchId));
+    }
+
+    getChanges() {
+        return this.run('changes', 'readonly', store => store.getAll());
+    }
+
+    // Resolves with the change's id, which is assigned on first save
+    saveChange(change) {
+        return this.run('changes', 'readwrite', store => store.put(change));
+    }
+
+    deleteChange(id) {
+        return this.run('changes', 'readwrite', store => store.delete(id));
+    }
+
+    async getMeta(key) {
+        const entry = await this.run('meta', 'readonly', store => store.get(key));
+        return entry ? entry.value : null;
+    }
+
+    setMeta(key, value) {
+        return this.run('meta', 'readwrite', store => store.put({ key, value }));
+    }
+
+    async clear() {
+        const db = await this.open();
+        const storeNames = ['rosters', 'changes', 'meta'];
+        return new Promise((resolve, reject) => {
+            const transaction = db.transaction(storeNames, 'readwrite');
+            storeNames.forEach(storeName => transaction.objectStore(storeName).clear());
+            transaction.oncomplete = () => resolve();
+            transaction.onerror = () => reject(transaction.error);
+        });
+    }
+}
+
 class ExcelManagementSystem {
     constructor() {
         this.participants = [];
         this.filteredParticipants = [];
+        this.sessions = [];
+        this.batches = [];
+        this.user = null;
+        this.preview = null;
+        this.inspection = null;
+        this.mappingProfiles = [];
+        // The import job this browser started and is waiting on
+        this.trackedJobId = null;
+        this.importJobPoll = null;
+        this.certificateTemplates = [];
+        // The recipients last previewed, so a message is only sent to the set that was checked
+        this.notificationPreview = null;
         this.currentPage = 1;
-        this.itemsPerPage = 10;
+        this.itemsPerPage = PAGE_SIZES[0];
         this.totalPages = 1;
         this.totalCount = 0;
+        // Server-side sort: a column key or 'session:<label>', and 'asc' or 'desc'
+        this.sortField = '';
+        this.sortOrder = 'asc';
+        this.savedSearches = [];
+        this.auditPage = 1;
+        this.auditTotalPages = 1;
+        // Ids of the result rows ticked for a bulk action
+        this.selectedIds = new Set();
+        // The result row being edited: { participant, sessionLabels }, with a null participant while adding one
+        this.editing = null;
+        // The open camera stream while scanning QR codes, and the last code it read
+        this.cameraStream = null;
+        this.lastScan = null;
+        // Live updates from the server, batched into one refresh per burst of changes
+        this.eventSource = null;
+        this.liveRefresh = null;
+        this.liveRefreshTimer = null;
+        this.liveRefreshPending = false;
+        // Offline use: the rosters saved on this device, the attendance marks queued
+        // for the server, and whether the server is out of reach
+        this.offlineStore = new OfflineStore();
+        this.offlineRosters = [];
+        this.offlineChanges = [];
+        this.offline = false;
+        this.syncing = false;
         this.init();
     }
 
     async init() {
         // DOM Elements
+        this.appMain = document.getElementById('app-main');
+        this.loginSection = document.getElementById('login-section');
+        this.loginForm = document.getElementById('login-form');
+        this.loginUsername = document.getElementById('login-username');
+        this.loginPassword = document.getElementById('login-password');
+        this.loginStatus = document.getElementById('login-status');
+        this.userBar = document.getElementById('user-bar');
+        this.userInfo = document.getElementById('user-info');
+        this.logoutBtn = document.getElementById('logout-btn');
+        this.uploadSection = document.getElementById('upload-section');
+        this.auditSection = document.getElementById('audit-section');
+        this.certificateSection = document.getElementById('certificate-section');
+        this.notifySection = document.getElementById('notify-section');
+        this.notifyChannel = document.getElementById('notify-channel');
+        this.notifyTemplate = document.getElementById('notify-template');
+        this.notifyPreviewBtn = document.getElementById('notify-preview-btn');
+        this.notifySendBtn = document.getElementById('notify-send-btn');
+        this.notifyStatus = document.getElementById('notify-status');
+        this.notifyPreview = document.getElementById('notify-preview');
+        this.notifyRefreshBtn = document.getElementById('notify-refresh-btn');
+        this.notifyHistoryTbody = document.getElementById('notify-history-tbody');
+        this.notifyDetails = document.getElementById('notify-details');
+        this.backupSection = document.getElementById('backup-section');
+        this.backupSettings = document.getElementById('backup-settings');
+        this.backupScope = document.getElementById('backup-scope');
+        this.backupCreateBtn = document.getElementById('backup-create-btn');
+        this.backupRefreshBtn = document.getElementById('backup-refresh-btn');
+        this.backupStatus = document.getElementById('backup-status');
+        this.backupTbody = document.getElementById('backup-tbody');
+        this.backupCompare = document.getElementById('backup-compare');
+        this.duplicatesSection = document.getElementById('duplicates-section');
+        this.duplicatesBatch = document.getElementById('duplicates-batch');
+        this.duplicatesMinScore = document.getElementById('duplicates-min-score');
+        this.duplicatesFindBtn = document.getElementById('duplicates-find-btn');
+        this.duplicatesStatus = document.getElementById('duplicates-status');
+        this.duplicatesTbody = document.getElementById('duplicates-tbody');
+        this.duplicatesReview = document.getElementById('duplicates-review');
+        this.certificateProgram = document.getElementById('certificate-program');
+        this.certificateRule = document.getElementById('certificate-rule');
+        this.certificateMinGroup = document.getElementById('certificate-min-group');
+        this.certificateMinPercentage = document.getElementById('certificate-min-percentage');
+        this.certificateSignatory = document.getElementById('certificate-signatory');
+        this.certificateTitle = document.getElementById('certificate-title');
+        this.certificateBody = document.getElementById('certificate-body');
+        this.certificatePlaceholders = document.getElementById('certificate-placeholders');
+        this.certificateUpdated = document.getElementById('certificate-updated');
+        this.certificateSaveBtn = document.getElementById('certificate-save-btn');
+        this.certificateStatus = document.getElementById('certificate-status');
+        this.checkInSection = document.getElementById('checkin-section');
+        this.checkInBatch = document.getElementById('checkin-batch');
+        this.checkInSession = document.getElementById('checkin-session');
+        this.checkInNewSession = document.getElementById('checkin-new-session');
+        this.checkInAddSessionBtn = document.getElementById('checkin-add-session-btn');
+        this.checkInForm = document.getElementById('checkin-form');
+        this.checkInCode = document.getElementById('checkin-code');
+        this.checkInCameraBtn = document.getElementById('checkin-camera-btn');
+        this.checkInVideo = document.getElementById('checkin-video');
+        this.checkInStatus = document.getElementById('checkin-status');
+        this.checkInCount = document.getElementById('checkin-count');
+        this.checkInTbody = document.getElementById('checkin-tbody');
+        this.connectionStatus = document.getElementById('connection-status');
+        this.saveOfflineBtn = document.getElementById('save-offline-btn');
+        this.syncBtn = document.getElementById('sync-btn');
+        this.clearSyncedBtn = document.getElementById('clear-synced-btn');
+        this.offlineStatus = document.getElementById('offline-status');
+        this.offlineRosterList = document.getElementById('offline-rosters');
+        this.offlineChangesTbody = document.getElementById('offline-changes-tbody');
+        this.auditFrom = document.getElementById('audit-from');
+        this.auditTo = document.getElementById('audit-to');
+        this.auditUser = document.getElementById('audit-user');
+        this.auditPNo = document.getElementById('audit-p-no');
+        this.auditAction = document.getElementById('audit-action');
+        this.auditSearchBtn = document.getElementById('audit-search-btn');
+        this.auditClearBtn = document.getElementById('audit-clear-btn');
+        this.auditTbody = document.getElementById('audit-tbody');
+        this.auditPageInfo = document.getElementById('audit-page-info');
+        this.auditPrevBtn = document.getElementById('audit-prev-page');
+        this.auditNextBtn = document.getElementById('audit-next-page');
+        this.auditDetails = document.getElementById('audit-details');
         this.excelFileInput = document.getElementById('excel-file');
         this.uploadBtn = document.getElementById('upload-btn');
         this.uploadStatus = document.getElementById('upload-status');
+        this.uploadBatchSelect = document.getElementById('upload-batch');
+        this.importModeSelect = document.getElementById('import-mode');
+        this.uploadChanges = document.getElementById('upload-changes');
+        this.uploadChangesList = document.getElementById('upload-changes-list');
+        this.mappingPanel = document.getElementById('mapping-panel');
+        this.sheetSelect = document.getElementById('sheet-select');
+        this.mappingProfileSelect = document.getElementById('mapping-profile-select');
+        this.sheetInfo = document.getElementById('sheet-info');
+        this.mappingFields = document.getElementById('mapping-fields');
+        this.profileNameInput = document.getElementById('profile-name');
+        this.saveProfileBtn = document.getElementById('save-profile-btn');
+        this.uploadPreview = document.getElementById('upload-preview');
+        this.previewFileName = document.getElementById('preview-file-name');
+        this.previewSummary = document.getElementById('preview-summary');
+        this.previewProblemsOnly = document.getElementById('preview-problems-only');
+        this.previewHeader = document.getElementById('preview-header');
+        this.previewTbody = document.getElementById('preview-tbody');
+        this.commitUploadBtn = document.getElementById('commit-upload-btn');
+        this.downloadRejectedBtn = document.getElementById('download-rejected-btn');
+        this.cancelPreviewBtn = document.getElementById('cancel-preview-btn');
+        this.uploadProgress = document.getElementById('upload-progress');
+        this.uploadProgressBar = document.getElementById('upload-progress-bar');
+        this.uploadProgressText = document.getElementById('upload-progress-text');
+        this.cancelJobBtn = document.getElementById('cancel-job-btn');
+        this.importJobsTbody = document.getElementById('import-jobs-tbody');
+        this.toggleBatchFormBtn = document.getElementById('toggle-batch-form-btn');
+        this.batchForm = document.getElementById('batch-form');
+        this.createBatchBtn = document.getElementById('create-batch-btn');
+        this.batchNameInput = document.getElementById('batch-name');
+        this.batchProgramTypeInput = document.getElementById('batch-program-type');
+        this.batchStartDateInput = document.getElementById('batch-start-date');
+        this.batchEndDateInput = document.getElementById('batch-end-date');
+        this.batchVenueInput = document.getElementById('batch-venue');
         this.searchBtn = document.getElementById('search-btn');
         this.clearFiltersBtn = document.getElementById('clear-filters-btn');
+        this.resultsHeader = document.getElementById('results-header');
         this.resultsTbody = document.getElementById('results-tbody');
         this.resultsCount = document.getElementById('results-count');
         this.pageInfo = document.getElementById('page-info');
         this.prevPageBtn = document.getElementById('prev-page');
         this.nextPageBtn = document.getElementById('next-page');
+        this.pageSizeSelect = document.getElementById('page-size');
+        this.exportBtns = document.querySelectorAll('.export-btn');
+        this.addParticipantBtn = document.getElementById('add-participant-btn');
+        this.certificatesBtn = document.getElementById('certificates-btn');
+        this.resultsStatus = document.getElementById('results-status');
+        this.bulkActions = document.getElementById('bulk-actions');
+        this.bulkSelectedCount = document.getElementById('bulk-selected-count');
+        this.bulkSession = document.getElementById('bulk-session');
+        this.bulkStatus = document.getElementById('bulk-status');
+        this.bulkMarkBtn = document.getElementById('bulk-mark-btn');
+        this.bulkDeleteBtn = document.getElementById('bulk-delete-btn');
+        this.statsCards = document.getElementById('stats-cards');
+        this.sessionChart = document.getElementById('session-chart');
+        this.tradeChart = document.getElementById('trade-chart');
+        this.crosstabHeader = document.getElementById('crosstab-header');
+        this.crosstabTbody = document.getElementById('crosstab-tbody');
         
         // Filter inputs
+        this.batchFilter = document.getElementById('batch-filter');
         this.pNoFilter = document.getElementById('p-no-filter');
         this.mobileFilter = document.getElementById('mobile-filter');
         this.nameFilter = document.getElementById('name-filter');
         this.tradeFilter = document.getElementById('trade-filter');
         this.genderFilter = document.getElementById('gender-filter');
+        this.fuzzyNameFilter = document.getElementById('fuzzy-name-filter');
+        this.attendanceFilter = document.getElementById('attendance-filter');
+        this.sessionFilter = document.getElementById('session-filter');
+        this.sessionStatusFilter = document.getElementById('session-status-filter');
+        this.createdFromFilter = document.getElementById('created-from-filter');
+        this.createdToFilter = document.getElementById('created-to-filter');
+        this.savedSearchSelect = document.getElementById('saved-search-select');
+        this.savedSearchName = document.getElementById('saved-search-name');
+        this.saveSearchBtn = document.getElementById('save-search-btn');
+        this.deleteSearchBtn = document.getElementById('delete-search-btn');
         
         // Modal elements
         this.modal = document.getElementById('details-modal');
@@ -37,12 +314,87 @@ class ExcelManagementSystem {
         this.participantDetails = document.getElementById('participant-details');
         
         // Event listeners
+        this.loginForm.addEventListener('submit', (event) => {
+            event.preventDefault();
+            this.login();
+        });
+        this.logoutBtn.addEventListener('click', () => this.logout());
+        this.auditSearchBtn.addEventListener('click', () => {
+            this.auditPage = 1;
+            this.loadAuditLog();
+        });
+        this.auditClearBtn.addEventListener('click', () => this.clearAuditFilters());
+        this.checkInBatch.addEventListener('change', () => this.selectCheckInBatch(this.checkInBatch.value));
+        this.checkInSession.addEventListener('change', () => this.loadCheckIns());
+        this.checkInAddSessionBtn.addEventListener('click', () => this.addCheckInSession());
+        this.checkInForm.addEventListener('submit', (event) => {
+            event.preventDefault();
+            this.submitCheckIn(this.checkInCode.value);
+        });
+        this.checkInCameraBtn.addEventListener('click', () => this.toggleCameraScan());
+        this.saveOfflineBtn.addEventListener('click', () => this.saveOfflineRoster());
+        this.syncBtn.addEventListener('click', () => this.syncOfflineChanges());
+        this.clearSyncedBtn.addEventListener('click', () => this.clearSyncedChanges());
+        window.addEventListener('online', () => this.setOffline(false));
+        window.addEventListener('offline', () => this.setOffline(true));
+        this.auditPrevBtn.addEventListener('click', () => this.goToAuditPage(this.auditPage - 1));
+        this.auditNextBtn.addEventListener('click', () => this.goToAuditPage(this.auditPage + 1));
         this.uploadBtn.addEventListener('click', () => this.handleUpload());
+        this.excelFileInput.addEventListener('change', () => this.inspectFile());
+        this.sheetSelect.addEventListener('change', () => this.selectSheet(this.sheetSelect.value));
+        this.mappingProfileSelect.addEventListener('change', () => this.applyMappingProfile(this.mappingProfileSelect.value));
+        this.saveProfileBtn.addEventListener('click', () => this.saveMappingProfile());
+        this.commitUploadBtn.addEventListener('click', () => this.commitUpload());
+        this.downloadRejectedBtn.addEventListener('click', () => this.downloadRejectedRows());
+        this.cancelPreviewBtn.addEventListener('click', () => this.cancelPreview());
+        this.cancelJobBtn.addEventListener('click', () => this.cancelImportJob(this.trackedJobId));
+        this.previewProblemsOnly.addEventListener('change', () => this.renderPreview());
+        this.toggleBatchFormBtn.addEventListener('click', () => {
+            this.batchForm.hidden = !this.batchForm.hidden;
+        });
+        this.createBatchBtn.addEventListener('click', () => this.createBatch());
         this.searchBtn.addEventListener('click', () => this.performSearch());
         this.clearFiltersBtn.addEventListener('click', () => this.clearFilters());
+        this.savedSearchSelect.addEventListener('change', () => this.applySavedSearch(this.savedSearchSelect.value));
+        this.saveSearchBtn.addEventListener('click', () => this.saveSearch());
+        this.deleteSearchBtn.addEventListener('click', () => this.deleteSavedSearch());
         this.prevPageBtn.addEventListener('click', () => this.goToPage(this.currentPage - 1));
         this.nextPageBtn.addEventListener('click', () => this.goToPage(this.currentPage + 1));
+        this.pageSizeSelect.addEventListener('change', () => this.changePageSize(parseInt(this.pageSizeSelect.value)));
+        // Back and forward step through earlier searches
+        window.addEventListener('popstate', () => this.restoreSearchFromUrl());
+        this.exportBtns.forEach(button => {
+            button.addEventListener('click', () => this.exportResults(button.dataset.format));
+        });
+        this.addParticipantBtn.addEventListener('click', () => this.startAddParticipant());
+        this.certificatesBtn.addEventListener('click', () => this.downloadCertificates());
+        this.certificateProgram.addEventListener('change', () => this.showCertificateTemplate());
+        this.certificateRule.addEventListener('change', () => {
+            this.certificateMinGroup.hidden = this.certificateRule.value !== 'min_percentage';
+        });
+        this.certificateSaveBtn.addEventListener('click', () => this.saveCertificateTemplate());
+        this.notifyPreviewBtn.addEventListener('click', () => this.previewNotification());
+        this.notifySendBtn.addEventListener('click', () => this.sendNotification());
+        this.notifyRefreshBtn.addEventListener('click', () => this.loadNotifications());
+        this.backupCreateBtn.addEventListener('click', () => this.createSnapshot());
+        this.backupRefreshBtn.addEventListener('click', () => this.loadSnapshots());
+        this.duplicatesFindBtn.addEventListener('click', () => this.findDuplicates());
+        // A changed message has to be previewed again before it can be sent
+        [this.notifyChannel, this.notifyTemplate].forEach(input => {
+            input.addEventListener('input', () => {
+                this.notifySendBtn.disabled = true;
+            });
+        });
+        this.bulkMarkBtn.addEventListener('click', () => this.bulkMarkAttendance());
+        this.bulkDeleteBtn.addEventListener('click', () => this.bulkDeleteParticipants());
         this.closeModal.addEventListener('click', () => this.closeDetailsModal());
+        // One listener serves the View button of every result row
+        this.resultsTbody.addEventListener('click', (event) => {
+            const button = event.target.closest('button[data-p-no]');
+            if (button) {
+                this.showParticipantDetails(button.dataset.pNo, Number(button.dataset.batchId));
+            }
+        });
         
         // Close modal when clicking outside
         window.addEventListener('click', (event) => {
@@ -57,277 +409,3867 @@ class ExcelManagementSystem {
                 // Debounce the search to avoid too many updates
                 clearTimeout(this.searchTimeout);
                 this.searchTimeout = setTimeout(() => {
+                    this.currentPage = 1;
                     this.performSearch();
                 }, 500);
             });
         });
         
         // Also enable cross-linked filtering when dropdowns change
-        [this.tradeFilter, this.genderFilter].forEach(select => {
+        [
+            this.batchFilter, this.tradeFilter, this.genderFilter, this.fuzzyNameFilter,
+            this.attendanceFilter, this.sessionFilter, this.sessionStatusFilter,
+            this.createdFromFilter, this.createdToFilter
+        ].forEach(select => {
             select.addEventListener('change', () => {
+                this.currentPage = 1;
                 this.performSearch();
             });
         });
         
-        // Load initial data from backend
-        await this.loadInitialData();
-        await this.loadTrades();
-        await this.loadGenders();
+        // Cache the app's own files so it can be opened without a connection
+        if ('serviceWorker' in navigator) {
+            navigator.serviceWorker.register('service-worker.js').catch(error => {
+                console.error('Service worker error:', error);
+            });
+        }
+
+        // Show the app if there is already a session, otherwise the login screen
+        await this.checkSession();
     }
 
-    async loadInitialData() {
-        // Load initial data from backend
-        await this.performSearch();
+    // fetch() that sends the user back to the login screen when their session has ended
+    async apiFetch(url, options) {
+        const response = await fetch(url, options);
+        if (response.status === 401 && this.user) {
+            this.showLogin('Your session has expired. Please sign in again.');
+        }
+        return response;
     }
 
-    async loadTrades() {
+    async checkSession() {
         try {
-            const response = await fetch('/api/trades');
+            const response = await fetch('/api/auth/me');
             if (response.ok) {
-                const trades = await response.json();
-                
-                // Clear existing options except the first one
-                this.tradeFilter.innerHTML = '<option value="">All Trades</option>';
-                
-                // Add new options
-                trades.forEach(trade => {
-                    const option = document.createElement('option');
-                    option.value = trade;
-                    option.textContent = trade;
-                    this.tradeFilter.appendChild(option);
-                });
+                await this.startApp(await response.json());
+            } else {
+                this.showLogin();
             }
         } catch (error) {
-            console.error('Error loading trades:', error);
+            console.error('Session check error:', error);
+            // Without a connection, carry on with the rosters saved on this device
+            const user = await this.loadOfflineState();
+            if (user && this.offlineRosters.length > 0) {
+                this.offline = true;
+                await this.startApp(user);
+            } else {
+                this.showLogin('Could not reach the server. Please try again.');
+            }
         }
     }
 
-    async loadGenders() {
+    // fetch() rejects with a TypeError when the server cannot be reached
+    isNetworkError(error) {
+        return error instanceof TypeError;
+    }
+
+    async login() {
+        this.loginStatus.textContent = '';
         try {
-            const response = await fetch('/api/genders');
+            const response = await fetch('/api/auth/login', {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({
+                    username: this.loginUsername.value.trim(),
+                    password: this.loginPassword.value
+                })
+            });
+            const result = await response.json();
+
             if (response.ok) {
-                const genders = await response.json();
-                
-                // Clear existing options except the first one
-                this.genderFilter.innerHTML = '<option value="">All Genders</option>';
-                
-                // Add new options
-                genders.forEach(gender => {
-                    const option = document.createElement('option');
-                    option.value = gender;
-                    option.textContent = gender;
-                    this.genderFilter.appendChild(option);
-                });
+                this.loginPassword.value = '';
+                await this.startApp(result.user);
+            } else {
+                this.loginStatus.textContent = result.error || 'Sign in failed';
+                this.loginStatus.className = 'status-error';
             }
         } catch (error) {
-            console.error('Error loading genders:', error);
+            console.error('Login error:', error);
+            this.loginStatus.textContent = 'Network error occurred while signing in. Please try again.';
+            this.loginStatus.className = 'status-error';
         }
     }
 
-    handleUpload() {
-        const file = this.excelFileInput.files[0];
-        if (!file) {
-            this.showUploadStatus('Please select an Excel file to upload.', 'error');
+    async logout() {
+        const unsynced = this.offlineChanges.filter(change => change.state !== 'synced').length;
+        if (unsynced > 0 && !confirm(`${unsynced} attendance marks made on this device have not been synced and will be lost. Sign out anyway?`)) {
             return;
         }
 
-        this.uploadExcelFile(file);
+        try {
+            await fetch('/api/auth/logout', { method: 'POST' });
+        } catch (error) {
+            console.error('Logout error:', error);
+        }
+        // Saved rosters hold mobile numbers, so they do not outlive the sign-in
+        await this.clearOfflineData();
+        this.showLogin();
     }
 
-    async uploadExcelFile(file) {
-        this.showUploadStatus('Uploading file...', 'info');
+    showLogin(message = '') {
+        this.user = null;
+        this.appMain.hidden = true;
+        this.userBar.hidden = true;
+        this.loginSection.hidden = false;
+        this.loginStatus.textContent = message;
+        this.loginStatus.className = message ? 'status-info' : '';
+        this.closeDetailsModal();
+        this.stopCameraScan();
+        this.disconnectLiveUpdates();
+        clearTimeout(this.notificationPoll);
+        clearTimeout(this.importJobPoll);
+        this.trackedJobId = null;
+        this.uploadProgress.hidden = true;
+    }
 
-        const formData = new FormData();
-        formData.append('excelFile', file);
+    // Show the parts of the app the user's role allows and load its data
+    async startApp(user) {
+        this.user = user;
+        this.loginSection.hidden = true;
+        this.appMain.hidden = false;
+        this.userBar.hidden = false;
+        this.userInfo.textContent = `${user.username} (${user.role})`;
+        await this.prepareOfflineStore(user);
+        this.uploadSection.hidden = user.role !== 'admin';
+        this.auditSection.hidden = user.role !== 'admin';
+        this.certificateSection.hidden = user.role !== 'admin';
+        this.notifySection.hidden = user.role !== 'admin';
+        this.backupSection.hidden = user.role !== 'admin';
+        this.duplicatesSection.hidden = user.role !== 'admin';
+        this.certificatesBtn.hidden = !this.canIssueCertificates();
+        this.addParticipantBtn.hidden = user.role !== 'admin';
+        this.checkInSection.hidden = !['admin', 'trainer'].includes(user.role);
+        this.bulkDeleteBtn.hidden = user.role !== 'admin';
+        // Viewers only see masked mobile numbers, so they cannot search by them either
+        this.mobileFilter.value = '';
+        this.mobileFilter.closest('.filter-group').hidden = user.role === 'viewer';
+
+        await this.loadBatches();
+        if (user.role === 'admin') {
+            await this.loadMappingProfiles();
+            await this.loadImportJobs();
+            await this.loadAuditUsers();
+            await this.loadAuditLog();
+            await this.loadCertificateTemplates();
+            await this.loadNotifications();
+            await this.loadSnapshots();
+        }
+        await this.loadTrades();
+        await this.loadGenders();
+        await this.loadSavedSearches();
+        // The filter options have to be loaded before the search in the URL can be shown
+        await this.loadInitialData();
+        this.connectLiveUpdates();
+        // Marks made offline in an earlier visit are sent as soon as the server is reachable
+        if (!this.offline) {
+            await this.syncOfflineChanges();
+        }
+    }
+
+    // Listen for participant changes made by other users
+    connectLiveUpdates() {
+        this.disconnectLiveUpdates();
+        if (!window.EventSource) {
+            return;
+        }
+        this.eventSource = new EventSource('/api/events');
+        this.eventSource.addEventListener('participants', (event) => {
+            this.handleParticipantChange(JSON.parse(event.data));
+        });
+    }
+
+    disconnectLiveUpdates() {
+        if (this.eventSource) {
+            this.eventSource.close();
+            this.eventSource = null;
+        }
+        clearTimeout(this.liveRefreshTimer);
+        this.liveRefresh = null;
+    }
+
+    // Whether a filter value matches a field the way the server's search does
+    matchesFilter(value, filter, { exact = false } = {}) {
+        if (!filter) {
+            return true;
+        }
+        return exact ? value === filter : String(value || '').toLowerCase().includes(filter.toLowerCase());
+    }
+
+    // Whether an announced change could alter the results on screen: a changed
+    // row is on the current page or matches the current filters
+    affectsCurrentResults(change) {
+        const batchId = Number(this.batchFilter.value);
+        if (batchId && !change.batch_ids.includes(batchId)) {
+            return false;
+        }
+        // Uploads do not list their rows
+        if (!change.participants) {
+            return true;
+        }
+
+        return change.participants.some(row =>
+            this.filteredParticipants.some(participant =>
+                participant.batch_id === row.batch_id && participant.p_no === row.p_no) ||
+            (this.matchesFilter(row.p_no, this.pNoFilter.value.trim()) &&
+                this.matchesFilter(row.mobile_no, this.mobileFilter.value.trim()) &&
+                this.matchesFilter(row.name, this.nameFilter.value.trim()) &&
+                this.matchesFilter(row.trade, this.tradeFilter.value, { exact: true }) &&
+                this.matchesFilter(row.gender, this.genderFilter.value, { exact: true })));
+    }
+
+    handleParticipantChange(change) {
+        const refresh = this.liveRefresh || { results: false, checkIns: false };
+        refresh.results = refresh.results || this.affectsCurrentResults(change);
+        refresh.checkIns = refresh.checkIns || change.batch_ids.includes(Number(this.checkInBatch.value));
+        this.liveRefresh = refresh;
+
+        // Check-ins and bulk edits arrive in quick succession, so wait for a burst to end
+        clearTimeout(this.liveRefreshTimer);
+        this.liveRefreshTimer = setTimeout(() => this.applyLiveRefresh(), 500);
+    }
+
+    async applyLiveRefresh() {
+        const refresh = this.liveRefresh;
+        this.liveRefresh = null;
+        if (!refresh || !this.user) {
+            return;
+        }
+
+        // Trades, genders and batch counts can change with any insert, update or delete
+        await this.loadBatches();
+        await this.loadTrades();
+        await this.loadGenders();
+        if (refresh.checkIns) {
+            await this.loadCheckIns();
+        }
+        if (refresh.results) {
+            // Refreshing would throw away a row being edited, so wait until it is saved or cancelled
+            if (this.editing) {
+                this.liveRefreshPending = true;
+            } else {
+                await this.performSearch({ historyMode: 'replace' });
+            }
+        }
+    }
+
+    // Admins can mark attendance in any batch, trainers in the batches assigned to them
+    canMarkAttendance(batchId) {
+        return Boolean(this.user) && (this.user.role === 'admin' ||
+            (this.user.role === 'trainer' && this.user.batch_ids.includes(batchId)));
+    }
+
+    async markAttendance(participant, sessionId, status) {
+        if (this.offline && await this.markAttendanceOffline(participant, sessionId, status)) {
+            return;
+        }
 
         try {
-            const response = await fetch('/api/upload', {
-                method: 'POST',
-                body: formData
+            const response = await this.apiFetch(`/api/batches/${participant.batch_id}/attendance`, {
+                method: 'PUT',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({ participant_id: participant.id, session_id: sessionId, status })
             });
-
             const result = await response.json();
 
             if (response.ok) {
-                this.showUploadStatus(`${result.message}. ${result.insertedRecords} records inserted, ${result.duplicatesSkipped} duplicates skipped.`, 'success');
-                // Refresh the data after successful upload
+                await this.showParticipantDetails(participant.p_no, participant.batch_id);
                 await this.performSearch();
-            } else {
-                let errorMessage = result.error || 'Upload failed';
-                if (result.validationErrors) {
-                    errorMessage += ': ' + result.validationErrors.join('; ');
+                if (this.user.role === 'admin') {
+                    await this.loadAuditLog();
                 }
-                this.showUploadStatus(errorMessage, 'error');
+            } else {
+                this.showUploadStatus(result.error || 'Could not update attendance', 'error');
             }
         } catch (error) {
-            console.error('Upload error:', error);
-            this.showUploadStatus('Network error occurred during upload. Please try again.', 'error');
+            console.error('Attendance error:', error);
+            if (this.isNetworkError(error) && await this.markAttendanceOffline(participant, sessionId, status)) {
+                return;
+            }
+            this.showUploadStatus('Network error occurred while updating attendance. Please try again.', 'error');
         }
     }
 
-    showUploadStatus(message, type) {
-        this.uploadStatus.textContent = message;
-        this.uploadStatus.className = `status-${type}`;
+    // Queue an attendance mark on this device and show it. Returns false if the
+    // participant's batch is not saved for offline use.
+    async markAttendanceOffline(participant, sessionId, status) {
+        if (!await this.queueAttendance(participant.batch_id, participant.id, sessionId, status)) {
+            return false;
+        }
+        this.setOffline(true);
+        await this.showParticipantDetails(participant.p_no, participant.batch_id);
+        await this.performSearch();
+        return true;
     }
 
-    async performSearch() {
-        const pNo = this.pNoFilter.value.trim();
-        const mobile = this.mobileFilter.value.trim();
-        const name = this.nameFilter.value.trim();
-        const trade = this.tradeFilter.value;
-        const gender = this.genderFilter.value;
+    // Switch between the server and the rosters saved on this device
+    async setOffline(offline) {
+        if (offline === this.offline) {
+            return;
+        }
+        this.offline = offline;
+        this.renderOfflinePanel();
+        if (!offline && this.user) {
+            // Back online: check the session and reload everything, which also syncs the marks made offline
+            await this.checkSession();
+        }
+    }
 
-        // Build query parameters
-        const params = new URLSearchParams();
-        if (pNo) params.append('p_no', pNo);
-        if (mobile) params.append('mobile_no', mobile);
-        if (name) params.append('name', name);
-        if (trade) params.append('trade', trade);
-        if (gender) params.append('gender', gender);
-        params.append('page', this.currentPage);
-        params.append('limit', this.itemsPerPage);
+    // Read what is saved on this device. Returns the user it belongs to, or null.
+    async loadOfflineState() {
+        try {
+            this.offlineRosters = await this.offlineStore.getRosters();
+            this.offlineChanges = await this.offlineStore.getChanges();
+            return await this.offlineStore.getMeta('user');
+        } catch (error) {
+            console.error('Offline storage error:', error);
+            return null;
+        }
+    }
+
+    // Saved rosters and queued marks belong to the user who made them; another user starts afresh
+    async prepareOfflineStore(user) {
+        try {
+            const owner = await this.offlineStore.getMeta('user');
+            if (owner && owner.id !== user.id) {
+                await this.offlineStore.clear();
+            }
+            if (['admin', 'trainer'].includes(user.role)) {
+                await this.offlineStore.setMeta('user', user);
+            }
+        } catch (error) {
+            console.error('Offline storage error:', error);
+        }
+        await this.loadOfflineState();
+        this.renderOfflinePanel();
+    }
+
+    async clearOfflineData() {
+        try {
+            await this.offlineStore.clear();
+        } catch (error) {
+            console.error('Offline storage error:', error);
+        }
+        this.offlineRosters = [];
+        this.offlineChanges = [];
+    }
+
+    showOfflineStatus(message, type) {
+        this.offlineStatus.textContent = message;
+        this.offlineStatus.className = message ? `status-${type}` : '';
+    }
+
+    // Download the selected check-in batch's roster to this device
+    async saveOfflineRoster() {
+        const batchId = this.checkInBatch.value;
+        if (!batchId) {
+            this.showOfflineStatus('Please select the batch to save above.', 'error');
+            return;
+        }
 
         try {
-            const response = await fetch(`/api/participants?${params}`);
+            const response = await this.apiFetch(`/api/batches/${batchId}/roster`);
             const result = await response.json();
 
             if (response.ok) {
-                this.filteredParticipants = result.participants;
-                this.totalCount = result.pagination.total;
-                this.totalPages = result.pagination.totalPages;
-                this.currentPage = result.pagination.page;
-
-                this.renderResults();
-                this.updatePaginationControls();
+                await this.storeOfflineRoster(result);
+                this.showOfflineStatus(`Saved ${result.participants.length} participants of ${result.batch.name} on this device.`, 'success');
             } else {
-                console.error('Search error:', result.error);
-                this.showUploadStatus('Error retrieving data. Please try again.', 'error');
+                this.showOfflineStatus(result.error || 'Could not save the roster', 'error');
             }
         } catch (error) {
-            console.error('Search error:', error);
-            this.showUploadStatus('Network error occurred during search. Please try again.', 'error');
+            console.error('Save roster error:', error);
+            this.showOfflineStatus('Network error occurred while saving the roster. Please try again.', 'error');
         }
     }
 
-    clearFilters() {
-        this.pNoFilter.value = '';
-        this.mobileFilter.value = '';
-        this.nameFilter.value = '';
-        this.tradeFilter.value = '';
-        this.genderFilter.value = '';
-        
-        this.currentPage = 1;
-        this.performSearch();
+    // Keep a roster on this device, with the marks still waiting to be synced applied to it
+    async storeOfflineRoster(roster) {
+        const saved = { batch_id: roster.batch.id, ...roster };
+        this.offlineChanges
+            .filter(change => change.state === 'pending' && change.batch_id === saved.batch_id)
+            .forEach(change => this.applyMark(saved, change));
+        await this.offlineStore.saveRoster(saved);
+        this.offlineRosters = [...this.offlineRosters.filter(entry => entry.batch_id !== saved.batch_id), saved];
+        this.renderOfflinePanel();
     }
 
-    renderResults() {
-        // Clear existing rows
-        this.resultsTbody.innerHTML = '';
+    async removeOfflineRoster(batchId) {
+        try {
+            await this.offlineStore.deleteRoster(batchId);
+        } catch (error) {
+            console.error('Offline storage error:', error);
+        }
+        this.offlineRosters = this.offlineRosters.filter(roster => roster.batch_id !== batchId);
+        this.renderOfflinePanel();
+    }
 
-        // Update results count
-        this.resultsCount.textContent = `Showing ${this.filteredParticipants.length} of ${this.totalCount} participants`;
+    // Download the saved rosters again so they match the server
+    async refreshOfflineRosters() {
+        for (const roster of [...this.offlineRosters]) {
+            const response = await this.apiFetch(`/api/batches/${roster.batch_id}/roster`);
+            if (response.ok) {
+                await this.storeOfflineRoster(await response.json());
+            }
+        }
+    }
 
-        // Render participant rows
-        this.filteredParticipants.forEach(participant => {
-            const row = document.createElement('tr');
-            
-            // Format attendance with appropriate classes
-            const day1Class = participant.attendance_day1 === 'P' ? 'attendance-present' : 'attendance-absent';
-            const day2Class = participant.attendance_day2 === 'P' ? 'attendance-present' : 'attendance-absent';
-            
-            row.innerHTML = `
-                <td>${participant.p_no}</td>
-                <td>${participant.mobile_no}</td>
-                <td>${participant.name}</td>
-                <td>${participant.trade}</td>
-                <td>${participant.gender}</td>
-                <td class="${day1Class}">${participant.attendance_day1}</td>
-                <td class="${day2Class}">${participant.attendance_day2}</td>
-                <td>
-                    <button class="action-btn view-btn" onclick="system.showParticipantDetails('${participant.p_no}')">View</button>
-                </td>
-            `;
-            
-            this.resultsTbody.appendChild(row);
-        });
+    // Set a participant's status for a session in a saved roster, as the server would
+    applyMark(roster, { participant_id, session_id, status }) {
+        const participant = roster.participants.find(entry => entry.id === participant_id);
+        const session = roster.sessions.find(entry => entry.id === session_id);
+        if (!participant || !session) {
+            return;
+        }
 
-        // Show message if no results
-        if (this.filteredParticipants.length === 0) {
-            const row = document.createElement('tr');
-            row.innerHTML = `<td colspan="8" style="text-align: center;">No participants found matching your criteria.</td>`;
-            this.resultsTbody.appendChild(row);
+        const entry = participant.attendance.find(item => item.session_id === session.id);
+        if (entry) {
+            entry.status = status;
+        } else {
+            participant.attendance.push({ session_id: session.id, status, label: session.label, session_date: session.session_date });
+            const position = item => roster.sessions.findIndex(candidate => candidate.id === item.session_id);
+            participant.attendance.sort((a, b) => position(a) - position(b));
         }
+        const present = participant.attendance.filter(item => item.status === 'P').length;
+        participant.attendance_percentage = Math.round((present / participant.attendance.length) * 100);
     }
 
-    updatePaginationControls() {
-        this.pageInfo.textContent = `Page ${this.currentPage} of ${this.totalPages}`;
-        
-        this.prevPageBtn.disabled = this.currentPage === 1;
-        this.nextPageBtn.disabled = this.currentPage === this.totalPages || this.totalPages === 0;
+    // Mark attendance on this device: update the saved roster and queue the mark for the server.
+    // Returns false if the participant's batch is not saved for offline use.
+    async queueAttendance(batchId, participantId, sessionId, status) {
+        const roster = this.offlineRosters.find(saved => saved.batch_id === batchId);
+        const participant = roster && roster.participants.find(entry => entry.id === participantId);
+        const session = roster && roster.sessions.find(entry => entry.id === sessionId);
+        if (!participant || !session) {
+            return false;
+        }
+
+        // A second mark before syncing replaces the first, keeping the status the first one started from
+        const previous = this.offlineChanges.find(change => change.state === 'pending' &&
+            change.participant_id === participantId && change.session_id === sessionId);
+        const change = {
+            ...previous,
+            batch_id: batchId,
+            participant_id: participantId,
+            p_no: participant.p_no,
+            name: participant.name,
+            session_id: sessionId,
+            label: session.label,
+            status,
+            base_status: previous ? previous.base_status : this.getAttendanceStatus(participant, session.label),
+            recorded_at: new Date().toISOString(),
+            state: 'pending'
+        };
+        change.id = await this.offlineStore.saveChange(change);
+        this.offlineChanges = [...this.offlineChanges.filter(entry => entry.id !== change.id), change];
+
+        this.applyMark(roster, change);
+        await this.offlineStore.saveRoster(roster);
+        this.renderOfflinePanel();
+        return true;
     }
 
-    async goToPage(page) {
-        if (page >= 1 && page <= this.totalPages) {
-            this.currentPage = page;
-            await this.performSearch();
+    // Send the marks made offline to the server, one batch at a time, then refresh the saved rosters
+    async syncOfflineChanges() {
+        const pending = this.offlineChanges.filter(change => change.state === 'pending');
+        if (this.syncing || this.offline || pending.length === 0) {
+            return;
         }
-    }
 
-    async showParticipantDetails(pNo) {
+        this.syncing = true;
+        this.renderOfflinePanel();
         try {
-            const response = await fetch(`/api/participants/${pNo}`);
-            const participant = await response.json();
-            
-            if (response.ok) {
-                this.participantDetails.innerHTML = `
-                    <div class="detail-item">
-                        <div class="detail-label">P.No</div>
-                        <div class="detail-value">${participant.p_no}</div>
-                    </div>
-                    <div class="detail-item">
-                        <div class="detail-label">Mobile No</div>
-                        <div class="detail-value">${participant.mobile_no}</div>
-                    </div>
-                    <div class="detail-item">
-                        <div class="detail-label">Name</div>
-                        <div class="detail-value">${participant.name}</div>
-                    </div>
-                    <div class="detail-item">
-                        <div class="detail-label">Trade</div>
-                        <div class="detail-value">${participant.trade}</div>
-                    </div>
-                    <div class="detail-item">
-                        <div class="detail-label">Gender</div>
-                        <div class="detail-value">${participant.gender}</div>
-                    </div>
-                    <div class="detail-item">
-                        <div class="detail-label">Attendance Day 1</div>
-                        <div class="detail-value ${participant.attendance_day1 === 'P' ? 'attendance-present' : 'attendance-absent'}">
-                            ${participant.attendance_day1} (${participant.attendance_day1 === 'P' ? 'Present' : 'Absent'})
-                        </div>
-                    </div>
-                    <div class="detail-item">
-                        <div class="detail-label">Attendance Day 2</div>
-                        <div class="detail-value ${participant.attendance_day2 === 'P' ? 'attendance-present' : 'attendance-absent'}">
-                            ${participant.attendance_day2} (${participant.attendance_day2 === 'P' ? 'Present' : 'Absent'})
-                        </div>
-                    </div>
-                    <div class="detail-item">
-                        <div class="detail-label">Created At</div>
-                        <div class="detail-value">${new Date(participant.created_at).toLocaleString()}</div>
-                    </div>
-                `;
-                
-                this.modal.style.display = 'block';
+            for (const batchId of new Set(pending.map(change => change.batch_id))) {
+                const changes = pending.filter(change => change.batch_id === batchId);
+                for (let start = 0; start < changes.length; start += SYNC_BATCH_SIZE) {
+                    if (!await this.syncBatchChanges(batchId, changes.slice(start, start + SYNC_BATCH_SIZE))) {
+                        return;
+                    }
+                }
+            }
+            await this.refreshOfflineRosters();
+
+            const problems = this.offlineChanges.filter(change => ['conflict', 'failed'].includes(change.state)).length;
+            if (problems > 0) {
+                this.showOfflineStatus(`Synced the attendance marked offline, but ${problems} marks need your attention below.`, 'error');
             } else {
-                this.showUploadStatus('Error: Participant not found.', 'error');
+                this.showOfflineStatus('Synced the attendance marked offline.', 'success');
             }
         } catch (error) {
-            console.error('Error fetching participant details:', error);
+            console.error('Sync error:', error);
+            if (this.isNetworkError(error)) {
+                this.setOffline(true);
+            }
+            this.showOfflineStatus('Could not reach the server. The marks will be synced when the connection returns.', 'info');
+        } finally {
+            this.syncing = false;
+            this.renderOfflinePanel();
+        }
+    }
+
+    // Sync one request's worth of a batch's marks and record how each one went.
+    // Returns false if the session has ended, leaving the marks pending.
+    async syncBatchChanges(batchId, changes) {
+        const response = await this.apiFetch(`/api/batches/${batchId}/attendance/sync`, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({
+                changes: changes.map(change => ({
+                    client_id: change.id,
+                    participant_id: change.participant_id,
+                    session_id: change.session_id,
+                    status: change.status,
+                    base_status: change.base_status
+                }))
+            })
+        });
+        if (response.status === 401) {
+            return false;
+        }
+        const result = await response.json();
+
+        // A refused request fails every mark in it with the server's reason
+        const outcomes = new Map(response.ok ? result.results.map(outcome => [outcome.client_id, outcome]) : []);
+        const syncedAt = new Date().toISOString();
+        for (const change of changes) {
+            const outcome = outcomes.get(change.id) || { result: 'failed', error: result.error || 'Could not sync' };
+            Object.assign(change, {
+                state: outcome.result,
+                current_status: outcome.current_status ?? null,
+                error: outcome.error || null,
+                synced_at: outcome.result === 'synced' ? syncedAt : null
+            });
+            await this.offlineStore.saveChange(change);
+        }
+        return true;
+    }
+
+    // Resolve a conflict in favour of the mark made offline
+    async keepOfflineChange(change) {
+        Object.assign(change, { state: 'pending', base_status: change.current_status, error: null });
+        await this.offlineStore.saveChange(change);
+        const roster = this.offlineRosters.find(saved => saved.batch_id === change.batch_id);
+        if (roster) {
+            this.applyMark(roster, change);
+            await this.offlineStore.saveRoster(roster);
+        }
+        this.renderOfflinePanel();
+        await this.syncOfflineChanges();
+    }
+
+    // Drop a mark that conflicted or failed; the saved roster already shows the server's status
+    async discardOfflineChange(change) {
+        await this.offlineStore.deleteChange(change.id);
+        this.offlineChanges = this.offlineChanges.filter(entry => entry.id !== change.id);
+        this.renderOfflinePanel();
+    }
+
+    async clearSyncedChanges() {
+        const synced = this.offlineChanges.filter(change => change.state === 'synced');
+        for (const change of synced) {
+            await this.offlineStore.deleteChange(change.id);
+        }
+        this.offlineChanges = this.offlineChanges.filter(change => change.state !== 'synced');
+        this.renderOfflinePanel();
+    }
+
+    describeSyncState(change) {
+        switch (change.state) {
+            case 'synced':
+                return `Synced ${new Date(change.synced_at).toLocaleTimeString()}`;
+            case 'conflict':
+                return `Conflict: changed to ${change.current_status || 'blank'} on the server in the meantime`;
+            case 'failed':
+                return `Failed: ${change.error}`;
+            default:
+                return 'Pending';
+        }
+    }
+
+    // The connection status in the header and the saved rosters and queued marks
+    renderOfflinePanel() {
+        const pending = this.offlineChanges.filter(change => change.state === 'pending').length;
+        const problems = this.offlineChanges.filter(change => ['conflict', 'failed'].includes(change.state)).length;
+        const parts = [this.offline ? 'Offline' : 'Online'];
+        if (this.syncing) {
+            parts.push('syncing');
+        }
+        if (pending > 0) {
+            parts.push(`${pending} pending`);
+        }
+        if (problems > 0) {
+            parts.push(`${problems} to resolve`);
+        }
+        this.connectionStatus.textContent = parts.join(' · ');
+        this.connectionStatus.className = `connection-status ${this.offline ? 'connection-offline' : 'connection-online'}`;
+
+        this.saveOfflineBtn.disabled = this.offline;
+        this.syncBtn.disabled = this.offline || this.syncing || pending === 0;
+        this.clearSyncedBtn.hidden = !this.offlineChanges.some(change => change.state === 'synced');
+
+        this.offlineRosterList.innerHTML = '';
+        this.offlineRosters.forEach(roster => {
+            const item = document.createElement('li');
+            item.textContent = `${roster.batch.name}: ${roster.participants.length} participants, saved ${new Date(roster.saved_at).toLocaleString()} `;
+            item.appendChild(this.buildActionButton('Remove', 'delete-btn', () => this.removeOfflineRoster(roster.batch_id)));
+            this.offlineRosterList.appendChild(item);
+        });
+
+        this.offlineChangesTbody.innerHTML = '';
+        [...this.offlineChanges].sort((a, b) => b.recorded_at.localeCompare(a.recorded_at)).forEach(change => {
+            const row = document.createElement('tr');
+            row.className = `offline-change-${change.state}`;
+            [
+                new Date(change.recorded_at).toLocaleString(),
+                change.p_no,
+                change.name,
+                change.label,
+                change.status,
+                this.describeSyncState(change)
+            ].forEach(text => {
+                const cell = document.createElement('td');
+                cell.textContent = text;
+                row.appendChild(cell);
+            });
+
+            const actionsCell = document.createElement('td');
+            if (change.state === 'conflict') {
+                actionsCell.appendChild(this.buildActionButton('Keep Mine', 'edit-btn', () => this.keepOfflineChange(change)));
+            }
+            if (['conflict', 'failed'].includes(change.state)) {
+                actionsCell.appendChild(this.buildActionButton('Discard', 'delete-btn', () => this.discardOfflineChange(change)));
+            }
+            row.appendChild(actionsCell);
+            this.offlineChangesTbody.appendChild(row);
+        });
+
+        if (this.offlineChanges.length === 0) {
+            const row = document.createElement('tr');
+            const cell = document.createElement('td');
+            cell.colSpan = 7;
+            cell.textContent = 'No attendance has been marked on this device.';
+            row.appendChild(cell);
+            this.offlineChangesTbody.appendChild(row);
+        }
+    }
+
+    async loadInitialData() {
+        // Open the search in the address bar, so reloads and shared links show the same results
+        this.applySearchState(new URLSearchParams(window.location.search));
+        await this.performSearch({ historyMode: 'replace' });
+    }
+
+    // The whole search as URL query parameters: filters, sort, page and page size.
+    // Defaults are left out to keep links short.
+    getSearchState() {
+        const params = this.buildFilterParams();
+        if (this.currentPage > 1) {
+            params.append('page', this.currentPage);
+        }
+        if (this.itemsPerPage !== PAGE_SIZES[0]) {
+            params.append('limit', this.itemsPerPage);
+        }
+        return params;
+    }
+
+    applySearchState(params) {
+        const filters = Object.fromEntries(params);
+        // Viewers cannot search by mobile number, even from a link
+        if (this.user.role === 'viewer') {
+            delete filters.mobile_no;
+        }
+        this.setSearchFilters(filters);
+        this.currentPage = Math.max(parseInt(filters.page) || 1, 1);
+        const limit = parseInt(filters.limit);
+        this.itemsPerPage = PAGE_SIZES.includes(limit) ? limit : PAGE_SIZES[0];
+        this.pageSizeSelect.value = this.itemsPerPage;
+    }
+
+    async restoreSearchFromUrl() {
+        if (!this.user) {
+            return;
+        }
+        this.applySearchState(new URLSearchParams(window.location.search));
+        this.savedSearchSelect.value = '';
+        await this.performSearch({ historyMode: 'none' });
+    }
+
+    // Show the current search in the address bar. 'push' adds a history entry so back
+    // returns to the previous search; 'replace' overwrites the current one.
+    updateSearchUrl(historyMode) {
+        const query = this.getSearchState().toString();
+        const url = query ? `${window.location.pathname}?${query}` : window.location.pathname;
+        if (url === `${window.location.pathname}${window.location.search}`) {
+            return;
+        }
+        if (historyMode === 'push') {
+            window.history.pushState(null, '', url);
+        } else {
+            window.history.replaceState(null, '', url);
+        }
+    }
+
+    async loadBatches() {
+        try {
+            const response = await this.apiFetch('/api/batches');
+            if (response.ok) {
+                this.batches = await response.json();
+                this.renderBatchOptions();
+            }
+        } catch (error) {
+            console.error('Error loading batches:', error);
+            // Offline, the batches saved on this device can still be searched
+            if (this.isNetworkError(error) && this.offlineRosters.length > 0) {
+                this.batches = this.offlineRosters.map(roster => roster.batch);
+                this.renderBatchOptions();
+            }
+        }
+    }
+
+    renderBatchOptions() {
+        const selectedUploadBatch = this.uploadBatchSelect.value;
+        const selectedFilterBatch = this.batchFilter.value;
+        const selectedDuplicatesBatch = this.duplicatesBatch.value;
+
+        // Clear existing options except the first one
+        this.uploadBatchSelect.innerHTML = '<option value="">Select a batch</option>';
+        this.batchFilter.innerHTML = '<option value="">All Batches</option>';
+        this.duplicatesBatch.innerHTML = '<option value="">All Batches</option>';
+
+        // Add new options
+        this.batches.forEach(batch => {
+            const label = batch.program_type ? `${batch.name} (${batch.program_type})` : batch.name;
+            [this.uploadBatchSelect, this.batchFilter, this.duplicatesBatch].forEach(select => {
+                const option = document.createElement('option');
+                option.value = batch.id;
+                option.textContent = label;
+                select.appendChild(option);
+            });
+        });
+
+        this.uploadBatchSelect.value = selectedUploadBatch;
+        this.batchFilter.value = selectedFilterBatch;
+        this.duplicatesBatch.value = selectedDuplicatesBatch;
+        this.renderCheckInBatches();
+    }
+
+    // Check-in is offered for the batches the user can take attendance in
+    renderCheckInBatches() {
+        const selected = this.checkInBatch.value;
+        this.checkInBatch.innerHTML = '<option value="">Select a batch</option>';
+        this.batches.filter(batch => this.canMarkAttendance(batch.id)).forEach(batch => {
+            const option = document.createElement('option');
+            option.value = batch.id;
+            option.textContent = batch.program_type ? `${batch.name} (${batch.program_type})` : batch.name;
+            this.checkInBatch.appendChild(option);
+        });
+        this.checkInBatch.value = selected;
+    }
+
+    showCheckInStatus(message, type) {
+        this.checkInStatus.textContent = message;
+        this.checkInStatus.className = message ? `status-${type}` : '';
+    }
+
+    // Load the batch's sessions and pick today's, or the latest one
+    async selectCheckInBatch(batchId, sessionId = null) {
+        this.checkInSession.innerHTML = '<option value="">Select a session</option>';
+        this.showCheckInStatus('', 'info');
+        if (!batchId) {
+            this.renderCheckIns(null);
+            return;
+        }
+
+        // Offline, a saved batch's sessions come from its roster
+        const roster = this.offlineRosters.find(saved => saved.batch_id === Number(batchId));
+        if (this.offline && roster) {
+            this.renderCheckInSessions(roster.sessions, sessionId);
+            await this.loadCheckIns();
+            return;
+        }
+
+        try {
+            const response = await this.apiFetch(`/api/batches/${batchId}/sessions`);
+            const sessions = await response.json();
+            if (!response.ok) {
+                this.showCheckInStatus(sessions.error || 'Could not load sessions', 'error');
+                return;
+            }
+
+            this.renderCheckInSessions(sessions, sessionId);
+            await this.loadCheckIns();
+        } catch (error) {
+            console.error('Error loading sessions:', error);
+            if (this.isNetworkError(error) && roster) {
+                this.setOffline(true);
+                this.renderCheckInSessions(roster.sessions, sessionId);
+                await this.loadCheckIns();
+                return;
+            }
+            this.showCheckInStatus('Network error occurred while loading sessions. Please try again.', 'error');
+        }
+    }
+
+    renderCheckInSessions(sessions, sessionId) {
+        sessions.forEach(session => {
+            const option = document.createElement('option');
+            option.value = session.id;
+            option.textContent = session.label;
+            this.checkInSession.appendChild(option);
+        });
+
+        const today = new Date().toISOString().slice(0, 10);
+        const active = sessions.find(session => session.id === sessionId) ||
+            sessions.find(session => session.session_date === today) ||
+            sessions[sessions.length - 1];
+        this.checkInSession.value = active ? active.id : '';
+    }
+
+    async addCheckInSession() {
+        const batchId = this.checkInBatch.value;
+        const label = this.checkInNewSession.value.trim();
+        if (!batchId || !label) {
+            this.showCheckInStatus('Please select a batch and enter a session such as "Day 3" or a date.', 'error');
+            return;
+        }
+
+        try {
+            const response = await this.apiFetch(`/api/batches/${batchId}/sessions`, {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({ label })
+            });
+            const result = await response.json();
+
+            if (response.ok) {
+                this.checkInNewSession.value = '';
+                await this.selectCheckInBatch(batchId, result.id);
+                this.showCheckInStatus(`Session ${result.label} added.`, 'success');
+            } else {
+                this.showCheckInStatus(result.error || 'Could not add the session', 'error');
+            }
+        } catch (error) {
+            console.error('Add session error:', error);
+            this.showCheckInStatus('Network error occurred while adding the session. Please try again.', 'error');
+        }
+    }
+
+    // Check in the participant with a scanned or typed P.No or mobile number
+    async submitCheckIn(code) {
+        const batchId = this.checkInBatch.value;
+        const sessionId = this.checkInSession.value;
+        code = String(code || '').trim();
+        if (!batchId || !sessionId) {
+            this.showCheckInStatus('Please select the batch and session to check in to.', 'error');
+            return;
+        }
+        if (!code) {
+            return;
+        }
+        if (this.offline) {
+            await this.checkInOffline(Number(batchId), Number(sessionId), code);
+            return;
+        }
+
+        try {
+            const response = await this.apiFetch(`/api/batches/${batchId}/sessions/${sessionId}/check-ins`, {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({ code })
+            });
+            const result = await response.json();
+            this.checkInCode.value = '';
+            this.checkInCode.focus();
+
+            if (response.ok) {
+                this.showCheckInStatus(`${result.message} at ${new Date(result.check_in.checked_in_at).toLocaleTimeString()}.`, 'success');
+                await this.loadCheckIns();
+                await this.performSearch();
+            } else if (response.status === 409) {
+                this.showCheckInStatus(`${result.error} at ${new Date(result.check_in.checked_in_at).toLocaleTimeString()}.`, 'info');
+            } else {
+                this.showCheckInStatus(result.error || 'Could not check in', 'error');
+            }
+        } catch (error) {
+            console.error('Check-in error:', error);
+            if (this.isNetworkError(error) && this.offlineRosters.some(roster => roster.batch_id === Number(batchId))) {
+                this.setOffline(true);
+                await this.checkInOffline(Number(batchId), Number(sessionId), code);
+                return;
+            }
+            this.showCheckInStatus('Network error occurred while checking in. Please try again.', 'error');
+        }
+    }
+
+    // Check in from the saved roster: the participant is marked present on this
+    // device and the mark is synced later
+    async checkInOffline(batchId, sessionId, code) {
+        this.checkInCode.value = '';
+        this.checkInCode.focus();
+
+        const roster = this.offlineRosters.find(saved => saved.batch_id === batchId);
+        if (!roster) {
+            this.showCheckInStatus('This batch is not saved on this device, so check-in needs a connection.', 'error');
+            return;
+        }
+        const participant = this.findRosterParticipant(roster, code);
+        if (!participant) {
+            this.showCheckInStatus(`No participant with P.No or mobile number '${code}' in the saved roster of ${roster.batch.name}`, 'error');
+            return;
+        }
+        const session = roster.sessions.find(entry => entry.id === sessionId);
+        if (!session) {
+            this.showCheckInStatus(`The saved roster of ${roster.batch.name} does not have this session yet. Save the roster again while online.`, 'error');
+            return;
+        }
+        if (this.getAttendanceStatus(participant, session.label) === 'P') {
+            this.showCheckInStatus(`${participant.p_no} - ${participant.name} is already marked present for ${session.label}.`, 'info');
+            return;
+        }
+
+        await this.queueAttendance(batchId, participant.id, sessionId, 'P');
+        this.showCheckInStatus(`Checked in ${participant.p_no} - ${participant.name} on this device. It will be synced when the connection returns.`, 'success');
+        await this.loadCheckIns();
+        await this.performSearch();
+    }
+
+    // P.Nos are compared without case or spaces, and mobile numbers by their digits,
+    // so a number typed without its country code matches the stored +91 form
+    findRosterParticipant(roster, code) {
+        const pNo = code.replace(/\s+/g, '').toUpperCase();
+        const digits = code.replace(/\D/g, '');
+        return roster.participants.find(participant => participant.p_no.toUpperCase() === pNo) ||
+            (digits.length >= 7
+                ? roster.participants.find(participant => participant.mobile_no.replace(/\D/g, '').endsWith(digits))
+                : undefined);
+    }
+
+    async loadCheckIns() {
+        const batchId = this.checkInBatch.value;
+        const sessionId = this.checkInSession.value;
+        if (!batchId || !sessionId) {
+            this.renderCheckIns(null);
+            return;
+        }
+        // Offline, the count comes from the saved roster; the list of check-ins needs the server
+        if (this.offline) {
+            this.renderCheckIns(null);
+            const roster = this.offlineRosters.find(saved => saved.batch_id === Number(batchId));
+            const session = roster && roster.sessions.find(entry => entry.id === Number(sessionId));
+            if (session) {
+                const present = roster.participants.filter(participant => this.getAttendanceStatus(participant, session.label) === 'P').length;
+                this.checkInCount.textContent = `${present} of ${roster.participants.length} participants marked present for ${session.label} (saved roster)`;
+            }
+            return;
+        }
+
+        try {
+            const response = await this.apiFetch(`/api/batches/${batchId}/sessions/${sessionId}/check-ins`);
+            const result = await response.json();
+            if (response.ok) {
+                this.renderCheckIns(result);
+            } else {
+                this.showCheckInStatus(result.error || 'Could not load check-ins', 'error');
+            }
+        } catch (error) {
+            console.error('Error loading check-ins:', error);
+        }
+    }
+
+    renderCheckIns(result) {
+        this.checkInTbody.innerHTML = '';
+        this.checkInCount.textContent = result
+            ? `${result.checked_in} of ${result.total} participants checked in for ${result.session.label}`
+            : '';
+        if (!result) {
+            return;
+        }
+
+        result.check_ins.forEach(checkIn => {
+            const row = document.createElement('tr');
+            [
+                new Date(checkIn.checked_in_at).toLocaleTimeString(),
+                checkIn.p_no,
+                checkIn.name,
+                checkIn.trade,
+                checkIn.username
+            ].forEach(value => {
+                const cell = document.createElement('td');
+                cell.textContent = value;
+                row.appendChild(cell);
+            });
+            this.checkInTbody.appendChild(row);
+        });
+    }
+
+    // Read QR codes from the device camera where the browser can decode them.
+    // Handheld scanners need nothing special: they type the code into the field.
+    async toggleCameraScan() {
+        if (this.cameraStream) {
+            this.stopCameraScan();
+            return;
+        }
+        if (!('BarcodeDetector' in window) || !navigator.mediaDevices) {
+            this.showCheckInStatus('This browser cannot read QR codes from the camera. Use a handheld scanner or type the P.No.', 'error');
+            return;
+        }
+
+        try {
+            this.cameraStream = await navigator.mediaDevices.getUserMedia({ video: { facingMode: 'environment' } });
+        } catch (error) {
+            console.error('Camera error:', error);
+            this.showCheckInStatus('Could not open the camera.', 'error');
+            return;
+        }
+
+        this.checkInVideo.srcObject = this.cameraStream;
+        this.checkInVideo.hidden = false;
+        this.checkInCameraBtn.textContent = 'Stop Camera';
+        await this.checkInVideo.play();
+
+        const detector = new BarcodeDetector({ formats: ['qr_code'] });
+        const scan = async () => {
+            if (!this.cameraStream) {
+                return;
+            }
+            try {
+                const [code] = await detector.detect(this.checkInVideo);
+                // The camera keeps seeing the same code, so only send it again after a pause
+                const now = Date.now();
+                if (code && !(this.lastScan && this.lastScan.code === code.rawValue && now - this.lastScan.at < 5000)) {
+                    this.lastScan = { code: code.rawValue, at: now };
+                    await this.submitCheckIn(code.rawValue);
+                }
+            } catch (error) {
+                console.error('QR scan error:', error);
+            }
+            setTimeout(scan, 300);
+        };
+        scan();
+    }
+
+    stopCameraScan() {
+        if (this.cameraStream) {
+            this.cameraStream.getTracks().forEach(track => track.stop());
+        }
+        this.cameraStream = null;
+        this.checkInVideo.srcObject = null;
+        this.checkInVideo.hidden = true;
+        this.checkInCameraBtn.textContent = 'Scan with Camera';
+    }
+
+    async createBatch() {
+        const batch = {
+            name: this.batchNameInput.value.trim(),
+            program_type: this.batchProgramTypeInput.value,
+            start_date: this.batchStartDateInput.value,
+            end_date: this.batchEndDateInput.value,
+            venue: this.batchVenueInput.value.trim()
+        };
+
+        if (!batch.name) {
+            this.showUploadStatus('Please enter a name for the batch.', 'error');
+            return;
+        }
+
+        try {
+            const response = await this.apiFetch('/api/batches', {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify(batch)
+            });
+
+            const result = await response.json();
+
+            if (response.ok) {
+                await this.loadBatches();
+                this.uploadBatchSelect.value = result.id;
+                this.batchForm.hidden = true;
+                [this.batchNameInput, this.batchStartDateInput, this.batchEndDateInput, this.batchVenueInput]
+                    .forEach(input => { input.value = ''; });
+                this.showUploadStatus(`Batch "${result.name}" created.`, 'success');
+            } else {
+                let errorMessage = result.error || 'Could not create batch';
+                if (result.validationErrors) {
+                    errorMessage += ': ' + result.validationErrors.join('; ');
+                }
+                this.showUploadStatus(errorMessage, 'error');
+            }
+        } catch (error) {
+            console.error('Create batch error:', error);
+            this.showUploadStatus('Network error occurred while creating the batch. Please try again.', 'error');
+        }
+    }
+
+    async loadTrades() {
+        try {
+            const response = await this.apiFetch('/api/trades');
+            if (response.ok) {
+                const trades = await response.json();
+                const selectedTrade = this.tradeFilter.value;
+                
+                // Clear existing options except the first one
+                this.tradeFilter.innerHTML = '<option value="">All Trades</option>';
+                
+                // Add new options
+                trades.forEach(trade => {
+                    const option = document.createElement('option');
+                    option.value = trade;
+                    option.textContent = trade;
+                    this.tradeFilter.appendChild(option);
+                });
+                this.tradeFilter.value = trades.includes(selectedTrade) ? selectedTrade : '';
+            }
+        } catch (error) {
+            console.error('Error loading trades:', error);
+        }
+    }
+
+    async loadGenders() {
+        try {
+            const response = await this.apiFetch('/api/genders');
+            if (response.ok) {
+                const genders = await response.json();
+                const selectedGender = this.genderFilter.value;
+                
+                // Clear existing options except the first one
+                this.genderFilter.innerHTML = '<option value="">All Genders</option>';
+                
+                // Add new options
+                genders.forEach(gender => {
+                    const option = document.createElement('option');
+                    option.value = gender;
+                    option.textContent = gender;
+                    this.genderFilter.appendChild(option);
+                });
+                this.genderFilter.value = genders.includes(selectedGender) ? selectedGender : '';
+            }
+        } catch (error) {
+            console.error('Error loading genders:', error);
+        }
+    }
+
+    async loadMappingProfiles() {
+        try {
+            const response = await this.apiFetch('/api/mapping-profiles');
+            if (response.ok) {
+                this.mappingProfiles = await response.json();
+
+                // Clear existing options except the first one
+                this.mappingProfileSelect.innerHTML = '<option value="">Suggested mapping</option>';
+
+                // Add new options
+                this.mappingProfiles.forEach(profile => {
+                    const option = document.createElement('option');
+                    option.value = profile.id;
+                    option.textContent = profile.name;
+                    this.mappingProfileSelect.appendChild(option);
+                });
+            }
+        } catch (error) {
+            console.error('Error loading mapping profiles:', error);
+        }
+    }
+
+    // List the workbook's sheets and suggested column mappings as soon as a file is chosen
+    async inspectFile() {
+        const file = this.excelFileInput.files[0];
+        this.hidePreview();
+        this.inspection = null;
+        this.mappingPanel.hidden = true;
+        if (!file) {
+            return;
+        }
+
+        const formData = new FormData();
+        formData.append('excelFile', file);
+
+        try {
+            const response = await this.apiFetch('/api/upload/inspect', {
+                method: 'POST',
+                body: formData
+            });
+
+            const result = await response.json();
+
+            if (response.ok) {
+                this.inspection = result;
+
+                this.sheetSelect.innerHTML = '';
+                result.sheets.forEach(sheet => {
+                    const option = document.createElement('option');
+                    option.value = sheet.name;
+                    option.textContent = `${sheet.name} (${sheet.rowCount} rows)`;
+                    this.sheetSelect.appendChild(option);
+                });
+
+                // Start on the first sheet that looks like a roster
+                const rosterSheet = result.sheets.find(sheet => sheet.attendanceColumns.length > 0) || result.sheets[0];
+                this.sheetSelect.value = rosterSheet.name;
+                this.selectSheet(rosterSheet.name);
+                this.mappingPanel.hidden = false;
+            } else {
+                this.showUploadStatus(result.error || 'Could not read the workbook', 'error');
+            }
+        } catch (error) {
+            console.error('Inspect error:', error);
+            this.showUploadStatus('Network error occurred while reading the file. Please try again.', 'error');
+        }
+    }
+
+    getSelectedSheet() {
+        return this.inspection.sheets.find(sheet => sheet.name === this.sheetSelect.value);
+    }
+
+    updateSheetInfo(sheet) {
+        this.sheetInfo.textContent = sheet.attendanceColumns.length > 0
+            ? `Attendance columns found: ${sheet.attendanceColumns.join(', ')}`
+            : 'No attendance columns found on this sheet.';
+    }
+
+    selectSheet(sheetName) {
+        const sheet = this.inspection.sheets.find(s => s.name === sheetName);
+        this.updateSheetInfo(sheet);
+
+        // Prefer a saved profile that fits this sheet over the fuzzy suggestion
+        const [matchingProfile] = sheet.matchingProfiles;
+        if (matchingProfile) {
+            this.mappingProfileSelect.value = matchingProfile.id;
+            this.renderMappingFields(this.mappingProfiles.find(p => p.id === matchingProfile.id).mapping);
+        } else {
+            this.mappingProfileSelect.value = '';
+            this.renderMappingFields(sheet.suggestedMapping);
+        }
+    }
+
+    applyMappingProfile(profileId) {
+        if (!this.inspection) {
+            return;
+        }
+
+        const profile = this.mappingProfiles.find(p => String(p.id) === profileId);
+        if (!profile) {
+            this.renderMappingFields(this.getSelectedSheet().suggestedMapping);
+            return;
+        }
+
+        // Switch to the profile's sheet when the workbook has it
+        if (profile.sheet_name && this.inspection.sheets.some(sheet => sheet.name === profile.sheet_name)) {
+            this.sheetSelect.value = profile.sheet_name;
+            this.updateSheetInfo(this.getSelectedSheet());
+        }
+        this.renderMappingFields(profile.mapping);
+        this.profileNameInput.value = profile.name;
+    }
+
+    renderMappingFields(mapping) {
+        const sheet = this.getSelectedSheet();
+        this.mappingFields.innerHTML = '';
+
+        this.inspection.fields.forEach(field => {
+            const group = document.createElement('div');
+            group.className = 'filter-group';
+
+            const label = document.createElement('label');
+            const required = this.inspection.requiredFields.includes(field);
+            label.textContent = `${field}${required ? ' *' : ''}:`;
+
+            const select = document.createElement('select');
+            select.dataset.field = field;
+            select.appendChild(new Option('Not in this file', ''));
+            sheet.headers.forEach(header => {
+                select.appendChild(new Option(header, header));
+            });
+            select.value = sheet.headers.includes(mapping[field]) ? mapping[field] : '';
+
+            group.appendChild(label);
+            group.appendChild(select);
+            this.mappingFields.appendChild(group);
+        });
+    }
+
+    getCurrentMapping() {
+        const mapping = {};
+        this.mappingFields.querySelectorAll('select').forEach(select => {
+            if (select.value) {
+                mapping[select.dataset.field] = select.value;
+            }
+        });
+        return mapping;
+    }
+
+    async saveMappingProfile() {
+        const name = this.profileNameInput.value.trim();
+        if (!name) {
+            this.showUploadStatus('Please enter a name for the mapping profile.', 'error');
+            return;
+        }
+
+        try {
+            const response = await this.apiFetch('/api/mapping-profiles', {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({
+                    name,
+                    sheet_name: this.sheetSelect.value,
+                    mapping: this.getCurrentMapping()
+                })
+            });
+
+            const result = await response.json();
+
+            if (response.ok) {
+                await this.loadMappingProfiles();
+                this.mappingProfileSelect.value = result.id;
+                this.showUploadStatus(`Mapping profile "${result.name}" saved.`, 'success');
+            } else {
+                let errorMessage = result.error || 'Could not save mapping profile';
+                if (result.validationErrors) {
+                    errorMessage += ': ' + result.validationErrors.join('; ');
+                }
+                this.showUploadStatus(errorMessage, 'error');
+            }
+        } catch (error) {
+            console.error('Save profile error:', error);
+            this.showUploadStatus('Network error occurred while saving the mapping profile. Please try again.', 'error');
+        }
+    }
+
+    handleUpload() {
+        const file = this.excelFileInput.files[0];
+        if (!file) {
+            this.showUploadStatus('Please select an Excel file to upload.', 'error');
+            return;
+        }
+        if (!this.uploadBatchSelect.value) {
+            this.showUploadStatus('Please select the batch this file belongs to.', 'error');
+            return;
+        }
+
+        this.uploadExcelFile(file);
+    }
+
+    async uploadExcelFile(file) {
+        this.showUploadStatus('Checking file...', 'info');
+        this.hidePreview();
+        this.uploadChanges.hidden = true;
+
+        const formData = new FormData();
+        formData.append('batch_id', this.uploadBatchSelect.value);
+        formData.append('mode', this.importModeSelect.value);
+        if (this.inspection) {
+            formData.append('sheet', this.sheetSelect.value);
+            formData.append('mapping', JSON.stringify(this.getCurrentMapping()));
+        }
+        formData.append('excelFile', file);
+
+        try {
+            const response = await this.apiFetch('/api/upload/preview', {
+                method: 'POST',
+                body: formData
+            });
+
+            const result = await response.json();
+
+            if (response.ok) {
+                this.showUploadStatus(`${file.name} uploaded. Checking its rows...`, 'info');
+                this.followImportJob(result.job);
+            } else {
+                this.showUploadStatus(result.error || 'Upload failed', 'error');
+            }
+        } catch (error) {
+            console.error('Upload error:', error);
+            this.showUploadStatus('Network error occurred during upload. Please try again.', 'error');
+        }
+    }
+
+    // Fetch the validated rows of an import job that is ready for review
+    async loadPreview(jobId) {
+        try {
+            const response = await this.apiFetch(`/api/upload/${jobId}`);
+            const result = await response.json();
+
+            if (response.ok) {
+                this.preview = result;
+                this.renderPreview();
+                const type = result.summary.invalid + result.summary.duplicate > 0 ? 'info' : 'success';
+                this.showUploadStatus(`Preview ready: ${this.formatSummary(result.summary)}. Review the rows below before importing.`, type);
+            } else {
+                this.showUploadStatus(result.error || 'Could not load the preview', 'error');
+            }
+        } catch (error) {
+            console.error('Preview error:', error);
+            this.showUploadStatus('Network error occurred while loading the preview. Please try again.', 'error');
+        }
+    }
+
+    // Row counts of a preview, leaving out statuses the import mode cannot produce
+    formatSummary(summary) {
+        const parts = [`${summary.valid} new`];
+        if (summary.update > 0 || summary.unchanged > 0) {
+            parts.push(`${summary.update} to update`, `${summary.unchanged} unchanged`);
+        }
+        parts.push(`${summary.invalid} invalid`);
+        if (summary.duplicate > 0) {
+            parts.push(`${summary.duplicate} duplicates`);
+        }
+        if (summary.normalized > 0) {
+            parts.push(`${summary.normalized} with values normalized`);
+        }
+        return parts.join(', ');
+    }
+
+    previewStatusText(row) {
+        switch (row.status) {
+            case 'duplicate': {
+                const match = row.duplicate_of;
+                return `Duplicate of ${match.p_no} - ${match.name} (same ${match.matched_on})`;
+            }
+            case 'update':
+                return `Update: ${row.changes.map(change => change.column).join(', ')}`;
+            case 'unchanged':
+                return 'Unchanged';
+            case 'valid':
+                return 'New';
+            default:
+                return 'Invalid';
+        }
+    }
+
+    renderPreview() {
+        if (!this.preview) {
+            return;
+        }
+
+        const { fileName, batch, mode, columns, summary, rows } = this.preview;
+        const problemsOnly = this.previewProblemsOnly.checked;
+
+        this.previewFileName.textContent = `${fileName} (${this.preview.sheet}) → ${batch.name}`;
+        this.previewSummary.textContent = `${summary.total} rows: ${this.formatSummary(summary)}`;
+        if (mode === 'replace') {
+            this.previewSummary.textContent += `. Every participant already in ${batch.name} will be removed first.`;
+        }
+
+        // Header: status first, then the sheet's own columns
+        this.previewHeader.innerHTML = '';
+        ['Row', 'Status', ...columns].forEach(column => {
+            const th = document.createElement('th');
+            th.textContent = column;
+            this.previewHeader.appendChild(th);
+        });
+
+        this.previewTbody.innerHTML = '';
+        rows.filter(row => !problemsOnly || ['invalid', 'duplicate'].includes(row.status)).forEach(row => {
+            const tr = document.createElement('tr');
+            tr.className = `preview-${row.status}`;
+
+            const rowNumberCell = document.createElement('td');
+            rowNumberCell.textContent = row.row_number;
+            tr.appendChild(rowNumberCell);
+
+            const statusCell = document.createElement('td');
+            statusCell.className = `preview-status-${row.status}`;
+            statusCell.textContent = this.previewStatusText(row);
+            tr.appendChild(statusCell);
+
+            // Highlight each problem cell with its reason, each changed cell with its old value
+            // and each normalized cell with the value as written in the sheet
+            const changedColumns = new Map((row.changes || []).map(change => [change.column, change]));
+            const normalizedColumns = new Map(row.normalized.map(change => [change.column, change]));
+            columns.forEach(column => {
+                const td = document.createElement('td');
+                td.textContent = row.values[column];
+                const reason = row.errors[column];
+                const change = changedColumns.get(column);
+                const normalized = normalizedColumns.get(column);
+                if (normalized) {
+                    td.className = 'cell-normalized';
+                    td.textContent = normalized.to;
+                    td.title = `Written as: ${normalized.from}`;
+                }
+                if (change) {
+                    td.className = 'cell-changed';
+                    td.title = `Was: ${change.from || '(blank)'}`;
+                }
+                if (reason) {
+                    td.className = 'cell-error';
+                    td.title = reason;
+                    const reasonText = document.createElement('span');
+                    reasonText.className = 'cell-error-reason';
+                    reasonText.textContent = reason;
+                    td.appendChild(reasonText);
+                }
+                tr.appendChild(td);
+            });
+
+            this.previewTbody.appendChild(tr);
+        });
+
+        const importable = summary.valid + summary.update;
+        this.commitUploadBtn.disabled = importable === 0;
+        this.commitUploadBtn.textContent = mode === 'update'
+            ? `Import ${summary.valid} New, Update ${summary.update}`
+            : `Import ${summary.valid} Valid Row${summary.valid === 1 ? '' : 's'}`;
+        this.downloadRejectedBtn.hidden = summary.invalid + summary.duplicate === 0;
+        this.uploadPreview.hidden = false;
+    }
+
+    hidePreview() {
+        this.preview = null;
+        this.uploadPreview.hidden = true;
+        this.previewTbody.innerHTML = '';
+    }
+
+    async commitUpload() {
+        if (!this.preview) {
+            return;
+        }
+        if (this.preview.mode === 'replace' &&
+            !confirm(`Replace every participant and attendance record in ${this.preview.batch.name} with this file?`)) {
+            return;
+        }
+
+        this.showUploadStatus('Importing records...', 'info');
+        this.commitUploadBtn.disabled = true;
+
+        try {
+            const response = await this.apiFetch(`/api/upload/${this.preview.previewId}/commit`, { method: 'POST' });
+            const result = await response.json();
+
+            if (response.ok) {
+                this.hidePreview();
+                this.excelFileInput.value = '';
+                this.inspection = null;
+                this.mappingPanel.hidden = true;
+                this.followImportJob(result.job);
+            } else {
+                this.commitUploadBtn.disabled = false;
+                this.showUploadStatus(result.error || 'Import failed', 'error');
+            }
+        } catch (error) {
+            console.error('Commit error:', error);
+            this.commitUploadBtn.disabled = false;
+            this.showUploadStatus('Network error occurred during import. Please try again.', 'error');
+        }
+    }
+
+    // Report a completed import and refresh the data it changed
+    async showImportResult(result) {
+        let message = `${result.message}. ${result.invalidSkipped} invalid rows and ${result.duplicatesSkipped} duplicates skipped.`;
+        if (result.normalizedRecords > 0) {
+            message += ` Values were normalized in ${result.normalizedRecords} rows.`;
+        }
+        this.showUploadStatus(message, 'success');
+        this.renderChangeReport(result.changes);
+        await this.performSearch();
+        await this.loadBatches();
+        await this.loadAuditLog();
+    }
+
+    // List which fields changed for which participant after an update import
+    renderChangeReport(changes) {
+        this.uploadChangesList.innerHTML = '';
+        this.uploadChanges.hidden = changes.length === 0;
+
+        changes.forEach(({ p_no, name, fields }) => {
+            const item = document.createElement('li');
+            const who = document.createElement('strong');
+            who.textContent = `${p_no} - ${name}: `;
+            item.appendChild(who);
+            item.appendChild(document.createTextNode(
+                fields.map(({ column, from, to }) => `${column} ${from || '(blank)'} → ${to}`).join('; ')
+            ));
+            this.uploadChangesList.appendChild(item);
+        });
+    }
+
+    downloadRejectedRows() {
+        if (this.preview) {
+            window.location.href = `/api/upload/${this.preview.previewId}/rejected`;
+        }
+    }
+
+    async cancelPreview() {
+        if (this.preview) {
+            this.apiFetch(`/api/upload/${this.preview.previewId}`, { method: 'DELETE' })
+                .then(() => this.loadImportJobs())
+                .catch(error => console.error('Error discarding preview:', error));
+        }
+        this.hidePreview();
+        this.showUploadStatus('Upload cancelled.', 'info');
+    }
+
+    // Wait on an import job started from this browser, showing its progress
+    followImportJob(job) {
+        this.trackedJobId = job.id;
+        this.renderJobProgress(job);
+        this.loadImportJobs();
+    }
+
+    renderJobProgress(job) {
+        this.uploadProgress.hidden = false;
+        // Once rows are being written the import can no longer be cancelled
+        this.cancelJobBtn.hidden = job.status === 'importing';
+
+        if (job.status === 'validating' && job.rows_total) {
+            this.uploadProgressBar.max = job.rows_total;
+            this.uploadProgressBar.value = job.rows_parsed;
+            this.uploadProgressText.textContent = `Checking ${job.file_name}: ${job.rows_parsed} of ${job.rows_total} rows, ` +
+                `${job.rows_valid} valid, ${job.rows_invalid} invalid`;
+            return;
+        }
+
+        // Without a row count the bar just shows that something is happening
+        this.uploadProgressBar.removeAttribute('value');
+        const texts = {
+            queued: `${job.file_name} is waiting for earlier imports to finish...`,
+            validating: `Reading ${job.file_name}...`,
+            importing: `Importing ${job.rows_valid} rows from ${job.file_name}...`
+        };
+        this.uploadProgressText.textContent = texts[job.status];
+    }
+
+    // Act on the tracked job once it stops running: show its preview or result, or why it stopped
+    async finishTrackedJob(job) {
+        this.trackedJobId = null;
+        this.uploadProgress.hidden = true;
+
+        if (job.status === 'ready') {
+            await this.loadPreview(job.id);
+        } else if (job.status === 'completed') {
+            await this.showImportResult(job.result);
+        } else if (job.status === 'failed') {
+            this.showUploadStatus(this.describeJobFailure(job), 'error');
+        } else if (job.status === 'cancelled') {
+            this.showUploadStatus('Upload cancelled.', 'info');
+        } else {
+            this.showUploadStatus('The preview expired. Please upload the file again.', 'error');
+        }
+    }
+
+    describeJobFailure(job) {
+        const errors = job.result && job.result.validationErrors;
+        if (!errors) {
+            return job.error;
+        }
+        const more = errors.length > 5 ? ` and ${errors.length - 5} more` : '';
+        return `${job.error}: ${errors.slice(0, 5).join('; ')}${more}`;
+    }
+
+    // Load the recent import jobs, checking again shortly while any is running
+    async loadImportJobs() {
+        clearTimeout(this.importJobPoll);
+        try {
+            const response = await this.apiFetch('/api/import-jobs');
+            const result = await response.json();
+
+            if (!response.ok) {
+                this.showUploadStatus(result.error || 'Error loading recent imports', 'error');
+                return;
+            }
+            this.renderImportJobs(result.jobs);
+
+            if (this.trackedJobId) {
+                const tracked = result.jobs.find(job => job.id === this.trackedJobId);
+                if (!tracked) {
+                    this.trackedJobId = null;
+                    this.uploadProgress.hidden = true;
+                } else if (RUNNING_JOB_STATUSES.includes(tracked.status)) {
+                    this.renderJobProgress(tracked);
+                } else {
+                    await this.finishTrackedJob(tracked);
+                }
+            }
+
+            if (result.jobs.some(job => RUNNING_JOB_STATUSES.includes(job.status))) {
+                this.importJobPoll = setTimeout(() => this.loadImportJobs(), JOB_POLL_MS);
+            }
+        } catch (error) {
+            console.error('Error loading import jobs:', error);
+        }
+    }
+
+    renderImportJobs(jobs) {
+        const statusTexts = {
+            queued: 'Queued',
+            validating: 'Checking rows',
+            ready: 'Waiting for review',
+            importing: 'Importing',
+            completed: 'Completed',
+            failed: 'Failed',
+            cancelled: 'Cancelled',
+            expired: 'Preview expired'
+        };
+
+        this.importJobsTbody.innerHTML = '';
+        jobs.forEach(job => {
+            const tr = document.createElement('tr');
+            tr.className = `job-${job.status}`;
+            const rows = job.status === 'validating' && job.rows_total
+                ? `${job.rows_parsed} of ${job.rows_total}`
+                : job.rows_total === null ? '-' : job.rows_total;
+            [
+                new Date(job.created_at).toLocaleString(),
+                job.username,
+                job.file_name,
+                job.batch_name,
+                job.mode,
+                statusTexts[job.status],
+                rows,
+                job.rows_valid,
+                job.rows_invalid,
+                job.rows_inserted,
+                job.rows_updated
+            ].forEach((text, index) => {
+                const td = document.createElement('td');
+                td.textContent = text;
+                if (index === 5 && job.error) {
+                    td.title = this.describeJobFailure(job);
+                }
+                tr.appendChild(td);
+            });
+
+            const actionCell = document.createElement('td');
+            if (job.status === 'ready') {
+                const reviewBtn = document.createElement('button');
+                reviewBtn.className = 'action-btn view-btn';
+                reviewBtn.textContent = 'Review';
+                reviewBtn.addEventListener('click', () => this.loadPreview(job.id));
+                actionCell.appendChild(reviewBtn);
+            }
+            if (['queued', 'validating', 'ready'].includes(job.status)) {
+                const cancelBtn = document.createElement('button');
+                cancelBtn.className = 'action-btn delete-btn';
+                cancelBtn.textContent = 'Cancel';
+                cancelBtn.addEventListener('click', () => this.cancelImportJob(job.id));
+                actionCell.appendChild(cancelBtn);
+            }
+            tr.appendChild(actionCell);
+
+            this.importJobsTbody.appendChild(tr);
+        });
+
+        if (jobs.length === 0) {
+            const tr = document.createElement('tr');
+            const td = document.createElement('td');
+            td.colSpan = 12;
+            td.style.textAlign = 'center';
+            td.textContent = 'No files have been imported yet.';
+            tr.appendChild(td);
+            this.importJobsTbody.appendChild(tr);
+        }
+    }
+
+    async cancelImportJob(jobId) {
+        if (!jobId) {
+            return;
+        }
+        try {
+            const response = await this.apiFetch(`/api/import-jobs/${jobId}/cancel`, { method: 'POST' });
+            const result = await response.json();
+
+            if (response.ok) {
+                if (this.preview && this.preview.previewId === jobId) {
+                    this.hidePreview();
+                }
+                if (this.trackedJobId === jobId) {
+                    this.trackedJobId = null;
+                    this.uploadProgress.hidden = true;
+                }
+                this.showUploadStatus(`Import of ${result.file_name} cancelled.`, 'info');
+            } else {
+                this.showUploadStatus(result.error || 'Could not cancel the import', 'error');
+            }
+        } catch (error) {
+            console.error('Cancel import error:', error);
+            this.showUploadStatus('Network error occurred while cancelling the import. Please try again.', 'error');
+        }
+        await this.loadImportJobs();
+    }
+
+    showUploadStatus(message, type) {
+        this.uploadStatus.textContent = message;
+        this.uploadStatus.className = `status-${type}`;
+    }
+
+    // Query parameters for the current filters, shared by search and export
+    buildFilterParams() {
+        const params = new URLSearchParams();
+        Object.entries(this.getSearchFilters()).forEach(([param, value]) => params.append(param, value));
+        return params;
+    }
+
+    // The filters and sort in the search section as search query parameters, leaving out blanks
+    getSearchFilters() {
+        const name = this.nameFilter.value.trim();
+        const session = this.sessionFilter.value;
+        const filters = {
+            batch_id: this.batchFilter.value,
+            p_no: this.pNoFilter.value.trim(),
+            mobile_no: this.mobileFilter.value.trim(),
+            name,
+            name_match: name && this.fuzzyNameFilter.checked ? 'fuzzy' : '',
+            trade: this.tradeFilter.value,
+            gender: this.genderFilter.value,
+            attendance: this.attendanceFilter.value,
+            session,
+            session_status: session ? this.sessionStatusFilter.value : '',
+            created_from: this.createdFromFilter.value,
+            created_to: this.createdToFilter.value,
+            sort: this.sortField,
+            order: this.sortField ? this.sortOrder : ''
+        };
+        return Object.fromEntries(Object.entries(filters).filter(([, value]) => value));
+    }
+
+    // Fill the search section from search query parameters; anything left out is cleared
+    setSearchFilters(filters) {
+        this.batchFilter.value = filters.batch_id || '';
+        this.pNoFilter.value = filters.p_no || '';
+        this.mobileFilter.value = filters.mobile_no || '';
+        this.nameFilter.value = filters.name || '';
+        this.fuzzyNameFilter.checked = filters.name_match === 'fuzzy';
+        this.tradeFilter.value = filters.trade || '';
+        this.genderFilter.value = filters.gender || '';
+        this.attendanceFilter.value = filters.attendance || '';
+        this.setSessionFilterOptions(filters.session || '');
+        this.sessionStatusFilter.value = filters.session_status || 'P';
+        this.createdFromFilter.value = filters.created_from || '';
+        this.createdToFilter.value = filters.created_to || '';
+        this.sortField = filters.sort || '';
+        this.sortOrder = filters.order === 'desc' ? 'desc' : 'asc';
+    }
+
+    // Offer the sessions in the results in the day filter, keeping the chosen one
+    setSessionFilterOptions(selected = this.sessionFilter.value) {
+        const labels = this.sessions.map(session => session.label);
+        if (selected && !labels.includes(selected)) {
+            labels.push(selected);
+        }
+        this.sessionFilter.innerHTML = '<option value="">Any Day</option>';
+        labels.forEach(label => {
+            const option = document.createElement('option');
+            option.value = label;
+            option.textContent = label;
+            this.sessionFilter.appendChild(option);
+        });
+        this.sessionFilter.value = selected;
+    }
+
+    async loadSavedSearches() {
+        try {
+            const response = await this.apiFetch('/api/saved-searches');
+            if (response.ok) {
+                this.savedSearches = await response.json();
+                this.savedSearchSelect.innerHTML = '<option value="">Saved Searches</option>';
+                this.savedSearches.forEach(search => {
+                    const option = document.createElement('option');
+                    option.value = search.id;
+                    option.textContent = search.name;
+                    this.savedSearchSelect.appendChild(option);
+                });
+            }
+        } catch (error) {
+            console.error('Error loading saved searches:', error);
+        }
+    }
+
+    async applySavedSearch(id) {
+        const search = this.savedSearches.find(saved => String(saved.id) === id);
+        if (!search) {
+            return;
+        }
+        this.setSearchFilters(search.filters);
+        this.savedSearchName.value = search.name;
+        this.currentPage = 1;
+        await this.performSearch();
+    }
+
+    async saveSearch() {
+        const name = this.savedSearchName.value.trim();
+        if (!name) {
+            this.showUploadStatus('Please enter a name for the search.', 'error');
+            return;
+        }
+
+        try {
+            const response = await this.apiFetch('/api/saved-searches', {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({ name, filters: this.getSearchFilters() })
+            });
+            const result = await response.json();
+
+            if (response.ok) {
+                await this.loadSavedSearches();
+                this.savedSearchSelect.value = result.id;
+                this.showUploadStatus(`Search "${result.name}" saved.`, 'success');
+            } else {
+                let errorMessage = result.error || 'Could not save the search';
+                if (result.validationErrors) {
+                    errorMessage += ': ' + result.validationErrors.join('; ');
+                }
+                this.showUploadStatus(errorMessage, 'error');
+            }
+        } catch (error) {
+            console.error('Save search error:', error);
+            this.showUploadStatus('Network error occurred while saving the search. Please try again.', 'error');
+        }
+    }
+
+    async deleteSavedSearch() {
+        const search = this.savedSearches.find(saved => String(saved.id) === this.savedSearchSelect.value);
+        if (!search || !confirm(`Delete the saved search "${search.name}"?`)) {
+            return;
+        }
+
+        try {
+            const response = await this.apiFetch(`/api/saved-searches/${search.id}`, { method: 'DELETE' });
+            if (response.ok) {
+                this.savedSearchName.value = '';
+                await this.loadSavedSearches();
+                this.showUploadStatus(`Search "${search.name}" deleted.`, 'success');
+            } else {
+                const result = await response.json();
+                this.showUploadStatus(result.error || 'Could not delete the search', 'error');
+            }
+        } catch (error) {
+            console.error('Delete search error:', error);
+            this.showUploadStatus('Network error occurred while deleting the search. Please try again.', 'error');
+        }
+    }
+
+    // historyMode says how the search is recorded in the address bar: 'push', 'replace' or 'none'
+    async performSearch({ refreshStats = true, historyMode = 'push' } = {}) {
+        // Without a connection, search the rosters saved on this device
+        if (this.offline && this.offlineRosters.length > 0) {
+            this.searchOffline(historyMode);
+            return;
+        }
+
+        const params = this.buildFilterParams();
+        // The dashboard follows the same filters but not the page
+        if (refreshStats) {
+            this.loadStats(new URLSearchParams(params));
+        }
+        params.append('page', this.currentPage);
+        params.append('limit', this.itemsPerPage);
+
+        try {
+            const response = await this.apiFetch(`/api/participants?${params}`);
+            const result = await response.json();
+
+            if (response.ok) {
+                this.filteredParticipants = result.participants;
+                this.sessions = result.sessions;
+                // Keep the selection of rows that are still on the page
+                this.selectedIds = new Set(result.participants
+                    .filter(participant => this.selectedIds.has(participant.id))
+                    .map(participant => participant.id));
+                this.editing = null;
+                this.liveRefreshPending = false;
+                this.totalCount = result.pagination.total;
+                this.totalPages = result.pagination.totalPages;
+                this.currentPage = result.pagination.page;
+
+                this.renderResults();
+                this.updatePaginationControls();
+                if (historyMode !== 'none') {
+                    this.updateSearchUrl(historyMode);
+                }
+            } else {
+                console.error('Search error:', result.error);
+                this.showUploadStatus('Error retrieving data. Please try again.', 'error');
+            }
+        } catch (error) {
+            console.error('Search error:', error);
+            if (this.isNetworkError(error) && this.offlineRosters.length > 0) {
+                this.setOffline(true);
+                this.searchOffline(historyMode);
+                return;
+            }
+            this.showUploadStatus('Network error occurred during search. Please try again.', 'error');
+        }
+    }
+
+    // Search the saved rosters with the filters that can be answered on this device
+    searchOffline(historyMode) {
+        const filters = this.getSearchFilters();
+        const rosters = this.offlineRosters.filter(roster => !filters.batch_id || roster.batch_id === Number(filters.batch_id));
+        const participants = rosters.flatMap(roster => roster.participants).filter(participant =>
+            this.matchesFilter(participant.p_no, filters.p_no) &&
+            this.matchesFilter(participant.mobile_no, filters.mobile_no) &&
+            this.matchesFilter(participant.name, filters.name) &&
+            this.matchesFilter(participant.trade, filters.trade, { exact: true }) &&
+            this.matchesFilter(participant.gender, filters.gender, { exact: true }));
+
+        // Columns sort as text, numbers in order; session columns keep the roster order
+        const sortKey = this.sortField === 'batch' ? 'batch_name' : this.sortField;
+        if (sortKey && !sortKey.startsWith('session:')) {
+            const direction = this.sortOrder === 'desc' ? -1 : 1;
+            participants.sort((a, b) =>
+                String(a[sortKey] ?? '').localeCompare(String(b[sortKey] ?? ''), undefined, { numeric: true }) * direction);
+        }
+
+        const sessions = new Map();
+        rosters.forEach(roster => roster.sessions.forEach(session => {
+            if (!sessions.has(session.label)) {
+                sessions.set(session.label, session);
+            }
+        }));
+
+        this.sessions = [...sessions.values()];
+        this.totalCount = participants.length;
+        this.totalPages = Math.ceil(participants.length / this.itemsPerPage);
+        this.currentPage = Math.min(this.currentPage, Math.max(this.totalPages, 1));
+        const start = (this.currentPage - 1) * this.itemsPerPage;
+        this.filteredParticipants = participants.slice(start, start + this.itemsPerPage);
+        this.selectedIds = new Set();
+        this.editing = null;
+        this.liveRefreshPending = false;
+
+        this.renderResults();
+        this.updatePaginationControls();
+        if (historyMode !== 'none') {
+            this.updateSearchUrl(historyMode);
+        }
+
+        const ignored = ['name_match', 'attendance', 'session', 'created_from', 'created_to'].some(key => filters[key]);
+        this.resultsCount.textContent += ignored
+            ? ' (offline: from the saved rosters; the sounds-like, attendance and date filters need a connection)'
+            : ' (offline: from the saved rosters)';
+    }
+
+    async loadStats(params) {
+        try {
+            const response = await this.apiFetch(`/api/stats?${params}`);
+            const stats = await response.json();
+
+            if (response.ok) {
+                this.renderStats(stats);
+            } else {
+                console.error('Stats error:', stats.error);
+            }
+        } catch (error) {
+            console.error('Error loading statistics:', error);
+        }
+    }
+
+    renderStats(stats) {
+        const { totals } = stats;
+        const cards = [
+            ['Participants', totals.participants],
+            ['Batches', totals.batches],
+            ['Overall Attendance', totals.attendance_percentage === null ? '-' : `${totals.attendance_percentage}%`],
+            ['Full Attendance', totals.full_attendance],
+            ['Zero Attendance', totals.zero_attendance],
+            ['No Attendance Recorded', totals.no_attendance_recorded]
+        ];
+        this.statsCards.innerHTML = '';
+        cards.forEach(([label, value]) => {
+            const card = document.createElement('div');
+            card.className = 'stats-card';
+            const valueEl = document.createElement('div');
+            valueEl.className = 'stats-card-value';
+            valueEl.textContent = value;
+            const labelEl = document.createElement('div');
+            labelEl.className = 'stats-card-label';
+            labelEl.textContent = label;
+            card.append(valueEl, labelEl);
+            this.statsCards.appendChild(card);
+        });
+
+        this.renderBarChart(this.sessionChart, stats.sessions.map(session => ({
+            label: session.label,
+            percentage: session.percentage,
+            detail: `${session.present} of ${session.recorded} present`
+        })));
+
+        // Roll the trade x gender cells up to one bar per trade
+        const byTrade = stats.trade_gender.trades.map(trade => {
+            const cells = stats.trade_gender.cells.filter(cell => cell.trade === trade);
+            const present = cells.reduce((sum, cell) => sum + cell.present, 0);
+            const recorded = cells.reduce((sum, cell) => sum + cell.recorded, 0);
+            return {
+                label: trade || 'Not specified',
+                percentage: recorded > 0 ? Math.round((present / recorded) * 100) : null,
+                detail: `${cells.reduce((sum, cell) => sum + cell.participants, 0)} participants`
+            };
+        });
+        this.renderBarChart(this.tradeChart, byTrade);
+
+        this.renderCrossTab(stats.trade_gender);
+    }
+
+    // Horizontal bars of attendance percentages, as { label, percentage, detail }
+    renderBarChart(container, bars) {
+        container.innerHTML = '';
+        if (bars.length === 0) {
+            container.textContent = 'No attendance recorded for the current filters.';
+            return;
+        }
+
+        bars.forEach(({ label, percentage, detail }) => {
+            const row = document.createElement('div');
+            row.className = 'bar-row';
+            row.title = detail;
+
+            const labelEl = document.createElement('span');
+            labelEl.className = 'bar-label';
+            labelEl.textContent = label;
+
+            const track = document.createElement('div');
+            track.className = 'bar-track';
+            const fill = document.createElement('div');
+            fill.className = 'bar-fill';
+            fill.style.width = `${percentage || 0}%`;
+            track.appendChild(fill);
+
+            const valueEl = document.createElement('span');
+            valueEl.className = 'bar-value';
+            valueEl.textContent = percentage === null ? '-' : `${percentage}%`;
+
+            row.append(labelEl, track, valueEl);
+            container.appendChild(row);
+        });
+    }
+
+    // Participants and attendance % for every trade x gender pair, shaded by attendance
+    renderCrossTab({ trades, genders, cells }) {
+        this.crosstabHeader.innerHTML = '';
+        this.crosstabTbody.innerHTML = '';
+
+        ['Trade', ...genders.map(gender => gender || 'Not specified')].forEach(text => {
+            const th = document.createElement('th');
+            th.textContent = text;
+            this.crosstabHeader.appendChild(th);
+        });
+
+        trades.forEach(trade => {
+            const tr = document.createElement('tr');
+            const tradeCell = document.createElement('td');
+            tradeCell.textContent = trade || 'Not specified';
+            tr.appendChild(tradeCell);
+
+            genders.forEach(gender => {
+                const td = document.createElement('td');
+                const cell = cells.find(c => c.trade === trade && c.gender === gender);
+                if (!cell) {
+                    td.className = 'attendance-none';
+                    td.textContent = '-';
+                } else {
+                    td.textContent = cell.percentage === null
+                        ? `${cell.participants}`
+                        : `${cell.participants} (${cell.percentage}%)`;
+                    if (cell.percentage !== null) {
+                        td.style.backgroundColor = `hsl(${Math.round(cell.percentage * 1.2)}, 60%, 88%)`;
+                    }
+                }
+                tr.appendChild(td);
+            });
+            this.crosstabTbody.appendChild(tr);
+        });
+
+        if (trades.length === 0) {
+            const tr = document.createElement('tr');
+            const td = document.createElement('td');
+            td.colSpan = genders.length + 1;
+            td.textContent = 'No participants found matching your criteria.';
+            tr.appendChild(td);
+            this.crosstabTbody.appendChild(tr);
+        }
+    }
+
+    // Download every row matching the current filters, not just the visible page
+    exportResults(format) {
+        const params = this.buildFilterParams();
+        params.append('format', format);
+        window.location.href = `/api/participants/export?${params}`;
+    }
+
+    canIssueCertificates() {
+        return ['admin', 'trainer'].includes(this.user.role);
+    }
+
+    showResultsStatus(message, type) {
+        this.resultsStatus.textContent = message;
+        this.resultsStatus.className = message ? `status-${type}` : '';
+    }
+
+    // Fetch a file from the API and save it under the name the server gives it.
+    // Returns the server's error message instead when it refuses.
+    async downloadFile(url) {
+        const response = await this.apiFetch(url);
+        if (!response.ok) {
+            const result = await response.json();
+            return result.error || 'The download failed';
+        }
+
+        const disposition = response.headers.get('content-disposition') || '';
+        const encodedName = disposition.match(/filename\*=UTF-8''([^;]+)/i);
+        const plainName = disposition.match(/filename="?([^";]+)"?/i);
+        const link = document.createElement('a');
+        link.href = URL.createObjectURL(await response.blob());
+        link.download = encodedName ? decodeURIComponent(encodedName[1]) : (plainName ? plainName[1] : 'download');
+        document.body.appendChild(link);
+        link.click();
+        link.remove();
+        setTimeout(() => URL.revokeObjectURL(link.href), 1000);
+        return null;
+    }
+
+    // A ZIP of certificates for everyone in the current results who meets their programme's rule
+    async downloadCertificates() {
+        this.showResultsStatus('Preparing certificates...', 'info');
+        try {
+            const error = await this.downloadFile(`/api/participants/certificates?${this.buildFilterParams()}`);
+            this.showResultsStatus(error || '', 'error');
+        } catch (error) {
+            console.error('Certificate download error:', error);
+            this.showResultsStatus('Network error occurred while preparing certificates. Please try again.', 'error');
+        }
+    }
+
+    async downloadCertificate(participant, statusElement) {
+        statusElement.textContent = '';
+        statusElement.className = '';
+        try {
+            const error = await this.downloadFile(
+                `/api/participants/${encodeURIComponent(participant.p_no)}/certificate?batch_id=${participant.batch_id}`
+            );
+            if (error) {
+                statusElement.textContent = error;
+                statusElement.className = 'certificate-status status-error';
+            }
+        } catch (error) {
+            console.error('Certificate download error:', error);
+            statusElement.textContent = 'Network error occurred while preparing the certificate. Please try again.';
+            statusElement.className = 'certificate-status status-error';
+        }
+    }
+
+    async loadCertificateTemplates() {
+        try {
+            const response = await this.apiFetch('/api/certificate-templates');
+            if (response.ok) {
+                const { placeholders, templates } = await response.json();
+                const selected = this.certificateProgram.value;
+                this.certificateTemplates = templates;
+                this.certificateProgram.innerHTML = '';
+                templates.forEach(template => {
+                    const option = document.createElement('option');
+                    option.value = template.program_type;
+                    option.textContent = template.program_type;
+                    this.certificateProgram.appendChild(option);
+                });
+                if (templates.some(template => template.program_type === selected)) {
+                    this.certificateProgram.value = selected;
+                }
+                this.certificatePlaceholders.textContent =
+                    `Placeholders: ${placeholders.map(placeholder => `{{${placeholder}}}`).join(', ')}`;
+                this.showCertificateTemplate();
+            }
+        } catch (error) {
+            console.error('Error loading certificate templates:', error);
+        }
+    }
+
+    showCertificateTemplate() {
+        const template = this.certificateTemplates.find(entry => entry.program_type === this.certificateProgram.value);
+        if (!template) {
+            return;
+        }
+        this.certificateTitle.value = template.title;
+        this.certificateBody.value = template.body;
+        this.certificateSignatory.value = template.signatory;
+        this.certificateRule.value = template.rule;
+        this.certificateMinPercentage.value = template.min_percentage;
+        this.certificateMinGroup.hidden = template.rule !== 'min_percentage';
+        this.certificateUpdated.textContent =
+            `Last changed by ${template.updated_by} on ${new Date(template.updated_at).toLocaleString()}`;
+    }
+
+    async saveCertificateTemplate() {
+        const programType = this.certificateProgram.value;
+        try {
+            const response = await this.apiFetch(`/api/certificate-templates/${encodeURIComponent(programType)}`, {
+                method: 'PUT',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({
+                    title: this.certificateTitle.value,
+                    body: this.certificateBody.value,
+                    signatory: this.certificateSignatory.value,
+                    rule: this.certificateRule.value,
+                    min_percentage: parseInt(this.certificateMinPercentage.value)
+                })
+            });
+            const result = await response.json();
+
+            if (response.ok) {
+                this.certificateStatus.textContent = `${programType} certificate template saved.`;
+                this.certificateStatus.className = 'status-success';
+                await this.loadCertificateTemplates();
+            } else {
+                let errorMessage = result.error || 'Could not save the template';
+                if (result.validationErrors) {
+                    errorMessage += ': ' + result.validationErrors.join('; ');
+                }
+                this.certificateStatus.textContent = errorMessage;
+                this.certificateStatus.className = 'status-error';
+            }
+        } catch (error) {
+            console.error('Save certificate template error:', error);
+            this.certificateStatus.textContent = 'Network error occurred while saving the template. Please try again.';
+            this.certificateStatus.className = 'status-error';
+        }
+    }
+
+    showNotifyStatus(message, type) {
+        this.notifyStatus.textContent = message;
+        this.notifyStatus.className = message ? `status-${type}` : '';
+    }
+
+    // The message and the current search filters, as sent to the notification endpoints
+    buildNotificationRequest() {
+        const { sort, order, ...filters } = this.getSearchFilters();
+        return {
+            channel: this.notifyChannel.value,
+            template: this.notifyTemplate.value,
+            filters
+        };
+    }
+
+    async previewNotification() {
+        const request = this.buildNotificationRequest();
+        this.notifySendBtn.disabled = true;
+        this.notificationPreview = null;
+
+        try {
+            const response = await this.apiFetch('/api/notifications/preview', {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify(request)
+            });
+            const result = await response.json();
+
+            if (response.ok) {
+                this.notificationPreview = { key: JSON.stringify(request), recipients: result.recipients };
+                this.notifySendBtn.disabled = result.recipients === 0;
+                this.showNotifyStatus(
+                    `${result.recipients} participants will get this message` +
+                        (result.skipped > 0 ? `; ${result.skipped} will be skipped.` : '.'),
+                    result.recipients > 0 ? 'info' : 'error'
+                );
+                this.renderDeliveries(this.notifyPreview, result.deliveries,
+                    result.deliveries.length < result.recipients + result.skipped
+                        ? `The first ${result.deliveries.length} recipients:`
+                        : 'Recipients:');
+            } else {
+                let errorMessage = result.error || 'Could not preview the message';
+                if (result.validationErrors) {
+                    errorMessage += ': ' + result.validationErrors.join('; ');
+                }
+                this.showNotifyStatus(errorMessage, 'error');
+                this.notifyPreview.hidden = true;
+            }
+        } catch (error) {
+            console.error('Notification preview error:', error);
+            this.showNotifyStatus('Network error occurred while previewing the message. Please try again.', 'error');
+        }
+    }
+
+    async sendNotification() {
+        const request = this.buildNotificationRequest();
+        // The filters may have changed since the preview, so check it still describes this message
+        if (!this.notificationPreview || this.notificationPreview.key !== JSON.stringify(request)) {
+            this.notifySendBtn.disabled = true;
+            this.showNotifyStatus('The message or search filters have changed. Preview the recipients again.', 'error');
+            return;
+        }
+        const channel = request.channel === 'whatsapp' ? 'WhatsApp' : 'SMS';
+        if (!confirm(`Send this ${channel} message to ${this.notificationPreview.recipients} participants?`)) {
+            return;
+        }
+
+        this.notifySendBtn.disabled = true;
+        try {
+            const response = await this.apiFetch('/api/notifications', {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify(request)
+            });
+            const result = await response.json();
+
+            if (response.ok) {
+                this.notificationPreview = null;
+                this.notifyPreview.hidden = true;
+                this.showNotifyStatus(`Sending to ${result.recipients} participants. Progress is shown under Sent Messages.`, 'success');
+                await this.loadNotifications();
+            } else {
+                let errorMessage = result.error || 'Could not send the message';
+                if (result.validationErrors) {
+                    errorMessage += ': ' + result.validationErrors.join('; ');
+                }
+                this.showNotifyStatus(errorMessage, 'error');
+            }
+        } catch (error) {
+            console.error('Send notification error:', error);
+            this.showNotifyStatus('Network error occurred while sending the message. Please try again.', 'error');
+        }
+    }
+
+    // A table of deliveries (P.No, name, number, message and status) under a heading
+    renderDeliveries(container, deliveries, heading) {
+        container.innerHTML = '';
+        const title = document.createElement('h3');
+        title.textContent = heading;
+        const table = document.createElement('table');
+        const headerRow = table.createTHead().insertRow();
+        ['P.No', 'Name', 'Mobile No', 'Message', 'Status'].forEach(text => {
+            const th = document.createElement('th');
+            th.textContent = text;
+            headerRow.appendChild(th);
+        });
+        const body = table.createTBody();
+        deliveries.forEach(delivery => {
+            const row = body.insertRow();
+            [
+                delivery.p_no,
+                delivery.name || '',
+                delivery.mobile_no || '-',
+                delivery.message,
+                delivery.error ? `${delivery.status}: ${delivery.error}` : delivery.status
+            ].forEach(text => {
+                row.insertCell().textContent = text;
+            });
+            row.className = `delivery-${delivery.status}`;
+        });
+        const wrapper = document.createElement('div');
+        wrapper.className = 'results-table-container';
+        wrapper.appendChild(table);
+        container.append(title, wrapper);
+        container.hidden = false;
+    }
+
+    async loadNotifications() {
+        clearTimeout(this.notificationPoll);
+        try {
+            const response = await this.apiFetch('/api/notifications');
+            const result = await response.json();
+
+            if (response.ok) {
+                this.renderNotifications(result.notifications);
+                // Follow the progress of messages that are still being sent
+                if (result.notifications.some(notification => notification.queued > 0)) {
+                    this.notificationPoll = setTimeout(() => this.loadNotifications(), 5000);
+                }
+            } else {
+                this.showNotifyStatus(result.error || 'Error loading sent messages', 'error');
+            }
+        } catch (error) {
+            console.error('Error loading notifications:', error);
+        }
+    }
+
+    renderNotifications(notifications) {
+        this.notifyHistoryTbody.innerHTML = '';
+        notifications.forEach(notification => {
+            const tr = document.createElement('tr');
+            [
+                new Date(notification.created_at).toLocaleString(),
+                notification.username,
+                notification.channel === 'whatsapp' ? 'WhatsApp' : 'SMS',
+                notification.template,
+                notification.recipients,
+                notification.sent,
+                notification.failed,
+                notification.queued,
+                notification.skipped
+            ].forEach(text => {
+                const td = document.createElement('td');
+                td.textContent = text;
+                tr.appendChild(td);
+            });
+            const actionCell = document.createElement('td');
+            actionCell.appendChild(this.buildActionButton('View', 'view-btn', () => this.showNotification(notification.id)));
+            tr.appendChild(actionCell);
+            this.notifyHistoryTbody.appendChild(tr);
+        });
+    }
+
+    async showNotification(id) {
+        try {
+            const response = await this.apiFetch(`/api/notifications/${id}`);
+            const notification = await response.json();
+            if (response.ok) {
+                this.renderDeliveries(this.notifyDetails, notification.deliveries,
+                    `Sent ${new Date(notification.created_at).toLocaleString()} by ${notification.username} via ${notification.provider}`);
+            } else {
+                this.showNotifyStatus(notification.error || 'Notification not found', 'error');
+            }
+        } catch (error) {
+            console.error('Error loading notification:', error);
+        }
+    }
+
+    // The messages sent to a participant, filled in once they have loaded
+    buildMessageHistoryBlock(participant) {
+        const block = document.createElement('div');
+        block.className = 'detail-item';
+        const label = document.createElement('div');
+        label.className = 'detail-label';
+        label.textContent = 'Messages';
+        const list = document.createElement('ul');
+        list.className = 'history-list';
+        block.append(label, list);
+
+        this.apiFetch(`/api/participants/${encodeURIComponent(participant.p_no)}/notifications`)
+            .then(response => (response.ok ? response.json() : []))
+            .then(deliveries => {
+                if (deliveries.length === 0) {
+                    const item = document.createElement('li');
+                    item.textContent = 'No messages sent';
+                    list.appendChild(item);
+                }
+                deliveries.forEach(delivery => {
+                    const item = document.createElement('li');
+                    const channel = delivery.channel === 'whatsapp' ? 'WhatsApp' : 'SMS';
+                    const status = delivery.error ? `${delivery.status} (${delivery.error})` : delivery.status;
+                    item.textContent = `${new Date(delivery.created_at).toLocaleString()} ${channel} to ${delivery.mobile_no || '-'}, ${status}: ${delivery.message}`;
+                    list.appendChild(item);
+                });
+            })
+            .catch(error => console.error('Error loading messages:', error));
+        return block;
+    }
+
+    clearFilters() {
+        this.setSearchFilters({});
+        this.savedSearchSelect.value = '';
+        this.savedSearchName.value = '';
+        
+        this.currentPage = 1;
+        this.performSearch();
+    }
+
+    // Attendance status for a session, or null if the participant has no record for it
+    getAttendanceStatus(participant, label) {
+        const entry = participant.attendance.find(a => a.label === label);
+        return entry ? entry.status : null;
+    }
+
+    formatAttendancePercentage(participant) {
+        return participant.attendance_percentage === null ? '-' : `${participant.attendance_percentage}%`;
+    }
+
+    // Admins and trainers can tick rows for bulk actions
+    // Admins and trainers can tick rows for bulk actions, which need a connection
+    canSelectRows() {
+        return Boolean(this.user) && ['admin', 'trainer'].includes(this.user.role) && !this.offline;
+    }
+
+    renderResultsHeader() {
+        // Viewers only see masked mobile numbers, so they cannot sort by them either
+        const mobileSort = this.user && this.user.role === 'viewer' ? null : 'mobile_no';
+        const columns = [
+            ['P.No', 'p_no'],
+            ['Mobile No', mobileSort],
+            ['Name', 'name'],
+            ['Trade', 'trade'],
+            ['Gender', 'gender'],
+            ['Batch', 'batch'],
+            ...this.sessions.map(session => [session.label, `session:${session.label}`]),
+            ['Attendance %', 'attendance_percentage'],
+            ['Actions', null]
+        ];
+
+        this.resultsHeader.innerHTML = '';
+        if (this.canSelectRows()) {
+            const selectHeader = document.createElement('th');
+            selectHeader.className = 'select-cell';
+            const checkbox = document.createElement('input');
+            checkbox.type = 'checkbox';
+            checkbox.id = 'select-all-results';
+            checkbox.setAttribute('aria-label', 'Select all');
+            selectHeader.appendChild(checkbox);
+            this.resultsHeader.appendChild(selectHeader);
+        }
+        columns.forEach(([label, sort]) => {
+            const header = document.createElement('th');
+            header.textContent = label;
+            if (sort) {
+                header.dataset.sort = sort;
+            }
+            this.resultsHeader.appendChild(header);
+        });
+
+        // Clicking a header sorts by it; clicking it again reverses the order
+        this.resultsHeader.querySelectorAll('th[data-sort]').forEach(header => {
+            header.classList.add('sortable');
+            if (header.dataset.sort === this.sortField) {
+                header.classList.add(this.sortOrder === 'desc' ? 'sorted-desc' : 'sorted-asc');
+            }
+            header.addEventListener('click', () => this.sortBy(header.dataset.sort));
+        });
+
+        const selectAll = document.getElementById('select-all-results');
+        if (selectAll) {
+            const selectable = this.filteredParticipants.filter(participant => this.canMarkAttendance(participant.batch_id));
+            selectAll.checked = selectable.length > 0 && selectable.every(participant => this.selectedIds.has(participant.id));
+            selectAll.addEventListener('change', () => {
+                selectable.forEach(participant => {
+                    if (selectAll.checked) {
+                        this.selectedIds.add(participant.id);
+                    } else {
+                        this.selectedIds.delete(participant.id);
+                    }
+                });
+                this.renderResults();
+            });
+        }
+    }
+
+    renderResults() {
+        // Rebuild the header so there is one column per session in the results
+        this.renderResultsHeader();
+
+        // Clear existing rows
+        this.resultsTbody.innerHTML = '';
+
+        // Update results count
+        this.resultsCount.textContent = `Showing ${this.filteredParticipants.length} of ${this.totalCount} participants`;
+
+        // A participant being added gets an editable row at the top
+        if (this.editing && !this.editing.participant) {
+            this.resultsTbody.appendChild(this.buildEditRow(null));
+        }
+
+        // Render participant rows
+        this.filteredParticipants.forEach(participant => {
+            if (this.editing && this.editing.participant && this.editing.participant.id === participant.id) {
+                this.resultsTbody.appendChild(this.buildEditRow(participant));
+                return;
+            }
+
+            const row = document.createElement('tr');
+            [
+                participant.p_no,
+                participant.mobile_no,
+                participant.name,
+                participant.trade,
+                participant.gender,
+                participant.batch_name
+            ].forEach(text => row.appendChild(this.buildTextCell(text)));
+
+            // Format attendance with appropriate classes
+            this.sessions.forEach(session => {
+                const status = this.getAttendanceStatus(participant, session.label);
+                if (!status) {
+                    row.appendChild(this.buildTextCell('-', 'attendance-none'));
+                } else {
+                    row.appendChild(this.buildTextCell(status, status === 'P' ? 'attendance-present' : 'attendance-absent'));
+                }
+            });
+            row.appendChild(this.buildTextCell(this.formatAttendancePercentage(participant)));
+
+            // The results table's click listener opens the details of the row's participant
+            const viewButton = document.createElement('button');
+            viewButton.type = 'button';
+            viewButton.className = 'action-btn view-btn';
+            viewButton.textContent = 'View';
+            viewButton.dataset.pNo = participant.p_no;
+            viewButton.dataset.batchId = participant.batch_id;
+            const actionsCell = document.createElement('td');
+            actionsCell.appendChild(viewButton);
+            row.appendChild(actionsCell);
+
+            if (this.canSelectRows()) {
+                row.prepend(this.buildSelectCell(participant));
+            }
+            if (this.user && this.user.role === 'admin' && !this.offline) {
+                actionsCell.appendChild(this.buildActionButton('Edit', 'edit-btn', () => this.startEditParticipant(participant)));
+                actionsCell.appendChild(this.buildActionButton('Delete', 'delete-btn', () => this.deleteParticipant(participant)));
+            }
+            row.classList.toggle('row-selected', this.selectedIds.has(participant.id));
+            
+            this.resultsTbody.appendChild(row);
+        });
+
+        // Show message if no results
+        if (this.filteredParticipants.length === 0 && !this.editing) {
+            const row = document.createElement('tr');
+            const cell = this.buildTextCell('No participants found matching your criteria.');
+            cell.colSpan = this.resultColumnCount();
+            cell.style.textAlign = 'center';
+            row.appendChild(cell);
+            this.resultsTbody.appendChild(row);
+        }
+
+        this.updateBulkActions();
+        this.setSessionFilterOptions();
+    }
+
+    resultColumnCount() {
+        return this.sessions.length + 8 + (this.canSelectRows() ? 1 : 0);
+    }
+
+    // A table cell showing `text` as it is, never as HTML
+    buildTextCell(text, className = '') {
+        const cell = document.createElement('td');
+        cell.textContent = text;
+        if (className) {
+            cell.className = className;
+        }
+        return cell;
+    }
+
+    buildActionButton(label, className, onClick) {
+        const button = document.createElement('button');
+        button.type = 'button';
+        button.className = `action-btn ${className}`;
+        button.textContent = label;
+        button.addEventListener('click', onClick);
+        return button;
+    }
+
+    // The tick box of a result row. Trainers can only select participants of their own batches.
+    buildSelectCell(participant) {
+        const cell = document.createElement('td');
+        cell.className = 'select-cell';
+        const checkbox = document.createElement('input');
+        checkbox.type = 'checkbox';
+        checkbox.setAttribute('aria-label', `Select ${participant.p_no}`);
+        checkbox.checked = this.selectedIds.has(participant.id);
+        checkbox.disabled = !this.canMarkAttendance(participant.batch_id);
+        checkbox.addEventListener('change', () => {
+            if (checkbox.checked) {
+                this.selectedIds.add(participant.id);
+            } else {
+                this.selectedIds.delete(participant.id);
+            }
+            this.renderResults();
+        });
+        cell.appendChild(checkbox);
+        return cell;
+    }
+
+    // Show the bulk toolbar while rows are selected, offering the sessions in the results
+    updateBulkActions() {
+        this.bulkActions.hidden = this.selectedIds.size === 0;
+        this.bulkSelectedCount.textContent = `${this.selectedIds.size} selected`;
+
+        const selectedLabel = this.bulkSession.value;
+        this.bulkSession.innerHTML = '<option value="">Select a session</option>';
+        this.sessions.forEach(session => {
+            const option = document.createElement('option');
+            option.value = session.label;
+            option.textContent = session.label;
+            this.bulkSession.appendChild(option);
+        });
+        this.bulkSession.value = this.sessions.some(session => session.label === selectedLabel) ? selectedLabel : '';
+    }
+
+    // An editable results row for `participant`, or for a new participant when null.
+    // Attendance can only be set for sessions the participant's batch has.
+    buildEditRow(participant) {
+        const row = document.createElement('tr');
+        row.className = 'editing-row';
+        if (this.canSelectRows()) {
+            row.appendChild(document.createElement('td'));
+        }
+
+        const inputs = {};
+        [['p_no', 'P.No'], ['mobile_no', 'Mobile No'], ['name', 'Name'], ['trade', 'Trade'], ['gender', 'Gender']]
+            .forEach(([field, label]) => {
+                const cell = document.createElement('td');
+                const input = document.createElement('input');
+                input.type = 'text';
+                input.className = 'edit-input';
+                input.value = participant ? participant[field] || '' : '';
+                input.setAttribute('aria-label', label);
+                cell.appendChild(input);
+                row.appendChild(cell);
+                inputs[field] = input;
+            });
+
+        const batchCell = document.createElement('td');
+        let batchSelect = null;
+        if (participant) {
+            batchCell.textContent = participant.batch_name;
+        } else {
+            batchSelect = document.createElement('select');
+            batchSelect.className = 'edit-input';
+            batchSelect.setAttribute('aria-label', 'Batch');
+            batchSelect.innerHTML = '<option value="">Select a batch</option>';
+            this.batches.forEach(batch => {
+                const option = document.createElement('option');
+                option.value = batch.id;
+                option.textContent = batch.name;
+                batchSelect.appendChild(option);
+            });
+            batchSelect.value = this.editing.batchId || '';
+            batchSelect.addEventListener('change', async () => {
+                this.editing.batchId = batchSelect.value;
+                this.editing.sessionLabels = await this.loadSessionLabels(batchSelect.value);
+                this.renderResults();
+            });
+            batchCell.appendChild(batchSelect);
+        }
+        row.appendChild(batchCell);
+
+        const attendanceSelects = new Map();
+        this.sessions.forEach(session => {
+            const cell = document.createElement('td');
+            const current = participant ? this.getAttendanceStatus(participant, session.label) : null;
+            const select = document.createElement('select');
+            select.className = 'edit-input';
+            select.setAttribute('aria-label', session.label);
+            // A recorded status can be changed but not cleared
+            (current ? ['P', 'A'] : ['', 'P', 'A']).forEach(status => {
+                const option = document.createElement('option');
+                option.value = status;
+                option.textContent = status || '-';
+                select.appendChild(option);
+            });
+            select.value = current || '';
+            select.disabled = !this.editing.sessionLabels.includes(session.label);
+            cell.appendChild(select);
+            row.appendChild(cell);
+            attendanceSelects.set(session.label, select);
+        });
+
+        const percentageCell = document.createElement('td');
+        percentageCell.textContent = participant ? this.formatAttendancePercentage(participant) : '-';
+        row.appendChild(percentageCell);
+
+        const actionsCell = document.createElement('td');
+        actionsCell.appendChild(this.buildActionButton('Save', 'save-btn', () => {
+            const attendance = {};
+            attendanceSelects.forEach((select, label) => {
+                if (!select.disabled && select.value) {
+                    attendance[label] = select.value;
+                }
+            });
+            const values = Object.fromEntries(Object.entries(inputs).map(([field, input]) => [field, input.value.trim()]));
+            this.saveParticipant(participant, batchSelect ? batchSelect.value : participant.batch_id, { ...values, attendance });
+        }));
+        actionsCell.appendChild(this.buildActionButton('Cancel', 'cancel-btn', () => {
+            this.editing = null;
+            if (this.liveRefreshPending) {
+                this.performSearch();
+            } else {
+                this.renderResults();
+            }
+        }));
+        row.appendChild(actionsCell);
+
+        return row;
+    }
+
+    // Session labels of a batch, for the attendance cells of the edit row
+    async loadSessionLabels(batchId) {
+        if (!batchId) {
+            return [];
+        }
+        try {
+            const response = await this.apiFetch(`/api/batches/${batchId}/sessions`);
+            const sessions = await response.json();
+            return response.ok ? sessions.map(session => session.label) : [];
+        } catch (error) {
+            console.error('Error loading sessions:', error);
+            return [];
+        }
+    }
+
+    startAddParticipant() {
+        this.editing = { participant: null, batchId: this.batchFilter.value, sessionLabels: [] };
+        this.renderResults();
+        if (this.editing.batchId) {
+            this.loadSessionLabels(this.editing.batchId).then(labels => {
+                if (this.editing && !this.editing.participant) {
+                    this.editing.sessionLabels = labels;
+                    this.renderResults();
+                }
+            });
+        }
+    }
+
+    async startEditParticipant(participant) {
+        this.editing = { participant, sessionLabels: await this.loadSessionLabels(participant.batch_id) };
+        this.renderResults();
+    }
+
+    async saveParticipant(participant, batchId, values) {
+        if (!batchId) {
+            this.showUploadStatus('Please select a batch for the participant.', 'error');
+            return;
+        }
+
+        try {
+            const response = await this.apiFetch(
+                participant ? `/api/batches/${batchId}/participants/${participant.id}` : `/api/batches/${batchId}/participants`,
+                {
+                    method: participant ? 'PATCH' : 'POST',
+                    headers: { 'Content-Type': 'application/json' },
+                    body: JSON.stringify(values)
+                }
+            );
+            const result = await response.json();
+
+            if (response.ok) {
+                let message = `${participant ? 'Saved' : 'Added'} ${result.p_no} - ${result.name}.`;
+                if (result.normalized.length > 0) {
+                    message += ' Normalized ' + result.normalized
+                        .map(change => `${change.column} '${change.from}' to '${change.to}'`)
+                        .join(', ') + '.';
+                }
+                this.showUploadStatus(message, 'success');
+                await this.refreshAfterChange();
+            } else {
+                let errorMessage = result.error || 'Could not save the participant';
+                if (result.validationErrors) {
+                    errorMessage += ': ' + result.validationErrors.join('; ');
+                }
+                this.showUploadStatus(errorMessage, 'error');
+            }
+        } catch (error) {
+            console.error('Save participant error:', error);
+            this.showUploadStatus('Network error occurred while saving the participant. Please try again.', 'error');
+        }
+    }
+
+    async deleteParticipant(participant) {
+        if (!confirm(`Delete ${participant.p_no} - ${participant.name} and their attendance from ${participant.batch_name}?`)) {
+            return;
+        }
+
+        try {
+            const response = await this.apiFetch(`/api/batches/${participant.batch_id}/participants/${participant.id}`, {
+                method: 'DELETE'
+            });
+            const result = await response.json();
+
+            if (response.ok) {
+                this.closeDetailsModal();
+                this.showUploadStatus(result.message, 'success');
+                await this.refreshAfterChange();
+            } else {
+                this.showUploadStatus(result.error || 'Could not delete the participant', 'error');
+            }
+        } catch (error) {
+            console.error('Delete participant error:', error);
+            this.showUploadStatus('Network error occurred while deleting the participant. Please try again.', 'error');
+        }
+    }
+
+    async bulkMarkAttendance() {
+        const label = this.bulkSession.value;
+        if (!label) {
+            this.showUploadStatus('Please select a session to mark.', 'error');
+            return;
+        }
+        await this.runBulkAction('/api/participants/bulk-attendance', {
+            ids: [...this.selectedIds],
+            label,
+            status: this.bulkStatus.value
+        }, result => result.skipped.length > 0
+            ? `${result.message}. Skipped ${result.skipped.join(', ')}: their batch has no ${label}.`
+            : `${result.message}.`);
+    }
+
+    async bulkDeleteParticipants() {
+        if (!confirm(`Delete ${this.selectedIds.size} selected participants and their attendance?`)) {
+            return;
+        }
+        await this.runBulkAction('/api/participants/bulk-delete', { ids: [...this.selectedIds] }, result => `${result.message}.`);
+    }
+
+    async runBulkAction(url, body, describe) {
+        try {
+            const response = await this.apiFetch(url, {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify(body)
+            });
+            const result = await response.json();
+
+            if (response.ok) {
+                this.showUploadStatus(describe(result), 'success');
+                await this.refreshAfterChange();
+            } else {
+                let errorMessage = result.error || 'Could not apply the action';
+                if (result.validationErrors) {
+                    errorMessage += ': ' + result.validationErrors.join('; ');
+                }
+                this.showUploadStatus(errorMessage, 'error');
+            }
+        } catch (error) {
+            console.error('Bulk action error:', error);
+            this.showUploadStatus('Network error occurred while applying the action. Please try again.', 'error');
+        }
+    }
+
+    // Reload everything a participant change can affect
+    async refreshAfterChange() {
+        await this.performSearch();
+        await this.loadTrades();
+        await this.loadGenders();
+        if (this.user.role === 'admin') {
+            await this.loadAuditLog();
+        }
+    }
+
+    async sortBy(field) {
+        if (this.sortField === field) {
+            this.sortOrder = this.sortOrder === 'asc' ? 'desc' : 'asc';
+        } else {
+            this.sortField = field;
+            this.sortOrder = 'asc';
+        }
+        this.currentPage = 1;
+        await this.performSearch({ refreshStats: false });
+    }
+
+    updatePaginationControls() {
+        this.pageInfo.textContent = `Page ${this.currentPage} of ${this.totalPages}`;
+        
+        this.prevPageBtn.disabled = this.currentPage === 1;
+        this.nextPageBtn.disabled = this.currentPage === this.totalPages || this.totalPages === 0;
+    }
+
+    async changePageSize(size) {
+        this.itemsPerPage = PAGE_SIZES.includes(size) ? size : PAGE_SIZES[0];
+        this.currentPage = 1;
+        await this.performSearch({ refreshStats: false });
+    }
+
+    async goToPage(page) {
+        if (page >= 1 && page <= this.totalPages) {
+            this.currentPage = page;
+            await this.performSearch({ refreshStats: false });
+        }
+    }
+
+    async showParticipantDetails(pNo, batchId) {
+        try {
+            const details = await this.loadParticipantDetails(pNo, batchId);
+            
+            if (details) {
+                const { participant, history } = details;
+                const batchLabel = participant.program_type
+                    ? `${participant.batch_name} (${participant.program_type})`
+                    : participant.batch_name;
+
+                this.participantDetails.innerHTML = '';
+                this.participantDetails.append(
+                    this.buildDetailItem('P.No', participant.p_no),
+                    this.buildDetailItem('Mobile No', participant.mobile_no),
+                    this.buildDetailItem('Name', participant.name),
+                    this.buildDetailItem('Trade', participant.trade),
+                    this.buildDetailItem('Gender', participant.gender),
+                    this.buildDetailItem('Batch', batchLabel)
+                );
+
+                const canMark = this.canMarkAttendance(participant.batch_id);
+                participant.attendance.forEach(entry => {
+                    const present = entry.status === 'P';
+                    const item = this.buildDetailItem(`Attendance ${entry.label}`,
+                        `${entry.status} (${present ? 'Present' : 'Absent'})`);
+                    const value = item.lastElementChild;
+                    value.classList.add(present ? 'attendance-present' : 'attendance-absent');
+                    if (canMark) {
+                        value.append(' ', this.buildActionButton(`Mark ${present ? 'Absent' : 'Present'}`, 'attendance-toggle',
+                            () => this.markAttendance(participant, entry.session_id, present ? 'A' : 'P')));
+                    }
+                    this.participantDetails.appendChild(item);
+                });
+
+                const historyItem = this.buildDetailItem('Training History', null);
+                const historyList = document.createElement('ul');
+                historyList.className = 'history-list';
+                history.forEach(entry => {
+                    const item = document.createElement('li');
+                    const batchName = document.createElement('strong');
+                    batchName.textContent = entry.batch_name;
+                    const parts = [];
+                    if (entry.start_date) {
+                        parts.push(entry.end_date ? `${entry.start_date} to ${entry.end_date}` : entry.start_date);
+                    }
+                    if (entry.venue) {
+                        parts.push(entry.venue);
+                    }
+                    parts.push(entry.attendance_percentage === null ? 'No attendance recorded' : `${entry.attendance_percentage}% attendance`);
+                    item.append(batchName, `${entry.program_type ? ` (${entry.program_type})` : ''} \u00b7 ${parts.join(' \u00b7 ')}`);
+                    historyList.appendChild(item);
+                });
+                historyItem.lastElementChild.replaceWith(historyList);
+
+                this.participantDetails.append(
+                    this.buildDetailItem('Attendance Percentage', this.formatAttendancePercentage(participant)),
+                    this.buildDetailItem('Created At', new Date(participant.created_at).toLocaleString()),
+                    historyItem
+                );
+
+                // QR codes, messages and certificates come from the server
+                if (!this.offline) {
+                    this.participantDetails.appendChild(this.buildQrCodeBlock(participant));
+                }
+                if (this.user.role === 'admin' && !this.offline) {
+                    this.participantDetails.appendChild(this.buildMessageHistoryBlock(participant));
+                }
+
+                if (this.canIssueCertificates() && !this.offline) {
+                    const actions = document.createElement('div');
+                    actions.className = 'detail-actions';
+                    const certificateStatus = document.createElement('div');
+                    actions.appendChild(this.buildActionButton('Download Certificate', 'certificate-btn',
+                        () => this.downloadCertificate(participant, certificateStatus)));
+                    if (this.user.role === 'admin') {
+                        actions.appendChild(this.buildActionButton('Edit', 'edit-btn', () => {
+                            this.closeDetailsModal();
+                            this.startEditParticipant(participant);
+                        }));
+                        actions.appendChild(this.buildActionButton('Delete', 'delete-btn', () => this.deleteParticipant(participant)));
+                    }
+                    this.participantDetails.appendChild(actions);
+                    this.participantDetails.appendChild(certificateStatus);
+                }
+                
+                this.modal.style.display = 'block';
+            } else {
+                this.showUploadStatus('Error: Participant not found.', 'error');
+            }
+        } catch (error) {
+            console.error('Error fetching participant details:', error);
             this.showUploadStatus('Error retrieving participant details. Please try again.', 'error');
         }
     }
 
+    // A participant and their training history from the server or, offline, from the saved rosters.
+    // Returns null if the participant is not found.
+    async loadParticipantDetails(pNo, batchId) {
+        if (!this.offline) {
+            try {
+                const [response, historyResponse] = await Promise.all([
+                    this.apiFetch(`/api/participants/${encodeURIComponent(pNo)}?batch_id=${batchId}`),
+                    this.apiFetch(`/api/participants/${encodeURIComponent(pNo)}/history`)
+                ]);
+                if (!response.ok) {
+                    return null;
+                }
+                return {
+                    participant: await response.json(),
+                    history: historyResponse.ok ? await historyResponse.json() : []
+                };
+            } catch (error) {
+                if (!this.isNetworkError(error) || this.offlineRosters.length === 0) {
+                    throw error;
+                }
+                this.setOffline(true);
+            }
+        }
+
+        const roster = this.offlineRosters.find(saved => saved.batch_id === batchId);
+        const participant = roster && roster.participants.find(entry => entry.p_no === pNo);
+        return participant ? { participant, history: [] } : null;
+    }
+
+    // A labelled field of the participant details, its value shown as text.
+    // With a null value the value element is left empty, for the caller to fill or replace.
+    buildDetailItem(label, value) {
+        const item = document.createElement('div');
+        item.className = 'detail-item';
+        const labelElement = document.createElement('div');
+        labelElement.className = 'detail-label';
+        labelElement.textContent = label;
+        const valueElement = document.createElement('div');
+        valueElement.className = 'detail-value';
+        if (value !== null) {
+            valueElement.textContent = value;
+        }
+        item.append(labelElement, valueElement);
+        return item;
+    }
+
+    // The participant's check-in QR code with a button to print it
+    buildQrCodeBlock(participant) {
+        const block = document.createElement('div');
+        block.className = 'detail-item detail-qr';
+        const label = document.createElement('div');
+        label.className = 'detail-label';
+        label.textContent = 'Check-in QR Code';
+        const image = document.createElement('img');
+        image.src = `/api/participants/${encodeURIComponent(participant.p_no)}/qr?batch_id=${participant.batch_id}`;
+        image.alt = `QR code for ${participant.p_no}`;
+        block.append(label, image, this.buildActionButton('Print QR Code', 'view-btn', () => this.printQrCode(participant, image.src)));
+        return block;
+    }
+
+    printQrCode(participant, imageUrl) {
+        const printWindow = window.open('', '_blank', 'width=420,height=520');
+        if (!printWindow) {
+            this.showUploadStatus('Allow pop-ups for this site to print the QR code.', 'error');
+            return;
+        }
+
+        const doc = printWindow.document;
+        doc.title = `QR Code - ${participant.p_no}`;
+        const card = doc.createElement('div');
+        card.style.cssText = 'text-align: center; font-family: sans-serif; padding: 20px;';
+        const image = doc.createElement('img');
+        image.style.width = '250px';
+        const name = doc.createElement('h2');
+        name.textContent = participant.name;
+        const details = doc.createElement('p');
+        details.textContent = `P.No ${participant.p_no} - ${participant.batch_name}`;
+        card.append(image, name, details);
+        doc.body.appendChild(card);
+
+        image.addEventListener('load', () => {
+            printWindow.focus();
+            printWindow.print();
+        });
+        image.src = imageUrl;
+    }
+
+    // Fill the audit user filter with every account, plus the server's own imports
+    async loadAuditUsers() {
+        try {
+            const response = await this.apiFetch('/api/users');
+            const users = await response.json();
+            if (!response.ok) {
+                return;
+            }
+
+            this.auditUser.innerHTML = '<option value="">All Users</option>';
+            [...users.map(user => user.username), 'system'].forEach(username => {
+                const option = document.createElement('option');
+                option.value = username;
+                option.textContent = username;
+                this.auditUser.appendChild(option);
+            });
+        } catch (error) {
+            console.error('Error loading users:', error);
+        }
+    }
+
+    async loadAuditLog() {
+        const params = new URLSearchParams();
+        if (this.auditFrom.value) params.append('from', this.auditFrom.value);
+        if (this.auditTo.value) params.append('to', this.auditTo.value);
+        if (this.auditUser.value) params.append('username', this.auditUser.value);
+        if (this.auditPNo.value.trim()) params.append('p_no', this.auditPNo.value.trim());
+        if (this.auditAction.value) params.append('action', this.auditAction.value);
+        params.append('page', this.auditPage);
+
+        try {
+            const response = await this.apiFetch(`/api/audit?${params}`);
+            const result = await response.json();
+
+            if (response.ok) {
+                this.auditPage = result.pagination.page;
+                this.auditTotalPages = result.pagination.totalPages;
+                this.renderAuditLog(result.entries);
+            } else {
+                const details = result.validationErrors ? `: ${result.validationErrors.join(', ')}` : '';
+                this.showUploadStatus(`${result.error || 'Error loading the audit log'}${details}`, 'error');
+            }
+        } catch (error) {
+            console.error('Audit log error:', error);
+            this.showUploadStatus('Network error occurred while loading the audit log. Please try again.', 'error');
+        }
+    }
+
+    renderAuditLog(entries) {
+        this.auditTbody.innerHTML = '';
+        this.auditDetails.hidden = true;
+
+        entries.forEach(entry => {
+            const tr = document.createElement('tr');
+            const pNos = entry.p_nos.join(', ') + (entry.participant_count > entry.p_nos.length
+                ? ` and ${entry.participant_count - entry.p_nos.length} more`
+                : '');
+            [
+                new Date(entry.created_at).toLocaleString(),
+                entry.username,
+                entry.action,
+                entry.batch_name || '-',
+                entry.file_name || '-',
+                entry.file_checksum ? entry.file_checksum.slice(0, 12) : '-',
+                pNos || '-',
+                entry.summary
+            ].forEach((text, index) => {
+                const td = document.createElement('td');
+                td.textContent = text;
+                if (index === 5 && entry.file_checksum) {
+                    td.title = `SHA-256 ${entry.file_checksum}`;
+                    td.className = 'audit-checksum';
+                }
+                tr.appendChild(td);
+            });
+
+            const actionCell = document.createElement('td');
+            const button = document.createElement('button');
+            button.className = 'action-btn view-btn';
+            button.textContent = 'View';
+            button.addEventListener('click', () => this.showAuditEntry(entry.id));
+            actionCell.appendChild(button);
+            tr.appendChild(actionCell);
+
+            this.auditTbody.appendChild(tr);
+        });
+
+        if (entries.length === 0) {
+            const tr = document.createElement('tr');
+            const td = document.createElement('td');
+            td.colSpan = 9;
+            td.style.textAlign = 'center';
+            td.textContent = 'No audit entries match these filters.';
+            tr.appendChild(td);
+            this.auditTbody.appendChild(tr);
+        }
+
+        this.auditPageInfo.textContent = `Page ${this.auditPage} of ${Math.max(this.auditTotalPages, 1)}`;
+        this.auditPrevBtn.disabled = this.auditPage <= 1;
+        this.auditNextBtn.disabled = this.auditPage >= this.auditTotalPages;
+    }
+
+    // Show the before and after values of every change in one audit entry
+    async showAuditEntry(id) {
+        try {
+            const response = await this.apiFetch(`/api/audit/${id}`);
+            const entry = await response.json();
+            if (!response.ok) {
+                this.showUploadStatus(entry.error || 'Audit entry not found', 'error');
+                return;
+            }
+
+            const formatValue = value => {
+                if (value === null || value === undefined || value === '') return '(blank)';
+                if (typeof value === 'object') {
+                    return Object.entries(value).map(([label, status]) => `${label}: ${status}`).join(', ');
+                }
+                return String(value);
+            };
+
+            this.auditDetails.innerHTML = '';
+            const heading = document.createElement('h3');
+            heading.textContent = `${entry.summary} (${new Date(entry.created_at).toLocaleString()}, ${entry.username})`;
+            this.auditDetails.appendChild(heading);
+
+            if (entry.file_name) {
+                const file = document.createElement('p');
+                file.textContent = `File: ${entry.file_name}` +
+                    (entry.stored_file ? `, stored as ${entry.stored_file}` : '') +
+                    (entry.file_checksum ? `, SHA-256 ${entry.file_checksum}` : '');
+                this.auditDetails.appendChild(file);
+            }
+
+            const list = document.createElement('ul');
+            entry.changes.forEach(({ p_no, before, after }) => {
+                const item = document.createElement('li');
+                const who = document.createElement('strong');
+                who.textContent = `${p_no}: `;
+                item.appendChild(who);
+
+                let text;
+                if (!before) {
+                    text = `added with ${formatValue(after)}`;
+                } else if (!after) {
+                    text = `removed (was ${formatValue(before)})`;
+                } else {
+                    text = Object.keys(after)
+                        .map(field => `${field} ${formatValue(before[field])} → ${formatValue(after[field])}`)
+                        .join('; ');
+                }
+                item.appendChild(document.createTextNode(text));
+                list.appendChild(item);
+            });
+            this.auditDetails.appendChild(list);
+            this.auditDetails.hidden = false;
+        } catch (error) {
+            console.error('Audit entry error:', error);
+            this.showUploadStatus('Network error occurred while loading the audit entry. Please try again.', 'error');
+        }
+    }
+
+    async goToAuditPage(page) {
+        if (page >= 1 && page <= this.auditTotalPages) {
+            this.auditPage = page;
+            await this.loadAuditLog();
+        }
+    }
+
+    clearAuditFilters() {
+        this.auditFrom.value = '';
+        this.auditTo.value = '';
+        this.auditUser.value = '';
+        this.auditPNo.value = '';
+        this.auditAction.value = '';
+        this.auditPage = 1;
+        this.loadAuditLog();
+    }
+
+    showBackupStatus(message, type) {
+        this.backupStatus.textContent = message;
+        this.backupStatus.className = message ? `status-${type}` : '';
+    }
+
+    async loadSnapshots() {
+        try {
+            const response = await this.apiFetch('/api/snapshots');
+            const result = await response.json();
+
+            if (response.ok) {
+                this.renderBackupSettings(result.settings);
+                this.renderSnapshots(result.snapshots);
+            } else {
+                this.showBackupStatus(result.error || 'Error loading snapshots', 'error');
+            }
+        } catch (error) {
+            console.error('Error loading snapshots:', error);
+        }
+        await this.loadRestorableUploads();
+    }
+
+    renderBackupSettings({ interval_hours, keep, upload_retention_days }) {
+        const schedule = [
+            interval_hours > 0 ? `A snapshot is taken every ${interval_hours} hours` : 'Snapshots are only taken on demand',
+            keep > 0 ? `the newest ${keep} are kept` : 'all of them are kept',
+            upload_retention_days > 0
+                ? `and uploaded files are deleted after ${upload_retention_days} days`
+                : 'and uploaded files are kept'
+        ];
+        this.backupSettings.textContent =
+            `${schedule.join(', ')}. Every restore first takes a snapshot of the current data, so it can be undone.`;
+    }
+
+    // Uploads from the audit log, to restore only the participants one of them touched
+    async loadRestorableUploads() {
+        try {
+            const response = await this.apiFetch('/api/audit?action=upload&limit=100');
+            const result = await response.json();
+            if (!response.ok) {
+                return;
+            }
+
+            const selected = this.backupScope.value;
+            this.backupScope.innerHTML = '<option value="">The whole dataset</option>';
+            result.entries.forEach(entry => {
+                const option = document.createElement('option');
+                option.value = entry.id;
+                option.textContent = `Only the rows of ${entry.file_name || 'an upload'} into ${entry.batch_name || 'a deleted batch'}` +
+                    ` (${new Date(entry.created_at).toLocaleString()})`;
+                this.backupScope.appendChild(option);
+            });
+            if ([...this.backupScope.options].some(option => option.value === selected)) {
+                this.backupScope.value = selected;
+            }
+        } catch (error) {
+            console.error('Error loading uploads:', error);
+        }
+    }
+
+    renderSnapshots(snapshots) {
+        const reasons = { manual: 'Taken on demand', scheduled: 'Scheduled', 'pre-restore': 'Before a restore' };
+        this.backupTbody.innerHTML = '';
+        snapshots.forEach(snapshot => {
+            const tr = document.createElement('tr');
+            [
+                new Date(snapshot.created_at).toLocaleString(),
+                reasons[snapshot.reason] || snapshot.reason,
+                snapshot.username,
+                snapshot.counts.batches,
+                snapshot.counts.participants,
+                snapshot.uploads.length
+            ].forEach(text => {
+                const td = document.createElement('td');
+                td.textContent = text;
+                tr.appendChild(td);
+            });
+            const actionCell = document.createElement('td');
+            actionCell.append(
+                this.buildActionButton('Compare', 'view-btn', () => this.compareSnapshot(snapshot)),
+                this.buildActionButton('Restore', 'edit-btn', () => this.restoreSnapshot(snapshot)),
+                this.buildActionButton('Download', 'view-btn', () => this.downloadSnapshot(snapshot)),
+                this.buildActionButton('Delete', 'delete-btn', () => this.deleteSnapshot(snapshot))
+            );
+            tr.appendChild(actionCell);
+            this.backupTbody.appendChild(tr);
+        });
+
+        if (snapshots.length === 0) {
+            const tr = document.createElement('tr');
+            const td = document.createElement('td');
+            td.colSpan = 7;
+            td.style.textAlign = 'center';
+            td.textContent = 'No snapshots have been taken yet.';
+            tr.appendChild(td);
+            this.backupTbody.appendChild(tr);
+        }
+    }
+
+    async createSnapshot() {
+        this.backupCreateBtn.disabled = true;
+        this.showBackupStatus('Taking a snapshot...', 'info');
+        try {
+            const response = await this.apiFetch('/api/snapshots', { method: 'POST' });
+            const result = await response.json();
+            if (response.ok) {
+                this.showBackupStatus(`Snapshot taken: ${result.counts.participants} participants in ${result.counts.batches} batches, ` +
+                    `${result.uploads.length} uploaded files.`, 'success');
+                await this.loadSnapshots();
+            } else {
+                this.showBackupStatus(result.error || 'Could not take a snapshot', 'error');
+            }
+        } catch (error) {
+            console.error('Snapshot error:', error);
+            this.showBackupStatus('Network error occurred while taking a snapshot. Please try again.', 'error');
+        } finally {
+            this.backupCreateBtn.disabled = false;
+        }
+    }
+
+    // Show what has been added, deleted and changed since a snapshot, batch by batch
+    async compareSnapshot(snapshot) {
+        try {
+            const response = await this.apiFetch(`/api/snapshots/${snapshot.id}/compare`);
+            const result = await response.json();
+            if (!response.ok) {
+                this.showBackupStatus(result.error || 'Could not compare the snapshot', 'error');
+                return;
+            }
+
+            const describe = ({ count, participants }, withFields) => {
+                if (count === 0) return '-';
+                const names = participants.map(p => withFields ? `${p.p_no} (${p.fields.join(', ')})` : p.p_no);
+                return `${count}: ${names.join(', ')}` + (count > participants.length ? ` and ${count - participants.length} more` : '');
+            };
+
+            this.backupCompare.innerHTML = '';
+            const heading = document.createElement('h3');
+            const { added, deleted, changed } = result.totals;
+            heading.textContent = `Since the snapshot of ${new Date(snapshot.created_at).toLocaleString()}: ` +
+                `${added} participants added, ${deleted} deleted and ${changed} changed`;
+
+            const table = document.createElement('table');
+            const headerRow = table.createTHead().insertRow();
+            ['Batch', 'In Snapshot', 'Now', 'Added Since', 'Deleted Since', 'Changed Since'].forEach(text => {
+                const th = document.createElement('th');
+                th.textContent = text;
+                headerRow.appendChild(th);
+            });
+            const body = table.createTBody();
+            result.batches.forEach(batch => {
+                const row = body.insertRow();
+                [
+                    batch.name,
+                    batch.in_snapshot ? batch.snapshot_participants : 'Not yet created',
+                    batch.in_current ? batch.current_participants : 'Deleted',
+                    describe(batch.added, false),
+                    describe(batch.deleted, false),
+                    describe(batch.changed, true)
+                ].forEach(text => {
+                    row.insertCell().textContent = text;
+                });
+            });
+
+            const wrapper = document.createElement('div');
+            wrapper.className = 'results-table-container';
+            wrapper.appendChild(table);
+            this.backupCompare.append(heading, wrapper);
+            this.backupCompare.hidden = false;
+        } catch (error) {
+            console.error('Snapshot compare error:', error);
+            this.showBackupStatus('Network error occurred while comparing the snapshot. Please try again.', 'error');
+        }
+    }
+
+    async restoreSnapshot(snapshot) {
+        const auditId = this.backupScope.value;
+        const scope = auditId ? this.backupScope.selectedOptions[0].textContent.replace(/^Only/, 'only') : 'the whole dataset';
+        if (!confirm(`Restore ${scope} to the snapshot of ${new Date(snapshot.created_at).toLocaleString()}?`)) {
+            return;
+        }
+
+        this.showBackupStatus('Restoring...', 'info');
+        try {
+            const response = await this.apiFetch(`/api/snapshots/${snapshot.id}/restore`, {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify(auditId ? { audit_id: Number(auditId) } : {})
+            });
+            const result = await response.json();
+
+            if (response.ok) {
+                this.showBackupStatus(`${result.message}. To undo it, restore the snapshot taken ` +
+                    `${new Date(result.pre_restore.created_at).toLocaleString()}.`, 'success');
+                this.backupCompare.hidden = true;
+                await this.loadSnapshots();
+                await this.loadAuditLog();
+            } else {
+                let errorMessage = result.error || 'Could not restore the snapshot';
+                if (result.validationErrors) {
+                    errorMessage += ': ' + result.validationErrors.join('; ');
+                }
+                if (result.conflicts) {
+                    errorMessage += ': ' + result.conflicts.join('; ');
+                }
+                this.showBackupStatus(errorMessage, 'error');
+            }
+        } catch (error) {
+            console.error('Restore error:', error);
+            this.showBackupStatus('Network error occurred while restoring. Please try again.', 'error');
+        }
+    }
+
+    async downloadSnapshot(snapshot) {
+        try {
+            const error = await this.downloadFile(`/api/snapshots/${snapshot.id}/download`);
+            this.showBackupStatus(error || '', 'error');
+        } catch (error) {
+            console.error('Snapshot download error:', error);
+            this.showBackupStatus('Network error occurred while downloading the snapshot. Please try again.', 'error');
+        }
+    }
+
+    async deleteSnapshot(snapshot) {
+        if (!confirm(`Delete the snapshot of ${new Date(snapshot.created_at).toLocaleString()}? It cannot be restored afterwards.`)) {
+            return;
+        }
+        try {
+            const response = await this.apiFetch(`/api/snapshots/${snapshot.id}`, { method: 'DELETE' });
+            const result = await response.json();
+            this.showBackupStatus(result.message || result.error, response.ok ? 'success' : 'error');
+            this.backupCompare.hidden = true;
+            await this.loadSnapshots();
+        } catch (error) {
+            console.error('Snapshot delete error:', error);
+            this.showBackupStatus('Network error occurred while deleting the snapshot. Please try again.', 'error');
+        }
+    }
+
+    showDuplicatesStatus(message, type) {
+        this.duplicatesStatus.textContent = message;
+        this.duplicatesStatus.className = message ? `status-${type}` : '';
+    }
+
+    async findDuplicates() {
+        const params = new URLSearchParams({ min_score: this.duplicatesMinScore.value || '60' });
+        if (this.duplicatesBatch.value) {
+            params.set('batch_id', this.duplicatesBatch.value);
+        }
+
+        this.duplicatesFindBtn.disabled = true;
+        this.showDuplicatesStatus('Looking for duplicates...', 'info');
+        try {
+            const response = await this.apiFetch(`/api/duplicates?${params}`);
+            const result = await response.json();
+            if (response.ok) {
+                this.renderDuplicates(result.candidates);
+                this.showDuplicatesStatus(`${result.total} possible duplicates found` +
+                    (result.total > result.candidates.length ? `, showing the best ${result.candidates.length}` : ''), 'info');
+            } else {
+                let errorMessage = result.error || 'Error finding duplicates';
+                if (result.validationErrors) {
+                    errorMessage += ': ' + result.validationErrors.join('; ');
+                }
+                this.showDuplicatesStatus(errorMessage, 'error');
+            }
+        } catch (error) {
+            console.error('Duplicate search error:', error);
+            this.showDuplicatesStatus('Network error occurred while finding duplicates. Please try again.', 'error');
+        } finally {
+            this.duplicatesFindBtn.disabled = false;
+        }
+    }
+
+    describeDuplicateRecord(record) {
+        return `${record.p_no} - ${record.name}, ${record.mobile_no}, ${record.batch_name}`;
+    }
+
+    renderDuplicates(candidates) {
+        this.duplicatesReview.hidden = true;
+        this.duplicatesTbody.innerHTML = '';
+        candidates.forEach(candidate => {
+            const tr = document.createElement('tr');
+            [
+                candidate.score,
+                this.describeDuplicateRecord(candidate.records[0]),
+                this.describeDuplicateRecord(candidate.records[1]),
+                candidate.reasons.join(', ')
+            ].forEach(text => tr.appendChild(this.buildTextCell(text)));
+            const actionCell = document.createElement('td');
+            actionCell.append(
+                this.buildActionButton('Review', 'view-btn', () => this.reviewDuplicate(candidate)),
+                this.buildActionButton('Not a Duplicate', 'delete-btn', () => this.dismissDuplicate(candidate))
+            );
+            tr.appendChild(actionCell);
+            this.duplicatesTbody.appendChild(tr);
+        });
+
+        if (candidates.length === 0) {
+            const tr = document.createElement('tr');
+            const td = this.buildTextCell('No possible duplicates found.');
+            td.colSpan = 5;
+            td.style.textAlign = 'center';
+            tr.appendChild(td);
+            this.duplicatesTbody.appendChild(tr);
+        }
+    }
+
+    // Side by side view of a pair, with a choice between the two records for each field
+    reviewDuplicate(candidate) {
+        const [first, second] = candidate.records;
+        const sameBatch = first.batch_id === second.batch_id;
+
+        // A radio button with its label, for one record's side of a row
+        const buildChoice = (name, value, text, checked) => {
+            const label = document.createElement('label');
+            const input = document.createElement('input');
+            input.type = 'radio';
+            input.name = name;
+            input.value = value;
+            input.checked = checked;
+            label.append(input, text === '' ? '(blank)' : String(text));
+            return label;
+        };
+
+        this.duplicatesReview.innerHTML = '';
+        const heading = document.createElement('h3');
+        heading.textContent = `Merge ${first.p_no} and ${second.p_no} (score ${candidate.score})`;
+        const note = document.createElement('p');
+        note.className = 'backup-hint';
+        note.textContent = sameBatch
+            ? `Both records are in ${first.batch_name}. The record kept takes the chosen values and the other's attendance, ` +
+                'check-ins and messages, with a session either was present for counted as present. The other record is deleted.'
+            : 'The records are in different batches, so both stay with their own attendance and take the chosen values. ' +
+                'The trainee\'s training history then lists both batches.';
+
+        const table = document.createElement('table');
+        const headerRow = table.createTHead().insertRow();
+        ['Field', 'Record 1', 'Record 2'].forEach(text => {
+            const th = document.createElement('th');
+            th.textContent = text;
+            headerRow.appendChild(th);
+        });
+        const body = table.createTBody();
+        const addRow = (label, firstCell, secondCell) => {
+            const row = body.insertRow();
+            row.insertCell().textContent = label;
+            [firstCell, secondCell].forEach(content => {
+                const cell = row.insertCell();
+                if (content instanceof Node) {
+                    cell.appendChild(content);
+                } else {
+                    cell.textContent = content;
+                }
+            });
+        };
+
+        if (sameBatch) {
+            addRow('Keep Record',
+                buildChoice('duplicate-keep', first.id, first.p_no, true),
+                buildChoice('duplicate-keep', second.id, second.p_no, false));
+        }
+        DUPLICATE_FIELDS.forEach(([field, label]) => {
+            addRow(label,
+                buildChoice(`duplicate-${field}`, 0, first[field], true),
+                buildChoice(`duplicate-${field}`, 1, second[field], false));
+        });
+        addRow('Batch', first.batch_name, second.batch_name);
+        addRow('Attendance',
+            `Present ${first.sessions_present} of ${first.sessions_recorded} sessions`,
+            `Present ${second.sessions_present} of ${second.sessions_recorded} sessions`);
+
+        const wrapper = document.createElement('div');
+        wrapper.className = 'results-table-container';
+        wrapper.appendChild(table);
+
+        const actions = document.createElement('div');
+        actions.className = 'backup-actions';
+        const mergeButton = document.createElement('button');
+        mergeButton.type = 'button';
+        mergeButton.textContent = 'Merge Records';
+        mergeButton.addEventListener('click', () => this.mergeDuplicate(candidate));
+        const cancelButton = document.createElement('button');
+        cancelButton.type = 'button';
+        cancelButton.textContent = 'Cancel';
+        cancelButton.addEventListener('click', () => {
+            this.duplicatesReview.hidden = true;
+        });
+        actions.append(mergeButton, cancelButton);
+
+        this.duplicatesReview.append(heading, note, wrapper, actions);
+        this.duplicatesReview.hidden = false;
+    }
+
+    async mergeDuplicate(candidate) {
+        const records = candidate.records;
+        const choice = name => this.duplicatesReview.querySelector(`input[name="${name}"]:checked`).value;
+        // Records in different batches both stay, so which one is "kept" makes no difference
+        const keep = records[0].batch_id === records[1].batch_id
+            ? records.find(record => String(record.id) === choice('duplicate-keep'))
+            : records[0];
+        const other = records.find(record => record !== keep);
+        const values = Object.fromEntries(DUPLICATE_FIELDS.map(([field]) =>
+            [field, records[Number(choice(`duplicate-${field}`))][field]]));
+
+        if (!confirm(`Merge ${keep.p_no} and ${other.p_no} as ${values.p_no} - ${values.name}?`)) {
+            return;
+        }
+        try {
+            const response = await this.apiFetch('/api/duplicates/merge', {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({ keep_id: keep.id, merge_id: other.id, values })
+            });
+            const result = await response.json();
+            if (response.ok) {
+                await this.findDuplicates();
+                this.showDuplicatesStatus(result.message, 'success');
+                await this.loadAuditLog();
+            } else {
+                let errorMessage = result.error || 'Could not merge the records';
+                if (result.validationErrors) {
+                    errorMessage += ': ' + result.validationErrors.join('; ');
+                }
+                this.showDuplicatesStatus(errorMessage, 'error');
+            }
+        } catch (error) {
+            console.error('Merge error:', error);
+            this.showDuplicatesStatus('Network error occurred while merging. Please try again.', 'error');
+        }
+    }
+
+    // Mark a pair as different trainees so it is not suggested again
+    async dismissDuplicate(candidate) {
+        try {
+            const response = await this.apiFetch('/api/duplicates/dismiss', {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({ ids: candidate.records.map(record => record.id) })
+            });
+            const result = await response.json();
+            if (response.ok) {
+                await this.findDuplicates();
+            }
+            this.showDuplicatesStatus(result.message || result.error, response.ok ? 'success' : 'error');
+        } catch (error) {
+            console.error('Dismiss error:', error);
+            this.showDuplicatesStatus('Network error occurred. Please try again.', 'error');
+        }
+    }
+
     closeDetailsModal() {
         this.modal.style.display = 'none';
     }
@@ -0,0 +1,403 @@
+// Command-line admin tool: import rosters, export participants and look after
+// the data without the web server running
+//
+// Usage: node scripts/admin.js <command> [options]   (--help lists the commands)
+//
+// Exits with 0 on success, 1 on an error and 2 when a roster was rejected or had
+// invalid rows, so scheduled imports can tell a bad file from a failed run.
+
+require('dotenv').config();
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { parseArgs } = require('util');
+const { initDatabase, closeDatabase } = require('../db');
+const batchStore = require('../db/batches');
+const participantStore = require('../db/participants');
+const mappingProfileStore = require('../db/mappingProfiles');
+const rosterImport = require('../lib/rosterImport');
+const rosterUpload = require('../lib/rosterUpload');
+const participantExport = require('../lib/participantExport');
+const searchQuery = require('../lib/searchQuery');
+const { normalizePNo } = require('../lib/normalization');
+
+const EXPORT_FORMATS = ['xlsx', 'csv'];
+const EXIT_ROSTER_PROBLEMS = 2;
+
+const USAGE = `Usage: node scripts/admin.js <command> [options]
+
+Commands:
+  import <file|folder>     Import a roster, or every .xls/.xlsx file in a folder, into a batch
+  validate <file|folder>   Check rosters against a batch and print the problems, saving nothing
+  export                   Write the participants matching the filters to an .xlsx or .csv file
+  batches                  List the batches
+  trades                   List the trades in use
+  genders                  List the genders in use
+  find <P.No>              Show a participant and every batch they attended
+  remove <P.No>            Delete a participant from a batch
+
+Import and validate options:
+  --batch <id|name>        Batch the rosters belong to (required)
+  --mode <skip|update|replace>
+                           What to do with participants already in the batch (default skip)
+  --sheet <name>           Sheet to read (default: the first sheet that looks like a roster)
+  --profile <name>         Saved column mapping profile to apply
+  --mapping <json>         Column mapping as JSON of field -> column
+  --skip-invalid           Import the valid rows of a roster that has invalid rows
+                           (by default the whole roster is rejected, as in the web upload)
+  --report <folder>        Write the invalid and duplicate rows of each roster to
+                           <folder>/<roster>-rejected.xlsx
+  --verbose                Also list the values that were normalized
+
+Export options:
+  --out <file>             File to write (required)
+  --format <xlsx|csv>      Default: taken from the --out extension
+  --batch <id|name>, --p-no, --mobile, --name, --fuzzy, --trade, --gender,
+  --attendance, --session, --session-status, --added-from, --added-to,
+  --sort, --order          The filters and sort of the search page
+
+Find and remove options:
+  --batch <id|name>        The batch enrolment to show, or to delete (required for remove)
+  --yes                    Delete without asking (remove)
+`;
+
+const OPTIONS = {
+    batch: { type: 'string' },
+    mode: { type: 'string' },
+    sheet: { type: 'string' },
+    profile: { type: 'string' },
+    mapping: { type: 'string' },
+    'skip-invalid': { type: 'boolean' },
+    report: { type: 'string' },
+    verbose: { type: 'boolean' },
+    out: { type: 'string' },
+    format: { type: 'string' },
+    'p-no': { type: 'string' },
+    mobile: { type: 'string' },
+    name: { type: 'string' },
+    fuzzy: { type: 'boolean' },
+    trade: { type: 'string' },
+    gender: { type: 'string' },
+    attendance: { type: 'string' },
+    session: { type: 'string' },
+    'session-status': { type: 'string' },
+    'added-from': { type: 'string' },
+    'added-to': { type: 'string' },
+    sort: { type: 'string' },
+    order: { type: 'string' },
+    yes: { type: 'boolean' },
+    help: { type: 'boolean', short: 'h' }
+};
+
+// Changes made from the command line are audited under the operating system user
+function cliActor() {
+    return { id: null, username: `cli:${os.userInfo().username}` };
+}
+
+// Look a batch up by id or by name
+async function findBatch(value) {
+    if (!value) {
+        throw new Error('Please choose a batch with --batch <id|name>');
+    }
+    const batch = /^\d+$/.test(value)
+        ? await batchStore.findBatchById(value)
+        : await batchStore.findBatchByName(value);
+    if (!batch) {
+        throw new Error(`Batch '${value}' not found`);
+    }
+    return batch;
+}
+
+// The roster files to process: the file given, or the Excel files in the folder given, by name
+function listRosterFiles(target) {
+    if (!target) {
+        throw new Error('Please give a roster file or a folder of rosters');
+    }
+    if (!fs.existsSync(target)) {
+        throw new Error(`${target} does not exist`);
+    }
+    if (!fs.statSync(target).isDirectory()) {
+        if (!/\.xlsx?$/i.test(target)) {
+            throw new Error('Invalid file type. Only Excel files (.xls, .xlsx) are allowed.');
+        }
+        return [target];
+    }
+    return fs.readdirSync(target)
+        .filter(name => /\.xlsx?$/i.test(name) && !name.startsWith('~$'))
+        .sort()
+        .map(name => path.join(target, name));
+}
+
+// The sheet, column mapping and mode to read rosters with
+async function readImportSettings(options) {
+    if (options.profile && options.mapping) {
+        throw new Error('Use either --profile or --mapping, not both');
+    }
+
+    let mapping;
+    if (options.profile) {
+        const profiles = await mappingProfileStore.listProfiles();
+        const profile = profiles.find(p => p.name.toLowerCase() === options.profile.toLowerCase());
+        if (!profile) {
+            throw new Error(`Mapping profile '${options.profile}' not found`);
+        }
+        mapping = profile.mapping;
+    } else if (options.mapping) {
+        try {
+            mapping = JSON.parse(options.mapping);
+        } catch (err) {
+            throw new Error('Column mapping is not valid JSON');
+        }
+    }
+    const mode = options.mode || 'skip';
+    if (!rosterImport.IMPORT_MODES.includes(mode)) {
+        throw new Error(`Import mode must be one of: ${rosterImport.IMPORT_MODES.join(', ')}`);
+    }
+    return { mode, sheet: options.sheet, mapping };
+}
+
+function formatSummary(summary) {
+    const parts = [`${summary.valid} new`];
+    if (summary.update) parts.push(`${summary.update} to update`);
+    if (summary.unchanged) parts.push(`${summary.unchanged} unchanged`);
+    parts.push(`${summary.invalid} invalid`, `${summary.duplicate} duplicates`);
+    if (summary.normalized) parts.push(`${summary.normalized} with values normalized`);
+    return `${summary.total} rows: ${parts.join(', ')}`;
+}
+
+// Print what validation found in a roster: its summary, then one line per problem
+function printValidationReport(parsed, { verbose }) {
+    const { sheet, mode, sessions, results } = parsed;
+    console.log(`  Sheet '${sheet}', mode ${mode}, sessions: ${sessions.map(session => session.label).join(', ')}`);
+    console.log(`  ${formatSummary(rosterImport.summarizeResults(results))}`);
+
+    rosterUpload.listValidationErrors(results).forEach(error => console.log(`  ${error}`));
+    results.filter(r => r.status === 'duplicate').forEach(({ row_number, duplicate_of }) => {
+        console.log(`  Row ${row_number}: duplicate - already in this batch as ${duplicate_of.p_no} - ${duplicate_of.name} (same ${duplicate_of.matched_on})`);
+    });
+    if (verbose) {
+        results.forEach(({ row_number, normalized }) => {
+            normalized.forEach(({ column, from, to }) => {
+                console.log(`  Row ${row_number}: ${column} '${from}' written as '${to}'`);
+            });
+        });
+    }
+}
+
+function writeRejectedReport(folder, filePath, parsed) {
+    fs.mkdirSync(folder, { recursive: true });
+    const reportPath = path.join(folder, `${path.parse(filePath).name}-rejected.xlsx`);
+    fs.writeFileSync(reportPath, rosterImport.buildRejectedWorkbook(parsed.columns, parsed.results));
+    console.log(`  Rejected rows written to ${reportPath}`);
+}
+
+// Keep a copy of an imported roster in uploads/, as the web upload does,
+// so the audit trail's stored file and checksum refer to it
+async function storeRoster(filePath) {
+    fs.mkdirSync(rosterUpload.UPLOADS_DIR, { recursive: true });
+    const name = path.basename(filePath);
+    const stored = rosterUpload.storedFileName(name);
+    const storedPath = path.join(rosterUpload.UPLOADS_DIR, stored);
+    fs.copyFileSync(filePath, storedPath);
+    return rosterUpload.describeFile(storedPath, { name, stored });
+}
+
+// Validate each roster against the batch and, when `save` is set, import it.
+// Returns whether any roster was rejected or had invalid rows.
+async function processRosters(target, options, { save }) {
+    const files = listRosterFiles(target);
+    const batch = await findBatch(options.batch);
+    const settings = await readImportSettings(options);
+    if (files.length === 0) {
+        console.log(`No Excel files found in ${target}`);
+        return false;
+    }
+
+    let problems = false;
+    for (const filePath of files) {
+        console.log(`${path.basename(filePath)} -> ${batch.name}`);
+
+        const parsed = await rosterUpload.prepareImport(batch, filePath, settings);
+        if (parsed.error) {
+            console.log(`  Rejected: ${parsed.error.error}`);
+            problems = true;
+            continue;
+        }
+
+        printValidationReport(parsed, options);
+        const summary = rosterImport.summarizeResults(parsed.results);
+        if (options.report && (summary.invalid > 0 || summary.duplicate > 0)) {
+            writeRejectedReport(options.report, filePath, parsed);
+        }
+        if (summary.invalid > 0) {
+            problems = true;
+        }
+        if (!save) {
+            continue;
+        }
+        if (summary.invalid > 0 && !options['skip-invalid']) {
+            console.log('  Not imported: fix the invalid rows, or use --skip-invalid to import the rest');
+            continue;
+        }
+
+        const file = await storeRoster(filePath);
+        const { inserted, updated } = await rosterUpload.saveImport(batch, { ...parsed, file }, cliActor());
+        console.log(`  Imported ${inserted} new and updated ${updated} existing records`);
+    }
+    return problems;
+}
+
+// The search filters and sort given as options, checked as the search page checks them
+function readSearchOptions(options, batch) {
+    const query = {
+        batch_id: batch ? String(batch.id) : undefined,
+        p_no: options['p-no'],
+        mobile_no: options.mobile,
+        name: options.name,
+        name_match: options.fuzzy ? 'fuzzy' : undefined,
+        trade: options.trade,
+        gender: options.gender,
+        attendance: options.attendance,
+        session: options.session,
+        session_status: options['session-status'],
+        created_from: options['added-from'],
+        created_to: options['added-to'],
+        sort: options.sort,
+        order: options.order
+    };
+    const validationErrors = searchQuery.validateSearchQuery(query);
+    if (validationErrors.length > 0) {
+        throw new Error(validationErrors.join('; '));
+    }
+    const { sort, order, ...filters } = query;
+    return { filters, sort: { sort, order } };
+}
+
+async function exportParticipants(options) {
+    if (!options.out) {
+        throw new Error('Please choose the file to write with --out <file>');
+    }
+    const format = options.format || path.extname(options.out).slice(1).toLowerCase();
+    if (!EXPORT_FORMATS.includes(format)) {
+        throw new Error(`Export format must be one of: ${EXPORT_FORMATS.join(', ')}`);
+    }
+
+    const batch = options.batch ? await findBatch(options.batch) : null;
+    const { filters, sort } = readSearchOptions(options, batch);
+    const { sessions, participants } = await participantStore.exportParticipants(filters, sort);
+    const table = participantExport.buildExportTable(sessions, participants);
+
+    if (format === 'csv') {
+        await new Promise((resolve, reject) => {
+            const stream = fs.createWriteStream(options.out);
+            stream.on('finish', resolve);
+            stream.on('error', reject);
+            participantExport.writeCsv(stream, table);
+        });
+    } else {
+        fs.writeFileSync(options.out, participantExport.buildWorkbook(table));
+    }
+    console.log(`Exported ${participants.length} participants to ${options.out}`);
+}
+
+async function listBatches() {
+    const batches = await batchStore.listBatches();
+    batches.forEach(batch => {
+        const dates = [batch.start_date, batch.end_date].filter(Boolean).join(' to ');
+        console.log([batch.id, batch.name, batch.program_type, dates, `${batch.participant_count} participants`].join('\t'));
+    });
+}
+
+function formatParticipant(participant) {
+    const attendance = participant.attendance.map(entry => `${entry.label} ${entry.status}`).join(', ');
+    const percentage = participant.attendance_percentage === null ? '-' : `${participant.attendance_percentage}%`;
+    return [
+        `P.No:       ${participant.p_no}`,
+        `Name:       ${participant.name}`,
+        `Mobile No:  ${participant.mobile_no}`,
+        `Trade:      ${participant.trade || '-'}`,
+        `Gender:     ${participant.gender || '-'}`,
+        `Batch:      ${participant.batch_name} (id ${participant.batch_id})`,
+        `Attendance: ${attendance || '-'} (${percentage})`
+    ].join('\n');
+}
+
+// Find a participant by the P.No as typed or as it would be stored after normalization
+async function findParticipant(pNo, batchId) {
+    if (!pNo) {
+        throw new Error('Please give the P.No of the participant');
+    }
+    return await participantStore.findParticipantByPNo(pNo, batchId)
+        || participantStore.findParticipantByPNo(normalizePNo(pNo).value, batchId);
+}
+
+async function findCommand(pNo, options) {
+    const batch = options.batch ? await findBatch(options.batch) : null;
+    const participant = await findParticipant(pNo, batch && batch.id);
+    if (!participant) {
+        throw new Error(`No participant with P.No ${pNo}${batch ? ` in ${batch.name}` : ''}`);
+    }
+
+    console.log(formatParticipant(participant));
+    const history = await participantStore.findParticipantHistory(participant.p_no);
+    console.log('\nBatches attended:');
+    history.forEach(entry => {
+        const percentage = entry.attendance_percentage === null ? '-' : `${entry.attendance_percentage}%`;
+        console.log(`  ${entry.batch_name} (id ${entry.batch_id}): ${entry.sessions_present} of ${entry.sessions_recorded} sessions, ${percentage}`);
+    });
+}
+
+async function removeCommand(pNo, options) {
+    const batch = await findBatch(options.batch);
+    const participant = await findParticipant(pNo, batch.id);
+    if (!participant) {
+        throw new Error(`No participant with P.No ${pNo} in ${batch.name}`);
+    }
+
+    console.log(formatParticipant(participant));
+    if (!options.yes) {
+        console.log('\nRun again with --yes to delete this participant and their attendance.');
+        return;
+    }
+    await participantStore.deleteParticipants([participant.id], { actor: cliActor(), batch });
+    console.log(`\nDeleted ${participant.p_no} - ${participant.name} from ${batch.name}`);
+}
+
+async function main() {
+    const { values: options, positionals } = parseArgs({ options: OPTIONS, allowPositionals: true });
+    const [command, target] = positionals;
+    if (options.help || !command) {
+        console.log(USAGE);
+        return;
+    }
+
+    const commands = {
+        import: () => processRosters(target, options, { save: true }),
+        validate: () => processRosters(target, options, { save: false }),
+        export: () => exportParticipants(options),
+        batches: () => listBatches(),
+        trades: async () => (await participantStore.listTrades()).forEach(trade => console.log(trade)),
+        genders: async () => (await participantStore.listGenders()).forEach(gender => console.log(gender)),
+        find: () => findCommand(target, options),
+        remove: () => removeCommand(target, options)
+    };
+    if (!commands[command]) {
+        throw new Error(`Unknown command '${command}'. Run with --help for the list of commands.`);
+    }
+
+    await initDatabase({ quiet: true });
+    try {
+        await participantStore.normalizeStoredParticipants();
+        const problems = await commands[command]();
+        if (problems === true) {
+            process.exitCode = EXIT_ROSTER_PROBLEMS;
+        }
+    } finally {
+        await closeDatabase();
+    }
+}
+
+main().catch(err => {
+    console.error('Error:', err.message);
+    process.exit(1);
+});
@@ -0,0 +1,52 @@
+// Create a user account, e.g. the first admin
+//
+// Usage: node scripts/create-user.js <username> <admin|trainer|viewer> [batch id ...]
+// The password is read from the terminal (or stdin).
+
+const readline = require('readline');
+const { initDatabase, closeDatabase } = require('../db');
+const userStore = require('../db/users');
+const { MIN_PASSWORD_LENGTH, hashPassword } = require('../lib/auth');
+
+function askPassword() {
+    const rl = readline.createInterface({ input: process.stdin, output: process.stdout });
+    return new Promise(resolve => {
+        rl.question('Password: ', answer => {
+            rl.close();
+            resolve(answer);
+        });
+    });
+}
+
+async function main() {
+    const [username, role, ...batchIds] = process.argv.slice(2);
+    if (!username || !userStore.ROLES.includes(role)) {
+        throw new Error(`Usage: node scripts/create-user.js <username> <${userStore.ROLES.join('|')}> [batch id ...]`);
+    }
+
+    const password = await askPassword();
+    if (password.length < MIN_PASSWORD_LENGTH) {
+        throw new Error(`Password must be at least ${MIN_PASSWORD_LENGTH} characters`);
+    }
+
+    await initDatabase();
+    try {
+        if (await userStore.findUserForLogin(username)) {
+            throw new Error(`A user named '${username}' already exists`);
+        }
+        const user = await userStore.createUser({
+            username,
+            password_hash: await hashPassword(password),
+            role,
+            batch_ids: batchIds.map(Number)
+        });
+        console.log(`Created ${user.role} account '${user.username}'`);
+    } finally {
+        await closeDatabase();
+    }
+}
+
+main().catch(err => {
+    console.error('Could not create user:', err.message);
+    process.exit(1);
+});
@@ -0,0 +1,27 @@
+// Import a legacy participants-data.json file into the SQLite database
+//
+// Usage: node scripts/import-json.js [path/to/participants-data.json]
+
+const { initDatabase, closeDatabase } = require('../db');
+const { LEGACY_DATA_FILE, importLegacyJson } = require('../db/importJson');
+
+async function main() {
+    const filePath = process.argv[2] || LEGACY_DATA_FILE;
+
+    await initDatabase();
+    try {
+        const result = await importLegacyJson(filePath);
+        if (!result) {
+            console.log(`No file found at ${filePath}, nothing to import`);
+        } else {
+            console.log(`Imported ${result.imported} records, skipped ${result.skipped}`);
+        }
+    } finally {
+        await closeDatabase();
+    }
+}
+
+main().catch(err => {
+    console.error('Import failed:', err.message);
+    process.exit(1);
+});
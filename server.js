@@ -1,270 +1,1841 @@
 const express = require('express');
 const multer = require('multer');
-const xlsx = require('xlsx');
-const fs = require('fs').promises;
+const fs = require('fs');
 const path = require('path');
 const cors = require('cors');
+const QRCode = require('qrcode');
 require('dotenv').config();
+const { initDatabase, closeDatabase } = require('./db');
+const { importLegacyJson } = require('./db/importJson');
+const participantStore = require('./db/participants');
+const batchStore = require('./db/batches');
+const rosterImport = require('./lib/rosterImport');
+const rosterUpload = require('./lib/rosterUpload');
+const { isExcelFile } = require('./lib/spreadsheetSafety');
+const importPreviews = require('./lib/importPreviews');
+const importJobs = require('./lib/importJobs');
+const columnMapping = require('./lib/columnMapping');
+const mappingProfileStore = require('./db/mappingProfiles');
+const participantExport = require('./lib/participantExport');
+const searchQuery = require('./lib/searchQuery');
+const statsStore = require('./db/stats');
+const userStore = require('./db/users');
+const auditStore = require('./db/audit');
+const checkInStore = require('./db/checkIns');
+const liveUpdates = require('./lib/liveUpdates');
+const savedSearchStore = require('./db/savedSearches');
+const certificateTemplateStore = require('./db/certificateTemplates');
+const certificates = require('./lib/certificates');
+const notifications = require('./lib/notifications');
+const notificationStore = require('./db/notifications');
+const snapshots = require('./lib/snapshots');
+const duplicates = require('./lib/duplicates');
+const duplicateStore = require('./db/duplicates');
+const auth = require('./lib/auth');
+const { requireRole } = auth;
 
 const app = express();
 const PORT = process.env.PORT || 3000;
 
 // Middleware
-app.use(cors());
+// Cross-origin requests are refused unless their origins are listed in CORS_ORIGIN
+app.use(cors({ origin: process.env.CORS_ORIGIN ? process.env.CORS_ORIGIN.split(',') : false }));
 app.use(express.json());
-app.use(express.static('.')); // Serve static files from the root directory
+
+// The page may only run its own script and load its own styles and images, so
+// text that ends up in the page as HTML cannot run script or pull anything in
+const CONTENT_SECURITY_POLICY = [
+    "default-src 'self'",
+    "script-src 'self'",
+    "style-src 'self'",
+    "img-src 'self'",
+    "object-src 'none'",
+    "base-uri 'none'",
+    "form-action 'self'",
+    "frame-ancestors 'none'"
+].join('; ');
+
+app.use((req, res, next) => {
+    res.set({
+        'Content-Security-Policy': CONTENT_SECURITY_POLICY,
+        'X-Content-Type-Options': 'nosniff'
+    });
+    next();
+});
+
+// Serve only the frontend files. The root directory also holds the database,
+// uploaded rosters and .env, which must never be downloadable.
+const PUBLIC_FILES = ['index.html', 'script.js', 'styles.css', 'manifest.webmanifest', 'service-worker.js', 'icon.svg'];
+app.get('/', (req, res) => res.sendFile(path.join(__dirname, 'index.html')));
+PUBLIC_FILES.forEach(file => {
+    app.get(`/${file}`, (req, res) => res.sendFile(path.join(__dirname, file)));
+});
+
+app.use('/api', auth.authenticate);
+
+// Endpoint to sign in with a username and password. Sets the session cookie
+// and also returns the token for scripts that send it as a Bearer header.
+app.post('/api/auth/login', async (req, res, next) => {
+    const username = String(req.body.username || '').trim();
+    const password = String(req.body.password || '');
+
+    if (!username || !password) {
+        return res.status(400).json({ error: 'Username and password are required' });
+    }
+
+    try {
+        const account = await userStore.findUserForLogin(username);
+        if (!account || !await auth.verifyPassword(password, account.password_hash)) {
+            return res.status(401).json({ error: 'Invalid username or password' });
+        }
+
+        const user = await userStore.findUserById(account.id);
+        const token = await auth.startSession(user);
+        auth.setSessionCookie(res, token);
+        res.json({ user, token });
+    } catch (err) {
+        next(err);
+    }
+});
+
+// Endpoint to sign out of the current session
+app.post('/api/auth/logout', async (req, res, next) => {
+    try {
+        if (req.sessionToken) {
+            await auth.endSession(req.sessionToken);
+            liveUpdates.disconnectSession(req.sessionToken);
+        }
+        auth.clearSessionCookie(res);
+        res.status(204).end();
+    } catch (err) {
+        next(err);
+    }
+});
+
+// Endpoint to stream participant changes to the browser as server-sent events.
+// Each `participants` event carries { action, batch_ids, participants }.
+app.get('/api/events', requireRole(), (req, res) => {
+    liveUpdates.subscribe(req, res);
+});
+
+// Endpoint to get the signed-in user
+app.get('/api/auth/me', requireRole(), (req, res) => {
+    res.json(req.user);
+});
+
+// Validate the fields of a user being created or changed. Returns a list of problems.
+async function validateUserFields({ username, password, role, batch_ids }, { creating }) {
+    const validationErrors = [];
+    if (creating && !username) {
+        validationErrors.push('Username is required');
+    }
+    if ((creating || password !== undefined) && String(password || '').length < auth.MIN_PASSWORD_LENGTH) {
+        validationErrors.push(`Password must be at least ${auth.MIN_PASSWORD_LENGTH} characters`);
+    }
+    if ((creating || role !== undefined) && !userStore.ROLES.includes(role)) {
+        validationErrors.push(`Role must be one of: ${userStore.ROLES.join(', ')}`);
+    }
+    if (batch_ids !== undefined) {
+        if (!Array.isArray(batch_ids)) {
+            validationErrors.push('batch_ids must be a list of batch ids');
+        } else {
+            for (const batchId of batch_ids) {
+                if (!await batchStore.findBatchById(batchId)) {
+                    validationErrors.push(`Batch ${batchId} does not exist`);
+                }
+            }
+        }
+    }
+    return validationErrors;
+}
+
+// Endpoint to list user accounts
+app.get('/api/users', requireRole('admin'), async (req, res, next) => {
+    try {
+        res.json(await userStore.listUsers());
+    } catch (err) {
+        next(err);
+    }
+});
+
+// Endpoint to create a user account. Trainers are given the batches in `batch_ids`.
+app.post('/api/users', requireRole('admin'), async (req, res, next) => {
+    const username = String(req.body.username || '').trim();
+    const { password, role, batch_ids } = req.body;
+
+    try {
+        const validationErrors = await validateUserFields({ username, password, role, batch_ids }, { creating: true });
+        if (validationErrors.length > 0) {
+            return res.status(400).json({ error: 'Validation failed', validationErrors });
+        }
+        if (await userStore.findUserForLogin(username)) {
+            return res.status(409).json({ error: `A user named '${username}' already exists` });
+        }
+
+        const user = await userStore.createUser({
+            username,
+            password_hash: await auth.hashPassword(password),
+            role,
+            batch_ids: batch_ids || []
+        });
+        res.status(201).json(user);
+    } catch (err) {
+        next(err);
+    }
+});
+
+// Endpoint to change a user's password, role or assigned batches
+app.patch('/api/users/:id', requireRole('admin'), async (req, res, next) => {
+    const { password, role, batch_ids } = req.body;
+
+    try {
+        if (!await userStore.findUserById(req.params.id)) {
+            return res.status(404).json({ error: 'User not found' });
+        }
+        if (role !== undefined && Number(req.params.id) === req.user.id && role !== req.user.role) {
+            return res.status(400).json({ error: 'You cannot change your own role' });
+        }
+
+        const validationErrors = await validateUserFields({ password, role, batch_ids }, { creating: false });
+        if (validationErrors.length > 0) {
+            return res.status(400).json({ error: 'Validation failed', validationErrors });
+        }
+
+        const user = await userStore.updateUser(req.params.id, {
+            password_hash: password !== undefined ? await auth.hashPassword(password) : undefined,
+            role,
+            batch_ids
+        });
+        // Open event streams keep the old role and batches, so make them sign in again
+        liveUpdates.disconnectUser(user.id);
+        res.json(user);
+    } catch (err) {
+        next(err);
+    }
+});
+
+// Endpoint to delete a user account
+app.delete('/api/users/:id', requireRole('admin'), async (req, res, next) => {
+    if (Number(req.params.id) === req.user.id) {
+        return res.status(400).json({ error: 'You cannot delete your own account' });
+    }
+
+    try {
+        if (!await userStore.deleteUser(req.params.id)) {
+            return res.status(404).json({ error: 'User not found' });
+        }
+        liveUpdates.disconnectUser(req.params.id);
+        res.status(204).end();
+    } catch (err) {
+        next(err);
+    }
+});
+
+// Largest roster accepted, in megabytes
+const MAX_UPLOAD_MB = parseInt(process.env.MAX_UPLOAD_MB) || 20;
+// How many jobs the recent import jobs list shows
+const RECENT_JOBS_LIMIT = 20;
 
 // Set up multer for file uploads
 const storage = multer.diskStorage({
     destination: (req, file, cb) => {
-        cb(null, 'uploads/');
+        cb(null, rosterUpload.UPLOADS_DIR);
     },
     filename: (req, file, cb) => {
-        cb(null, Date.now() + '-' + file.originalname);
+        cb(null, rosterUpload.storedFileName(file.originalname));
+    }
+});
+
+const upload = multer({ 
+    storage: storage,
+    limits: { fileSize: MAX_UPLOAD_MB * 1024 * 1024, files: 1, fields: 20, fieldSize: 100 * 1024 },
+    fileFilter: (req, file, cb) => {
+        // Allow only Excel files by name; receiveRoster checks the content once stored
+        if (/\.xlsx?$/i.test(file.originalname)) {
+            cb(null, true);
+        } else {
+            cb(new Error('Invalid file type. Only Excel files (.xls, .xlsx) are allowed.'));
+        }
+    }
+});
+
+// Receive the roster in the `excelFile` field, answering a file that is too
+// large with a 413 and one of the wrong type with a 400. A file named .xls or
+// .xlsx that is not a workbook, such as HTML or CSV, is deleted and refused.
+function receiveRoster(req, res, next) {
+    upload.single('excelFile')(req, res, err => {
+        if (err instanceof multer.MulterError && err.code === 'LIMIT_FILE_SIZE') {
+            return res.status(413).json({ error: `File is too large. The limit is ${MAX_UPLOAD_MB} MB.` });
+        }
+        if (err) {
+            return res.status(400).json({ error: err.message });
+        }
+        if (req.file && !isExcelFile(req.file.path)) {
+            discardUpload(req);
+            return res.status(400).json({ error: 'The file is not an Excel workbook (.xls or .xlsx)' });
+        }
+        next();
+    });
+}
+
+// Remove the file stored for an upload request that goes no further
+function discardUpload(req) {
+    if (req.file) {
+        fs.rmSync(req.file.path, { force: true });
+    }
+}
+
+// Load the batch named in an upload request, or send a 400 and return null
+async function loadUploadBatch(req, res) {
+    const batch = req.body.batch_id ? await batchStore.findBatchById(req.body.batch_id) : null;
+    if (!batch) {
+        res.status(400).json({ error: 'Please choose the batch this file belongs to' });
+    }
+    return batch;
+}
+
+// Queue an uploaded roster as an import job for the batch in the request.
+// The optional `sheet` and `mapping` (JSON of field -> column) form fields pick
+// the sheet and say which columns hold which fields, and `mode` (skip, update
+// or replace) says what to do with participants already in the batch.
+// Sends a 400 and returns null if the request is unusable. The file is removed
+// unless a job was queued for it.
+async function queueUpload(req, res, { importRows }) {
+    let job = null;
+    try {
+        const batch = await loadUploadBatch(req, res);
+        if (!batch) {
+            return null;
+        }
+
+        const mode = req.body.mode || 'skip';
+        if (!rosterImport.IMPORT_MODES.includes(mode)) {
+            res.status(400).json({ error: `Import mode must be one of: ${rosterImport.IMPORT_MODES.join(', ')}` });
+            return null;
+        }
+
+        let mapping;
+        if (req.body.mapping) {
+            try {
+                mapping = JSON.parse(req.body.mapping);
+            } catch (err) {
+                res.status(400).json({ error: 'Column mapping is not valid JSON' });
+                return null;
+            }
+        }
+
+        const file = await rosterUpload.describeFile(req.file.path, { name: req.file.originalname, stored: req.file.filename });
+        job = await importJobs.queueImport({
+            actor: req.user,
+            batch,
+            file,
+            mode,
+            sheet: req.body.sheet,
+            mapping,
+            import_rows: importRows
+        });
+        return job;
+    } finally {
+        if (!job) {
+            discardUpload(req);
+        }
+    }
+}
+
+// Endpoint to list the sheets of a workbook with suggested column mappings
+app.post('/api/upload/inspect', requireRole('admin'), receiveRoster, async (req, res) => {
+    if (!req.file) {
+        return res.status(400).json({ error: 'No file uploaded' });
+    }
+
+    try {
+        const sheets = await importJobs.inspectWorkbook(req.file.path);
+        for (const sheet of sheets) {
+            const profiles = await mappingProfileStore.findMatchingProfiles(sheet.headers);
+            sheet.matchingProfiles = profiles.map(profile => ({ id: profile.id, name: profile.name }));
+        }
+
+        res.json({
+            fileName: req.file.originalname,
+            fields: columnMapping.FIELDS,
+            requiredFields: columnMapping.REQUIRED_FIELDS,
+            sheets
+        });
+    } catch (error) {
+        console.error('Error inspecting Excel file:', error);
+        res.status(500).json({ error: 'Error processing Excel file', details: error.message });
+    } finally {
+        // The file is uploaded again with the chosen mapping
+        discardUpload(req);
+    }
+});
+
+// Endpoint to upload Excel file into a batch in one step. The file is read and
+// imported by a background job; poll /api/import-jobs/:id for its progress.
+// The whole file is rejected if any row is invalid. Rows already in the batch
+// are skipped or updated depending on the import mode.
+app.post('/api/upload', requireRole('admin'), receiveRoster, async (req, res, next) => {
+    if (!req.file) {
+        return res.status(400).json({ error: 'No file uploaded' });
+    }
+
+    try {
+        const job = await queueUpload(req, res, { importRows: true });
+        if (!job) return;
+        res.status(202).json({ message: `Import of ${job.file_name} into ${job.batch_name} queued`, job });
+    } catch (err) {
+        next(err);
+    }
+});
+
+// Endpoint to preview an upload: a background job parses and validates the
+// sheet without saving anything. Once the job is ready, fetch the preview from
+// /api/upload/:previewId, where the preview id is the job id.
+app.post('/api/upload/preview', requireRole('admin'), receiveRoster, async (req, res, next) => {
+    if (!req.file) {
+        return res.status(400).json({ error: 'No file uploaded' });
+    }
+
+    try {
+        const job = await queueUpload(req, res, { importRows: false });
+        if (!job) return;
+        res.status(202).json({ job });
+    } catch (err) {
+        next(err);
+    }
+});
+
+// Load the preview of a ready import job, or send a 404 and return null
+async function loadPreview(req, res) {
+    const job = await importJobs.findJob(req.params.previewId);
+    const preview = job && job.status === 'ready' ? importPreviews.getPreview(job.id) : null;
+    if (!preview) {
+        res.status(404).json({ error: 'Preview not found or expired. Please upload the file again.' });
+        return null;
+    }
+    return { job, preview };
+}
+
+// Endpoint to fetch the validated rows of a previewed upload
+app.get('/api/upload/:previewId', requireRole('admin'), async (req, res, next) => {
+    try {
+        const loaded = await loadPreview(req, res);
+        if (!loaded) return;
+        const { job, preview } = loaded;
+
+        res.json({
+            previewId: job.id,
+            batch: preview.batch,
+            fileName: preview.fileName,
+            sheet: preview.sheet,
+            mapping: preview.mapping,
+            mode: preview.mode,
+            columns: preview.columns,
+            sessions: preview.sessions.map(session => session.label),
+            summary: rosterImport.summarizeResults(preview.results),
+            rows: preview.results.map(({ participant, ...result }) => result)
+        });
+    } catch (err) {
+        next(err);
+    }
+});
+
+// Endpoint to commit a previewed upload. Its job reads the roster again and
+// validates it against the batch in case it changed since the preview was made,
+// then inserts the new rows and, in update mode, updates the changed ones.
+// Invalid rows are skipped. Responds 202 with the job.
+app.post('/api/upload/:previewId/commit', requireRole('admin'), async (req, res, next) => {
+    try {
+        const loaded = await loadPreview(req, res);
+        if (!loaded) return;
+
+        if (!await importJobs.commitJob(loaded.job)) {
+            return res.status(409).json({ error: 'This upload is no longer waiting to be imported' });
+        }
+        res.status(202).json({ job: await importJobs.findJob(loaded.job.id) });
+    } catch (err) {
+        next(err);
+    }
+});
+
+// Endpoint to download the invalid and duplicate rows of a preview as .xlsx
+app.get('/api/upload/:previewId/rejected', requireRole('admin'), async (req, res, next) => {
+    try {
+        const loaded = await loadPreview(req, res);
+        if (!loaded) return;
+        const { preview } = loaded;
+
+        const buffer = rosterImport.buildRejectedWorkbook(preview.columns, preview.results);
+        const baseName = path.parse(preview.fileName).name;
+
+        res.attachment(`${baseName}-rejected.xlsx`);
+        res.send(buffer);
+    } catch (err) {
+        next(err);
+    }
+});
+
+// Endpoint to discard a preview without importing it
+app.delete('/api/upload/:previewId', requireRole('admin'), async (req, res, next) => {
+    try {
+        const job = await importJobs.findJob(req.params.previewId);
+        if (job) {
+            await importJobs.cancelJob(job);
+        }
+        res.status(204).end();
+    } catch (err) {
+        next(err);
+    }
+});
+
+// Endpoint to list the most recent import jobs, newest first
+app.get('/api/import-jobs', requireRole('admin'), async (req, res, next) => {
+    try {
+        res.json({ jobs: await importJobs.listJobs(RECENT_JOBS_LIMIT) });
+    } catch (err) {
+        next(err);
+    }
+});
+
+// Endpoint to follow an import job: its status, the rows parsed, valid, invalid,
+// duplicate, inserted and updated, and once it has finished what it did or why it failed
+app.get('/api/import-jobs/:id', requireRole('admin'), async (req, res, next) => {
+    try {
+        const job = await importJobs.findJob(req.params.id);
+        if (!job) {
+            return res.status(404).json({ error: 'Import job not found' });
+        }
+        res.json(job);
+    } catch (err) {
+        next(err);
+    }
+});
+
+// Endpoint to cancel an import job that has not started writing rows
+app.post('/api/import-jobs/:id/cancel', requireRole('admin'), async (req, res, next) => {
+    try {
+        const job = await importJobs.findJob(req.params.id);
+        if (!job) {
+            return res.status(404).json({ error: 'Import job not found' });
+        }
+        if (!await importJobs.cancelJob(job)) {
+            return res.status(409).json({ error: `The job is ${job.status} and can no longer be cancelled` });
+        }
+        res.json(await importJobs.findJob(job.id));
+    } catch (err) {
+        next(err);
+    }
+});
+
+// The search filters of a request, from its query string unless given. Users who see
+// masked mobile numbers cannot filter by them either, or they could recover the
+// numbers digit by digit.
+function searchFilters(req, query = req.query) {
+    const {
+        p_no, mobile_no, name, name_match, trade, gender, batch_id,
+        attendance, session, session_status, created_from, created_to
+    } = query;
+    return {
+        p_no,
+        mobile_no: auth.shouldMaskMobile(req.user) ? undefined : mobile_no,
+        name,
+        name_match,
+        trade,
+        gender,
+        batch_id,
+        attendance,
+        session,
+        session_status,
+        created_from,
+        created_to
+    };
+}
+
+// The sort of a search request. Masked users cannot sort by mobile number either.
+function searchSort(req, query = req.query) {
+    const { sort, order } = query;
+    return {
+        sort: sort === 'mobile_no' && auth.shouldMaskMobile(req.user) ? undefined : sort,
+        order
+    };
+}
+
+// Endpoint to search participants
+app.get('/api/participants', requireRole(), async (req, res, next) => {
+    const { page = 1, limit = 10 } = req.query;
+    const currentPage = Math.max(parseInt(page) || 1, 1);
+    const pageSize = Math.max(parseInt(limit) || 10, 1);
+
+    const validationErrors = searchQuery.validateSearchQuery(req.query);
+    if (validationErrors.length > 0) {
+        return res.status(400).json({ error: 'Validation failed', validationErrors });
+    }
+
+    try {
+        const { total, sessions, participants } = await participantStore.searchParticipants(
+            searchFilters(req),
+            { page: currentPage, limit: pageSize, ...searchSort(req) }
+        );
+        const totalPages = Math.ceil(total / pageSize);
+
+        res.json({
+            participants: participants.map(participant => auth.presentParticipant(participant, req.user)),
+            sessions,
+            pagination: {
+                total,
+                page: currentPage,
+                totalPages,
+                limit: pageSize,
+                hasNext: currentPage < totalPages,
+                hasPrev: currentPage > 1
+            }
+        });
+    } catch (err) {
+        next(err);
+    }
+});
+
+// Endpoint to export every participant matching the search filters as
+// ?format=xlsx (default), csv or pdf
+app.get('/api/participants/export', requireRole(), async (req, res, next) => {
+    const { format = 'xlsx' } = req.query;
+    if (!participantExport.EXPORT_FORMATS[format]) {
+        return res.status(400).json({
+            error: `Export format must be one of: ${Object.keys(participantExport.EXPORT_FORMATS).join(', ')}`
+        });
+    }
+    const validationErrors = searchQuery.validateSearchQuery(req.query);
+    if (validationErrors.length > 0) {
+        return res.status(400).json({ error: 'Validation failed', validationErrors });
+    }
+
+    try {
+        const filters = searchFilters(req);
+        const { sessions, participants } = await participantStore.exportParticipants(filters, searchSort(req));
+        const table = participantExport.buildExportTable(
+            sessions,
+            participants.map(participant => auth.presentParticipant(participant, req.user))
+        );
+        const today = new Date().toISOString().slice(0, 10);
+
+        res.attachment(`participants-${today}.${format}`);
+        res.type(participantExport.EXPORT_FORMATS[format]);
+
+        if (format === 'csv') {
+            participantExport.writeCsv(res, table);
+        } else if (format === 'pdf') {
+            const { batch_id, ...otherFilters } = filters;
+            const batch = batch_id ? await batchStore.findBatchById(batch_id) : null;
+            const applied = Object.entries(otherFilters)
+                .filter(([, value]) => value)
+                .map(([field, value]) => `${field}: ${value}`);
+            participantExport.writePdf(res, table, {
+                title: batch ? `Attendance Sheet - ${batch.name}` : 'Attendance Sheet',
+                subtitle: [
+                    `${participants.length} participants`,
+                    ...applied,
+                    `Generated ${today}`
+                ].join(' | ')
+            });
+        } else {
+            res.send(participantExport.buildWorkbook(table));
+        }
+    } catch (err) {
+        next(err);
+    }
+});
+
+// A batch with its days and its programme's certificate template, for checking
+// who qualifies for a certificate. Batches without a programme type have no template.
+async function findCertificateBatch(batchId) {
+    const batch = await batchStore.findBatchById(batchId);
+    return {
+        batch,
+        sessions: await batchStore.findBatchSessions(batchId),
+        template: batch.program_type ? await certificateTemplateStore.findTemplate(batch.program_type) : null
+    };
+}
+
+// Endpoint to download a ZIP of completion certificates for every participant
+// matching the search filters who meets their programme's attendance rule
+app.get('/api/participants/certificates', requireRole('admin', 'trainer'), async (req, res, next) => {
+    const validationErrors = searchQuery.validateSearchQuery(req.query);
+    if (validationErrors.length > 0) {
+        return res.status(400).json({ error: 'Validation failed', validationErrors });
+    }
+
+    try {
+        const { participants } = await participantStore.exportParticipants(searchFilters(req), searchSort(req));
+        const batches = new Map();
+        const issued = [];
+        for (const participant of participants) {
+            if (!batches.has(participant.batch_id)) {
+                batches.set(participant.batch_id, await findCertificateBatch(participant.batch_id));
+            }
+            const { batch, sessions, template } = batches.get(participant.batch_id);
+            if (!template) {
+                continue;
+            }
+            const eligibility = certificates.checkEligibility(participant, sessions, template);
+            if (eligibility.eligible) {
+                issued.push({ participant, batch, template, eligibility });
+            }
+        }
+
+        if (issued.length === 0) {
+            return res.status(404).json({
+                error: participants.length === 0
+                    ? 'No participants match the current filters'
+                    : `None of the ${participants.length} matching participants meet the certificate rule for their programme`
+            });
+        }
+
+        res.attachment(`certificates-${new Date().toISOString().slice(0, 10)}.zip`);
+        res.type('application/zip');
+        await certificates.writeCertificateZip(res, issued);
+    } catch (err) {
+        next(err);
+    }
+});
+
+// Endpoint to list the signed-in user's saved searches
+app.get('/api/saved-searches', requireRole(), async (req, res, next) => {
+    try {
+        res.json(await savedSearchStore.listSavedSearches(req.user.id));
+    } catch (err) {
+        next(err);
+    }
+});
+
+// Endpoint to save the current search filters under a name, replacing the
+// user's saved search with the same name. Body: { name, filters }.
+app.post('/api/saved-searches', requireRole(), async (req, res, next) => {
+    const name = String(req.body.name || '').trim();
+    const filters = req.body.filters;
+
+    const validationErrors = [];
+    if (!name) {
+        validationErrors.push('Search name is required');
+    }
+    validationErrors.push(...searchQuery.validateSearchFilters(filters));
+
+    if (validationErrors.length > 0) {
+        return res.status(400).json({ error: 'Validation failed', validationErrors });
+    }
+
+    try {
+        res.status(201).json(await savedSearchStore.saveSearch(req.user.id, { name, filters }));
+    } catch (err) {
+        next(err);
+    }
+});
+
+app.delete('/api/saved-searches/:id', requireRole(), async (req, res, next) => {
+    try {
+        if (!await savedSearchStore.deleteSavedSearch(req.user.id, req.params.id)) {
+            return res.status(404).json({ error: 'Saved search not found' });
+        }
+        res.status(204).end();
+    } catch (err) {
+        next(err);
+    }
+});
+
+// Endpoint to get a specific participant by P.No, optionally within one batch
+app.get('/api/participants/:p_no', requireRole(), async (req, res, next) => {
+    try {
+        const participant = await participantStore.findParticipantByPNo(req.params.p_no, req.query.batch_id);
+
+        if (!participant) {
+            return res.status(404).json({ error: 'Participant not found' });
+        }
+
+        res.json(auth.presentParticipant(participant, req.user));
+    } catch (err) {
+        next(err);
+    }
+});
+
+// Endpoint to get a QR code (SVG) encoding a participant's P.No, for check-in
+app.get('/api/participants/:p_no/qr', requireRole(), async (req, res, next) => {
+    try {
+        const participant = await participantStore.findParticipantByPNo(req.params.p_no, req.query.batch_id);
+
+        if (!participant) {
+            return res.status(404).json({ error: 'Participant not found' });
+        }
+
+        res.type('image/svg+xml').send(await QRCode.toString(participant.p_no, { type: 'svg', margin: 2 }));
+    } catch (err) {
+        next(err);
+    }
+});
+
+// Endpoint to download a participant's completion certificate (PDF) for a batch,
+// if they meet the attendance rule of the batch's programme
+app.get('/api/participants/:p_no/certificate', requireRole('admin', 'trainer'), async (req, res, next) => {
+    try {
+        const participant = await participantStore.findParticipantByPNo(req.params.p_no, req.query.batch_id);
+
+        if (!participant) {
+            return res.status(404).json({ error: 'Participant not found' });
+        }
+
+        const { batch, sessions, template } = await findCertificateBatch(participant.batch_id);
+        if (!template) {
+            return res.status(409).json({
+                error: `${batch.name} has no programme type, so there is no certificate template for it`
+            });
+        }
+        const eligibility = certificates.checkEligibility(participant, sessions, template);
+        if (!eligibility.eligible) {
+            return res.status(409).json({
+                error: `${participant.name} has not met the certificate rule (${certificates.describeRule(template)}): ` +
+                    `present on ${eligibility.present} of ${eligibility.total} days`
+            });
+        }
+
+        res.attachment(certificates.certificateFileName(participant));
+        res.type('application/pdf');
+        certificates.createCertificatePdf(participant, batch, template, eligibility).pipe(res);
+    } catch (err) {
+        next(err);
+    }
+});
+
+// Endpoint to get every batch a participant attended
+app.get('/api/participants/:p_no/history', requireRole(), async (req, res, next) => {
+    try {
+        const history = await participantStore.findParticipantHistory(req.params.p_no);
+
+        if (history.length === 0) {
+            return res.status(404).json({ error: 'Participant not found' });
+        }
+
+        res.json(history);
+    } catch (err) {
+        next(err);
+    }
+});
+
+// Endpoint to list batches for the upload and filter dropdowns
+app.get('/api/batches', requireRole(), async (req, res, next) => {
+    try {
+        res.json(await batchStore.listBatches());
+    } catch (err) {
+        next(err);
+    }
+});
+
+// Endpoint to create a new batch
+app.post('/api/batches', requireRole('admin'), async (req, res, next) => {
+    const name = String(req.body.name || '').trim();
+    const { program_type, start_date, end_date, venue } = req.body;
+    const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+    const validationErrors = [];
+    if (!name) {
+        validationErrors.push('Batch name is required');
+    }
+    if (!batchStore.PROGRAM_TYPES.includes(program_type)) {
+        validationErrors.push(`Program type must be one of: ${batchStore.PROGRAM_TYPES.join(', ')}`);
+    }
+    if (start_date && !DATE_PATTERN.test(start_date)) {
+        validationErrors.push('Start date must be in YYYY-MM-DD format');
+    }
+    if (end_date && !DATE_PATTERN.test(end_date)) {
+        validationErrors.push('End date must be in YYYY-MM-DD format');
+    }
+    if (start_date && end_date && end_date < start_date) {
+        validationErrors.push('End date cannot be before the start date');
+    }
+
+    if (validationErrors.length > 0) {
+        return res.status(400).json({ error: 'Validation failed', validationErrors });
+    }
+
+    try {
+        if (await batchStore.findBatchByName(name)) {
+            return res.status(409).json({ error: `A batch named '${name}' already exists` });
+        }
+
+        const batch = await batchStore.createBatch({
+            name,
+            program_type,
+            start_date,
+            end_date,
+            venue: String(venue || '').trim()
+        });
+        res.status(201).json(batch);
+    } catch (err) {
+        next(err);
+    }
+});
+
+// Endpoint to mark one participant present or absent for one session.
+// Admins can mark any batch, trainers only the batches assigned to them.
+app.put('/api/batches/:id/attendance', requireRole('admin', 'trainer'), async (req, res, next) => {
+    const { participant_id, session_id } = req.body;
+    const status = String(req.body.status || '').toUpperCase();
+
+    if (!['P', 'A'].includes(status)) {
+        return res.status(400).json({ error: 'Status must be P or A' });
+    }
+    if (!auth.canManageBatch(req.user, req.params.id)) {
+        return res.status(403).json({ error: 'You can only mark attendance for your own batches' });
+    }
+
+    try {
+        const batch = await batchStore.findBatchById(req.params.id);
+        const audit = { actor: req.user, batch };
+        if (!batch || !await participantStore.markAttendance(batch.id, participant_id, session_id, status, audit)) {
+            return res.status(404).json({ error: 'Participant or session not found in this batch' });
+        }
+        liveUpdates.announceParticipantChange('update', [await participantStore.findParticipantById(participant_id)]);
+        res.json({ participant_id, session_id, status });
+    } catch (err) {
+        next(err);
+    }
+});
+
+// Endpoint to download a batch's roster for offline use: the batch, its sessions
+// and every participant with their attendance. Admins and the batch's trainers only.
+app.get('/api/batches/:id/roster', requireRole('admin', 'trainer'), async (req, res, next) => {
+    if (!auth.canManageBatch(req.user, req.params.id)) {
+        return res.status(403).json({ error: 'You can only take attendance for your own batches' });
+    }
+
+    try {
+        const batch = await batchStore.findBatchById(req.params.id);
+        if (!batch) {
+            return res.status(404).json({ error: 'Batch not found' });
+        }
+        const { participants } = await participantStore.exportParticipants({ batch_id: batch.id }, { sort: 'p_no' });
+        res.json({
+            batch,
+            sessions: await batchStore.findBatchSessions(batch.id),
+            participants: participants.map(participant => auth.presentParticipant(participant, req.user)),
+            saved_at: new Date().toISOString()
+        });
+    } catch (err) {
+        next(err);
+    }
+});
+
+// Most attendance marks accepted in one offline sync request
+const MAX_SYNC_CHANGES = 500;
+
+// Endpoint to apply attendance marks recorded offline.
+// Body: { changes: [{ client_id, participant_id, session_id, status, base_status }] },
+// where base_status is the status the device showed when the mark was made (null for none).
+// Marks whose stored status changed in the meantime come back as conflicts.
+app.post('/api/batches/:id/attendance/sync', requireRole('admin', 'trainer'), async (req, res, next) => {
+    if (!auth.canManageBatch(req.user, req.params.id)) {
+        return res.status(403).json({ error: 'You can only mark attendance for your own batches' });
+    }
+
+    const { changes } = req.body;
+    const validationErrors = [];
+    if (!Array.isArray(changes) || changes.length === 0) {
+        validationErrors.push('changes must be a non-empty list');
+    } else if (changes.length > MAX_SYNC_CHANGES) {
+        validationErrors.push(`At most ${MAX_SYNC_CHANGES} changes can be synced at once`);
+    } else {
+        changes.forEach((change, index) => {
+            if (!change || typeof change !== 'object') {
+                validationErrors.push(`Change ${index + 1}: must be an object`);
+                return;
+            }
+            if (!['P', 'A'].includes(change.status)) {
+                validationErrors.push(`Change ${index + 1}: status must be P or A`);
+            }
+            if (![null, 'P', 'A'].includes(change.base_status ?? null)) {
+                validationErrors.push(`Change ${index + 1}: base_status must be P, A or null`);
+            }
+        });
+    }
+    if (validationErrors.length > 0) {
+        return res.status(400).json({ error: 'Validation failed', validationErrors });
+    }
+
+    try {
+        const batch = await batchStore.findBatchById(req.params.id);
+        if (!batch) {
+            return res.status(404).json({ error: 'Batch not found' });
+        }
+
+        const { results, updatedIds } = await participantStore.syncAttendance(
+            batch.id,
+            changes.map(change => ({ ...change, base_status: change.base_status ?? null })),
+            { actor: req.user, batch }
+        );
+        if (updatedIds.length > 0) {
+            const updated = await Promise.all(updatedIds.map(id => participantStore.findParticipantById(id)));
+            liveUpdates.announceParticipantChange('update', updated);
+        }
+        res.json({ results });
+    } catch (err) {
+        next(err);
+    }
+});
+
+// Check a hand-entered participant against the batch, as an upload would.
+// For edits, `existing` supplies the P.No and mobile number the input leaves out
+// when looking for conflicts. Returns { status, body } for the error response,
+// or null if it is valid.
+async function checkParticipantInput(batch, participant, sessions, { partial = false, existing = null } = {}) {
+    const validationErrors = rosterImport.validateParticipantInput(
+        participant,
+        sessions.map(session => session.label),
+        { partial }
+    );
+    if (validationErrors.length > 0) {
+        return { status: 400, body: { error: 'Validation failed', validationErrors } };
+    }
+
+    const conflict = await participantStore.findConflictingParticipant(
+        batch.id,
+        existing ? { p_no: participant.p_no ?? existing.p_no, mobile_no: participant.mobile_no ?? existing.mobile_no } : participant,
+        existing ? existing.id : null
+    );
+    if (conflict) {
+        return {
+            status: 409,
+            body: { error: `${conflict.matched_on} already belongs to ${conflict.p_no} - ${conflict.name} in ${batch.name}` }
+        };
+    }
+    return null;
+}
+
+// Endpoint to add one participant to a batch.
+// Body: { p_no, mobile_no, name, trade, gender, attendance: { <session label>: 'P' | 'A' } }
+// The response lists the values normalization changed as `normalized`.
+app.post('/api/batches/:id/participants', requireRole('admin'), async (req, res, next) => {
+    try {
+        const batch = await batchStore.findBatchById(req.params.id);
+        if (!batch) {
+            return res.status(404).json({ error: 'Batch not found' });
+        }
+
+        const { participant: input, normalized } = rosterImport.normalizeParticipantInput(req.body);
+        const participant = { trade: '', gender: '', attendance: {}, ...input };
+        const sessions = await batchStore.findBatchSessions(batch.id);
+        const problem = await checkParticipantInput(batch, participant, sessions);
+        if (problem) {
+            return res.status(problem.status).json(problem.body);
+        }
+
+        const id = await participantStore.createParticipant(
+            batch.id,
+            participant,
+            sessions.filter(session => session.label in participant.attendance),
+            { actor: req.user, batch }
+        );
+        const created = await participantStore.findParticipantById(id);
+        liveUpdates.announceParticipantChange('insert', [created]);
+        res.status(201).json({ ...created, normalized });
+    } catch (err) {
+        next(err);
+    }
+});
+
+// Endpoint to edit one participant of a batch. Only the fields sent are changed;
+// attendance sessions left out keep their status. The response lists the values
+// normalization changed as `normalized`.
+app.patch('/api/batches/:id/participants/:participantId', requireRole('admin'), async (req, res, next) => {
+    try {
+        const batch = await batchStore.findBatchById(req.params.id);
+        const existing = await participantStore.findParticipantById(req.params.participantId);
+        if (!batch || !existing || existing.batch_id !== batch.id) {
+            return res.status(404).json({ error: 'Participant not found in this batch' });
+        }
+
+        const { participant: input, normalized } = rosterImport.normalizeParticipantInput(req.body);
+        const sessions = await batchStore.findBatchSessions(batch.id);
+        const problem = await checkParticipantInput(batch, input, sessions, { partial: true, existing });
+        if (problem) {
+            return res.status(problem.status).json(problem.body);
+        }
+
+        const { attendance = {}, ...fields } = input;
+        const previousStatus = new Map(existing.attendance.map(entry => [entry.label, entry.status]));
+        const changes = [
+            ...Object.entries(fields)
+                .filter(([field, value]) => value !== existing[field])
+                .map(([field, value]) => ({ field, from: existing[field], to: value })),
+            ...Object.entries(attendance)
+                .filter(([label, status]) => status !== previousStatus.get(label))
+                .map(([label, status]) => ({ field: label, from: previousStatus.get(label) || null, to: status }))
+        ];
+
+        if (changes.length === 0) {
+            return res.json({ ...existing, normalized });
+        }
+
+        await participantStore.updateParticipant(
+            existing,
+            changes,
+            sessions.filter(session => session.label in attendance),
+            { actor: req.user, batch }
+        );
+        const updated = await participantStore.findParticipantById(existing.id);
+        // Announce the old values too, so pages that showed them refresh
+        liveUpdates.announceParticipantChange('update', [existing, updated]);
+        res.json({ ...updated, normalized });
+    } catch (err) {
+        next(err);
+    }
+});
+
+// Endpoint to delete one participant of a batch with their attendance
+app.delete('/api/batches/:id/participants/:participantId', requireRole('admin'), async (req, res, next) => {
+    try {
+        const batch = await batchStore.findBatchById(req.params.id);
+        const existing = await participantStore.findParticipantById(req.params.participantId);
+        if (!batch || !existing || existing.batch_id !== batch.id) {
+            return res.status(404).json({ error: 'Participant not found in this batch' });
+        }
+
+        await participantStore.deleteParticipants([existing.id], { actor: req.user, batch });
+        liveUpdates.announceParticipantChange('delete', [existing]);
+        res.json({ message: `Deleted ${existing.p_no} - ${existing.name}` });
+    } catch (err) {
+        next(err);
+    }
+});
+
+// The participant ids of a bulk action, or null if the list is not usable
+function readParticipantIds(body) {
+    const ids = Array.isArray(body.ids) ? body.ids.map(Number) : [];
+    return ids.length > 0 && ids.every(Number.isInteger) ? [...new Set(ids)] : null;
+}
+
+// The one batch all the given participants belong to, if they share one, for the audit entry
+async function sharedBatch(participants) {
+    const batchIds = new Set(participants.map(participant => participant.batch_id));
+    return batchIds.size === 1 ? batchStore.findBatchById([...batchIds][0]) : null;
+}
+
+// Endpoint to mark selected participants present or absent for the session
+// with the given label in their batch. Body: { ids, label, status }.
+// Trainers can only include participants of their own batches.
+app.post('/api/participants/bulk-attendance', requireRole('admin', 'trainer'), async (req, res, next) => {
+    const ids = readParticipantIds(req.body);
+    const label = String(req.body.label || '').trim();
+    const status = String(req.body.status || '').toUpperCase();
+
+    const validationErrors = [];
+    if (!ids) {
+        validationErrors.push('Select at least one participant');
+    }
+    if (!label) {
+        validationErrors.push('Session is required');
+    }
+    if (!['P', 'A'].includes(status)) {
+        validationErrors.push('Status must be P or A');
+    }
+    if (validationErrors.length > 0) {
+        return res.status(400).json({ error: 'Validation failed', validationErrors });
+    }
+
+    try {
+        const participants = (await Promise.all(ids.map(id => participantStore.findParticipantById(id)))).filter(Boolean);
+        if (participants.some(participant => !auth.canManageBatch(req.user, participant.batch_id))) {
+            return res.status(403).json({ error: 'You can only mark attendance for your own batches' });
+        }
+
+        const result = await participantStore.markAttendanceBulk(
+            participants.map(participant => participant.id),
+            label,
+            status,
+            { actor: req.user, batch: await sharedBatch(participants) }
+        );
+        if (result.updated.length > 0) {
+            liveUpdates.announceParticipantChange(
+                'update',
+                participants.filter(participant => result.updated.includes(participant.p_no))
+            );
+        }
+        res.json({
+            message: `Marked ${result.updated.length} participants ${status === 'P' ? 'present' : 'absent'} for ${label}`,
+            ...result
+        });
+    } catch (err) {
+        next(err);
     }
 });
 
-const upload = multer({ 
-    storage: storage,
-    fileFilter: (req, file, cb) => {
-        // Allow only Excel files
-        if (file.mimetype === 'application/vnd.ms-excel' || 
-            file.mimetype === 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet' ||
-            file.originalname.endsWith('.xls') || 
-            file.originalname.endsWith('.xlsx')) {
-            cb(null, true);
-        } else {
-            cb(new Error('Invalid file type. Only Excel files (.xls, .xlsx) are allowed.'));
+// Endpoint to delete selected participants. Body: { ids }.
+app.post('/api/participants/bulk-delete', requireRole('admin'), async (req, res, next) => {
+    const ids = readParticipantIds(req.body);
+    if (!ids) {
+        return res.status(400).json({ error: 'Validation failed', validationErrors: ['Select at least one participant'] });
+    }
+
+    try {
+        const participants = (await Promise.all(ids.map(id => participantStore.findParticipantById(id)))).filter(Boolean);
+        const deleted = participants.length > 0
+            ? await participantStore.deleteParticipants(
+                participants.map(participant => participant.id),
+                { actor: req.user, batch: await sharedBatch(participants) }
+            )
+            : [];
+        if (deleted.length > 0) {
+            liveUpdates.announceParticipantChange('delete', participants);
         }
+        res.json({ message: `Deleted ${deleted.length} participants`, deleted });
+    } catch (err) {
+        next(err);
     }
 });
 
-// In-memory storage for participants (in production, use a proper database)
-let participants = [];
+// Endpoint to list pairs of records that may be the same trainee under
+// different P.Nos, best first. Query: batch_id (pairs with a record in that
+// batch), min_score (0-100, default 60) and limit (default 50).
+app.get('/api/duplicates', requireRole('admin'), async (req, res, next) => {
+    const batchId = req.query.batch_id ? parseInt(req.query.batch_id) : null;
+    const minScore = req.query.min_score !== undefined ? Number(req.query.min_score) : duplicates.DEFAULT_MIN_SCORE;
+    const limit = Math.min(Math.max(parseInt(req.query.limit) || 50, 1), 200);
 
-// Load existing data from file if it exists
-const DATA_FILE = './participants-data.json';
+    const validationErrors = [];
+    if (req.query.batch_id && !Number.isInteger(batchId)) {
+        validationErrors.push('Batch must be a batch id');
+    }
+    if (!Number.isFinite(minScore) || minScore < 0 || minScore > 100) {
+        validationErrors.push('Minimum score must be a number from 0 to 100');
+    }
+    if (validationErrors.length > 0) {
+        return res.status(400).json({ error: 'Validation failed', validationErrors });
+    }
 
-async function loadDataFromFile() {
     try {
-        const data = await fs.readFile(DATA_FILE, 'utf8');
-        participants = JSON.parse(data);
-        console.log('Loaded existing data from file');
+        const [records, dismissals] = await Promise.all([duplicateStore.listRecords(), duplicateStore.listDismissals()]);
+        const candidates = duplicates.findCandidates(records, { dismissals, minScore, batchId });
+        res.json({ total: candidates.length, candidates: candidates.slice(0, limit) });
     } catch (err) {
-        // If file doesn't exist, that's fine - we'll start with an empty array
-        console.log('No existing data file found, starting fresh');
-        participants = [];
+        next(err);
     }
-}
+});
+
+// Endpoint to merge two records of the same trainee.
+// Body: { keep_id, merge_id, values: { p_no, mobile_no, name, trade, gender } }.
+// Each value must be that of one of the two records; fields left out keep
+// keep_id's value. Records in the same batch become keep_id's record; records
+// in different batches both stay and take the values.
+app.post('/api/duplicates/merge', requireRole('admin'), async (req, res, next) => {
+    const keepId = Number(req.body.keep_id);
+    const mergeId = Number(req.body.merge_id);
+    if (!Number.isInteger(keepId) || !Number.isInteger(mergeId) || keepId === mergeId) {
+        return res.status(400).json({ error: 'Validation failed', validationErrors: ['Choose two different records to merge'] });
+    }
+    const chosen = req.body.values === undefined ? {} : req.body.values;
+    if (!chosen || typeof chosen !== 'object' || Array.isArray(chosen)) {
+        return res.status(400).json({ error: 'Validation failed', validationErrors: ['values must map fields to the value to keep'] });
+    }
+    const unknownFields = Object.keys(chosen).filter(field => !participantStore.IDENTITY_FIELDS.includes(field));
+    if (unknownFields.length > 0) {
+        return res.status(400).json({
+            error: 'Validation failed',
+            validationErrors: unknownFields.map(field => `'${field}' is not a field that can be merged`)
+        });
+    }
+
+    try {
+        const [keep, other] = await Promise.all([
+            participantStore.findParticipantById(keepId),
+            participantStore.findParticipantById(mergeId)
+        ]);
+        if (!keep || !other) {
+            return res.status(404).json({ error: 'Participant not found' });
+        }
+
+        const values = {};
+        const validationErrors = [];
+        participantStore.IDENTITY_FIELDS.forEach(field => {
+            const value = chosen[field] ?? keep[field];
+            if (value !== keep[field] && value !== other[field]) {
+                validationErrors.push(`${rosterImport.TEXT_COLUMNS[field]} must be the value of one of the two records`);
+            }
+            values[field] = value;
+        });
+        if (validationErrors.length > 0) {
+            return res.status(400).json({ error: 'Validation failed', validationErrors });
+        }
+
+        const batches = await Promise.all([...new Set([keep.batch_id, other.batch_id])].map(id => batchStore.findBatchById(id)));
+        for (const batch of batches) {
+            const conflict = await participantStore.findConflictingParticipant(batch.id, values, [keep.id, other.id]);
+            if (conflict) {
+                return res.status(409).json({
+                    error: `${conflict.matched_on} already belongs to ${conflict.p_no} - ${conflict.name} in ${batch.name}`
+                });
+            }
+        }
+
+        const keptIds = await participantStore.mergeParticipants(keep, other, values, {
+            actor: req.user,
+            batch: batches.length === 1 ? batches[0] : null
+        });
+        const kept = await Promise.all(keptIds.map(id => participantStore.findParticipantById(id)));
+        // Announce the old values too, so pages that showed them refresh
+        liveUpdates.announceParticipantChange('merge', [keep, other, ...kept]);
+        res.json({
+            message: keptIds.length === 1
+                ? `Merged ${other.p_no} into ${values.p_no} - ${values.name}`
+                : `${keep.p_no} and ${other.p_no} are now both ${values.p_no} - ${values.name}`,
+            participants: kept
+        });
+    } catch (err) {
+        next(err);
+    }
+});
+
+// Endpoint to mark two records as different trainees, so the pair of P.Nos is
+// not suggested again. Body: { ids }, the two records' ids.
+app.post('/api/duplicates/dismiss', requireRole('admin'), async (req, res, next) => {
+    const ids = readParticipantIds(req.body);
+    if (!ids || ids.length !== 2) {
+        return res.status(400).json({ error: 'Validation failed', validationErrors: ['Choose the two records of the pair'] });
+    }
+
+    try {
+        const records = await Promise.all(ids.map(id => participantStore.findParticipantById(id)));
+        if (records.some(record => !record)) {
+            return res.status(404).json({ error: 'Participant not found' });
+        }
+        const pNos = duplicates.pairOfPNos(records[0].p_no, records[1].p_no);
+        if (pNos[0] === pNos[1]) {
+            return res.status(400).json({ error: 'Records with the same P.No are the same trainee' });
+        }
+
+        await duplicateStore.dismissPair(pNos, req.user);
+        res.json({ message: `${pNos[0]} and ${pNos[1]} will not be suggested as duplicates again` });
+    } catch (err) {
+        next(err);
+    }
+});
 
-async function saveDataToFile() {
+// Endpoint to list the sessions of a batch, for the edit form and bulk actions
+app.get('/api/batches/:id/sessions', requireRole(), async (req, res, next) => {
     try {
-        await fs.writeFile(DATA_FILE, JSON.stringify(participants, null, 2));
-        console.log('Data saved to file');
+        const batch = await batchStore.findBatchById(req.params.id);
+        if (!batch) {
+            return res.status(404).json({ error: 'Batch not found' });
+        }
+        res.json(await batchStore.findBatchSessions(batch.id));
     } catch (err) {
-        console.error('Error saving data to file:', err);
+        next(err);
+    }
+});
+
+// Load the batch and session of a check-in request, answering with an error
+// if either is missing or the user cannot manage the batch. Returns null then.
+async function loadCheckInSession(req, res) {
+    if (!auth.canManageBatch(req.user, req.params.id)) {
+        res.status(403).json({ error: 'You can only take attendance for your own batches' });
+        return null;
     }
+    const batch = await batchStore.findBatchById(req.params.id);
+    const session = batch ? await batchStore.findBatchSession(batch.id, req.params.sessionId) : null;
+    if (!session) {
+        res.status(404).json({ error: 'Session not found in this batch' });
+        return null;
+    }
+    return { batch, session };
 }
 
-// Initialize data
-loadDataFromFile();
+// Endpoint to add a session to a batch for live check-in. Body: { label }, either "Day 3" or a YYYY-MM-DD date.
+app.post('/api/batches/:id/sessions', requireRole('admin', 'trainer'), async (req, res, next) => {
+    if (!auth.canManageBatch(req.user, req.params.id)) {
+        return res.status(403).json({ error: 'You can only take attendance for your own batches' });
+    }
+    const session = rosterImport.parseSessionLabel(req.body.label);
+    if (!session) {
+        return res.status(400).json({ error: 'Session must be a day such as "Day 3" or a date in YYYY-MM-DD format' });
+    }
 
-// Endpoint to upload Excel file
-app.post('/api/upload', upload.single('excelFile'), (req, res) => {
-    if (!req.file) {
-        return res.status(400).json({ error: 'No file uploaded' });
+    try {
+        const batch = await batchStore.findBatchById(req.params.id);
+        if (!batch) {
+            return res.status(404).json({ error: 'Batch not found' });
+        }
+        const sessions = await batchStore.findBatchSessions(batch.id);
+        if (sessions.some(existing => existing.label === session.label)) {
+            return res.status(409).json({ error: `${batch.name} already has a session '${session.label}'` });
+        }
+        res.status(201).json(await batchStore.createSession(batch.id, session));
+    } catch (err) {
+        next(err);
+    }
+});
+
+// Endpoint to list a session's check-ins, newest first
+app.get('/api/batches/:id/sessions/:sessionId/check-ins', requireRole('admin', 'trainer'), async (req, res, next) => {
+    try {
+        const loaded = await loadCheckInSession(req, res);
+        if (!loaded) {
+            return;
+        }
+        res.json({ session: loaded.session, ...await checkInStore.listCheckIns(loaded.batch.id, loaded.session.id) });
+    } catch (err) {
+        next(err);
+    }
+});
+
+// Endpoint to check a participant in to a session by the P.No or mobile number
+// typed or scanned. Body: { code }. A second scan is answered with 409 and the
+// time of the first check-in.
+app.post('/api/batches/:id/sessions/:sessionId/check-ins', requireRole('admin', 'trainer'), async (req, res, next) => {
+    const code = String(req.body.code || '').trim();
+    if (!code) {
+        return res.status(400).json({ error: 'Scan or enter a P.No or mobile number' });
     }
 
     try {
-        // Read the uploaded Excel file
-        const workbook = xlsx.readFile(req.file.path);
-        const sheetName = workbook.SheetNames[0];
-        const worksheet = workbook.Sheets[sheetName];
-        const jsonData = xlsx.utils.sheet_to_json(worksheet);
+        const loaded = await loadCheckInSession(req, res);
+        if (!loaded) {
+            return;
+        }
+        const { batch, session } = loaded;
 
-        // Validate required columns
-        const requiredColumns = ['P.No', 'Mobile No', 'Name', 'Trade', 'Gender', 'Attendance Day 1', 'Attendance Day 2'];
-        const firstRow = jsonData[0] || {};
-        const missingColumns = requiredColumns.filter(col => !firstRow.hasOwnProperty(col));
+        const participant = await checkInStore.findParticipantByCode(batch.id, code);
+        if (!participant) {
+            return res.status(404).json({ error: `No participant with P.No or mobile number '${code}' in ${batch.name}` });
+        }
 
-        if (missingColumns.length > 0) {
-            return res.status(400).json({ 
-                error: `Missing required columns: ${missingColumns.join(', ')}`,
-                missingColumns
+        const { check_in, duplicate } = await checkInStore.checkIn(batch, session, participant, { actor: req.user });
+        if (duplicate) {
+            return res.status(409).json({
+                error: `${participant.p_no} - ${participant.name} already checked in for ${session.label}`,
+                check_in
             });
         }
+        liveUpdates.announceParticipantChange('update', [participant]);
+        res.status(201).json({ message: `Checked in ${participant.p_no} - ${participant.name}`, check_in });
+    } catch (err) {
+        next(err);
+    }
+});
 
-        // Validate data
-        const validationErrors = [];
-        const seenPNo = new Set();
-        const seenMobileNo = new Set();
+// Endpoint to browse the audit trail, newest first. Filters: from and to
+// (YYYY-MM-DD, inclusive), username, p_no, action and batch_id.
+app.get('/api/audit', requireRole('admin'), async (req, res, next) => {
+    const { from, to, username, p_no, action, batch_id, page = 1, limit = 20 } = req.query;
+    const currentPage = Math.max(parseInt(page) || 1, 1);
+    const pageSize = Math.min(Math.max(parseInt(limit) || 20, 1), 100);
 
-        jsonData.forEach((row, index) => {
-            // Check for required fields
-            if (!row['P.No'] || !row['Mobile No'] || !row['Name']) {
-                validationErrors.push(`Row ${index + 2}: Missing required fields (P.No, Mobile No, or Name)`);
-            }
+    const validationErrors = [];
+    if (from && !searchQuery.isValidDate(from)) {
+        validationErrors.push('From date must be a valid date in YYYY-MM-DD format');
+    }
+    if (to && !searchQuery.isValidDate(to)) {
+        validationErrors.push('To date must be a valid date in YYYY-MM-DD format');
+    }
+    if (action && !auditStore.AUDIT_ACTIONS.includes(action)) {
+        validationErrors.push(`Action must be one of: ${auditStore.AUDIT_ACTIONS.join(', ')}`);
+    }
+    if (validationErrors.length > 0) {
+        return res.status(400).json({ error: 'Validation failed', validationErrors });
+    }
 
-            // Check for duplicates in the uploaded data
-            if (seenPNo.has(row['P.No'])) {
-                validationErrors.push(`Row ${index + 2}: Duplicate P.No '${row['P.No']}'`);
-            }
-            if (seenMobileNo.has(row['Mobile No'])) {
-                validationErrors.push(`Row ${index + 2}: Duplicate Mobile No '${row['Mobile No']}'`);
+    try {
+        const { total, entries } = await auditStore.searchAuditEntries(
+            { from, to, username, p_no, action, batch_id },
+            { page: currentPage, limit: pageSize }
+        );
+        const totalPages = Math.ceil(total / pageSize);
+
+        res.json({
+            entries,
+            pagination: {
+                total,
+                page: currentPage,
+                totalPages,
+                limit: pageSize,
+                hasNext: currentPage < totalPages,
+                hasPrev: currentPage > 1
             }
+        });
+    } catch (err) {
+        next(err);
+    }
+});
+
+// Endpoint to get one audit entry with the before and after values of every change
+app.get('/api/audit/:id', requireRole('admin'), async (req, res, next) => {
+    try {
+        const entry = await auditStore.findAuditEntry(req.params.id);
+        if (!entry) {
+            return res.status(404).json({ error: 'Audit entry not found' });
+        }
+        res.json(entry);
+    } catch (err) {
+        next(err);
+    }
+});
+
+// Endpoint to list dataset snapshots, newest first, with the schedule and retention settings
+app.get('/api/snapshots', requireRole('admin'), (req, res, next) => {
+    try {
+        res.json({ settings: snapshots.settings(), snapshots: snapshots.listSnapshots() });
+    } catch (err) {
+        next(err);
+    }
+});
+
+// Endpoint to take a snapshot now
+app.post('/api/snapshots', requireRole('admin'), async (req, res, next) => {
+    try {
+        res.status(201).json(await snapshots.createSnapshot({ reason: 'manual', actor: req.user }));
+    } catch (err) {
+        next(err);
+    }
+});
+
+// Endpoint to compare a snapshot with the current data, batch by batch
+app.get('/api/snapshots/:id/compare', requireRole('admin'), async (req, res, next) => {
+    try {
+        if (!snapshots.findSnapshot(req.params.id)) {
+            return res.status(404).json({ error: 'Snapshot not found' });
+        }
+        res.json(await snapshots.compareSnapshot(req.params.id));
+    } catch (err) {
+        next(err);
+    }
+});
+
+// Endpoint to download a snapshot, with its roster files, as a ZIP file
+app.get('/api/snapshots/:id/download', requireRole('admin'), async (req, res, next) => {
+    try {
+        if (!snapshots.findSnapshot(req.params.id)) {
+            return res.status(404).json({ error: 'Snapshot not found' });
+        }
+        res.attachment(`snapshot-${req.params.id}.zip`);
+        await snapshots.writeSnapshotZip(res, req.params.id);
+    } catch (err) {
+        next(err);
+    }
+});
+
+// Endpoint to restore a snapshot. Body: { audit_id } of an upload in the audit
+// log to restore only the participants it touched; without it the whole dataset
+// is restored. The current data is snapshotted first, as `pre_restore` in the response.
+app.post('/api/snapshots/:id/restore', requireRole('admin'), async (req, res, next) => {
+    const { audit_id } = req.body || {};
 
-            // Add to sets for duplicate checking
-            if (row['P.No']) seenPNo.add(row['P.No']);
-            if (row['Mobile No']) seenMobileNo.add(row['Mobile No']);
+    try {
+        const snapshot = snapshots.findSnapshot(req.params.id);
+        if (!snapshot) {
+            return res.status(404).json({ error: 'Snapshot not found' });
+        }
 
-            // Validate attendance values
-            const day1 = String(row['Attendance Day 1']).toUpperCase().trim();
-            const day2 = String(row['Attendance Day 2']).toUpperCase().trim();
-            
-            if (!['P', 'A'].includes(day1)) {
-                validationErrors.push(`Row ${index + 2}: Invalid value for Attendance Day 1 (expected P or A, got ${row['Attendance Day 1']})`);
+        let upload = null;
+        if (audit_id !== undefined && audit_id !== null && audit_id !== '') {
+            const entry = await auditStore.findAuditEntry(audit_id);
+            if (!entry || entry.action !== 'upload') {
+                return res.status(400).json({
+                    error: 'Validation failed',
+                    validationErrors: ['audit_id must be the id of an upload in the audit log']
+                });
             }
-            
-            if (!['P', 'A'].includes(day2)) {
-                validationErrors.push(`Row ${index + 2}: Invalid value for Attendance Day 2 (expected P or A, got ${row['Attendance Day 2']})`);
+            const batch = await batchStore.findBatchById(entry.batch_id);
+            if (!batch) {
+                return res.status(409).json({
+                    error: `${entry.batch_name} no longer exists; restore the whole snapshot instead`
+                });
             }
-        });
+            upload = { entry, batch };
+        }
 
-        if (validationErrors.length > 0) {
-            return res.status(400).json({ 
-                error: 'Validation failed',
-                validationErrors
-            });
+        const result = await snapshots.restoreSnapshot(snapshot.id, { actor: req.user, upload });
+        if (result.conflicts) {
+            return res.status(409).json({ error: 'The participants cannot be restored', conflicts: result.conflicts });
+        }
+        liveUpdates.announceParticipantChange('restore', null, result.batch_ids);
+        res.json({ message: result.message, pre_restore: result.pre_restore });
+    } catch (err) {
+        next(err);
+    }
+});
+
+// Endpoint to delete a snapshot
+app.delete('/api/snapshots/:id', requireRole('admin'), (req, res, next) => {
+    try {
+        if (!snapshots.findSnapshot(req.params.id)) {
+            return res.status(404).json({ error: 'Snapshot not found' });
         }
+        snapshots.deleteSnapshot(req.params.id);
+        res.json({ message: 'Snapshot deleted' });
+    } catch (err) {
+        next(err);
+    }
+});
 
-        // Check for duplicates against existing data
-        const duplicateCheck = new Map();
-        participants.forEach(p => {
-            duplicateCheck.set(p.p_no, p);
-            duplicateCheck.set(p.mobile_no, p);
+// Endpoint to list the certificate templates, one per programme type
+app.get('/api/certificate-templates', requireRole('admin', 'trainer'), async (req, res, next) => {
+    try {
+        res.json({
+            placeholders: certificates.PLACEHOLDERS,
+            templates: await certificateTemplateStore.listTemplates()
         });
+    } catch (err) {
+        next(err);
+    }
+});
 
-        let insertCount = 0;
-        const newParticipants = [];
+// Endpoint to change a programme's certificate wording and attendance rule.
+// Body: { title, body, signatory, rule, min_percentage }.
+app.put('/api/certificate-templates/:programType', requireRole('admin'), async (req, res, next) => {
+    const { title, body, signatory = '', rule } = req.body;
+    const min_percentage = rule === 'min_percentage' ? Number(req.body.min_percentage) : 100;
 
-        jsonData.forEach(row => {
-            // Check for duplicates against existing data
-            if (duplicateCheck.has(row['P.No']) || duplicateCheck.has(row['Mobile No'])) {
-                console.warn(`Skipping duplicate entry: ${row['P.No']} - ${row['Name']}`);
-                return;
-            }
+    try {
+        if (!await certificateTemplateStore.findTemplate(req.params.programType)) {
+            return res.status(404).json({ error: 'Certificate template not found' });
+        }
 
-            const newParticipant = {
-                p_no: String(row['P.No']),
-                mobile_no: String(row['Mobile No']),
-                name: String(row['Name']),
-                trade: String(row['Trade'] || ''),
-                gender: String(row['Gender'] || ''),
-                attendance_day1: String(row['Attendance Day 1']).toUpperCase(),
-                attendance_day2: String(row['Attendance Day 2']).toUpperCase(),
-                created_at: new Date().toISOString()
-            };
-
-            newParticipants.push(newParticipant);
-            duplicateCheck.set(newParticipant.p_no, newParticipant);
-            duplicateCheck.set(newParticipant.mobile_no, newParticipant);
-            insertCount++;
-        });
+        const validationErrors = certificates.validateTemplate({ title, body, signatory, rule, min_percentage });
+        if (validationErrors.length > 0) {
+            return res.status(400).json({ error: 'Validation failed', validationErrors });
+        }
+
+        res.json(await certificateTemplateStore.updateTemplate(req.params.programType, {
+            title: title.trim(),
+            body: body.trim(),
+            signatory: signatory.trim(),
+            rule,
+            min_percentage
+        }, req.user));
+    } catch (err) {
+        next(err);
+    }
+});
 
-        // Add new participants to the main array
-        participants.push(...newParticipants);
+// The recipients of a message for the search filters in a request body, with the
+// message each would get. Returns null after answering a request that is not valid.
+async function prepareNotification(req, res) {
+    const { channel, template, filters = {} } = req.body;
+    const validationErrors = [
+        ...notifications.validateMessage({ channel, template }),
+        ...searchQuery.validateSearchFilters(filters)
+    ];
+    if (validationErrors.length > 0) {
+        res.status(400).json({ error: 'Validation failed', validationErrors });
+        return null;
+    }
+
+    const { participants } = await participantStore.exportParticipants(
+        searchFilters(req, filters),
+        searchSort(req, filters)
+    );
+    return {
+        channel,
+        template,
+        filters,
+        deliveries: await notifications.prepareDeliveries(participants, template)
+    };
+}
+
+function countDeliveries(deliveries) {
+    return {
+        recipients: deliveries.filter(delivery => delivery.status === 'queued').length,
+        skipped: deliveries.filter(delivery => delivery.status === 'skipped').length
+    };
+}
 
-        // Save to file
-        saveDataToFile();
+// Number of recipients shown when previewing a message
+const NOTIFICATION_PREVIEW_LIMIT = 20;
 
+// Endpoint to preview who a message would go to and what they would receive.
+// Body: { channel, template, filters } where filters are search parameters.
+app.post('/api/notifications/preview', requireRole('admin'), async (req, res, next) => {
+    try {
+        const prepared = await prepareNotification(req, res);
+        if (!prepared) {
+            return;
+        }
         res.json({
-            message: `Successfully processed ${jsonData.length} records`,
-            insertedRecords: insertCount,
-            duplicatesSkipped: jsonData.length - insertCount
+            ...countDeliveries(prepared.deliveries),
+            deliveries: prepared.deliveries.slice(0, NOTIFICATION_PREVIEW_LIMIT)
         });
+    } catch (err) {
+        next(err);
+    }
+});
 
-    } catch (error) {
-        console.error('Error processing Excel file:', error);
-        res.status(500).json({ error: 'Error processing Excel file', details: error.message });
+// Endpoint to send a message to every participant matching the search filters.
+// Messages are queued and sent in the background; the response gives the notification id.
+app.post('/api/notifications', requireRole('admin'), async (req, res, next) => {
+    try {
+        const prepared = await prepareNotification(req, res);
+        if (!prepared) {
+            return;
+        }
+        const counts = countDeliveries(prepared.deliveries);
+        if (counts.recipients === 0) {
+            return res.status(400).json({
+                error: 'Validation failed',
+                validationErrors: ['None of the matching participants can be sent a message']
+            });
+        }
+
+        const id = await notifications.sendNotification({ actor: req.user, ...prepared }, prepared.deliveries);
+        res.status(202).json({ id, ...counts });
+    } catch (err) {
+        next(err);
     }
 });
 
-// Endpoint to search participants
-app.get('/api/participants', (req, res) => {
-    const { p_no, mobile_no, name, trade, gender, page = 1, limit = 10 } = req.query;
+// Endpoint to list sent notifications, newest first, with delivery counts per status
+app.get('/api/notifications', requireRole('admin'), async (req, res, next) => {
+    const currentPage = Math.max(parseInt(req.query.page) || 1, 1);
+    const pageSize = Math.max(parseInt(req.query.limit) || 10, 1);
+
+    try {
+        const { total, notifications: entries } = await notificationStore.listNotifications({
+            page: currentPage,
+            limit: pageSize
+        });
+        const totalPages = Math.ceil(total / pageSize);
 
-    // Filter participants based on query parameters
-    let filteredParticipants = participants;
+        res.json({
+            notifications: entries,
+            pagination: {
+                total,
+                page: currentPage,
+                totalPages,
+                limit: pageSize,
+                hasNext: currentPage < totalPages,
+                hasPrev: currentPage > 1
+            }
+        });
+    } catch (err) {
+        next(err);
+    }
+});
 
-    if (p_no) {
-        filteredParticipants = filteredParticipants.filter(p => 
-            p.p_no.toLowerCase().includes(p_no.toLowerCase()));
+// Endpoint to get a notification with the delivery status of every recipient
+app.get('/api/notifications/:id', requireRole('admin'), async (req, res, next) => {
+    try {
+        const notification = await notificationStore.findNotification(req.params.id);
+        if (!notification) {
+            return res.status(404).json({ error: 'Notification not found' });
+        }
+        res.json(notification);
+    } catch (err) {
+        next(err);
     }
-    if (mobile_no) {
-        filteredParticipants = filteredParticipants.filter(p => 
-            p.mobile_no.includes(mobile_no));
+});
+
+// Endpoint to list the messages sent to a participant and whether they were delivered
+app.get('/api/participants/:p_no/notifications', requireRole('admin'), async (req, res, next) => {
+    try {
+        res.json(await notificationStore.listParticipantDeliveries(req.params.p_no));
+    } catch (err) {
+        next(err);
     }
-    if (name) {
-        filteredParticipants = filteredParticipants.filter(p => 
-            p.name.toLowerCase().includes(name.toLowerCase()));
+});
+
+// Endpoint to list saved column mapping profiles
+app.get('/api/mapping-profiles', requireRole('admin'), async (req, res, next) => {
+    try {
+        res.json(await mappingProfileStore.listProfiles());
+    } catch (err) {
+        next(err);
     }
-    if (trade) {
-        filteredParticipants = filteredParticipants.filter(p => p.trade === trade);
+});
+
+// Endpoint to save a column mapping profile, replacing one with the same name
+app.post('/api/mapping-profiles', requireRole('admin'), async (req, res, next) => {
+    const name = String(req.body.name || '').trim();
+    const mapping = req.body.mapping;
+
+    const validationErrors = [];
+    if (!name) {
+        validationErrors.push('Profile name is required');
     }
-    if (gender) {
-        filteredParticipants = filteredParticipants.filter(p => p.gender === gender);
+    if (!mapping || typeof mapping !== 'object' || Array.isArray(mapping)) {
+        validationErrors.push('Mapping must be an object of field name to column header');
+    } else {
+        Object.keys(mapping).forEach(field => {
+            if (!columnMapping.FIELDS.includes(field)) {
+                validationErrors.push(`Unknown field '${field}'`);
+            }
+        });
+        columnMapping.REQUIRED_FIELDS.forEach(field => {
+            if (!mapping[field]) {
+                validationErrors.push(`${field} must be mapped to a column`);
+            }
+        });
     }
 
-    // Calculate pagination
-    const total = filteredParticipants.length;
-    const totalPages = Math.ceil(total / parseInt(limit));
-    const currentPage = parseInt(page);
-    
-    const startIndex = (currentPage - 1) * parseInt(limit);
-    const endIndex = Math.min(startIndex + parseInt(limit), total);
-    const paginatedResults = filteredParticipants.slice(startIndex, endIndex);
+    if (validationErrors.length > 0) {
+        return res.status(400).json({ error: 'Validation failed', validationErrors });
+    }
 
-    res.json({
-        participants: paginatedResults,
-        pagination: {
-            total,
-            page: currentPage,
-            totalPages,
-            limit: parseInt(limit),
-            hasNext: currentPage < totalPages,
-            hasPrev: currentPage > 1
-        }
-    });
+    try {
+        const profile = await mappingProfileStore.saveProfile({
+            name,
+            sheet_name: req.body.sheet_name,
+            mapping
+        });
+        res.status(201).json(profile);
+    } catch (err) {
+        next(err);
+    }
 });
 
-// Endpoint to get a specific participant by P.No
-app.get('/api/participants/:p_no', (req, res) => {
-    const p_no = req.params.p_no;
-    
-    const participant = participants.find(p => p.p_no === p_no);
+// Endpoint to delete a column mapping profile
+app.delete('/api/mapping-profiles/:id', requireRole('admin'), async (req, res, next) => {
+    try {
+        if (!await mappingProfileStore.deleteProfile(req.params.id)) {
+            return res.status(404).json({ error: 'Mapping profile not found' });
+        }
+        res.status(204).end();
+    } catch (err) {
+        next(err);
+    }
+});
 
-    if (!participant) {
-        return res.status(404).json({ error: 'Participant not found' });
+// Endpoint to get attendance statistics for the participants matching the search filters
+app.get('/api/stats', requireRole(), async (req, res, next) => {
+    const validationErrors = searchQuery.validateSearchQuery(req.query);
+    if (validationErrors.length > 0) {
+        return res.status(400).json({ error: 'Validation failed', validationErrors });
     }
 
-    res.json(participant);
+    try {
+        res.json(await statsStore.getAttendanceStats(searchFilters(req)));
+    } catch (err) {
+        next(err);
+    }
 });
 
 // Endpoint to get all unique trades for filter dropdown
-app.get('/api/trades', (req, res) => {
-    const trades = [...new Set(participants.map(p => p.trade).filter(t => t))];
-    res.json(trades);
+app.get('/api/trades', requireRole(), async (req, res, next) => {
+    try {
+        res.json(await participantStore.listTrades());
+    } catch (err) {
+        next(err);
+    }
 });
 
 // Endpoint to get all unique genders for filter dropdown
-app.get('/api/genders', (req, res) => {
-    const genders = [...new Set(participants.map(p => p.gender).filter(g => g))];
-    res.json(genders);
+app.get('/api/genders', requireRole(), async (req, res, next) => {
+    try {
+        res.json(await participantStore.listGenders());
+    } catch (err) {
+        next(err);
+    }
 });
 
 // Error handling middleware
 app.use((err, req, res, next) => {
     console.error(err.stack);
+    // A download that fails part-way has already sent its headers; let Express close the connection
+    if (res.headersSent) {
+        return next(err);
+    }
     res.status(500).json({ error: 'Something went wrong!' });
 });
 
@@ -273,15 +1844,65 @@ app.use((req, res) => {
     res.status(404).json({ error: 'Route not found' });
 });
 
-// Start server
-app.listen(PORT, () => {
-    console.log(`Server is running on port ${PORT}`);
-    console.log(`Access the application at http://localhost:${PORT}`);
+// Create the first admin from ADMIN_USERNAME and ADMIN_PASSWORD when there are no users yet
+async function ensureAdminAccount() {
+    if (await userStore.countUsers() > 0) {
+        return;
+    }
+
+    const { ADMIN_USERNAME, ADMIN_PASSWORD } = process.env;
+    if (!ADMIN_USERNAME || !ADMIN_PASSWORD) {
+        console.warn('No user accounts exist. Set ADMIN_USERNAME and ADMIN_PASSWORD, or run "npm run create-user", to create the first admin.');
+        return;
+    }
+    if (ADMIN_PASSWORD.length < auth.MIN_PASSWORD_LENGTH) {
+        console.warn(`ADMIN_PASSWORD must be at least ${auth.MIN_PASSWORD_LENGTH} characters; no admin account was created.`);
+        return;
+    }
+
+    await userStore.createUser({
+        username: ADMIN_USERNAME,
+        password_hash: await auth.hashPassword(ADMIN_PASSWORD),
+        role: 'admin'
+    });
+    console.log(`Created admin account '${ADMIN_USERNAME}'`);
+}
+
+// Start server once the database is ready
+async function start() {
+    await initDatabase();
+    await participantStore.backfillNameKeys();
+    const { changed, clashes } = await participantStore.normalizeStoredParticipants();
+    if (changed || clashes) {
+        console.log(`Normalized ${changed} stored participants (${clashes} clashing values left unchanged)`);
+    }
+    notifications.initNotifications();
+    await importJobs.initImportJobs();
+
+    await ensureAdminAccount();
+    await userStore.deleteExpiredSessions();
+
+    // Pull in data from the old JSON store the first time we run against SQLite
+    const imported = await importLegacyJson();
+    if (imported) {
+        console.log(`Imported ${imported.imported} records from participants-data.json (${imported.skipped} skipped)`);
+    }
+    snapshots.initSnapshots();
+
+    app.listen(PORT, () => {
+        console.log(`Server is running on port ${PORT}`);
+        console.log(`Access the application at http://localhost:${PORT}`);
+    });
+}
+
+start().catch(err => {
+    console.error('Failed to start server:', err);
+    process.exit(1);
 });
 
 // Graceful shutdown
 process.on('SIGINT', async () => {
     console.log('\nShutting down gracefully...');
-    await saveDataToFile();
+    await closeDatabase();
     process.exit(0);
-});
\ No newline at end of file
+});
@@ -0,0 +1,45 @@
+// Service worker: keeps the app's own files cached so it opens without a connection.
+// Rosters and queued attendance live in IndexedDB (see script.js); API requests
+// are never cached here.
+
+// Bump the version when the list of files changes, so old caches are removed
+const CACHE_NAME = 'app-shell-v1';
+const APP_FILES = ['/', '/index.html', '/script.js', '/styles.css', '/manifest.webmanifest', '/icon.svg'];
+
+self.addEventListener('install', (event) => {
+    event.waitUntil(
+        caches.open(CACHE_NAME)
+            .then(cache => cache.addAll(APP_FILES))
+            .then(() => self.skipWaiting())
+    );
+});
+
+self.addEventListener('activate', (event) => {
+    event.waitUntil(
+        caches.keys()
+            .then(names => Promise.all(names.filter(name => name !== CACHE_NAME).map(name => caches.delete(name))))
+            .then(() => self.clients.claim())
+    );
+});
+
+// App files come from the network when it is reachable, so updates show up at once,
+// and from the cache otherwise. Searches keep their filters in the query string,
+// so any address of the page is answered with the cached page.
+self.addEventListener('fetch', (event) => {
+    const url = new URL(event.request.url);
+    if (event.request.method !== 'GET' || url.origin !== self.location.origin || url.pathname.startsWith('/api/')) {
+        return;
+    }
+
+    event.respondWith(
+        fetch(event.request)
+            .then(response => {
+                if (response.ok && APP_FILES.includes(url.pathname)) {
+                    const copy = response.clone();
+                    caches.open(CACHE_NAME).then(cache => cache.put(url.pathname, copy));
+                }
+                return response;
+            })
+            .catch(() => caches.match(url.pathname).then(cached => cached || Response.error()))
+    );
+});
@@ -0,0 +1,73 @@
+// Hostile participant values in .xlsx and CSV exports
+
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { PassThrough } = require('stream');
+const xlsx = require('xlsx');
+const participantExport = require('../lib/participantExport');
+
+const SESSIONS = [{ label: 'Day 1' }];
+
+function participant(p_no, name) {
+    return {
+        p_no,
+        mobile_no: '+919876543210',
+        name,
+        trade: 'Fitter',
+        gender: 'Male',
+        batch_name: 'Batch 1',
+        attendance: [{ label: 'Day 1', status: 'P' }],
+        attendance_percentage: 100
+    };
+}
+
+const TABLE = participantExport.buildExportTable(SESSIONS, [
+    participant('P1', '=HYPERLINK("http://example.com","Click")'),
+    participant('P2', '<script>alert(1)</script>'),
+    participant('P3', '@SUM(1+1)'),
+    participant('P4', 'Ravi Kumar')
+]);
+
+function readCsv(table) {
+    return new Promise((resolve, reject) => {
+        const stream = new PassThrough();
+        const chunks = [];
+        stream.on('data', chunk => chunks.push(chunk));
+        stream.on('end', () => resolve(Buffer.concat(chunks).toString('utf8')));
+        stream.on('error', reject);
+        participantExport.writeCsv(stream, table);
+    });
+}
+
+test('xlsx export prefixes formulas with an apostrophe and writes no formula cells', () => {
+    const workbook = xlsx.read(participantExport.buildWorkbook(TABLE));
+    const sheet = workbook.Sheets.Participants;
+    const names = xlsx.utils.sheet_to_json(sheet).map(row => row.Name);
+    assert.deepEqual(names, [
+        `'=HYPERLINK("http://example.com","Click")`,
+        '<script>alert(1)</script>',
+        `'@SUM(1+1)`,
+        'Ravi Kumar'
+    ]);
+    assert.equal(Object.values(sheet).some(cell => cell && cell.f), false);
+});
+
+test('xlsx export keeps mobile numbers as they are', () => {
+    const workbook = xlsx.read(participantExport.buildWorkbook(TABLE));
+    const [row] = xlsx.utils.sheet_to_json(workbook.Sheets.Participants);
+    assert.equal(row['Mobile No'], '+919876543210');
+});
+
+test('CSV export prefixes formulas with an apostrophe', async () => {
+    const lines = (await readCsv(TABLE)).replace(/^\uFEFF/, '').split('\r\n');
+    assert.equal(lines[0], 'P.No,Mobile No,Name,Trade,Gender,Batch,Day 1,Attendance %');
+    assert.equal(lines[1], `P1,+919876543210,"'=HYPERLINK(""http://example.com"",""Click"")",Fitter,Male,Batch 1,P,100%`);
+    assert.equal(lines[2], 'P2,+919876543210,<script>alert(1)</script>,Fitter,Male,Batch 1,P,100%');
+    assert.equal(lines[3], `P3,+919876543210,'@SUM(1+1),Fitter,Male,Batch 1,P,100%`);
+});
+
+test('CSV export quotes values with commas, quotes and line breaks', async () => {
+    const table = participantExport.buildExportTable(SESSIONS, [participant('P5', 'Kumar, "Ravi"\r\n-1+1')]);
+    const csv = await readCsv(table);
+    assert.ok(csv.includes('"Kumar, ""Ravi""\r\n-1+1"'));
+});
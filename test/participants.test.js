@@ -0,0 +1,86 @@
+// Participant records stored before values were normalized
+
+process.env.DB_FILE = ':memory:';
+
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { initDatabase, closeDatabase, getDb } = require('../db');
+const batchStore = require('../db/batches');
+const auditStore = require('../db/audit');
+const participantStore = require('../db/participants');
+
+before(() => initDatabase({ quiet: true }));
+after(() => closeDatabase());
+
+async function insertStored(batchId, { p_no, mobile_no, name, gender = '' }) {
+    const now = new Date().toISOString();
+    const { lastID } = await getDb().run(
+        `INSERT INTO participants (batch_id, p_no, mobile_no, name, trade, gender, created_at, updated_at, normalized)
+         VALUES (?, ?, ?, ?, '', ?, ?, ?, 0)`,
+        batchId, p_no, mobile_no, name, gender, now, now
+    );
+    return lastID;
+}
+
+test('stored rows are normalized once, audited, and their P.No references follow', async () => {
+    const db = getDb();
+    const batch = await batchStore.createBatch({ name: 'Legacy', program_type: 'Induction' });
+    const id = await insertStored(batch.id, { p_no: 'p 100', mobile_no: '98765 43210', name: 'Ravi', gender: 'M' });
+    await insertStored(batch.id, { p_no: 'P200', mobile_no: '+919876500000', name: 'Sita', gender: 'female' });
+    // Its P.No normalizes to the one above, so only its mobile number changes
+    await insertStored(batch.id, { p_no: 'p200', mobile_no: '9876511111', name: 'Dup' });
+
+    const { lastID: notificationId } = await db.run(
+        `INSERT INTO notifications (created_at, username, channel, template, filters, provider)
+         VALUES ('2026-01-01', 'admin', 'sms', 'Hi', '{}', 'console')`
+    );
+    await db.run(
+        `INSERT INTO notification_deliveries (notification_id, participant_id, p_no, batch_id, mobile_no, message, status, updated_at)
+         VALUES (?, ?, 'p 100', ?, '98765 43210', 'Hi', 'sent', '2026-01-01')`,
+        notificationId, id, batch.id
+    );
+    await db.run(
+        `INSERT INTO duplicate_dismissals (p_no_a, p_no_b, created_at, username)
+         VALUES ('P999', 'p 100', '2026-01-01', 'admin')`
+    );
+
+    assert.deepEqual(await participantStore.normalizeStoredParticipants(), { changed: 3, clashes: 1 });
+    assert.deepEqual(await participantStore.normalizeStoredParticipants(), { changed: 0, clashes: 0 });
+
+    const stored = await db.all('SELECT p_no, mobile_no, gender FROM participants ORDER BY id');
+    assert.deepEqual(stored, [
+        { p_no: 'P100', mobile_no: '+919876543210', gender: 'Male' },
+        { p_no: 'P200', mobile_no: '+919876500000', gender: 'Female' },
+        { p_no: 'p200', mobile_no: '+919876511111', gender: '' }
+    ]);
+    assert.deepEqual(await participantStore.listGenders(), ['Female', 'Male']);
+
+    const { entries } = await auditStore.searchAuditEntries({ p_no: 'P100' }, { page: 1, limit: 10 });
+    assert.equal(entries.length, 1);
+    assert.equal(entries[0].username, 'system');
+    assert.equal(entries[0].batch_id, batch.id);
+    const entry = await auditStore.findAuditEntry(entries[0].id);
+    assert.deepEqual(entry.changes, [{
+        p_no: 'P100',
+        before: { p_no: 'p 100', mobile_no: '98765 43210', gender: 'M' },
+        after: { p_no: 'P100', mobile_no: '+919876543210', gender: 'Male' }
+    }]);
+
+    assert.deepEqual(await db.all('SELECT p_no FROM notification_deliveries'), [{ p_no: 'P100' }]);
+    assert.deepEqual(await db.all('SELECT p_no_a, p_no_b FROM duplicate_dismissals'), [{ p_no_a: 'P100', p_no_b: 'P999' }]);
+});
+
+test('replacing a batch counts and audits every removed row', async () => {
+    const batch = await batchStore.createBatch({ name: 'Replaced', program_type: 'FST' });
+    // Stored P.Nos that normalize alike, as an unnormalized value left by a clash can
+    await insertStored(batch.id, { p_no: 'P300', mobile_no: '+919876522222', name: 'One' });
+    await insertStored(batch.id, { p_no: 'p300', mobile_no: '+919876533333', name: 'Two' });
+
+    const counts = await participantStore.applyImport(batch.id, [], { replace: true }, { actor: null, batch });
+    assert.equal(counts.removed, 2);
+
+    const { entries } = await auditStore.searchAuditEntries({ batch_id: batch.id, action: 'upload' }, { page: 1, limit: 10 });
+    const entry = await auditStore.findAuditEntry(entries[0].id);
+    assert.equal(entry.summary, 'Removed 2 existing, added 0 new participants');
+    assert.deepEqual(entry.changes.map(change => change.before.name).sort(), ['One', 'Two']);
+});
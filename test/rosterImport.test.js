@@ -0,0 +1,94 @@
+// Hostile and oversized rosters: the row and cell-length limits, and formulas
+// in the rejected-rows workbook. The limits are lowered before the module reads them.
+
+process.env.MAX_ROSTER_ROWS = '5';
+process.env.MAX_CELL_LENGTH = '20';
+
+const { test, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const xlsx = require('xlsx');
+const rosterImport = require('../lib/rosterImport');
+
+const HEADERS = ['P.No', 'Mobile No', 'Name', 'Trade', 'Gender', 'Attendance Day 1'];
+const NO_PARTICIPANTS = { byPNo: new Map(), byMobileNo: new Map() };
+
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'roster-import-'));
+after(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+// Write a roster of `count` valid rows, with `overrides` applied to the first
+function writeRoster(name, count, overrides = {}) {
+    const rows = Array.from({ length: count }, (_, i) => {
+        const row = [`P${100 + i}`, `98765${String(43210 + i).padStart(5, '0')}`, `Trainee ${i + 1}`, 'Fitter', 'M', 'P'];
+        return i === 0 ? HEADERS.map((header, column) => overrides[header] ?? row[column]) : row;
+    });
+    const workbook = xlsx.utils.book_new();
+    xlsx.utils.book_append_sheet(workbook, xlsx.utils.aoa_to_sheet([HEADERS, ...rows]), 'Roster');
+    const file = path.join(dir, name);
+    xlsx.writeFile(workbook, file);
+    return file;
+}
+
+function readAndValidate(file) {
+    const roster = rosterImport.readRoster(file);
+    assert.equal(roster.error, undefined);
+    return rosterImport.validateRows(roster.rows, roster.sessions, NO_PARTICIPANTS);
+}
+
+test('a sheet at the row limit is read', () => {
+    const roster = rosterImport.readRoster(writeRoster('at-limit.xlsx', 5));
+    assert.equal(roster.error, undefined);
+    assert.equal(roster.rows.length, 5);
+});
+
+test('a sheet over MAX_ROSTER_ROWS is refused with its row count', () => {
+    const roster = rosterImport.readRoster(writeRoster('over-limit.xlsx', 8));
+    assert.match(roster.error.error, /The sheet has 8 rows; at most 5 can be imported at once/);
+});
+
+test('HTML and CSV renamed to .xls are refused before they are parsed', () => {
+    const html = path.join(dir, 'page.xls');
+    const csv = path.join(dir, 'rows.xls');
+    fs.writeFileSync(html, `<table><tr>${HEADERS.map(header => `<td>${header}</td>`).join('')}</tr></table>`);
+    fs.writeFileSync(csv, `${HEADERS.join(',')}\r\nP1,9876543210,<script>alert(1)</script>,,M,P\r\n`);
+    assert.match(rosterImport.readRoster(html).error.error, /not an Excel workbook/);
+    assert.match(rosterImport.readRoster(csv).error.error, /not an Excel workbook/);
+});
+
+test('cells longer than MAX_CELL_LENGTH make the row invalid', () => {
+    const results = readAndValidate(writeRoster('long-cells.xlsx', 2, { Name: 'N'.repeat(21), Trade: 'T'.repeat(500) }));
+    assert.equal(results[0].status, 'invalid');
+    assert.equal(results[0].errors.Name, 'Longer than 20 characters');
+    assert.equal(results[0].errors.Trade, 'Longer than 20 characters');
+    assert.equal(results[1].status, 'valid');
+});
+
+test('a cell of exactly MAX_CELL_LENGTH characters is accepted', () => {
+    const [result] = readAndValidate(writeRoster('exact-cell.xlsx', 1, { Name: 'N'.repeat(20) }));
+    assert.equal(result.status, 'valid');
+});
+
+test('participants entered by hand are held to the same cell length', () => {
+    const input = { p_no: 'P1', mobile_no: '9876543210', name: 'N'.repeat(21), trade: '', gender: 'M', attendance: {} };
+    assert.deepEqual(rosterImport.validateParticipantInput(input, []), ['Name must be at most 20 characters']);
+});
+
+test('markup and formulas in names are imported as plain text', () => {
+    ['<script>x</script>', '=HYPERLINK("x")'].forEach((name, i) => {
+        const [result] = readAndValidate(writeRoster(`hostile-${i}.xlsx`, 1, { Name: name }));
+        assert.equal(result.status, 'valid');
+        assert.equal(result.participant.name, name);
+    });
+});
+
+test('the rejected-rows workbook neutralizes formulas', () => {
+    const results = readAndValidate(writeRoster('rejected.xlsx', 1, { Name: '=HYPERLINK("x")', 'Attendance Day 1': 'X' }));
+    assert.equal(results[0].status, 'invalid');
+    const workbook = xlsx.read(rosterImport.buildRejectedWorkbook(HEADERS, results));
+    const sheet = workbook.Sheets[workbook.SheetNames[0]];
+    const [row] = xlsx.utils.sheet_to_json(sheet);
+    assert.equal(row.Name, `'=HYPERLINK("x")`);
+    assert.equal(Object.values(sheet).some(cell => cell && cell.f), false);
+});
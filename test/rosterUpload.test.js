@@ -0,0 +1,80 @@
+// Storing uploaded rosters: the names they are kept under, and the P.Nos their
+// changes are recorded with
+
+process.env.DB_FILE = ':memory:';
+
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const xlsx = require('xlsx');
+const { initDatabase, closeDatabase } = require('../db');
+const batchStore = require('../db/batches');
+const auditStore = require('../db/audit');
+const rosterUpload = require('../lib/rosterUpload');
+const { UPLOADS_DIR, storedFileName } = rosterUpload;
+
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'roster-upload-'));
+before(() => initDatabase({ quiet: true }));
+after(async () => {
+    await closeDatabase();
+    fs.rmSync(dir, { recursive: true, force: true });
+});
+
+function storedName(originalName) {
+    const name = storedFileName(originalName);
+    assert.match(name, /^\d+-/);
+    return name.replace(/^\d+-/, '');
+}
+
+function writeRoster(name, rows) {
+    const workbook = xlsx.utils.book_new();
+    const headers = ['P.No', 'Mobile No', 'Name', 'Trade', 'Gender', 'Attendance Day 1'];
+    xlsx.utils.book_append_sheet(workbook, xlsx.utils.aoa_to_sheet([headers, ...rows]), 'Roster');
+    const file = path.join(dir, name);
+    xlsx.writeFile(workbook, file);
+    return file;
+}
+
+async function importRoster(batch, file, mode) {
+    const prepared = await rosterUpload.prepareImport(batch, file, { mode });
+    assert.equal(prepared.error, undefined);
+    await rosterUpload.saveImport(batch, { ...prepared, file: { name: path.basename(file) } }, null);
+    return prepared;
+}
+
+test('path separators and parent directories are stripped', () => {
+    assert.equal(storedName('../../etc/passwd.xlsx'), 'passwd.xlsx');
+    assert.equal(storedName('/var/www/roster.xlsx'), 'roster.xlsx');
+    assert.equal(storedName('..\\..\\windows\\roster.xls'), '.._.._windows_roster.xls');
+});
+
+test('characters unsafe in file names are replaced', () => {
+    assert.equal(storedName('roster<script>.xlsx'), 'roster_script_.xlsx');
+    assert.equal(storedName('batch 1: "induction"|.xlsx'), 'batch 1_ _induction_.xlsx');
+    assert.equal(storedName('roster\0.xlsx'), 'roster_.xlsx');
+});
+
+test('ordinary names are kept', () => {
+    assert.equal(storedName('Batch 12 - Induction.xlsx'), 'Batch 12 - Induction.xlsx');
+});
+
+test('the result never leaves the uploads folder', () => {
+    ['..', '../..', '/', '.xlsx/..', 'a/../../b.xlsx'].forEach(originalName => {
+        const stored = path.join(UPLOADS_DIR, storedFileName(originalName));
+        assert.equal(path.dirname(stored), UPLOADS_DIR);
+    });
+});
+
+test('updates are audited and reported under the normalized P.No', async () => {
+    const batch = await batchStore.createBatch({ name: 'Audit batch', program_type: 'Induction' });
+    await importRoster(batch, writeRoster('first.xlsx', [['P1001', '9876543210', 'Ravi', '', 'M', 'P']]), 'skip');
+
+    const update = await importRoster(batch, writeRoster('second.xlsx', [['p 1001', '98765 43210', 'Ravi Kumar', '', 'M', 'A']]), 'update');
+    assert.deepEqual(rosterUpload.buildChangeReport(update.results).map(change => change.p_no), ['P1001']);
+
+    const { entries } = await auditStore.searchAuditEntries({ p_no: 'P1001' }, { page: 1, limit: 10 });
+    assert.deepEqual(entries.map(entry => entry.file_name), ['second.xlsx', 'first.xlsx']);
+    assert.deepEqual(entries[0].p_nos, ['P1001']);
+});
@@ -0,0 +1,25 @@
+// Search filter validation
+
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { isValidDate, validateSearchQuery } = require('../lib/searchQuery');
+
+test('dates must exist, not only look like YYYY-MM-DD', () => {
+    assert.equal(isValidDate('2026-10-18'), true);
+    assert.equal(isValidDate('2024-02-29'), true);
+    ['2026-13-45', '2026-02-30', '2026-00-10', '18-10-2026', '2026-1-5', ''].forEach(text => {
+        assert.equal(isValidDate(text), false, text);
+    });
+});
+
+test('impossible added-from and added-to dates are refused', () => {
+    assert.deepEqual(validateSearchQuery({ created_from: '2026-13-45', created_to: '2026-02-30' }), [
+        'Added from date must be a valid date in YYYY-MM-DD format',
+        'Added to date must be a valid date in YYYY-MM-DD format'
+    ]);
+    assert.deepEqual(validateSearchQuery({ created_from: '2026-01-01', created_to: '2026-12-31' }), []);
+});
+
+test('inherited object keys are not sort fields or attendance filters', () => {
+    assert.equal(validateSearchQuery({ sort: 'toString', attendance: 'constructor' }).length, 2);
+});
@@ -0,0 +1,49 @@
+// Restoring snapshots when the number kept is at its limit
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'snapshots-'));
+process.env.DB_FILE = path.join(dir, 'participants.db');
+process.env.SNAPSHOT_DIR = path.join(dir, 'snapshots');
+process.env.SNAPSHOT_KEEP = '2';
+
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { initDatabase, closeDatabase } = require('../db');
+const batchStore = require('../db/batches');
+const snapshots = require('../lib/snapshots');
+
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+before(() => initDatabase({ quiet: true }));
+after(async () => {
+    await closeDatabase();
+    fs.rmSync(dir, { recursive: true, force: true });
+});
+
+// Snapshot ids are their creation time to the millisecond
+async function takeSnapshot(reason = 'manual') {
+    await sleep(5);
+    const snapshot = await snapshots.createSnapshot({ reason, actor: null });
+    await sleep(5);
+    return snapshot;
+}
+
+test('the oldest snapshot can be restored when the limit is full', async () => {
+    await batchStore.createBatch({ name: 'First', program_type: 'Induction' });
+    const oldest = await takeSnapshot();
+    await batchStore.createBatch({ name: 'Second', program_type: 'FST' });
+    const newest = await takeSnapshot();
+    assert.deepEqual(snapshots.listSnapshots().map(snapshot => snapshot.id), [newest.id, oldest.id]);
+
+    const result = await snapshots.restoreSnapshot(oldest.id, { actor: null });
+    assert.match(result.message, /^Restored snapshot /);
+    assert.deepEqual((await batchStore.listBatches()).map(batch => batch.name), ['First']);
+    assert.deepEqual(snapshots.listSnapshots().map(snapshot => snapshot.id), [result.pre_restore.id, newest.id, oldest.id]);
+
+    // The restored snapshot goes at the next prune, as the oldest past the limit
+    const next = await takeSnapshot();
+    assert.deepEqual(snapshots.listSnapshots().map(snapshot => snapshot.id), [next.id, result.pre_restore.id]);
+});
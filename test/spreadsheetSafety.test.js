@@ -0,0 +1,60 @@
+// Files that only pretend to be workbooks, and cell values that would run as
+// formulas in a spreadsheet
+
+const { test, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const xlsx = require('xlsx');
+const { isExcelFile, neutralizeFormula } = require('../lib/spreadsheetSafety');
+
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'spreadsheet-safety-'));
+after(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+function writeFile(name, content) {
+    const file = path.join(dir, name);
+    fs.writeFileSync(file, content);
+    return file;
+}
+
+test('HTML renamed to .xls is not an Excel file', () => {
+    const file = writeFile('roster.xls', '<html><body><table><tr><td><script>alert(1)</script></td></tr></table></body></html>');
+    assert.equal(isExcelFile(file), false);
+});
+
+test('CSV renamed to .xls or .xlsx is not an Excel file', () => {
+    const csv = 'P.No,Mobile No,Name,Attendance Day 1\r\nP1,9876543210,=HYPERLINK("http://example.com"),P\r\n';
+    assert.equal(isExcelFile(writeFile('roster.csv.xls', csv)), false);
+    assert.equal(isExcelFile(writeFile('roster.csv.xlsx', csv)), false);
+});
+
+test('empty and truncated files are not Excel files', () => {
+    assert.equal(isExcelFile(writeFile('empty.xlsx', '')), false);
+    assert.equal(isExcelFile(writeFile('short.xlsx', 'PK')), false);
+});
+
+test('real .xlsx and .xls workbooks are Excel files', () => {
+    const workbook = xlsx.utils.book_new();
+    xlsx.utils.book_append_sheet(workbook, xlsx.utils.aoa_to_sheet([['P.No'], ['P1']]), 'Roster');
+    const xlsxFile = path.join(dir, 'real.xlsx');
+    const xlsFile = path.join(dir, 'real.xls');
+    xlsx.writeFile(workbook, xlsxFile, { bookType: 'xlsx' });
+    xlsx.writeFile(workbook, xlsFile, { bookType: 'biff8' });
+    assert.equal(isExcelFile(xlsxFile), true);
+    assert.equal(isExcelFile(xlsFile), true);
+});
+
+test('values that start a formula get an apostrophe', () => {
+    ['=HYPERLINK("http://example.com","Click")', '+1+1', '-2+3', '@SUM(A1)', '\t=1', '\r=1'].forEach(value => {
+        assert.equal(neutralizeFormula(value), `'${value}`);
+    });
+});
+
+test('plain text, signed numbers and non-strings are left alone', () => {
+    ['<script>alert(1)</script>', 'Ravi Kumar', '-12', '+91.5', '', 'a=b'].forEach(value => {
+        assert.equal(neutralizeFormula(value), value);
+    });
+    assert.equal(neutralizeFormula(42), 42);
+    assert.equal(neutralizeFormula(null), null);
+});